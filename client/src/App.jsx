@@ -8,6 +8,11 @@ import Hatchery from "./pages/Hatchery.jsx";
 import Game from "./pages/Game.jsx";
 import Marketplace from "./pages/Marketplace.jsx";
 import Profile from "./pages/Profile.jsx";
+import Tournaments from "./pages/Tournaments.jsx";
+import Placement from "./pages/Placement.jsx";
+import Raids from "./pages/Raids.jsx";
+import Campaign from "./pages/Campaign.jsx";
+import Spectate from "./pages/Spectate.jsx";
 import AuthModal from "./components/Auth/AuthModal.jsx"; // Add this import
 
 function App() {
@@ -23,6 +28,11 @@ function App() {
                 <Route path="/" element={<Home />} />
                 <Route path="/hatchery" element={<Hatchery />} />
                 <Route path="/battle" element={<Game />} />
+                <Route path="/tournaments" element={<Tournaments />} />
+                <Route path="/placement" element={<Placement />} />
+                <Route path="/raids" element={<Raids />} />
+                <Route path="/campaign" element={<Campaign />} />
+                <Route path="/spectate" element={<Spectate />} />
                 <Route path="/marketplace" element={<Marketplace />} />
                 <Route path="/profile" element={<Profile />} />
 
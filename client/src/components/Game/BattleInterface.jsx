@@ -1,42 +1,363 @@
+import React, { useState, useEffect, useRef } from "react";
 import PetCard from "../Pets/PetCard";
+import Button from "../UI/Button";
+import { usePvPBattle } from "../../hooks/usePvPBattle";
+import { useBattleStream } from "../../hooks/useBattleStream";
+import { BATTLE_MODES } from "../../utils/constants";
 
-const BattleInterface = ({ playerPets, opponentPets, onBattleComplete }) => {
-  const [battleLog, setBattleLog] = useState([]);
-  const [currentTurn, setCurrentTurn] = useState("player");
-  const [isBattling, setIsBattling] = useState(false);
+const ACTION_LABELS = {
+  attack: "⚔️ Attack",
+  defend: "🛡️ Defend",
+  parry: "🤺 Parry",
+  recover: "💚 Recover",
+  ability: "✨ Ability",
+  item: "🧪 Item",
+};
 
-  const addToLog = (message) => {
-    setBattleLog((prev) => [...prev, { message, timestamp: Date.now() }]);
-  };
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
 
-  const simulateBattle = async () => {
-    setIsBattling(true);
-    addToLog("Battle started!");
-
-    // Simple battle simulation
-    for (let i = 0; i < 3; i++) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      if (currentTurn === "player") {
-        addToLog(`Player's pet attacks!`);
-        setCurrentTurn("opponent");
-      } else {
-        addToLog(`Opponent's pet attacks!`);
-        setCurrentTurn("player");
-      }
-    }
+const STATUS_ICONS = {
+  burn: "🔥",
+  permanent_burn: "🔥",
+  damage_over_time: "☠️",
+  escalating_dot: "☠️",
+  stun: "💫",
+  sleep: "💤",
+  heal_over_time: "💚",
+  defense_up: "🛡️",
+  defense_down: "🔻",
+  attack_down: "🔻",
+  stat_reduction: "🔻",
+  permanent_stat_reduction: "🔻",
+  slow: "🐌",
+  speed_up: "⚡",
+  evasion_up: "💨",
+  accuracy_down: "🌫️",
+  confusion: "😵",
+  silence: "🤐",
+  barrier: "🔰",
+  damage_immunity: "✴️",
+  immortality: "👼",
+};
 
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-    addToLog("Battle complete!");
-    setIsBattling(false);
-    onBattleComplete?.();
-  };
+// A pet that isn't due on the speed timeline sits the turn out
+const describeTurn = (turn) => {
+  const mine = turn.playerAction
+    ? `You chose ${turn.playerAction}`
+    : "Your pet was still winding up";
+  const theirs = turn.opponentAction
+    ? `opponent chose ${turn.opponentAction}`
+    : "opponent was still winding up";
+  return `${mine}, ${theirs} — ${turn.result} (${turn.damage} damage)`;
+};
+
+export const HealthBar = ({ pet, color, statuses = [], floaters = [] }) => {
+  const percent = pet.maxHP > 0 ? (pet.currentHP / pet.maxHP) * 100 : 0;
+
+  return (
+    <div className="relative bg-gray-800 rounded-lg p-4 border border-gray-700">
+      {floaters.map((floater) => (
+        <span
+          key={floater.id}
+          className={`absolute right-4 top-2 font-bold animate-damage-float ${
+            floater.kind === "damage" ? "text-red-400" : "text-green-400"
+          } ${floater.critical ? "text-2xl" : "text-lg"}`}
+        >
+          {floater.text}
+        </span>
+      ))}
+      <div className="flex justify-between text-white font-semibold mb-2">
+        <span>{pet.name}</span>
+        <span className="text-sm text-gray-400">Lvl {pet.level}</span>
+      </div>
+      <div className="w-full h-3 bg-gray-700 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${color} transition-all duration-500`}
+          style={{ width: `${Math.max(0, percent)}%` }}
+        />
+      </div>
+      <div className="text-sm text-gray-400 mt-1">
+        {pet.currentHP} / {pet.maxHP} HP
+      </div>
+      {statuses.length > 0 && (
+        <div className="flex gap-1 mt-2">
+          {statuses.map((status, index) => (
+            <span key={`${status}-${index}`} title={status}>
+              {STATUS_ICONS[status] || "✨"}
+            </span>
+          ))}
+        </div>
+      )}
+      {pet.maxMana > 0 && (
+        <>
+          <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden mt-2">
+            <div
+              className="h-full bg-indigo-400 transition-all duration-500"
+              style={{ width: `${(pet.mana / pet.maxMana) * 100}%` }}
+            />
+          </div>
+          <div className="text-xs text-gray-400 mt-1">
+            {pet.mana} / {pet.maxMana} MP
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const PvPBattle = ({ playerPets, onBattleComplete, onCancel }) => {
+  const {
+    connected,
+    status,
+    battle,
+    lastTurn,
+    result,
+    opponentReady,
+    opponentConnected,
+    error,
+    joinQueue,
+    leaveQueue,
+    submitAction,
+    forfeit,
+  } = usePvPBattle();
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const joinedRef = useRef(false);
+
+  // Enter matchmaking once the socket is up
+  useEffect(() => {
+    if (connected && status === "idle" && !joinedRef.current) {
+      joinedRef.current = joinQueue(playerPets.map((pet) => pet.id));
+    }
+  }, [connected, status, joinQueue, playerPets]);
 
   useEffect(() => {
-    if (playerPets.length > 0 && opponentPets.length > 0) {
-      simulateBattle();
+    if (!battle?.turnDeadline || status !== "in_battle") {
+      setSecondsLeft(null);
+      return undefined;
     }
-  }, []);
+
+    const tick = () =>
+      setSecondsLeft(
+        Math.max(0, Math.ceil((battle.turnDeadline - Date.now()) / 1000))
+      );
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [battle?.turnDeadline, status]);
+
+  useEffect(() => {
+    if (!result) return;
+    onBattleComplete?.({
+      battle: result,
+      rewards: { coins: 0, experience: 0, ...result.rewards },
+    });
+  }, [result]);
+
+  const handleCancel = () => {
+    leaveQueue();
+    onCancel?.();
+  };
+
+  if (status !== "in_battle" || !battle?.currentMatch) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-8 border border-gray-700 text-center space-y-4">
+        <div className="text-5xl animate-pulse">⚔️</div>
+        <h3 className="text-xl font-bold text-white">
+          {connected ? "Searching for an opponent..." : "Connecting..."}
+        </h3>
+        <p className="text-gray-400">
+          You'll be matched with a trainer close to your level.
+        </p>
+        {error && <div className="text-red-400">{error}</div>}
+        <Button onClick={handleCancel} variant="outline">
+          Cancel
+        </Button>
+      </div>
+    );
+  }
+
+  const { currentMatch } = battle;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center text-gray-300">
+        <span>
+          Match {battle.matchNumber}/{battle.totalMatches} • Score{" "}
+          {battle.playerWins} - {battle.opponentWins}
+        </span>
+        <span>vs {battle.opponent.username}</span>
+        {secondsLeft !== null && <span>⏱️ {secondsLeft}s</span>}
+      </div>
+
+      <div className="grid grid-cols-2 gap-8">
+        <HealthBar pet={currentMatch.playerPet} color="bg-blue-500" />
+        <HealthBar pet={currentMatch.opponentPet} color="bg-red-500" />
+      </div>
+
+      {!opponentConnected && (
+        <div className="text-yellow-400 text-center">
+          Opponent disconnected. Waiting for them to reconnect...
+        </div>
+      )}
+
+      {lastTurn && (
+        <div className="text-center text-gray-300">
+          {lastTurn.tick !== undefined && (
+            <span className="text-gray-500">[t={lastTurn.tick}] </span>
+          )}
+          {describeTurn(lastTurn)}
+        </div>
+      )}
+
+      <div className="flex flex-wrap justify-center gap-3">
+        {battle.waitingForOpponent ? (
+          <div className="text-gray-400 animate-pulse">
+            Waiting for opponent's move...
+          </div>
+        ) : (
+          battle.availableActions.map((action) => (
+            <Button
+              key={action}
+              onClick={() => submitAction(action)}
+              variant={action === "ability" ? "success" : "primary"}
+            >
+              {ACTION_LABELS[action] || action}
+            </Button>
+          ))
+        )}
+      </div>
+
+      {opponentReady && !battle.waitingForOpponent && (
+        <div className="text-center text-sm text-gray-400">
+          Your opponent has locked in their move.
+        </div>
+      )}
+
+      {error && <div className="text-center text-red-400">{error}</div>}
+
+      <div className="text-center">
+        <Button onClick={forfeit} variant="danger" size="sm">
+          Forfeit
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Animated playback of a finished battle from the server's event stream
+export const BattlePlayback = ({
+  battleId,
+  streamPath,
+  finishLabel = "See Results",
+  onBattleComplete,
+}) => {
+  const [speed, setSpeed] = useState(1);
+  const { view, error } = useBattleStream(battleId, {
+    speed,
+    path: streamPath,
+  });
+
+  const side = (key) => ({
+    name: view[key].pet?.name || "...",
+    level: view[key].pet?.level,
+    currentHP: view[key].hp,
+    maxHP: view[key].maxHP,
+  });
+  const floaters = (key) =>
+    view.floaters.filter((floater) => floater.side === key);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center text-gray-300">
+        <span>
+          Match {view.match}/{view.totalMatches} • Score {view.score.player} -{" "}
+          {view.score.opponent}
+        </span>
+        {view.turn > 0 && <span>Turn {view.turn}</span>}
+        <div className="flex gap-2">
+          {PLAYBACK_SPEEDS.map((option) => (
+            <Button
+              key={option}
+              size="sm"
+              variant={option === speed ? "primary" : "outline"}
+              onClick={() => setSpeed(option)}
+            >
+              {option}x
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {view.player.pet && (
+        <div className="grid grid-cols-2 gap-8">
+          <HealthBar
+            pet={side("player")}
+            color="bg-blue-500"
+            statuses={view.player.statuses}
+            floaters={floaters("player")}
+          />
+          <HealthBar
+            pet={side("opponent")}
+            color="bg-red-500"
+            statuses={view.opponent.statuses}
+            floaters={floaters("opponent")}
+          />
+        </div>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+        <h4 className="text-lg font-bold text-white mb-3">Battle Log</h4>
+        <div className="space-y-2 max-h-48 overflow-y-auto">
+          {view.log.map((entry) => (
+            <div key={entry.id} className="text-sm text-gray-300">
+              {entry.message}
+            </div>
+          ))}
+          {!view.finished && !error && (
+            <div className="text-sm text-gray-400 animate-pulse">
+              Battle in progress...
+            </div>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="text-center text-red-400">{error}</div>}
+
+      <div className="text-center">
+        <Button
+          onClick={() => onBattleComplete?.()}
+          variant={view.finished ? "success" : "outline"}
+        >
+          {view.finished ? finishLabel : "Skip"}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const BattleInterface = ({
+  playerPets,
+  opponentPets = [],
+  battleId,
+  onBattleComplete,
+  onCancel,
+  mode,
+}) => {
+  if (mode === BATTLE_MODES.PVP) {
+    return (
+      <PvPBattle
+        playerPets={playerPets}
+        onBattleComplete={onBattleComplete}
+        onCancel={onCancel}
+      />
+    );
+  }
+
+  if (battleId) {
+    return (
+      <BattlePlayback battleId={battleId} onBattleComplete={onBattleComplete} />
+    );
+  }
 
   return (
     <div className="space-y-6">
@@ -67,21 +388,8 @@ const BattleInterface = ({ playerPets, opponentPets, onBattleComplete }) => {
         </div>
       </div>
 
-      {/* Battle Log */}
-      <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
-        <h4 className="text-lg font-bold text-white mb-3">Battle Log</h4>
-        <div className="space-y-2 max-h-48 overflow-y-auto">
-          {battleLog.map((entry, index) => (
-            <div key={index} className="text-sm text-gray-300">
-              {entry.message}
-            </div>
-          ))}
-          {isBattling && (
-            <div className="text-sm text-gray-400 animate-pulse">
-              Battle in progress...
-            </div>
-          )}
-        </div>
+      <div className="text-center text-gray-400 animate-pulse">
+        Preparing battle...
       </div>
     </div>
   );
@@ -1,6 +1,6 @@
 import React from "react";
 import { Link, useLocation } from "react-router-dom";
-import { Home, Gem, Sword, Store, User } from "lucide-react";
+import { Home, Gem, Sword, Trophy, Eye, Store, User } from "lucide-react";
 
 const Navigation = () => {
   const location = useLocation();
@@ -9,6 +9,8 @@ const Navigation = () => {
     { path: "/", icon: Home, label: "Home" },
     { path: "/hatchery", icon: Gem, label: "Hatchery" },
     { path: "/battle", icon: Sword, label: "Battle" },
+    { path: "/tournaments", icon: Trophy, label: "Tournaments" },
+    { path: "/spectate", icon: Eye, label: "Spectate" },
     { path: "/marketplace", icon: Store, label: "Marketplace" },
     { path: "/profile", icon: User, label: "Profile" },
   ];
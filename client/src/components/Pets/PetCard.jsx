@@ -42,6 +42,13 @@ const PetCard = ({ pet, onSelect, isSelected = false }) => {
         >
           {pet.tier.toUpperCase()}
         </div>
+
+        {/* Care Status */}
+        {pet.care?.neglected && (
+          <div className="absolute top-2 left-2 px-2 py-1 rounded-full text-xs font-bold bg-red-600 text-white">
+            NEGLECTED
+          </div>
+        )}
       </div>
 
       {/* Pet Info */}
@@ -239,14 +239,41 @@ export const GameProvider = ({ children }) => {
     [gameAPI]
   );
 
-  const handleFeedPet = useCallback(async (petId, foodItem) => {
-    try {
-      console.log("Feeding pet:", petId, foodItem);
-    } catch (error) {
-      console.error("Error feeding pet:", error);
-      throw error;
-    }
-  }, []);
+  const handleFeedPet = useCallback(
+    async (petId, foodId) => {
+      try {
+        const result = await gameAPI.feedPet(petId, foodId);
+        if (result.success) {
+          const { hunger, happiness, careUpdatedAt, care } = result.data.pet;
+          updatePet(petId, { hunger, happiness, careUpdatedAt, care });
+          return result;
+        }
+        throw new Error(result.error || "Feeding failed");
+      } catch (error) {
+        console.error("Error feeding pet:", error);
+        throw error;
+      }
+    },
+    [gameAPI, updatePet]
+  );
+
+  const handleSetPetLoadout = useCallback(
+    async (petId, abilityIds) => {
+      try {
+        const result = await gameAPI.setPetLoadout(petId, abilityIds);
+        if (result.success) {
+          const { loadout } = result.data;
+          updatePet(petId, { ability: loadout[0], loadout });
+          return result;
+        }
+        throw new Error(result.error || "Updating loadout failed");
+      } catch (error) {
+        console.error("Error updating loadout:", error);
+        throw error;
+      }
+    },
+    [gameAPI, updatePet]
+  );
 
   const handleClaimDailyReward = useCallback(async () => {
     try {
@@ -302,6 +329,7 @@ export const GameProvider = ({ children }) => {
     syncBlockchainData,
     hatchEgg: handleHatchEgg,
     feedPet: handleFeedPet,
+    setPetLoadout: handleSetPetLoadout,
     claimDailyReward: handleClaimDailyReward,
 
     // API Methods (exposed for direct use if needed)
@@ -311,6 +339,9 @@ export const GameProvider = ({ children }) => {
       upgradePet: gameAPI.upgradePet,
       trainPet: gameAPI.trainPet,
       fusePets: gameAPI.fusePets,
+      getPetAbilities: gameAPI.getPetAbilities,
+      getFood: gameAPI.getFood,
+      buyFood: gameAPI.buyFood,
 
       // Eggs - ADD ALL EGG METHODS
       getUserEggs: gameAPI.getUserEggs,
@@ -0,0 +1,249 @@
+// client/src/hooks/useBattleStream.jsx
+import { useState, useEffect, useReducer, useRef } from "react";
+import { API_BASE_URL } from "../utils/constants";
+
+const MAX_LOG_ENTRIES = 50;
+
+const emptySide = { pet: null, hp: 0, maxHP: 0, statuses: [] };
+
+const initialView = {
+  player: emptySide,
+  opponent: emptySide,
+  match: 0,
+  totalMatches: 0,
+  turn: 0,
+  score: { player: 0, opponent: 0 },
+  floaters: [],
+  log: [],
+  winner: null,
+  finished: false,
+};
+
+const describeEvent = (event, view) => {
+  const name = (side) => view[side]?.pet?.name || side;
+
+  switch (event.type) {
+    case "match_start":
+      return `Match ${event.match}: ${event.player.name} vs ${event.opponent.name}`;
+    case "action":
+      return `${name(event.side)} chose ${event.action}`;
+    case "item":
+      return `${name(event.side)} used ${event.name}`;
+    case "damage": {
+      const flags = [
+        event.critical && "critical!",
+        event.typeMultiplier > 1 && "super effective",
+        event.typeMultiplier < 1 && "not very effective",
+      ].filter(Boolean);
+      return `${name(event.side)} took ${event.amount} damage${
+        flags.length ? ` (${flags.join(", ")})` : ""
+      }`;
+    }
+    case "heal":
+      return `${name(event.side)} recovered ${event.amount} HP`;
+    case "status_applied":
+      return `${name(event.side)} is affected by ${event.status}`;
+    case "faint":
+      return `${name(event.side)} fainted!`;
+    case "match_end":
+      return `${event.winner === "player" ? "You" : "Opponent"} won match ${
+        event.match
+      } (${event.score.player}-${event.score.opponent})`;
+    case "battle_end":
+      return event.winner === "draw"
+        ? "The battle ended in a draw"
+        : `${event.winner === "player" ? "Victory" : "Defeat"}!`;
+    default:
+      return null;
+  }
+};
+
+const fighter = (summary) => ({
+  pet: summary,
+  hp: summary.maxHP,
+  maxHP: summary.maxHP,
+  statuses: [],
+});
+
+// Fold one stream event into what the arena shows
+const applyEvent = (view, event) => {
+  const next = { ...view };
+
+  switch (event.type) {
+    case "battle_start":
+      next.totalMatches = event.totalMatches;
+      break;
+    case "match_start":
+      next.match = event.match;
+      next.player = fighter(event.player);
+      next.opponent = fighter(event.opponent);
+      break;
+    case "turn_start":
+      next.turn = event.turn;
+      next.floaters = [];
+      break;
+    case "damage":
+    case "heal":
+    case "item":
+      next[event.side] = { ...view[event.side], hp: event.hp };
+      if (event.type !== "item" || event.effect === "heal") {
+        next.floaters = [
+          ...view.floaters,
+          {
+            id: event.seq,
+            side: event.side,
+            kind: event.type === "damage" ? "damage" : "heal",
+            critical: event.critical,
+            text:
+              event.type === "damage" ? `-${event.amount}` : `+${event.amount}`,
+          },
+        ];
+      }
+      break;
+    case "status_applied":
+      next[event.side] = {
+        ...view[event.side],
+        statuses: [...view[event.side].statuses, event.status],
+      };
+      break;
+    case "status_tick":
+      next[event.side] = {
+        ...view[event.side],
+        hp: event.hp,
+        statuses: view[event.side].statuses.filter(
+          (status) => !event.expired.includes(status)
+        ),
+      };
+      if (event.hpChange !== 0) {
+        next.floaters = [
+          ...view.floaters,
+          {
+            id: event.seq,
+            side: event.side,
+            kind: event.hpChange < 0 ? "damage" : "heal",
+            text: `${event.hpChange > 0 ? "+" : ""}${event.hpChange}`,
+          },
+        ];
+      }
+      break;
+    case "turn_end":
+      next.player = {
+        ...view.player,
+        hp: event.hp.player,
+        statuses: event.statusEffects.player,
+      };
+      next.opponent = {
+        ...view.opponent,
+        hp: event.hp.opponent,
+        statuses: event.statusEffects.opponent,
+      };
+      break;
+    case "match_end":
+      next.score = event.score;
+      break;
+    case "battle_end":
+      next.score = event.score;
+      next.winner = event.winner;
+      next.finished = true;
+      break;
+    default:
+      break;
+  }
+
+  const message = describeEvent(event, next);
+  if (message) {
+    next.log = [...view.log, { id: event.seq, message }].slice(
+      -MAX_LOG_ENTRIES
+    );
+  }
+
+  return next;
+};
+
+const reducer = (view, action) =>
+  action.type === "reset" ? initialView : applyEvent(view, action.event);
+
+// Pull the JSON payload out of one "id/event/data" block
+const parseEvent = (block) => {
+  const data = block
+    .split("\n")
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).trim())
+    .join("\n");
+  return data ? JSON.parse(data) : null;
+};
+
+/**
+ * useBattleStream Hook
+ *
+ * Plays a recorded battle from the server's event stream. The server paces
+ * events for the chosen speed; changing speed reconnects from the last event
+ * received, so playback carries on where it was. Spectators pass the path of
+ * the spectator stream instead of the user's own battles.
+ */
+export const useBattleStream = (
+  battleId,
+  { speed = 1, path = `/game/battles/${battleId}/events` } = {}
+) => {
+  const [view, dispatch] = useReducer(reducer, initialView);
+  const [error, setError] = useState(null);
+  const lastSeqRef = useRef(-1);
+
+  useEffect(() => {
+    lastSeqRef.current = -1;
+    dispatch({ type: "reset" });
+  }, [battleId]);
+
+  useEffect(() => {
+    if (!battleId || view.finished) return undefined;
+
+    const controller = new AbortController();
+    const token = localStorage.getItem("petverse_token");
+    const params = new URLSearchParams({
+      speed: String(speed),
+      from: String(lastSeqRef.current + 1),
+    });
+
+    const stream = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}${path}?${params}`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          const body = await response.json().catch(() => ({}));
+          throw new Error(body.message || "Failed to load battle");
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const blocks = buffer.split("\n\n");
+          buffer = blocks.pop();
+
+          blocks.forEach((block) => {
+            const event = parseEvent(block);
+            if (!event || event.seq <= lastSeqRef.current) return;
+            lastSeqRef.current = event.seq;
+            dispatch({ type: "event", event });
+          });
+        }
+      } catch (err) {
+        if (err.name !== "AbortError") setError(err.message);
+      }
+    };
+
+    stream();
+    return () => controller.abort();
+  }, [battleId, path, speed, view.finished]);
+
+  return { view, error };
+};
+
+export default useBattleStream;
@@ -182,6 +182,47 @@ export const useGameAPI = (options = {}) => {
     [handleRequest, updateUser, updatePets]
   );
 
+  const getPetAbilities = useCallback(
+    async (petId) => {
+      return await handleRequest(gameAPI.pets.getPetAbilities, petId);
+    },
+    [handleRequest]
+  );
+
+  const setPetLoadout = useCallback(
+    async (petId, abilityIds) => {
+      return await handleRequest(gameAPI.pets.setPetLoadout, petId, abilityIds);
+    },
+    [handleRequest]
+  );
+
+  const feedPet = useCallback(
+    async (petId, foodId) => {
+      return await handleRequest(gameAPI.pets.feedPet, petId, foodId);
+    },
+    [handleRequest]
+  );
+
+  const useItemOnPet = useCallback(
+    async (petId, itemId) => {
+      return await handleRequest(gameAPI.pets.useItemOnPet, petId, itemId);
+    },
+    [handleRequest]
+  );
+
+  const getFood = useCallback(async () => {
+    return await handleRequest(gameAPI.pets.getFood);
+  }, [handleRequest]);
+
+  const buyFood = useCallback(
+    async (foodId, quantity) => {
+      const data = await handleRequest(gameAPI.pets.buyFood, foodId, quantity);
+      if (updateUser && data?.data?.user) updateUser(data.data.user);
+      return data;
+    },
+    [handleRequest, updateUser]
+  );
+
   const fusePets = useCallback(
     async (fusionData) => {
       const data = await handleRequest(gameAPI.pets.fusePets, fusionData);
@@ -428,6 +469,12 @@ export const useGameAPI = (options = {}) => {
     getPetDetails,
     upgradePet,
     trainPet,
+    getPetAbilities,
+    setPetLoadout,
+    feedPet,
+    useItemOnPet,
+    getFood,
+    buyFood,
     fusePets,
     toggleFavorite,
     syncBlockchainPets,
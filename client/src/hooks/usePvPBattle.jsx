@@ -0,0 +1,187 @@
+// client/src/hooks/usePvPBattle.jsx
+import { useState, useEffect, useRef, useCallback } from "react";
+import { PVP_SOCKET_URL } from "../utils/constants";
+
+const RECONNECT_DELAY_MS = 2000;
+
+/**
+ * usePvPBattle Hook
+ *
+ * Keeps a WebSocket open to the PvP server while a live battle is wanted,
+ * reconnecting automatically so a dropped connection can resume the match.
+ */
+export const usePvPBattle = ({ enabled = true } = {}) => {
+  const socketRef = useRef(null);
+  const reconnectTimerRef = useRef(null);
+  const closedByUserRef = useRef(false);
+
+  const [connected, setConnected] = useState(false);
+  const [status, setStatus] = useState("idle"); // idle | queued | in_battle | finished
+  const [battle, setBattle] = useState(null);
+  const [lastTurn, setLastTurn] = useState(null);
+  const [result, setResult] = useState(null);
+  const [opponentReady, setOpponentReady] = useState(false);
+  const [opponentConnected, setOpponentConnected] = useState(true);
+  const [error, setError] = useState(null);
+
+  const handleMessage = useCallback(({ type, data }) => {
+    switch (type) {
+      case "status":
+        setStatus(data.status);
+        if (data.battle) setBattle(data.battle);
+        break;
+      case "queue:joined":
+        setStatus("queued");
+        break;
+      case "queue:left":
+        setStatus("idle");
+        break;
+      case "match:found":
+      case "battle:state":
+        setStatus("in_battle");
+        setBattle(data);
+        setOpponentConnected(data.opponent?.connected !== false);
+        break;
+      case "battle:turn_start":
+        setOpponentReady(false);
+        setBattle((prev) =>
+          prev
+            ? {
+                ...prev,
+                availableActions: data.availableActions,
+                waitingForOpponent: false,
+                turnDeadline: data.deadline,
+              }
+            : prev
+        );
+        break;
+      case "battle:opponent_ready":
+        setOpponentReady(true);
+        break;
+      case "battle:turn":
+        setLastTurn(data.turn);
+        setBattle(data.state);
+        break;
+      case "battle:opponent_disconnected":
+        setOpponentConnected(false);
+        break;
+      case "battle:opponent_reconnected":
+        setOpponentConnected(true);
+        break;
+      case "battle:end":
+        setStatus("finished");
+        setBattle(data);
+        setResult(data);
+        break;
+      case "error":
+        setError(data.message);
+        break;
+      default:
+        break;
+    }
+  }, []);
+
+  const connect = useCallback(() => {
+    const token = localStorage.getItem("petverse_token");
+    if (!token) {
+      setError("Please sign in to play PvP");
+      return;
+    }
+
+    const socket = new WebSocket(
+      `${PVP_SOCKET_URL}?token=${encodeURIComponent(token)}`
+    );
+    socketRef.current = socket;
+
+    socket.onopen = () => {
+      setConnected(true);
+      setError(null);
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        console.error("PvP message error:", err);
+      }
+    };
+
+    socket.onclose = (event) => {
+      setConnected(false);
+      if (event.code === 4001) {
+        setError("PvP authentication failed. Please sign in again.");
+        return;
+      }
+      // Reconnect so the server can resume the battle within its grace period
+      if (!closedByUserRef.current) {
+        reconnectTimerRef.current = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    };
+  }, [handleMessage]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    closedByUserRef.current = false;
+    connect();
+
+    return () => {
+      closedByUserRef.current = true;
+      clearTimeout(reconnectTimerRef.current);
+      socketRef.current?.close();
+    };
+  }, [enabled, connect]);
+
+  const send = useCallback((type, data = {}) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      setError("Not connected to the PvP server");
+      return false;
+    }
+    socket.send(JSON.stringify({ type, data }));
+    return true;
+  }, []);
+
+  const joinQueue = useCallback(
+    (petIds) => {
+      setResult(null);
+      setLastTurn(null);
+      setError(null);
+      return send("queue:join", { petIds });
+    },
+    [send]
+  );
+
+  const leaveQueue = useCallback(() => send("queue:leave"), [send]);
+
+  const submitAction = useCallback(
+    (action) => {
+      if (!send("battle:action", { action })) return;
+      setBattle((prev) =>
+        prev
+          ? { ...prev, waitingForOpponent: true, availableActions: [] }
+          : prev
+      );
+    },
+    [send]
+  );
+
+  const forfeit = useCallback(() => send("battle:forfeit"), [send]);
+
+  return {
+    connected,
+    status,
+    battle,
+    lastTurn,
+    result,
+    opponentReady,
+    opponentConnected,
+    error,
+    joinQueue,
+    leaveQueue,
+    submitAction,
+    forfeit,
+  };
+};
+
+export default usePvPBattle;
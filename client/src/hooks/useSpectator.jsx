@@ -0,0 +1,127 @@
+// client/src/hooks/useSpectator.jsx
+import { useState, useEffect, useRef, useCallback } from "react";
+import { PVP_SOCKET_URL } from "../utils/constants";
+
+/**
+ * useSpectator Hook
+ *
+ * Watches live PvP battles over the PvP socket. The server holds every
+ * update back for a few seconds before a spectator sees it.
+ */
+export const useSpectator = ({ enabled = true } = {}) => {
+  const socketRef = useRef(null);
+
+  const [connected, setConnected] = useState(false);
+  const [liveBattles, setLiveBattles] = useState([]);
+  const [watching, setWatching] = useState(null); // battle summary
+  const [delayMs, setDelayMs] = useState(0);
+  const [state, setState] = useState(null);
+  const [lastTurn, setLastTurn] = useState(null);
+  const [ended, setEnded] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleMessage = useCallback(({ type, data }) => {
+    switch (type) {
+      case "spectate:list":
+        setLiveBattles(data.battles);
+        break;
+      case "spectate:joined":
+        setWatching(data.battle);
+        setDelayMs(data.delayMs);
+        setState(null);
+        setLastTurn(null);
+        setEnded(null);
+        break;
+      case "spectate:state":
+        setState(data.state);
+        break;
+      case "spectate:turn":
+        setState(data.state);
+        setLastTurn(data.turn);
+        break;
+      case "spectate:end":
+        setState(data.state);
+        setEnded({ reason: data.reason, winner: data.state.winner });
+        break;
+      case "spectate:left":
+        setWatching(null);
+        setState(null);
+        break;
+      case "error":
+        setError(data.message);
+        break;
+      default:
+        break;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const token = localStorage.getItem("petverse_token");
+    if (!token) {
+      setError("Please sign in to spectate");
+      return undefined;
+    }
+
+    const socket = new WebSocket(
+      `${PVP_SOCKET_URL}?token=${encodeURIComponent(token)}`
+    );
+    socketRef.current = socket;
+
+    socket.onopen = () => {
+      setConnected(true);
+      setError(null);
+      socket.send(JSON.stringify({ type: "spectate:list", data: {} }));
+    };
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        console.error("Spectator message error:", err);
+      }
+    };
+    socket.onclose = () => setConnected(false);
+
+    return () => socket.close();
+  }, [enabled, handleMessage]);
+
+  const send = useCallback((type, data = {}) => {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      setError("Not connected to the battle server");
+      return false;
+    }
+    socket.send(JSON.stringify({ type, data }));
+    return true;
+  }, []);
+
+  const refreshList = useCallback(() => send("spectate:list"), [send]);
+
+  // Watch a battle by id, or whichever battle a player is in
+  const watch = useCallback(
+    ({ battleId, username }) => {
+      setError(null);
+      return send("spectate:join", { battleId, username });
+    },
+    [send]
+  );
+
+  const leave = useCallback(() => send("spectate:leave"), [send]);
+
+  return {
+    connected,
+    liveBattles,
+    watching,
+    delayMs,
+    state,
+    lastTurn,
+    ended,
+    error,
+    refreshList,
+    watch,
+    leave,
+  };
+};
+
+export default useSpectator;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { useUser } from "../context/UserContext";
+import { useGame } from "../context/GameContext";
+import Button from "../components/UI/Button";
+import { gameAPI as directAPI, handleApiError } from "../services/api";
+import {
+  Star,
+  Lock,
+  Coins,
+  Swords,
+  AlertCircle,
+  CheckCircle,
+  XCircle,
+} from "lucide-react";
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num || 0);
+
+const StarRow = ({ stars, max = 3, size = "w-4 h-4" }) => (
+  <div className="flex space-x-1">
+    {Array.from({ length: max }, (_, index) => (
+      <Star
+        key={index}
+        className={`${size} ${
+          index < stars ? "text-yellow-400 fill-yellow-400" : "text-gray-600"
+        }`}
+      />
+    ))}
+  </div>
+);
+
+const Campaign = () => {
+  const { user } = useUser();
+  const { battleTeam } = useGame();
+
+  const [chapters, setChapters] = useState([]);
+  const [selectedChapterId, setSelectedChapterId] = useState(null);
+  const [selectedStageId, setSelectedStageId] = useState(null);
+  const [lastRun, setLastRun] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadCampaign = useCallback(async () => {
+    try {
+      const response = await directAPI.game.getCampaign();
+      setChapters(response.data.data.chapters);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) loadCampaign();
+  }, [user?.id, loadCampaign]);
+
+  const chapter =
+    chapters.find((c) => c.id === selectedChapterId) || chapters[0] || null;
+  const stage = chapter?.stages.find((s) => s.id === selectedStageId) || null;
+
+  const handlePlay = async () => {
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await directAPI.game.playCampaignStage(
+        stage.id,
+        battleTeam.map((pet) => pet.id)
+      );
+      setMessage(response.data.message);
+      setLastRun(response.data.data);
+      setChapters(response.data.data.campaign);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center">
+        <p className="text-gray-300">Sign in to play the campaign.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">Campaign</h1>
+          <p className="text-gray-300">
+            Clear each stage to open the next. Earn up to three stars per stage
+            and collect a one-time bonus on your first clear.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-700 rounded-lg p-3 mb-6 flex items-center space-x-2 text-red-300">
+            <AlertCircle className="w-5 h-5" />
+            <span>{error}</span>
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-900/50 border border-green-700 rounded-lg p-3 mb-6 text-green-300">
+            {message}
+          </div>
+        )}
+
+        {/* Chapter tabs */}
+        <div className="flex flex-wrap gap-3 mb-6">
+          {chapters.map((c) => (
+            <button
+              key={c.id}
+              onClick={() => {
+                setSelectedChapterId(c.id);
+                setSelectedStageId(null);
+                setLastRun(null);
+              }}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg border transition-colors ${
+                chapter?.id === c.id
+                  ? "border-blue-500 bg-gray-800"
+                  : "border-gray-700 bg-gray-800/50 hover:border-gray-500"
+              }`}
+            >
+              {!c.unlocked && <Lock className="w-4 h-4 text-gray-500" />}
+              <span className="text-white font-semibold">{c.name}</span>
+              <span className="text-sm text-gray-400">
+                {c.stars}/{c.maxStars}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {chapter && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Stage list */}
+            <div className="space-y-3">
+              <p className="text-gray-400 text-sm">{chapter.description}</p>
+              {!chapter.unlocked && chapter.unlockRequirement && (
+                <p className="text-yellow-400 text-sm">
+                  Clear every stage of the previous chapter
+                  {chapter.unlockRequirement.minStars
+                    ? ` with ${chapter.unlockRequirement.minStars}+ stars`
+                    : ""}{" "}
+                  to open this chapter.
+                </p>
+              )}
+              {chapter.stages.map((s, index) => (
+                <button
+                  key={s.id}
+                  disabled={!s.unlocked}
+                  onClick={() => {
+                    setSelectedStageId(s.id);
+                    setLastRun(null);
+                  }}
+                  className={`w-full text-left bg-gray-800 rounded-xl border p-4 transition-colors ${
+                    stage?.id === s.id
+                      ? "border-blue-500"
+                      : "border-gray-700 hover:border-gray-500"
+                  } ${s.unlocked ? "" : "opacity-50 cursor-not-allowed"}`}
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="text-white font-semibold flex items-center space-x-2">
+                      {!s.unlocked && <Lock className="w-4 h-4" />}
+                      <span>
+                        {index + 1}. {s.name}
+                      </span>
+                    </span>
+                    <StarRow stars={s.stars} max={s.starConditions.length} />
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            {/* Stage details */}
+            <div className="lg:col-span-2">
+              {!stage ? (
+                <div className="bg-gray-800 rounded-xl border border-gray-700 p-8 text-gray-400 text-center">
+                  Select an unlocked stage to see its lineup and rewards.
+                </div>
+              ) : (
+                <div className="space-y-6">
+                  <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+                    <div className="flex justify-between items-start mb-4">
+                      <h2 className="text-2xl font-bold text-white">
+                        {stage.name}
+                      </h2>
+                      <StarRow
+                        stars={stage.stars}
+                        max={stage.starConditions.length}
+                        size="w-6 h-6"
+                      />
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm mb-4">
+                      <div>
+                        <div className="text-gray-400 mb-1">Opponents</div>
+                        {stage.opponents.map((opponent) => (
+                          <div key={opponent.name} className="text-white">
+                            {opponent.name}{" "}
+                            <span className="text-gray-400">
+                              Lvl {opponent.level} {opponent.type} •{" "}
+                              {opponent.rarity}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                      <div>
+                        <div className="text-gray-400 mb-1">Stars</div>
+                        {stage.starConditions.map((condition) => (
+                          <div key={condition} className="text-white">
+                            {condition}
+                          </div>
+                        ))}
+                      </div>
+                      {stage.modifiers.length > 0 && (
+                        <div>
+                          <div className="text-gray-400 mb-1">
+                            Stage modifiers
+                          </div>
+                          {stage.modifiers.map((modifier) => (
+                            <div key={modifier} className="text-purple-300">
+                              {modifier}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      <div>
+                        <div className="text-gray-400 mb-1">Rewards</div>
+                        <div className="flex items-center space-x-1 text-yellow-400">
+                          <Coins className="w-4 h-4" />
+                          <span>
+                            {formatNumber(stage.rewards.coins)} coins,{" "}
+                            {formatNumber(stage.rewards.experience)} XP
+                          </span>
+                        </div>
+                        {stage.firstClearRewards && (
+                          <div className="text-green-400">
+                            First clear: +
+                            {formatNumber(stage.firstClearRewards.coins)} coins,
+                            +{formatNumber(stage.firstClearRewards.experience)}{" "}
+                            XP
+                            {stage.firstClearRewards.items?.length
+                              ? ", bonus items"
+                              : ""}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+
+                    {battleTeam.length === 0 ? (
+                      <p className="text-gray-400 text-sm">
+                        Pick up to {stage.maxPets} pets on the{" "}
+                        <Link to="/battle" className="text-blue-400">
+                          Battle
+                        </Link>{" "}
+                        page to take them into this stage.
+                      </p>
+                    ) : (
+                      <Button
+                        variant="primary"
+                        loading={loading}
+                        disabled={battleTeam.length > stage.maxPets}
+                        onClick={handlePlay}
+                      >
+                        <Swords className="w-4 h-4 mr-1" />
+                        Play with {battleTeam.length} pet
+                        {battleTeam.length === 1 ? "" : "s"}
+                      </Button>
+                    )}
+                  </div>
+
+                  {/* Last run */}
+                  {lastRun && (
+                    <div className="bg-gray-800 rounded-xl border border-gray-700 p-4 space-y-2">
+                      <div className="flex justify-between items-center">
+                        <h3 className="text-lg font-bold text-white">
+                          {lastRun.battle.victory ? "Victory" : "Defeat"}
+                        </h3>
+                        <StarRow
+                          stars={lastRun.stars}
+                          max={lastRun.conditions.length}
+                        />
+                      </div>
+                      {lastRun.conditions.map((condition) => (
+                        <div
+                          key={condition.type}
+                          className="flex items-center space-x-2 text-sm text-gray-300"
+                        >
+                          {condition.met ? (
+                            <CheckCircle className="w-4 h-4 text-green-400" />
+                          ) : (
+                            <XCircle className="w-4 h-4 text-red-400" />
+                          )}
+                          <span>{condition.description}</span>
+                        </div>
+                      ))}
+                      {lastRun.battle.victory && (
+                        <div className="flex items-center space-x-2 text-yellow-400 font-semibold">
+                          <Coins className="w-5 h-5" />
+                          <span>
+                            {formatNumber(lastRun.rewards.coins)} coins,{" "}
+                            {formatNumber(lastRun.rewards.experience)} XP
+                            {lastRun.firstClear ? " (first clear)" : ""}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Campaign;
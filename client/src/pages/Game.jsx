@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import { useUser } from "../context/UserContext";
 import { useGame } from "../context/GameContext";
 import Button from "../components/UI/Button";
 import PetCard from "../components/Pets/PetCard";
 import BattleInterface from "../components/Game/BattleInterface";
+import { gameAPI as directAPI } from "../services/api";
 import {
   Shield,
   Users,
@@ -13,6 +15,8 @@ import {
   AlertCircle,
   Target,
   Zap,
+  Flag,
+  Link2,
 } from "lucide-react";
 
 // Frontend-only constants based on backend data
@@ -104,17 +108,33 @@ const Game = () => {
     isLoading: gameLoading,
   } = useGame();
 
+  const navigate = useNavigate();
+
   const [selectedPets, setSelectedPets] = useState([]);
   const [battleMode, setBattleMode] = useState(null);
   const [battleInProgress, setBattleInProgress] = useState(false);
   const [battleResult, setBattleResult] = useState(null);
   const [battleLog, setBattleLog] = useState([]);
+  const [liveBattle, setLiveBattle] = useState(null);
   const [showBattleTips, setShowBattleTips] = useState(true);
+  const [teamSynergies, setTeamSynergies] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   // Battle types configuration - purely UI
   const battleTypes = [
+    {
+      mode: "campaign",
+      title: "Campaign",
+      description: "Clear hand-built stages chapter by chapter for stars",
+      icon: Flag,
+      difficulty: "Beginner",
+      requirements: "1+ pets",
+      minPets: 1,
+      maxPets: 3,
+      unlockLevel: 1,
+      color: "from-lime-500 to-green-700",
+    },
     {
       mode: "pve",
       title: "Adventure Mode",
@@ -151,6 +171,30 @@ const Game = () => {
       unlockLevel: 10,
       color: "from-yellow-500 to-red-600",
     },
+    {
+      mode: "placement",
+      title: "Lane Defense",
+      description: "Place pets along three lanes and hold off enemy waves",
+      icon: Target,
+      difficulty: "Intermediate",
+      requirements: "1+ pets",
+      minPets: 1,
+      maxPets: 3,
+      unlockLevel: 1,
+      color: "from-teal-500 to-cyan-600",
+    },
+    {
+      mode: "raid",
+      title: "Boss Raids",
+      description: "Team up with other players to bring down a giant boss",
+      icon: Sparkles,
+      difficulty: "Advanced",
+      requirements: "1-3 pets, Level 5+",
+      minPets: 1,
+      maxPets: 3,
+      unlockLevel: 5,
+      color: "from-red-600 to-rose-800",
+    },
   ];
 
   // Load battle team from context
@@ -160,6 +204,28 @@ const Game = () => {
     }
   }, [battleTeam]);
 
+  // Ask the server which synergies the current selection triggers
+  useEffect(() => {
+    if (selectedPets.length === 0) {
+      setTeamSynergies([]);
+      return;
+    }
+
+    let cancelled = false;
+    directAPI.game
+      .previewBattleTeam(selectedPets.map((pet) => pet.id))
+      .then((response) => {
+        if (!cancelled) setTeamSynergies(response.data.data.synergies);
+      })
+      .catch(() => {
+        if (!cancelled) setTeamSynergies([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPets]);
+
   const handlePetSelect = (pet) => {
     if (selectedPets.find((p) => p.id === pet.id)) {
       const newSelection = selectedPets.filter((p) => p.id !== pet.id);
@@ -205,13 +271,35 @@ const Game = () => {
   const startBattle = async (mode) => {
     if (!canStartBattle(mode)) return;
 
-    setLoading(true);
+    // Tournaments, lane defense, raids and the campaign run on their own pages
+    if (mode === "tournament") {
+      navigate("/tournaments");
+      return;
+    }
+    if (mode === "placement") {
+      navigate("/placement");
+      return;
+    }
+    if (mode === "raid") {
+      navigate("/raids");
+      return;
+    }
+    if (mode === "campaign") {
+      navigate("/campaign");
+      return;
+    }
+
     setError(null);
     setBattleMode(mode);
     setBattleInProgress(true);
     setBattleResult(null);
     setBattleLog([]);
 
+    // Live PvP is matched and played over the battle socket in BattleInterface
+    if (mode === "pvp") return;
+
+    setLoading(true);
+
     try {
       // Log battle start
       setBattleLog((prev) => [
@@ -232,8 +320,8 @@ const Game = () => {
       const result = await gameAPI.startBattle(battleData);
 
       if (result?.success) {
-        // Use backend battle result
-        handleBattleComplete(result.data);
+        // Play the battle back before showing the result
+        setLiveBattle(result.data);
       } else {
         throw new Error(result?.error || "Battle failed");
       }
@@ -248,6 +336,7 @@ const Game = () => {
 
   const handleBattleComplete = (battleData) => {
     setBattleInProgress(false);
+    setLiveBattle(null);
 
     // Use the battle result from backend
     const result = battleData.battle;
@@ -281,6 +370,7 @@ const Game = () => {
     setBattleInProgress(false);
     setBattleResult(null);
     setBattleLog([]);
+    setLiveBattle(null);
     setError(null);
   };
 
@@ -362,7 +452,11 @@ const Game = () => {
           <BattleInterface
             playerPets={selectedPets}
             battleLog={battleLog}
-            onBattleComplete={handleBattleComplete}
+            battleId={liveBattle?.battle?.battleId}
+            onBattleComplete={(data) =>
+              handleBattleComplete(data || liveBattle)
+            }
+            onCancel={resetBattle}
             mode={battleMode}
           />
         </div>
@@ -411,6 +505,15 @@ const Game = () => {
             </div>
           </div>
 
+          {battleResult.battleData.result?.synergies?.player?.length > 0 && (
+            <div className="text-sm text-green-400 mb-6">
+              Team synergies:{" "}
+              {battleResult.battleData.result.synergies.player
+                .map((synergy) => synergy.name)
+                .join(", ")}
+            </div>
+          )}
+
           <div className="space-y-3">
             <Button onClick={resetBattle} variant="primary" className="w-full">
               {battleResult.victory ? "Continue Battling" : "Try Again"}
@@ -661,6 +764,24 @@ const Game = () => {
                       ),
                     ].join(", ")}
                   </div>
+                  {teamSynergies.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {teamSynergies.map((synergy) => (
+                        <div
+                          key={synergy.key}
+                          className="flex items-center space-x-2 text-sm"
+                        >
+                          <Link2 className="w-4 h-4 text-green-400" />
+                          <span className="text-green-400 font-semibold">
+                            {synergy.name}
+                          </span>
+                          <span className="text-gray-400">
+                            {synergy.description}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
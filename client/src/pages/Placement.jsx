@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from "react";
+import { useUser } from "../context/UserContext";
+import { useGame } from "../context/GameContext";
+import Button from "../components/UI/Button";
+import { gameAPI as directAPI, handleApiError } from "../services/api";
+import { Target, Heart, Coins, Sparkles, AlertCircle } from "lucide-react";
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num || 0);
+
+// One row per wave with kills, leaks and payout
+const WaveRow = ({ wave }) => (
+  <div
+    className={`flex justify-between items-center rounded p-2 text-sm ${
+      wave.cleared ? "bg-gray-700 text-gray-300" : "bg-red-900/50 text-red-300"
+    }`}
+  >
+    <span className="font-medium text-white">Wave {wave.wave}</span>
+    <span>
+      {wave.kills}/{wave.enemies} defeated
+    </span>
+    <span>{wave.leaked} leaked</span>
+    <span className="flex items-center space-x-1">
+      <Coins className="w-4 h-4 text-yellow-400" />
+      <span>{formatNumber(wave.rewards.coins)}</span>
+    </span>
+  </div>
+);
+
+const Placement = () => {
+  const { user } = useUser();
+  const { pets } = useGame();
+
+  const [config, setConfig] = useState(null);
+  const [placements, setPlacements] = useState([]);
+  const [selectedPetId, setSelectedPetId] = useState(null);
+  const [difficulty, setDifficulty] = useState("medium");
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    directAPI.game
+      .getPlacementConfig()
+      .then((response) => setConfig(response.data.data))
+      .catch((err) => setError(handleApiError(err)));
+  }, [user?.id]);
+
+  const findPlacement = (lane, column) =>
+    placements.find((p) => p.lane === lane && p.column === column);
+
+  const petName = (petId) =>
+    pets.find((pet) => pet.id === petId)?.name || "Pet";
+
+  // Clicking an occupied cell clears it, an empty one places the selected pet.
+  // Limits are enforced by the server; the grid only keeps cells unique.
+  const handleCellClick = (lane, column) => {
+    setResult(null);
+    if (findPlacement(lane, column)) {
+      setPlacements((prev) =>
+        prev.filter((p) => p.lane !== lane || p.column !== column)
+      );
+      return;
+    }
+    if (!selectedPetId || placements.length >= config.maxPlacements) return;
+    setPlacements((prev) => [...prev, { petId: selectedPetId, lane, column }]);
+  };
+
+  const handleStart = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await directAPI.game.startPlacementBattle(
+        placements,
+        difficulty
+      );
+      setResult(response.data.data);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center">
+        <p className="text-gray-300">Sign in to play lane defense.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">Lane Defense</h1>
+          <p className="text-gray-300">
+            Enemies march from the right toward your base. Pets attack anything
+            within their range, so place long-range pets further back.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-700 rounded-lg p-3 mb-6 flex items-center space-x-2 text-red-300">
+            <AlertCircle className="w-5 h-5" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Pet picker */}
+          <div className="bg-gray-800 rounded-xl border border-gray-700 p-4 space-y-2">
+            <h2 className="text-lg font-bold text-white mb-2">Your Pets</h2>
+            {pets.length === 0 && (
+              <p className="text-gray-400">Hatch a pet to start defending.</p>
+            )}
+            {pets.map((pet) => (
+              <button
+                key={pet.id}
+                onClick={() => setSelectedPetId(pet.id)}
+                className={`w-full text-left bg-gray-700 rounded p-2 border transition-colors ${
+                  selectedPetId === pet.id
+                    ? "border-blue-500"
+                    : "border-transparent hover:border-gray-500"
+                }`}
+              >
+                <div className="flex justify-between text-white">
+                  <span>{pet.name}</span>
+                  <span className="text-sm text-gray-400">Lvl {pet.level}</span>
+                </div>
+                <div className="text-xs text-gray-400">
+                  Range {pet.stats?.range ?? "—"} • SPA {pet.stats?.spa ?? "—"}
+                  {pet.technique && ` • ${pet.technique}`}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Lane grid */}
+          <div className="lg:col-span-2 space-y-4">
+            {config && (
+              <div className="bg-gray-800 rounded-xl border border-gray-700 p-4">
+                <div className="flex justify-between items-center text-sm text-gray-400 mb-3">
+                  <span>
+                    {placements.length}/{config.maxPlacements} placed • up to{" "}
+                    {config.maxCopiesPerPet} copies per pet
+                  </span>
+                  <span className="flex items-center space-x-1">
+                    <Heart className="w-4 h-4 text-red-400" />
+                    <span>{config.baseLives} lives</span>
+                  </span>
+                </div>
+
+                <div className="space-y-1">
+                  {Array.from({ length: config.lanes }, (_, lane) => (
+                    <div key={lane} className="flex space-x-1">
+                      <div className="w-8 flex items-center justify-center text-gray-500">
+                        🏰
+                      </div>
+                      {Array.from(
+                        { length: config.laneLength },
+                        (_, column) => {
+                          const placement = findPlacement(lane, column);
+                          return (
+                            <button
+                              key={column}
+                              onClick={() => handleCellClick(lane, column)}
+                              title={placement ? petName(placement.petId) : ""}
+                              className={`flex-1 h-12 rounded text-xs truncate ${
+                                placement
+                                  ? "bg-blue-600 text-white"
+                                  : "bg-gray-700 hover:bg-gray-600"
+                              }`}
+                            >
+                              {placement && petName(placement.petId)}
+                            </button>
+                          );
+                        }
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3 mt-4">
+                  {config.difficulties.map((level) => (
+                    <Button
+                      key={level}
+                      size="sm"
+                      variant={difficulty === level ? "primary" : "outline"}
+                      onClick={() => setDifficulty(level)}
+                    >
+                      {level}
+                    </Button>
+                  ))}
+                  <div className="flex-1" />
+                  <Button
+                    variant="outline"
+                    onClick={() => setPlacements([])}
+                    disabled={loading || placements.length === 0}
+                  >
+                    Clear
+                  </Button>
+                  <Button
+                    variant="success"
+                    onClick={handleStart}
+                    disabled={loading || placements.length === 0}
+                  >
+                    <Target className="w-4 h-4 mr-1" />
+                    {loading ? "Defending..." : `Defend ${config.waves} Waves`}
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {result && (
+              <div className="bg-gray-800 rounded-xl border border-gray-700 p-4 space-y-3">
+                <div className="flex justify-between items-center">
+                  <h2
+                    className={`text-2xl font-bold ${
+                      result.battle.result.victory
+                        ? "text-green-400"
+                        : "text-red-400"
+                    }`}
+                  >
+                    {result.battle.result.victory ? "Victory!" : "Defeat"}
+                  </h2>
+                  <div className="flex items-center space-x-4 text-gray-300">
+                    <span className="flex items-center space-x-1">
+                      <Coins className="w-4 h-4 text-yellow-400" />
+                      <span>{formatNumber(result.rewards.coins)}</span>
+                    </span>
+                    <span className="flex items-center space-x-1">
+                      <Sparkles className="w-4 h-4 text-purple-400" />
+                      <span>{formatNumber(result.rewards.experience)} XP</span>
+                    </span>
+                  </div>
+                </div>
+
+                <div className="space-y-1">
+                  {result.battle.result.waves.map((wave) => (
+                    <WaveRow key={wave.wave} wave={wave} />
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+                  {result.battle.result.placements.map((unit) => (
+                    <div
+                      key={`${unit.lane}:${unit.column}`}
+                      className="bg-gray-700 rounded p-2 text-gray-300"
+                    >
+                      <div className="text-white font-medium">{unit.name}</div>
+                      <div>
+                        {unit.kills} kills • {formatNumber(unit.damageDealt)}{" "}
+                        damage
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Placement;
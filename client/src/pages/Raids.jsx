@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { useUser } from "../context/UserContext";
+import { useGame } from "../context/GameContext";
+import Button from "../components/UI/Button";
+import { gameAPI as directAPI, handleApiError } from "../services/api";
+import { Skull, Coins, Users, Clock, Swords, AlertCircle } from "lucide-react";
+
+const STATUS_STYLES = {
+  active: { label: "Active", color: "bg-green-600" },
+  defeated: { label: "Defeated", color: "bg-purple-600" },
+  expired: { label: "Expired", color: "bg-gray-600" },
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "—");
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num || 0);
+
+const StatusBadge = ({ status }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.expired;
+  return (
+    <span
+      className={`${style.color} text-white text-xs font-semibold px-2 py-1 rounded`}
+    >
+      {style.label}
+    </span>
+  );
+};
+
+const BossHealthBar = ({ raid }) => {
+  const percent = raid.maxHP > 0 ? (raid.currentHP / raid.maxHP) * 100 : 0;
+
+  return (
+    <div>
+      <div className="w-full h-4 bg-gray-700 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-red-500 transition-all duration-500"
+          style={{ width: `${Math.max(0, percent)}%` }}
+        />
+      </div>
+      <div className="text-sm text-gray-400 mt-1">
+        {formatNumber(raid.currentHP)} / {formatNumber(raid.maxHP)} HP
+      </div>
+    </div>
+  );
+};
+
+const Raids = () => {
+  const { user } = useUser();
+  const { battleTeam } = useGame();
+
+  const [raids, setRaids] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [lastAttempt, setLastAttempt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadRaids = useCallback(async () => {
+    try {
+      const response = await directAPI.game.getRaids();
+      setRaids(response.data.data.raids);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  }, []);
+
+  const loadRaid = useCallback(async (raidId) => {
+    try {
+      const response = await directAPI.game.getRaid(raidId);
+      setSelected(response.data.data.raid);
+      setLastAttempt(null);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) loadRaids();
+  }, [user?.id, loadRaids]);
+
+  const handleAttack = async () => {
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await directAPI.game.attackRaid(
+        selected.id,
+        battleTeam.map((pet) => pet.id)
+      );
+      setMessage(response.data.message);
+      setSelected(response.data.data.raid);
+      setLastAttempt(response.data.data.attempt);
+      await loadRaids();
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center">
+        <p className="text-gray-300">Sign in to join boss raids.</p>
+      </div>
+    );
+  }
+
+  const mine = selected?.myContribution;
+  const attemptsLeft = selected
+    ? selected.maxAttempts - (mine?.attempts || 0)
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">Boss Raids</h1>
+          <p className="text-gray-300">
+            Every trainer chips away at the same boss. Loot is shared out by
+            damage dealt once the boss falls or time runs out.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-700 rounded-lg p-3 mb-6 flex items-center space-x-2 text-red-300">
+            <AlertCircle className="w-5 h-5" />
+            <span>{error}</span>
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-900/50 border border-green-700 rounded-lg p-3 mb-6 text-green-300">
+            {message}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Raid list */}
+          <div className="space-y-3">
+            {raids.length === 0 && (
+              <div className="bg-gray-800 rounded-xl border border-gray-700 p-6 text-gray-400 text-center">
+                No raids right now.
+              </div>
+            )}
+            {raids.map((raid) => (
+              <button
+                key={raid.id}
+                onClick={() => loadRaid(raid.id)}
+                className={`w-full text-left bg-gray-800 rounded-xl border p-4 transition-colors ${
+                  selected?.id === raid.id
+                    ? "border-blue-500"
+                    : "border-gray-700 hover:border-gray-500"
+                }`}
+              >
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-white font-semibold">{raid.name}</span>
+                  <StatusBadge status={raid.status} />
+                </div>
+                <BossHealthBar raid={raid} />
+                <div className="flex items-center space-x-4 text-sm text-gray-400 mt-2">
+                  <span className="flex items-center space-x-1">
+                    <Users className="w-4 h-4" />
+                    <span>{raid.participantCount}</span>
+                  </span>
+                  <span className="flex items-center space-x-1">
+                    <Clock className="w-4 h-4" />
+                    <span>{formatDate(raid.endsAt)}</span>
+                  </span>
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Raid details */}
+          <div className="lg:col-span-2">
+            {!selected ? (
+              <div className="bg-gray-800 rounded-xl border border-gray-700 p-8 text-gray-400 text-center">
+                Select a raid to see the boss and the damage leaderboard.
+              </div>
+            ) : (
+              <div className="space-y-6">
+                <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+                  <div className="flex justify-between items-start mb-4">
+                    <div>
+                      <h2 className="text-2xl font-bold text-white flex items-center space-x-2">
+                        <Skull className="w-6 h-6 text-red-400" />
+                        <span>{selected.boss.name}</span>
+                      </h2>
+                      <p className="text-gray-400 mt-1">
+                        Lvl {selected.boss.level} {selected.boss.type} •{" "}
+                        {selected.boss.abilities.join(", ")}
+                      </p>
+                    </div>
+                    <StatusBadge status={selected.status} />
+                  </div>
+
+                  <div className="mb-4">
+                    <BossHealthBar raid={selected} />
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                    <div>
+                      <div className="text-gray-400">Ends</div>
+                      <div className="text-white">
+                        {formatDate(selected.endsAt)}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Your damage</div>
+                      <div className="text-white">
+                        {formatNumber(mine?.damage)}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Attempts left</div>
+                      <div className="text-white">{attemptsLeft}</div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Cooldown</div>
+                      <div className="text-white">
+                        {selected.attemptCooldownMinutes} min
+                      </div>
+                    </div>
+                  </div>
+
+                  {mine?.rewards && (
+                    <div className="flex items-center space-x-2 text-yellow-400 font-semibold mb-4">
+                      <Coins className="w-5 h-5" />
+                      <span>
+                        Rank #{mine.rank}: {formatNumber(mine.rewards.coins)}{" "}
+                        coins, {formatNumber(mine.rewards.experience)} XP
+                      </span>
+                    </div>
+                  )}
+
+                  {selected.open &&
+                    attemptsLeft > 0 &&
+                    (battleTeam.length === 0 ? (
+                      <p className="text-gray-400 text-sm">
+                        Pick up to {selected.teamSize} pets on the{" "}
+                        <Link to="/battle" className="text-blue-400">
+                          Battle
+                        </Link>{" "}
+                        page to attack with them.
+                      </p>
+                    ) : (
+                      <Button
+                        variant="danger"
+                        loading={loading}
+                        onClick={handleAttack}
+                      >
+                        <Swords className="w-4 h-4 mr-1" />
+                        Attack with {battleTeam.length} pet
+                        {battleTeam.length === 1 ? "" : "s"}
+                      </Button>
+                    ))}
+                </div>
+
+                {/* Last attempt */}
+                {lastAttempt && (
+                  <div className="bg-gray-800 rounded-xl border border-gray-700 p-4 space-y-2">
+                    <h3 className="text-lg font-bold text-white">
+                      Your attempt
+                    </h3>
+                    {lastAttempt.duels.map((duel) => (
+                      <div
+                        key={duel.petId}
+                        className="flex justify-between bg-gray-700 rounded p-2 text-sm text-gray-300"
+                      >
+                        <span className="text-white">{duel.petName}</span>
+                        <span>{duel.turns} turns</span>
+                        <span>{formatNumber(duel.damage)} damage</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Contribution leaderboard */}
+                <div className="bg-gray-800 rounded-xl border border-gray-700 p-4">
+                  <h3 className="text-lg font-bold text-white mb-3">
+                    Leaderboard
+                  </h3>
+                  {selected.leaderboard.length === 0 && (
+                    <p className="text-gray-400 text-sm">
+                      Nobody has landed a hit yet.
+                    </p>
+                  )}
+                  <table className="w-full text-sm">
+                    <tbody>
+                      {selected.leaderboard.map((row) => (
+                        <tr key={row.userId} className="text-gray-200">
+                          <td className="py-1">#{row.rank}</td>
+                          <td>{row.username}</td>
+                          <td className="text-right">
+                            {formatNumber(row.damage)}
+                          </td>
+                          <td className="text-right text-gray-400">
+                            {(row.share * 100).toFixed(1)}%
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Raids;
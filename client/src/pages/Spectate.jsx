@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useUser } from "../context/UserContext";
+import Button from "../components/UI/Button";
+import { BattlePlayback, HealthBar } from "../components/Game/BattleInterface";
+import { useSpectator } from "../hooks/useSpectator";
+import { gameAPI as directAPI, handleApiError } from "../services/api";
+import { Eye, Radio, Star, RefreshCw, AlertCircle } from "lucide-react";
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "—");
+
+const formatRating = (player) =>
+  player?.rating != null ? Math.round(player.rating) : "Unrated";
+
+const Matchup = ({ players }) => (
+  <div className="flex items-center justify-between text-white">
+    <span>
+      {players?.A?.username}{" "}
+      <span className="text-xs text-gray-400">
+        ({formatRating(players?.A)})
+      </span>
+    </span>
+    <span className="text-gray-500 mx-2">vs</span>
+    <span>
+      {players?.B?.username}{" "}
+      <span className="text-xs text-gray-400">
+        ({formatRating(players?.B)})
+      </span>
+    </span>
+  </div>
+);
+
+const LiveView = ({ watching, state, lastTurn, ended, delayMs, onLeave }) => {
+  const match = state?.currentMatch;
+  const winnerName = ended?.winner
+    ? watching.players[ended.winner]?.username
+    : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+        <Matchup players={watching.players} />
+        <div className="flex justify-between text-sm text-gray-400 mt-2">
+          <span>
+            Match {state?.matchNumber || 1}/{watching.totalMatches} • Score{" "}
+            {state?.wins?.A || 0} - {state?.wins?.B || 0}
+          </span>
+          <span>Delayed by {Math.round(delayMs / 1000)}s</span>
+        </div>
+      </div>
+
+      {!state && (
+        <div className="text-center text-gray-400 animate-pulse">
+          Waiting for the delayed feed...
+        </div>
+      )}
+
+      {match && (
+        <div className="grid grid-cols-2 gap-8">
+          <HealthBar
+            pet={match.A}
+            color="bg-blue-500"
+            statuses={(match.A.statusEffects || []).map((s) => s.name)}
+          />
+          <HealthBar
+            pet={match.B}
+            color="bg-red-500"
+            statuses={(match.B.statusEffects || []).map((s) => s.name)}
+          />
+        </div>
+      )}
+
+      {lastTurn && (
+        <div className="text-center text-gray-300">
+          Turn {lastTurn.turn}: {watching.players.A.username} used{" "}
+          {lastTurn.actions.A || "nothing"}, {watching.players.B.username} used{" "}
+          {lastTurn.actions.B || "nothing"}
+        </div>
+      )}
+
+      {ended && (
+        <div className="text-center text-xl font-bold text-yellow-400">
+          {winnerName ? `${winnerName} wins!` : "The battle ended in a draw"}
+          {ended.reason !== "completed" && (
+            <span className="block text-sm text-gray-400 font-normal">
+              ({ended.reason})
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="text-center">
+        <Button variant="outline" onClick={onLeave}>
+          Stop Watching
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const Spectate = () => {
+  const { user } = useUser();
+  const spectator = useSpectator({ enabled: Boolean(user) });
+
+  const [featured, setFeatured] = useState([]);
+  const [replayId, setReplayId] = useState(null);
+  const [username, setUsername] = useState("");
+  const [error, setError] = useState(null);
+
+  const loadFeatured = useCallback(async () => {
+    try {
+      const response = await directAPI.game.getFeaturedBattles();
+      setFeatured(response.data.data.battles);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) loadFeatured();
+  }, [user?.id, loadFeatured]);
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center">
+        <p className="text-gray-300">Sign in to watch battles.</p>
+      </div>
+    );
+  }
+
+  const shownError = error || spectator.error;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">Spectate</h1>
+          <p className="text-gray-300">
+            Watch live PvP battles a few seconds behind, or replay the top
+            matches of the week.
+          </p>
+        </div>
+
+        {shownError && (
+          <div className="bg-red-900/50 border border-red-700 rounded-lg p-3 mb-6 flex items-center space-x-2 text-red-300">
+            <AlertCircle className="w-5 h-5" />
+            <span>{shownError}</span>
+          </div>
+        )}
+
+        {replayId ? (
+          <BattlePlayback
+            battleId={replayId}
+            streamPath={`/game/spectate/battles/${replayId}/events`}
+            finishLabel="Back"
+            onBattleComplete={() => setReplayId(null)}
+          />
+        ) : spectator.watching ? (
+          <LiveView
+            watching={spectator.watching}
+            state={spectator.state}
+            lastTurn={spectator.lastTurn}
+            ended={spectator.ended}
+            delayMs={spectator.delayMs}
+            onLeave={() => {
+              spectator.leave();
+              spectator.refreshList();
+            }}
+          />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Live battles */}
+            <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+                  <Radio className="w-5 h-5 text-red-400" />
+                  <span>Live Now</span>
+                </h2>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={spectator.refreshList}
+                >
+                  <RefreshCw className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <form
+                className="flex gap-2"
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  if (username.trim()) {
+                    spectator.watch({ username: username.trim() });
+                  }
+                }}
+              >
+                <input
+                  value={username}
+                  onChange={(event) => setUsername(event.target.value)}
+                  placeholder="Watch a player by username"
+                  className="flex-1 bg-gray-700 text-white rounded-lg px-3 py-2"
+                />
+                <Button type="submit" size="sm">
+                  Watch
+                </Button>
+              </form>
+
+              {spectator.liveBattles.length === 0 && (
+                <p className="text-gray-400">No battles are live right now.</p>
+              )}
+              {spectator.liveBattles.map((battle) => (
+                <div
+                  key={battle.battleId}
+                  className="bg-gray-700/50 rounded-lg p-3 space-y-2"
+                >
+                  <Matchup players={battle.players} />
+                  <div className="flex items-center justify-between text-sm text-gray-400">
+                    <span className="flex items-center space-x-1">
+                      <Eye className="w-4 h-4" />
+                      <span>{battle.spectators}</span>
+                    </span>
+                    <Button
+                      size="sm"
+                      onClick={() =>
+                        spectator.watch({ battleId: battle.battleId })
+                      }
+                    >
+                      Watch
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Featured replays */}
+            <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4">
+              <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+                <Star className="w-5 h-5 text-yellow-400" />
+                <span>Featured Battles</span>
+              </h2>
+
+              {featured.length === 0 && (
+                <p className="text-gray-400">No featured battles yet.</p>
+              )}
+              {featured.map((battle) => (
+                <div
+                  key={battle.battleId}
+                  className="bg-gray-700/50 rounded-lg p-3 space-y-2"
+                >
+                  <Matchup players={battle.players} />
+                  <div className="flex items-center justify-between text-sm text-gray-400">
+                    <span>
+                      {battle.wins?.A} - {battle.wins?.B} •{" "}
+                      {formatDate(battle.date)}
+                    </span>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => setReplayId(battle.battleId)}
+                    >
+                      Replay
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Spectate;
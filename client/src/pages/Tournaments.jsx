@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { useUser } from "../context/UserContext";
+import { useGame } from "../context/GameContext";
+import Button from "../components/UI/Button";
+import { gameAPI as directAPI, handleApiError } from "../services/api";
+import { Trophy, Coins, Users, Clock, Crown, AlertCircle } from "lucide-react";
+
+const STATUS_STYLES = {
+  registration: { label: "Registration", color: "bg-green-600" },
+  group_stage: { label: "Group Stage", color: "bg-blue-600" },
+  knockout: { label: "Knockout", color: "bg-purple-600" },
+  completed: { label: "Completed", color: "bg-gray-600" },
+  cancelled: { label: "Cancelled", color: "bg-red-700" },
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : "—");
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num || 0);
+
+const StatusBadge = ({ status }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.completed;
+  return (
+    <span
+      className={`${style.color} text-white text-xs font-semibold px-2 py-1 rounded`}
+    >
+      {style.label}
+    </span>
+  );
+};
+
+// One bracket or group match line
+const MatchRow = ({ match }) => {
+  const isWinner = (id) => match.winner && match.winner === id;
+
+  if (match.status === "bye") {
+    return (
+      <div className="bg-gray-700 rounded p-2 text-sm text-gray-300">
+        <span className="font-medium text-white">{match.homeName}</span>{" "}
+        <span className="text-gray-400">— bye</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-700 rounded p-2 text-sm">
+      {[
+        [match.home, match.homeName, match.homeWins],
+        [match.away, match.awayName, match.awayWins],
+      ].map(([id, name, wins], index) => (
+        <div
+          key={index}
+          className={`flex justify-between ${
+            isWinner(id) ? "text-yellow-400 font-semibold" : "text-gray-300"
+          }`}
+        >
+          <span>{name || "TBD"}</span>
+          <span>{match.status === "completed" ? wins : ""}</span>
+        </div>
+      ))}
+      {match.status === "pending" && (
+        <div className="text-xs text-gray-400 mt-1">
+          {formatDate(match.scheduledAt)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Tournaments = () => {
+  const { user } = useUser();
+  const { battleTeam } = useGame();
+
+  const [tournaments, setTournaments] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadTournaments = useCallback(async () => {
+    try {
+      const response = await directAPI.game.getTournaments();
+      setTournaments(response.data.data.tournaments);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  }, []);
+
+  const loadTournament = useCallback(async (tournamentId) => {
+    try {
+      const response = await directAPI.game.getTournament(tournamentId);
+      setSelected(response.data.data.tournament);
+    } catch (err) {
+      setError(handleApiError(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) loadTournaments();
+  }, [user?.id, loadTournaments]);
+
+  const handleRegister = async () => {
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await directAPI.game.registerForTournament(
+        selected.id,
+        battleTeam.map((pet) => pet.id)
+      );
+      setMessage(response.data.message);
+      await Promise.all([loadTournament(selected.id), loadTournaments()]);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    setLoading(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await directAPI.game.withdrawFromTournament(selected.id);
+      setMessage(
+        `Withdrawn, ${formatNumber(response.data.data.refunded)} coins refunded`
+      );
+      await Promise.all([loadTournament(selected.id), loadTournaments()]);
+    } catch (err) {
+      setError(handleApiError(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center">
+        <p className="text-gray-300">Sign in to join tournaments.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <div className="text-center mb-8">
+          <h1 className="text-4xl font-bold text-white mb-2">
+            Champions Arena
+          </h1>
+          <p className="text-gray-300">
+            Group stages, knockout brackets and prize pools. Matches play
+            automatically at their scheduled times.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/50 border border-red-700 rounded-lg p-3 mb-6 flex items-center space-x-2 text-red-300">
+            <AlertCircle className="w-5 h-5" />
+            <span>{error}</span>
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-900/50 border border-green-700 rounded-lg p-3 mb-6 text-green-300">
+            {message}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Tournament list */}
+          <div className="space-y-3">
+            {tournaments.length === 0 && (
+              <div className="bg-gray-800 rounded-xl border border-gray-700 p-6 text-gray-400 text-center">
+                No tournaments scheduled yet.
+              </div>
+            )}
+            {tournaments.map((tournament) => (
+              <button
+                key={tournament.id}
+                onClick={() => loadTournament(tournament.id)}
+                className={`w-full text-left bg-gray-800 rounded-xl border p-4 transition-colors ${
+                  selected?.id === tournament.id
+                    ? "border-blue-500"
+                    : "border-gray-700 hover:border-gray-500"
+                }`}
+              >
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-white font-semibold">
+                    {tournament.name}
+                  </span>
+                  <StatusBadge status={tournament.status} />
+                </div>
+                <div className="flex items-center space-x-4 text-sm text-gray-400">
+                  <span className="flex items-center space-x-1">
+                    <Trophy className="w-4 h-4 text-yellow-400" />
+                    <span>{formatNumber(tournament.prizePool)}</span>
+                  </span>
+                  <span className="flex items-center space-x-1">
+                    <Users className="w-4 h-4" />
+                    <span>
+                      {tournament.participantCount}/{tournament.maxParticipants}
+                    </span>
+                  </span>
+                  {tournament.registered && (
+                    <span className="text-green-400">Registered</span>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Tournament details */}
+          <div className="lg:col-span-2">
+            {!selected ? (
+              <div className="bg-gray-800 rounded-xl border border-gray-700 p-8 text-gray-400 text-center">
+                Select a tournament to view its bracket.
+              </div>
+            ) : (
+              <div className="space-y-6">
+                <div className="bg-gray-800 rounded-xl border border-gray-700 p-6">
+                  <div className="flex justify-between items-start mb-4">
+                    <div>
+                      <h2 className="text-2xl font-bold text-white">
+                        {selected.name}
+                      </h2>
+                      {selected.description && (
+                        <p className="text-gray-400 mt-1">
+                          {selected.description}
+                        </p>
+                      )}
+                    </div>
+                    <StatusBadge status={selected.status} />
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                    <div>
+                      <div className="text-gray-400">Entry fee</div>
+                      <div className="text-white flex items-center space-x-1">
+                        <Coins className="w-4 h-4 text-yellow-400" />
+                        <span>{formatNumber(selected.entryFee)}</span>
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Prize pool</div>
+                      <div className="text-white flex items-center space-x-1">
+                        <Trophy className="w-4 h-4 text-yellow-400" />
+                        <span>{formatNumber(selected.prizePool)}</span>
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">Registration closes</div>
+                      <div className="text-white">
+                        {formatDate(selected.registrationClosesAt)}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-gray-400">
+                        {selected.nextMatchAt ? "Next match" : "Starts"}
+                      </div>
+                      <div className="text-white flex items-center space-x-1">
+                        <Clock className="w-4 h-4" />
+                        <span>
+                          {formatDate(
+                            selected.nextMatchAt || selected.startsAt
+                          )}
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+
+                  {selected.winner && (
+                    <div className="flex items-center space-x-2 text-yellow-400 font-semibold mb-4">
+                      <Crown className="w-5 h-5" />
+                      <span>Champion: {selected.winner}</span>
+                    </div>
+                  )}
+
+                  {selected.registrationOpen &&
+                    (selected.registered ? (
+                      <Button
+                        variant="outline"
+                        loading={loading}
+                        onClick={handleWithdraw}
+                      >
+                        Withdraw
+                      </Button>
+                    ) : battleTeam.length === 0 ? (
+                      <p className="text-gray-400 text-sm">
+                        Pick up to {selected.teamSize} pets on the{" "}
+                        <Link to="/battle" className="text-blue-400">
+                          Battle
+                        </Link>{" "}
+                        page to enter with them.
+                      </p>
+                    ) : (
+                      <Button
+                        variant="primary"
+                        loading={loading}
+                        onClick={handleRegister}
+                      >
+                        Enter with {battleTeam.length} pet
+                        {battleTeam.length === 1 ? "" : "s"}
+                      </Button>
+                    ))}
+                </div>
+
+                {/* Group stage */}
+                {selected.groups.length > 0 && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {selected.groups.map((group) => (
+                      <div
+                        key={group.group}
+                        className="bg-gray-800 rounded-xl border border-gray-700 p-4"
+                      >
+                        <h3 className="text-lg font-bold text-white mb-3">
+                          {group.name}
+                        </h3>
+                        <table className="w-full text-sm mb-3">
+                          <thead>
+                            <tr className="text-gray-400 text-left">
+                              <th className="pb-1">#</th>
+                              <th className="pb-1">Player</th>
+                              <th className="pb-1 text-center">W</th>
+                              <th className="pb-1 text-center">D</th>
+                              <th className="pb-1 text-center">L</th>
+                              <th className="pb-1 text-right">Pts</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {group.standings.map((row) => (
+                              <tr key={row.userId} className="text-gray-200">
+                                <td>{row.position}</td>
+                                <td>{row.username}</td>
+                                <td className="text-center">{row.wins}</td>
+                                <td className="text-center">{row.draws}</td>
+                                <td className="text-center">{row.losses}</td>
+                                <td className="text-right font-semibold">
+                                  {row.points}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <div className="space-y-2">
+                          {group.matches.map((match) => (
+                            <MatchRow key={match.id} match={match} />
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Knockout bracket */}
+                {selected.bracket.length > 0 && (
+                  <div className="bg-gray-800 rounded-xl border border-gray-700 p-4 overflow-x-auto">
+                    <h3 className="text-lg font-bold text-white mb-3">
+                      Knockout
+                    </h3>
+                    <div className="flex space-x-4">
+                      {selected.bracket.map((round) => (
+                        <div
+                          key={round.round}
+                          className="min-w-[180px] flex flex-col justify-around space-y-3"
+                        >
+                          <div className="text-gray-400 text-sm font-semibold">
+                            {round.name}
+                          </div>
+                          {round.matches.map((match) => (
+                            <MatchRow key={match.id} match={match} />
+                          ))}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Final placements */}
+                {selected.status === "completed" && (
+                  <div className="bg-gray-800 rounded-xl border border-gray-700 p-4">
+                    <h3 className="text-lg font-bold text-white mb-3">
+                      Results
+                    </h3>
+                    {selected.participants
+                      .filter((participant) => participant.placement)
+                      .sort((a, b) => a.placement - b.placement)
+                      .map((participant) => (
+                        <div
+                          key={participant.userId}
+                          className="flex justify-between text-gray-200 py-1"
+                        >
+                          <span>
+                            #{participant.placement} {participant.username}
+                          </span>
+                          <span className="flex items-center space-x-1 text-yellow-400">
+                            <Coins className="w-4 h-4" />
+                            <span>{formatNumber(participant.prize)}</span>
+                          </span>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Tournaments;
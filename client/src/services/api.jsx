@@ -61,6 +61,52 @@ export const gameAPI = {
     getBattleHistory: (params = {}) =>
       api.get("/game/battles/history", { params }),
     getAvailableBattlePets: () => api.get("/game/battles/available-pets"),
+    previewBattleTeam: (petIds) =>
+      api.get("/game/battles/team-preview", {
+        params: { petIds: petIds.join(",") },
+      }),
+    getBattleReplay: (battleId) => api.get(`/game/battles/${battleId}/replay`),
+    startBattleSession: (battleData) =>
+      api.post("/game/battles/session/start", battleData),
+    getBattleSession: (sessionId) => api.get(`/game/battles/${sessionId}`),
+    submitBattleAction: (sessionId, action, itemId, abilityId) =>
+      api.post(`/game/battles/${sessionId}/action`, {
+        action,
+        itemId,
+        abilityId,
+      }),
+    forfeitBattleSession: (sessionId) =>
+      api.post(`/game/battles/${sessionId}/forfeit`),
+    getDefenseTeam: () => api.get("/game/battles/defense"),
+    setDefenseTeam: (petIds) => api.post("/game/battles/defense", { petIds }),
+    removeDefenseTeam: () => api.delete("/game/battles/defense"),
+    getDefenseOpponents: (params) =>
+      api.get("/game/battles/defense/opponents", { params }),
+    challengeDefenseTeam: (defenderId, petIds) =>
+      api.post(`/game/battles/defense/${defenderId}/challenge`, { petIds }),
+    getLiveBattles: () => api.get("/game/spectate/live"),
+    getFeaturedBattles: () => api.get("/game/spectate/featured"),
+    getRankedStatus: () => api.get("/game/ranked/season"),
+    getRankedSeasons: () => api.get("/game/ranked/seasons"),
+    getSeasonStandings: (seasonNumber, params) =>
+      api.get(`/game/ranked/seasons/${seasonNumber}`, { params }),
+    getTournaments: (params = {}) => api.get("/game/tournaments", { params }),
+    getTournament: (tournamentId) =>
+      api.get(`/game/tournaments/${tournamentId}`),
+    registerForTournament: (tournamentId, petIds) =>
+      api.post(`/game/tournaments/${tournamentId}/register`, { petIds }),
+    withdrawFromTournament: (tournamentId) =>
+      api.delete(`/game/tournaments/${tournamentId}/register`),
+    getRaids: (params = {}) => api.get("/game/raids", { params }),
+    getRaid: (raidId) => api.get(`/game/raids/${raidId}`),
+    attackRaid: (raidId, petIds) =>
+      api.post(`/game/raids/${raidId}/attack`, { petIds }),
+    getCampaign: () => api.get("/game/campaign"),
+    playCampaignStage: (stageId, petIds) =>
+      api.post(`/game/campaign/stages/${stageId}/play`, { petIds }),
+    getPlacementConfig: () => api.get("/game/battles/placement"),
+    startPlacementBattle: (placements, difficulty) =>
+      api.post("/game/battles/placement", { placements, difficulty }),
 
     // Blockchain Integration - NEW
     connectWallet: (walletData) => api.post("/game/wallet/connect", walletData),
@@ -93,7 +139,13 @@ export const gameAPI = {
     // Pet Management
     levelUpPet: (levelUpData) => api.post("/game/pets/level-up", levelUpData),
     evolvePet: (evolveData) => api.post("/game/pets/evolve", evolveData),
+    getEvolutionPreview: (petId) => api.get(`/game/pets/${petId}/evolutions`),
     equipPetItem: (equipData) => api.post("/game/pets/equip-item", equipData),
+    unequipPetItem: (unequipData) =>
+      api.post("/game/pets/unequip-item", unequipData),
+
+    // Held items
+    getItems: () => api.get("/game/items"),
   },
 
   // Pet endpoints - UPDATED
@@ -103,9 +155,22 @@ export const gameAPI = {
     upgradePet: (petId, upgradeData) =>
       api.post(`/pets/${petId}/upgrade`, upgradeData),
     trainPet: (petId, trainData) => api.post(`/pets/${petId}/train`, trainData), // NEW
+    appraisePet: (petId) => api.post(`/pets/${petId}/appraise`),
+    getPetAbilities: (petId) => api.get(`/pets/${petId}/abilities`),
+    setPetLoadout: (petId, abilityIds) =>
+      api.put(`/pets/${petId}/loadout`, { abilityIds }),
+    feedPet: (petId, foodId) => api.post(`/pets/${petId}/feed`, { foodId }),
+    useItemOnPet: (petId, itemId) =>
+      api.post(`/pets/${petId}/use-item`, { itemId }),
+    getFood: () => api.get("/pets/care/food"),
+    buyFood: (foodId, quantity = 1) =>
+      api.post("/pets/care/food/buy", { foodId, quantity }),
     fusePets: (fusionData) => api.post("/pets/fuse", fusionData),
     toggleFavorite: (petId) => api.patch(`/pets/${petId}/favorite`),
     getFusionCalculator: () => api.get("/pets/fusion/calculator"),
+    breedPets: (parentIds) => api.post("/pets/breed", { parentIds }),
+    getBreedingPreview: (parentA, parentB) =>
+      api.get("/pets/breeding/preview", { params: { parentA, parentB } }),
     syncBlockchainPets: () => api.post("/pets/blockchain/sync"), // NEW
     getPetBlockchainInfo: (petId) => api.get(`/pets/${petId}/blockchain`), // NEW
   },
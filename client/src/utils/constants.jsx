@@ -2,6 +2,9 @@
 export const API_BASE_URL =
   import.meta.env.VITE_API_URL || "http://localhost:3001/api";
 
+export const PVP_SOCKET_URL =
+  import.meta.env.VITE_PVP_SOCKET_URL || "ws://localhost:3001/ws/pvp";
+
 // Game constants
 export const EGG_TYPES = {
   BASIC: "basic",
@@ -20,6 +20,7 @@ export default {
       animation: {
         "hatch-spin": "hatchSpin 1s ease-in-out",
         float: "float 3s ease-in-out infinite",
+        "damage-float": "damageFloat 0.9s ease-out forwards",
       },
     },
   },
@@ -1,6 +1,8 @@
 import express from "express";
 import { authMiddleware } from "../middleware/authMiddleware.js";
 import { apiLimiter } from "../middleware/rateLimiter.js";
+import { tournamentService } from "../services/TournamentService.js";
+import { raidService } from "../services/RaidService.js";
 
 const router = express.Router();
 
@@ -114,4 +116,59 @@ router.get("/users", async (req, res) => {
   }
 });
 
+// Schedule a tournament
+router.post("/tournaments", async (req, res) => {
+  try {
+    const result = await tournamentService.createTournament(
+      req.body,
+      req.user.id
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        tournament: tournamentService.formatSummary(result.tournament),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating tournament",
+    });
+  }
+});
+
+// Open a boss raid
+router.post("/raids", async (req, res) => {
+  try {
+    const result = await raidService.createRaid(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        raid: raidService.formatSummary(result.raid),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error creating raid",
+    });
+  }
+});
+
 export default router;
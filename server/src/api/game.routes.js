@@ -16,6 +16,58 @@ router.post("/eggs/hatch", gameActionLimiter, GameController.hatchEgg);
 router.post("/battles/start", gameActionLimiter, GameController.startBattle);
 router.get("/battles/history", GameController.getBattleHistory);
 router.get("/battles/available-pets", GameController.getAvailableBattlePets);
+router.get("/battles/team-preview", GameController.previewBattleTeam);
+router.get("/battles/:battleId/replay", GameController.getBattleReplay);
+router.get("/battles/:battleId/events", GameController.streamBattleEvents);
+
+// ===== SPECTATING =====
+router.get("/spectate/live", GameController.getLiveBattles);
+router.get("/spectate/featured", GameController.getFeaturedBattles);
+router.get(
+  "/spectate/battles/:battleId/events",
+  GameController.streamSpectatorBattle
+);
+
+// ===== DEFENSE TEAMS (ASYNC PVP) =====
+router.get("/battles/defense", GameController.getDefenseTeam);
+router.post(
+  "/battles/defense",
+  gameActionLimiter,
+  GameController.setDefenseTeam
+);
+router.delete("/battles/defense", GameController.removeDefenseTeam);
+router.get("/battles/defense/opponents", GameController.getDefenseOpponents);
+router.post(
+  "/battles/defense/:defenderId/challenge",
+  gameActionLimiter,
+  GameController.challengeDefenseTeam
+);
+
+// ===== LANE PLACEMENT =====
+router.get("/battles/placement", GameController.getPlacementConfig);
+router.post(
+  "/battles/placement",
+  gameActionLimiter,
+  GameController.startPlacementBattle
+);
+
+// ===== INTERACTIVE BATTLE SESSIONS =====
+router.post(
+  "/battles/session/start",
+  gameActionLimiter,
+  GameController.startBattleSession
+);
+router.get("/battles/:sessionId", GameController.getBattleSession);
+router.post(
+  "/battles/:sessionId/action",
+  gameActionLimiter,
+  GameController.submitBattleAction
+);
+router.post(
+  "/battles/:sessionId/forfeit",
+  gameActionLimiter,
+  GameController.forfeitBattleSession
+);
 
 // ===== BLOCKCHAIN INTEGRATION =====
 router.post("/wallet/connect", GameController.connectWallet);
@@ -61,9 +113,54 @@ router.post(
 router.get("/user/stats", GameController.getUserStats);
 router.get("/leaderboard", GameController.getLeaderboard);
 
+// ===== RANKED LADDER =====
+router.get("/ranked/season", GameController.getRankedStatus);
+router.get("/ranked/seasons", GameController.getRankedSeasons);
+router.get("/ranked/seasons/:seasonNumber", GameController.getSeasonStandings);
+
+// ===== TOURNAMENTS =====
+router.get("/tournaments", GameController.getTournaments);
+router.get("/tournaments/:tournamentId", GameController.getTournament);
+router.post(
+  "/tournaments/:tournamentId/register",
+  gameActionLimiter,
+  GameController.registerForTournament
+);
+router.delete(
+  "/tournaments/:tournamentId/register",
+  gameActionLimiter,
+  GameController.withdrawFromTournament
+);
+
+// ===== BOSS RAIDS =====
+router.get("/raids", GameController.getRaids);
+router.get("/raids/:raidId", GameController.getRaid);
+router.post(
+  "/raids/:raidId/attack",
+  gameActionLimiter,
+  GameController.attackRaid
+);
+
+// ===== CAMPAIGN =====
+router.get("/campaign", GameController.getCampaign);
+router.post(
+  "/campaign/stages/:stageId/play",
+  gameActionLimiter,
+  GameController.playCampaignStage
+);
+
 // ===== PET MANAGEMENT =====
 router.post("/pets/level-up", gameActionLimiter, GameController.levelUpPet);
 router.post("/pets/evolve", gameActionLimiter, GameController.evolvePet);
+router.get("/pets/:petId/evolutions", GameController.getEvolutionPreview);
 router.post("/pets/equip-item", gameActionLimiter, GameController.equipPetItem);
+router.post(
+  "/pets/unequip-item",
+  gameActionLimiter,
+  GameController.unequipPetItem
+);
+
+// ===== ITEMS =====
+router.get("/items", GameController.getItems);
 
 export default router;
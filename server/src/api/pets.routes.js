@@ -18,11 +18,26 @@ router.get("/:petId", PetController.getPetDetails);
 // ===== PET UPGRADES & TRAINING =====
 router.post("/:petId/upgrade", gameActionLimiter, PetController.upgradePet);
 router.post("/:petId/train", gameActionLimiter, PetController.trainPet);
+router.post("/:petId/appraise", gameActionLimiter, PetController.appraisePet);
+
+// ===== ABILITIES =====
+router.get("/:petId/abilities", PetController.getPetAbilities);
+router.put("/:petId/loadout", gameActionLimiter, PetController.setPetLoadout);
 
 // ===== PET FUSION SYSTEM =====
 router.post("/fuse", gameActionLimiter, PetController.fusePets);
 router.get("/fusion/calculator", PetController.getFusionCalculator);
 
+// ===== BREEDING =====
+router.post("/breed", gameActionLimiter, PetController.breedPets);
+router.get("/breeding/preview", PetController.getBreedingPreview);
+
+// ===== CARE =====
+router.get("/care/food", PetController.getFood);
+router.post("/care/food/buy", gameActionLimiter, PetController.buyFood);
+router.post("/:petId/feed", gameActionLimiter, PetController.feedPet);
+router.post("/:petId/use-item", gameActionLimiter, PetController.useItemOnPet);
+
 // ===== FAVORITES MANAGEMENT =====
 router.patch(
   "/:petId/favorite",
@@ -0,0 +1,214 @@
+import { WebSocketServer } from "ws";
+import jwt from "jsonwebtoken";
+import { User } from "../models/User.js";
+import { config } from "../config/env.js";
+import { DatabaseService } from "../services/DatabaseService.js";
+import { pvpService } from "../services/PvPService.js";
+import { rankingService } from "../services/RankingService.js";
+import { spectatorService } from "../services/SpectatorService.js";
+import { GameController } from "../controllers/GameController.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+const PVP_MAX_PETS = 3;
+
+// Resolve the user from the JWT passed as ?token= on the upgrade request
+const authenticate = async (req) => {
+  const url = new URL(req.url, "http://localhost");
+  const token = url.searchParams.get("token");
+  if (!token) return null;
+
+  const decoded = jwt.verify(token, config.JWT_SECRET);
+  return await User.findById(decoded.userId);
+};
+
+const createConnection = (socket) => ({
+  send(type, data) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify({ type, data }));
+    }
+  },
+});
+
+const handlers = {
+  async "queue:join"(user, connection, data = {}) {
+    spectatorService.unsubscribe(connection);
+    const freshUser = await dbService.findUserById(user.id);
+    const selection = await GameController.selectBattlePets(freshUser, {
+      petIds: data.petIds,
+      maxPets: PVP_MAX_PETS,
+    });
+    if (selection.error) {
+      return connection.send("error", { message: selection.error });
+    }
+
+    const standing = await rankingService.getPlayerStanding(freshUser);
+    const result = pvpService.joinQueue({
+      userId: freshUser.id,
+      username: freshUser.username,
+      level: freshUser.level,
+      rating: standing.rating,
+      userPets: selection.userPets.map((pet) => pet.id),
+      team: GameController.convertPetsToBattleFormat(
+        selection.userPets,
+        freshUser.username
+      ),
+      connection,
+    });
+
+    if (!result.success) {
+      return connection.send("error", { message: result.error });
+    }
+    connection.send("queue:joined", { queueSize: result.queueSize });
+  },
+
+  "queue:leave"(user, connection) {
+    const result = pvpService.leaveQueue(user.id);
+    if (!result.success) {
+      return connection.send("error", { message: result.error });
+    }
+    connection.send("queue:left", {});
+  },
+
+  "battle:action"(user, connection, data = {}) {
+    const result = pvpService.submitAction(
+      user.id,
+      data.action,
+      data.abilityId
+    );
+    if (!result.success) {
+      connection.send("error", {
+        message: result.error,
+        availableActions: result.availableActions,
+      });
+    }
+  },
+
+  "battle:forfeit"(user, connection) {
+    const result = pvpService.forfeit(user.id);
+    if (!result.success) {
+      connection.send("error", { message: result.error });
+    }
+  },
+
+  "spectate:list"(user, connection) {
+    connection.send("spectate:list", {
+      battles: spectatorService.listLiveBattles(),
+    });
+  },
+
+  // Watch a live battle by id, or whichever battle a player is in
+  "spectate:join"(user, connection, data = {}) {
+    const feed = spectatorService.findLiveBattle({
+      battleId: data.battleId,
+      username: data.username,
+    });
+    if (!feed) {
+      return connection.send("error", { message: "That battle is not live" });
+    }
+    if (pvpService.findBattleForUser(user.id)) {
+      return connection.send("error", {
+        message: "You can't spectate while in a PvP battle",
+      });
+    }
+
+    const result = spectatorService.subscribe(
+      feed.summary.battleId,
+      connection
+    );
+    if (!result.success) {
+      return connection.send("error", { message: result.error });
+    }
+    connection.send("spectate:joined", {
+      battle: result.battle,
+      delayMs: result.delayMs,
+    });
+  },
+
+  "spectate:leave"(user, connection) {
+    spectatorService.unsubscribe(connection);
+    connection.send("spectate:left", {});
+  },
+
+  status(user, connection) {
+    connection.send("status", pvpService.getStatus(user.id));
+  },
+};
+
+export const attachPvPSocket = (server) => {
+  const wss = new WebSocketServer({ server, path: "/ws/pvp" });
+
+  wss.on("connection", async (socket, req) => {
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (error) {
+      logger.warn("PvP socket authentication failed:", error.message);
+    }
+
+    if (!user) {
+      socket.close(4001, "Unauthorized");
+      return;
+    }
+
+    const connection = createConnection(socket);
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    // Players returning within the grace period resume their battle
+    if (!pvpService.handleReconnect(user.id, connection)) {
+      connection.send("status", pvpService.getStatus(user.id));
+    }
+
+    socket.on("message", async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return connection.send("error", { message: "Invalid message format" });
+      }
+
+      const handler = handlers[message?.type];
+      if (!handler) {
+        return connection.send("error", {
+          message: `Unknown message type "${message?.type}"`,
+        });
+      }
+
+      try {
+        await handler(user, connection, message.data);
+      } catch (error) {
+        logger.error(`PvP socket ${message.type} error:`, error);
+        connection.send("error", { message: "Internal server error" });
+      }
+    });
+
+    socket.on("close", () => {
+      spectatorService.unsubscribe(connection);
+      pvpService.handleDisconnect(user.id, connection);
+    });
+  });
+
+  // Drop sockets that stopped answering pings so the grace period can start
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on("close", () => clearInterval(heartbeat));
+
+  pvpService.startMatchmaking();
+  logger.info("⚔️  PvP WebSocket server listening on /ws/pvp");
+
+  return wss;
+};
+
+export default attachPvPSocket;
@@ -0,0 +1,188 @@
+// src/config/abilities.js
+
+"use strict";
+
+import {
+  ABILITY_CONFIG,
+  ALL_ABILITIES,
+  PET_TYPES,
+} from "../utils/constants.js";
+
+// Each type lists its ability pool in types.json. A pet's learnset is the
+// part of that pool at or below its rarity's tier, lowest tier first; it
+// learns the next one every LEARN_EVERY_LEVELS levels up to MAX_LEARNED and
+// takes up to MAX_LOADOUT of them into battle. `ability` stays the pet's
+// primary ability, so pets that predate learning fight with just that one.
+
+const ABILITIES_BY_NAME = Object.values(ALL_ABILITIES).reduce(
+  (byName, ability) => {
+    byName[ability.name.toLowerCase()] = ability;
+    return byName;
+  },
+  {}
+);
+
+const unique = (ids) => [...new Set(ids)];
+
+// Abilities are stored as ids, but older pets may hold names or objects
+export function toAbilityId(value) {
+  const key = value?.id || value;
+  if (typeof key !== "string") return null;
+  if (ALL_ABILITIES[key]) return key;
+  return ABILITIES_BY_NAME[key.toLowerCase()]?.id || null;
+}
+
+export function getAbilityTier(ability, config = ABILITY_CONFIG) {
+  return Math.max(0, config.TIERS.indexOf(ability?.tier));
+}
+
+// Highest tier a pet of this rarity can learn
+export function getMaxTier(pet, config = ABILITY_CONFIG) {
+  return Math.max(0, config.TIERS.indexOf(pet.rarity?.toUpperCase()));
+}
+
+// The type's whole pool, in types.json order
+export function getAbilityPool(pet) {
+  return (PET_TYPES[pet.type?.toUpperCase()]?.abilities || [])
+    .map((name) => ABILITIES_BY_NAME[name.toLowerCase()])
+    .filter(Boolean);
+}
+
+// Abilities the pet can ever learn, in the order it learns them
+export function getLearnset(pet, config = ABILITY_CONFIG) {
+  const maxTier = getMaxTier(pet, config);
+  return getAbilityPool(pet)
+    .filter((ability) => getAbilityTier(ability, config) <= maxTier)
+    .sort((a, b) => getAbilityTier(a, config) - getAbilityTier(b, config));
+}
+
+// How many abilities a pet knows by `level`
+export function getAbilitySlots(level = 1, config = ABILITY_CONFIG) {
+  return Math.min(
+    config.MAX_LEARNED,
+    config.STARTING_ABILITIES + Math.floor(level / config.LEARN_EVERY_LEVELS)
+  );
+}
+
+export function getLearnedAbilities(pet) {
+  const known = pet.abilities?.length ? pet.abilities : [].concat(pet.ability);
+  return unique(known.map(toAbilityId).filter(Boolean));
+}
+
+export function getStartingAbilities(pet, config = ABILITY_CONFIG) {
+  return getLearnset(pet, config)
+    .slice(0, config.STARTING_ABILITIES)
+    .map((ability) => ability.id);
+}
+
+// Abilities the pet has room for at its level but hasn't learned yet.
+// Pets that predate learning catch up on their next level.
+export function learnAbilities(pet, config = ABILITY_CONFIG) {
+  const abilities = getLearnedAbilities(pet);
+  const slots = getAbilitySlots(pet.level, config);
+  const learned = [];
+
+  getLearnset(pet, config).forEach((ability) => {
+    if (abilities.length >= slots || abilities.includes(ability.id)) return;
+    abilities.push(ability.id);
+    learned.push(ability.id);
+  });
+
+  return { abilities, learned };
+}
+
+// Ability ids the pet takes into battle. Entries the pet no longer knows
+// are dropped; with no loadout chosen it takes the first ones it learned.
+export function getLoadout(pet, config = ABILITY_CONFIG) {
+  const known = pet.abilities?.length ? getLearnedAbilities(pet) : null;
+  const chosen = unique(
+    (pet.loadout || [])
+      .map(toAbilityId)
+      .filter((id) => id && (!known || known.includes(id)))
+  );
+
+  return (chosen.length ? chosen : getLearnedAbilities(pet)).slice(
+    0,
+    config.MAX_LOADOUT
+  );
+}
+
+// Check a requested loadout; returns { error } or the pet update
+export function getLoadoutResult(pet, abilityIds, config = ABILITY_CONFIG) {
+  if (!Array.isArray(abilityIds) || abilityIds.length === 0) {
+    return { error: "Choose at least one ability" };
+  }
+  if (abilityIds.length > config.MAX_LOADOUT) {
+    return { error: `A loadout holds at most ${config.MAX_LOADOUT} abilities` };
+  }
+  if (new Set(abilityIds).size !== abilityIds.length) {
+    return { error: "An ability can only be in the loadout once" };
+  }
+
+  const known = getLearnedAbilities(pet);
+  const unknown = abilityIds.find((id) => !known.includes(id));
+  if (unknown) {
+    return {
+      error: `${pet.name} doesn't know ${
+        ALL_ABILITIES[unknown]?.name || unknown
+      }`,
+    };
+  }
+
+  return {
+    update: { ability: abilityIds[0], abilities: known, loadout: abilityIds },
+  };
+}
+
+// Pet update for an ability granted outside the learnset (evolution); it
+// goes straight to the front of the loadout
+export function teachAbility(pet, abilityId, config = ABILITY_CONFIG) {
+  return {
+    ability: abilityId,
+    abilities: unique([...getLearnedAbilities(pet), abilityId]),
+    loadout: unique([abilityId, ...getLoadout(pet, config)]).slice(
+      0,
+      config.MAX_LOADOUT
+    ),
+  };
+}
+
+// Abilities as the client shows them
+export function describeAbilities(pet, config = ABILITY_CONFIG) {
+  const learned = getLearnedAbilities(pet);
+  const loadout = getLoadout(pet, config);
+  const maxTier = getMaxTier(pet, config);
+  const level = pet.level || 1;
+  const slots = getAbilitySlots(level, config);
+
+  // Free slots fill on the next level; otherwise wait for the next slot
+  let nextLevel = null;
+  if (learned.length < slots) {
+    nextLevel = level + 1;
+  } else if (slots < config.MAX_LEARNED) {
+    nextLevel =
+      (Math.floor(level / config.LEARN_EVERY_LEVELS) + 1) *
+      config.LEARN_EVERY_LEVELS;
+  }
+  const upcoming = getLearnset(pet, config).find(
+    (ability) => !learned.includes(ability.id)
+  );
+
+  return {
+    learned: learned.map((id) => ({
+      ...ALL_ABILITIES[id],
+      equipped: loadout.includes(id),
+    })),
+    loadout,
+    maxLoadout: config.MAX_LOADOUT,
+    maxLearned: config.MAX_LEARNED,
+    next: upcoming && nextLevel ? { ...upcoming, level: nextLevel } : null,
+    pool: getAbilityPool(pet).map((ability) => ({
+      id: ability.id,
+      name: ability.name,
+      tier: ability.tier,
+      learned: learned.includes(ability.id),
+      locked: getAbilityTier(ability, config) > maxTier,
+    })),
+  };
+}
@@ -0,0 +1,347 @@
+// src/config/balanceSimulator.js
+
+"use strict";
+
+import { PET_RARITIES, PET_TYPES, TECHNIQUES } from "../utils/constants.js";
+import { createSeededRandom, getRarityMultiplier } from "../utils/rng.js";
+import {
+  determineBattleResult,
+  evaluateTurn,
+  getEffectiveStats,
+  getNextTimelineStep,
+} from "./battleLogic.js";
+import { chooseAIAction } from "./battleAI.js";
+
+// Headless battles for balance reports. Pets are built and fought the way
+// live battles do it, but with no database, controllers or turn delays, so
+// thousands of matchups run in seconds.
+
+// Mid-roll Common stats from generateBaseStats
+export const DEFAULT_BALANCE_PET = {
+  type: "Fire",
+  rarity: "Common",
+  level: 10,
+  technique: null,
+  techniqueLevel: 1,
+  ability: null,
+  stats: {
+    dmg: 15,
+    hp: 75,
+    range: 3,
+    spa: 1.15,
+    critChance: 0.05,
+    critDamage: 1.5,
+    moneyBonus: 0,
+  },
+};
+
+// Pets that stall out (both defending or recovering) are called a draw
+export const MAX_DUEL_TURNS = 500;
+
+// Scale base stats to a rarity the way generateBaseStats does
+export function scaleStatsForRarity(stats, rarity) {
+  const mult = getRarityMultiplier(rarity);
+
+  return {
+    ...stats,
+    dmg: Math.round(stats.dmg * mult),
+    hp: Math.round(stats.hp * mult),
+    range: +(stats.range * (1 + mult / 10)).toFixed(2),
+    spa: +(stats.spa / mult).toFixed(2),
+    critChance: +Math.min(0.05 * mult, 0.5).toFixed(2),
+    critDamage: +(1.5 * mult).toFixed(2),
+    moneyBonus: +Math.max(0, (mult - 1) * 0.1).toFixed(2),
+  };
+}
+
+// A battle-format pet from a base config plus overrides. Base stats are a
+// Common roll scaled up to the pet's rarity, unless the overrides bring their
+// own stats. Stats then go through getEffectiveStats like
+// GameController.convertPetToBattleFormat, so the numbers match live battles.
+export function buildBalancePet(base = DEFAULT_BALANCE_PET, overrides = {}) {
+  const config = {
+    ...DEFAULT_BALANCE_PET,
+    ...base,
+    ...overrides,
+    stats: { ...DEFAULT_BALANCE_PET.stats, ...base.stats, ...overrides.stats },
+  };
+  const stats = getEffectiveStats({
+    ...config,
+    stats: overrides.stats
+      ? config.stats
+      : scaleStatsForRarity(config.stats, config.rarity),
+  });
+
+  return {
+    id: config.id || config.label || config.type,
+    name: config.label || config.type,
+    type: config.type,
+    rarity: config.rarity,
+    ability: config.ability,
+    technique: config.technique,
+    techniqueLevel: config.techniqueLevel || 1,
+    level: config.level || 1,
+    aiDifficulty: config.aiDifficulty,
+    stats,
+    currentHP: stats.hp,
+    statusEffects: [],
+    abilityCooldowns: {},
+  };
+}
+
+// Fight two pets to the end. Returns the winner ("a", "b" or "draw"), the
+// number of turns and the HP each pet took off the other.
+export function simulateDuel(petA, petB, rng, maxTurns = MAX_DUEL_TURNS) {
+  const player = { id: "a", pet: structuredClone(petA) };
+  const opponent = { id: "b", pet: structuredClone(petB) };
+  const damage = { a: 0, b: 0 };
+  let turns = 0;
+
+  while (
+    player.pet.currentHP > 0 &&
+    opponent.pet.currentHP > 0 &&
+    turns < maxTurns
+  ) {
+    const step = getNextTimelineStep(player.pet, opponent.pet);
+    const playerAction = step.player
+      ? chooseAIAction(player.pet, opponent.pet, rng)
+      : null;
+    const opponentAction = step.opponent
+      ? chooseAIAction(opponent.pet, player.pet, rng)
+      : null;
+
+    const playerHP = player.pet.currentHP;
+    const opponentHP = opponent.pet.currentHP;
+
+    evaluateTurn(
+      player,
+      opponent,
+      {
+        playerAction,
+        opponentAction,
+        result: determineBattleResult(playerAction, opponentAction),
+      },
+      rng
+    );
+
+    damage.a += Math.max(0, opponentHP - opponent.pet.currentHP);
+    damage.b += Math.max(0, playerHP - player.pet.currentHP);
+    turns++;
+  }
+
+  let winner = "draw";
+  if (player.pet.currentHP > 0 && opponent.pet.currentHP <= 0) winner = "a";
+  if (opponent.pet.currentHP > 0 && player.pet.currentHP <= 0) winner = "b";
+
+  return { winner, turns, damage };
+}
+
+// Run `battles` seeded duels between two pets. Sides swap every battle so
+// the player slot's tie-breaks in evaluateTurn don't favour either pet.
+export function runMatchup(petA, petB, { battles = 200, seed = 1 } = {}) {
+  const totals = { winsA: 0, winsB: 0, draws: 0, turns: 0, damageA: 0 };
+  let damageTotal = 0;
+
+  for (let i = 0; i < battles; i++) {
+    const rng = createSeededRandom(seed + i);
+    const swapped = i % 2 === 1;
+    const duel = swapped
+      ? simulateDuel(petB, petA, rng)
+      : simulateDuel(petA, petB, rng);
+    const winner =
+      duel.winner === "draw"
+        ? "draw"
+        : (duel.winner === "a") !== swapped
+        ? "a"
+        : "b";
+
+    if (winner === "a") totals.winsA++;
+    else if (winner === "b") totals.winsB++;
+    else totals.draws++;
+
+    totals.turns += duel.turns;
+    totals.damageA += swapped ? duel.damage.b : duel.damage.a;
+    damageTotal += duel.damage.a + duel.damage.b;
+  }
+
+  return {
+    battles,
+    winsA: totals.winsA,
+    winsB: totals.winsB,
+    draws: totals.draws,
+    winRate: totals.winsA / battles,
+    avgTurns: totals.turns / battles,
+    damageShare: damageTotal > 0 ? totals.damageA / damageTotal : 0.5,
+  };
+}
+
+// Every entry against every other entry. Cells read as "row vs column" and
+// only one side of the diagonal is simulated; the mirror is its complement.
+export function buildMatchupMatrix(entries, options = {}) {
+  const cells = entries.map(() => new Array(entries.length));
+
+  entries.forEach((row, i) => {
+    for (let j = i; j < entries.length; j++) {
+      const result = runMatchup(row.pet, entries[j].pet, {
+        ...options,
+        seed: (options.seed || 1) + (i * entries.length + j) * 100003,
+      });
+      cells[i][j] = result;
+      if (i === j) continue;
+      cells[j][i] = {
+        battles: result.battles,
+        winsA: result.winsB,
+        winsB: result.winsA,
+        draws: result.draws,
+        winRate: result.winsB / result.battles,
+        avgTurns: result.avgTurns,
+        damageShare: 1 - result.damageShare,
+      };
+    }
+  });
+
+  return { labels: entries.map((entry) => entry.label), cells };
+}
+
+// What each report dimension varies; everything else stays at the base pet
+export const BALANCE_DIMENSIONS = {
+  types: (base) =>
+    Object.values(PET_TYPES).map((type) => ({
+      label: type.name,
+      pet: buildBalancePet(base, { type: type.name }),
+    })),
+
+  techniques: (base) =>
+    [null, ...Object.keys(TECHNIQUES)].map((technique) => ({
+      label: technique || "None",
+      pet: buildBalancePet(base, { technique, techniqueLevel: 1 }),
+    })),
+
+  rarities: (base) =>
+    [...PET_RARITIES].reverse().map((rarity) => ({
+      label: rarity.name,
+      pet: buildBalancePet(base, { rarity: rarity.name }),
+    })),
+};
+
+// Per-entry averages across a matrix row
+export function summarizeMatrix(matrix) {
+  return matrix.labels.map((label, i) => {
+    const row = matrix.cells[i];
+    const average = (key) =>
+      row.reduce((sum, cell) => sum + cell[key], 0) / row.length;
+
+    return {
+      label,
+      winRate: average("winRate"),
+      avgTurns: average("avgTurns"),
+      damageShare: average("damageShare"),
+    };
+  });
+}
+
+const round = (value) => +value.toFixed(4);
+
+const csvField = (value) =>
+  /[",\n]/.test(String(value))
+    ? `"${String(value).replace(/"/g, '""')}"`
+    : String(value);
+
+// Win-rate grid: one row per entry, one column per opponent
+export function matrixToCSV(matrix, key = "winRate") {
+  const header = ["", ...matrix.labels].map(csvField).join(",");
+  const rows = matrix.cells.map((row, i) =>
+    [matrix.labels[i], ...row.map((cell) => round(cell[key]))]
+      .map(csvField)
+      .join(",")
+  );
+  return [header, ...rows].join("\n") + "\n";
+}
+
+// Long format: one line per matchup with every metric
+export function matchupsToCSV(matrix) {
+  const header =
+    "pet,opponent,battles,wins,losses,draws,winRate,avgTurns,damageShare";
+  const rows = [];
+
+  matrix.cells.forEach((row, i) =>
+    row.forEach((cell, j) =>
+      rows.push(
+        [
+          matrix.labels[i],
+          matrix.labels[j],
+          cell.battles,
+          cell.winsA,
+          cell.winsB,
+          cell.draws,
+          round(cell.winRate),
+          round(cell.avgTurns),
+          round(cell.damageShare),
+        ]
+          .map(csvField)
+          .join(",")
+      )
+    )
+  );
+
+  return [header, ...rows].join("\n") + "\n";
+}
+
+// Run the requested dimensions and collect matrices plus per-entry summaries
+export function buildBalanceReport({
+  dimensions = Object.keys(BALANCE_DIMENSIONS),
+  base = DEFAULT_BALANCE_PET,
+  pets = null,
+  battles = 200,
+  seed = 1,
+} = {}) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    battlesPerMatchup: battles,
+    seed,
+    base,
+    dimensions: {},
+  };
+
+  const entriesFor = {
+    ...BALANCE_DIMENSIONS,
+    custom: () =>
+      pets.map((pet, index) => ({
+        label: pet.label || `pet_${index + 1}`,
+        pet: buildBalancePet(base, pet),
+      })),
+  };
+
+  dimensions.forEach((dimension) => {
+    if (!entriesFor[dimension]) {
+      throw new Error(`Unknown balance dimension "${dimension}"`);
+    }
+    if (dimension === "custom" && !pets?.length) {
+      throw new Error("The custom dimension needs pets in the config file");
+    }
+
+    const matrix = buildMatchupMatrix(entriesFor[dimension](base), {
+      battles,
+      seed,
+    });
+    report.dimensions[dimension] = {
+      labels: matrix.labels,
+      cells: matrix.cells.map((row) =>
+        row.map((cell) => ({
+          ...cell,
+          winRate: round(cell.winRate),
+          avgTurns: round(cell.avgTurns),
+          damageShare: round(cell.damageShare),
+        }))
+      ),
+      summary: summarizeMatrix(matrix).map((entry) => ({
+        ...entry,
+        winRate: round(entry.winRate),
+        avgTurns: round(entry.avgTurns),
+        damageShare: round(entry.damageShare),
+      })),
+    };
+  });
+
+  return report;
+}
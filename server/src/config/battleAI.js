@@ -0,0 +1,306 @@
+// src/config/battleAI.js
+
+"use strict";
+
+import {
+  AI_DIFFICULTIES,
+  ALL_ABILITIES,
+  getTechniqueMultipliers,
+} from "../utils/constants.js";
+import { getLoadout } from "./abilities.js";
+import {
+  chooseAbility,
+  computeDamage,
+  determineBattleResult,
+  generateSmartAttack,
+  getEffectiveStats,
+  getManaRegen,
+  getMaxMana,
+  getTypeEffectiveness,
+} from "./battleLogic.js";
+
+// Opponent AI strategies. Each PvE difficulty in AI_DIFFICULTIES names one;
+// pets without a difficulty (player teams, PvP autopilot) play "weighted".
+// The lookahead strategies never draw from the battle rng, so seeded replays
+// stay in step no matter which strategy a pet uses.
+
+const LOOKAHEAD_ACTIONS = ["attack", "defend", "parry", "recover"];
+const RECOVER_RATIO = 0.15;
+
+/** --- Weighted picks --- **/
+
+// Chance that the weighted AI reaches for an ability before anything else
+function getAbilityUseChance(ability, self, other) {
+  if (ability.type === "SUPPORT" && self.hp < self.maxHP * 0.4) return 0.7;
+  if (ability.type === "OFFENSIVE" && other.hp < other.maxHP * 0.3) return 0.6;
+  return 0.3;
+}
+
+function shouldUseAbility(pet, opponentPet, rng = Math.random) {
+  const ability = chooseAbility(pet, opponentPet);
+  if (!ability) return false;
+
+  return (
+    rng() <
+    getAbilityUseChance(
+      ability,
+      { hp: pet.currentHP, maxHP: pet.stats.hp },
+      { hp: opponentPet.currentHP, maxHP: opponentPet.stats.hp }
+    )
+  );
+}
+
+// The action distribution the weighted AI plays from a given state, used by
+// the lookahead to predict how the other pet answers. Mirrors
+// shouldUseAbility followed by generateSmartAttack.
+function getWeightedPolicy(self, other) {
+  let weights = [0.6, 0.2, 0.2];
+  if (self.hp < self.maxHP * 0.3) {
+    weights = [0.3, 0.5, 0.2];
+  } else if (other.hp < other.maxHP * 0.3) {
+    weights = [0.8, 0.1, 0.1];
+  }
+
+  const regular = ["attack", "defend", "parry"];
+  if (!isAbilityReady(self)) {
+    return regular.map((action, i) => [action, weights[i]]);
+  }
+
+  const useChance = getAbilityUseChance(self.ability, self, other);
+  const abilityWeight = 0.3;
+  return [
+    ...regular.map((action, i) => [
+      action,
+      (1 - useChance) * weights[i] * (1 - abilityWeight),
+    ]),
+    ["ability", useChance + (1 - useChance) * abilityWeight],
+  ];
+}
+
+/** --- Lookahead model --- **/
+
+// Average crit multiplier for a hit
+function expectedCrit(stats) {
+  return 1 + (stats.critChance || 0) * ((stats.critDamage || 1.5) - 1);
+}
+
+// Expected damage of a regular hit, as calculateRegularDamage rolls it
+function expectedRegularDamage(attacker, defender) {
+  const stats = getEffectiveStats(attacker);
+  const technique = getTechniqueMultipliers(
+    attacker.technique,
+    attacker.techniqueLevel || 1
+  );
+
+  return (
+    computeDamage(
+      stats.dmg || 10,
+      attacker.level,
+      defender.level,
+      getTypeEffectiveness(attacker.type, defender.type),
+      expectedCrit(stats),
+      technique.dmg || 1.0
+    ) * (attacker.fatigueMultiplier ?? 1)
+  );
+}
+
+// Expected damage of the pet's ability against a defender at `defenderHP`,
+// as calculateAbilityDamage rolls it
+function expectedAbilityDamage(ability, attacker, defender, defenderHP) {
+  const stats = getEffectiveStats(attacker);
+  const technique = getTechniqueMultipliers(
+    attacker.technique,
+    attacker.techniqueLevel || 1
+  );
+
+  let damage =
+    (ability.power || 20) *
+    getTypeEffectiveness(ability.element, defender.type) *
+    (1 + (attacker.level - 1) * 0.05) *
+    (technique.dmg || 1.0) *
+    (attacker.fatigueMultiplier ?? 1);
+
+  if (ability.effect === "EXECUTE") {
+    damage *= 1 + (defender.stats.hp - defenderHP) / defender.stats.hp;
+  }
+  if (ability.type === "OFFENSIVE") {
+    damage *= expectedCrit(stats);
+  }
+  if (ability.effect === "INSTANT_KILL") {
+    const chance = ability.effectChance || 0.3;
+    damage = damage * (1 - chance) + defenderHP * chance;
+  }
+
+  return Math.floor(damage);
+}
+
+// The parts of a pet the lookahead tracks from turn to turn. It models the
+// loadout ability the pet would pick now, or its first one while none is
+// ready. Checking readiness sets up mana, so that runs on a copy.
+function snapshot(pet, opponentPet) {
+  const ability =
+    chooseAbility({ ...pet }, opponentPet) ||
+    ALL_ABILITIES[getLoadout(pet)[0]] ||
+    null;
+  const maxMana = pet.maxMana ?? getMaxMana(pet);
+
+  return {
+    pet,
+    ability,
+    hp: pet.currentHP,
+    maxHP: pet.stats.hp,
+    mana: pet.mana ?? maxMana,
+    maxMana,
+    manaRegen: getManaRegen(pet),
+    cooldown: ability ? pet.abilityCooldowns?.[ability.id] || 0 : 0,
+    hitDamage: 0,
+  };
+}
+
+function isAbilityReady(side) {
+  return (
+    !!side.ability &&
+    side.cooldown <= 0 &&
+    side.mana >= (side.ability.manaCost || 0)
+  );
+}
+
+function getLookaheadActions(side) {
+  return isAbilityReady(side)
+    ? [...LOOKAHEAD_ACTIONS, "ability"]
+    : LOOKAHEAD_ACTIONS;
+}
+
+// Play one turn on the model the way evaluateTurn resolves it: a single
+// damage figure from whichever pet leads, landed according to the action
+// matrix, then recovery, cooldowns and mana regeneration
+function resolveTurn(state, selfAction, otherAction) {
+  const self = { ...state.self };
+  const other = { ...state.other };
+
+  let damage;
+  if (selfAction === "ability") {
+    damage = expectedAbilityDamage(self.ability, self.pet, other.pet, other.hp);
+  } else if (otherAction === "ability") {
+    damage = expectedAbilityDamage(other.ability, other.pet, self.pet, self.hp);
+  } else if (!selfAction) {
+    damage = other.hitDamage;
+  } else {
+    damage = self.hitDamage;
+  }
+
+  const result = determineBattleResult(selfAction, otherAction);
+  if (result === "win" || result === "both damaged") other.hp -= damage;
+  if (result === "lose" || result === "both damaged") self.hp -= damage;
+  self.hp = Math.max(0, self.hp);
+  other.hp = Math.max(0, other.hp);
+
+  [
+    [self, selfAction],
+    [other, otherAction],
+  ].forEach(([side, action]) => {
+    if (!action) return;
+    if (action === "recover" && side.hp > 0) {
+      side.hp = Math.min(
+        side.maxHP,
+        side.hp + Math.floor(side.maxHP * RECOVER_RATIO)
+      );
+    }
+    if (action === "ability") {
+      side.cooldown = side.ability.cooldown || 1;
+      side.mana = Math.max(0, side.mana - (side.ability.manaCost || 0));
+    }
+    side.cooldown = Math.max(0, side.cooldown - 1);
+    if (side.hp > 0) {
+      side.mana = Math.min(side.maxMana, side.mana + side.manaRegen);
+    }
+  });
+
+  return { self, other };
+}
+
+// Health lead from the deciding pet's point of view; a knockout outweighs
+// any amount of chip damage
+function evaluateState({ self, other }) {
+  let score = self.hp / self.maxHP - other.hp / other.maxHP;
+  if (other.hp <= 0) score += 1;
+  if (self.hp <= 0) score -= 1;
+  return score;
+}
+
+// Expected score of each action: the other pet answers from its weighted
+// policy (or sits out while it waits on the timeline), then the best line is
+// followed for the remaining depth
+function scoreActions(state, depth, otherActs) {
+  return getLookaheadActions(state.self).map((action) => {
+    const responses = otherActs
+      ? getWeightedPolicy(state.other, state.self).filter(([, p]) => p > 0)
+      : [[null, 1]];
+
+    const value = responses.reduce((sum, [response, probability]) => {
+      const next = resolveTurn(state, action, response);
+      return sum + probability * searchValue(next, depth - 1);
+    }, 0);
+
+    return { action, value };
+  });
+}
+
+function searchValue(state, depth) {
+  if (depth <= 0 || state.self.hp <= 0 || state.other.hp <= 0) {
+    return evaluateState(state);
+  }
+  return Math.max(
+    ...scoreActions(state, depth, true).map((scored) => scored.value)
+  );
+}
+
+// Best action for `pet` looking `depth` turns ahead
+export function chooseLookaheadAction(pet, opponentPet, depth = 1) {
+  const state = {
+    self: snapshot(pet, opponentPet),
+    other: snapshot(opponentPet, pet),
+  };
+  state.self.hitDamage = expectedRegularDamage(pet, opponentPet);
+  state.other.hitDamage = expectedRegularDamage(opponentPet, pet);
+
+  // Opponents still waiting on the timeline don't answer this turn
+  const otherActs =
+    opponentPet.nextActionAt === undefined ||
+    pet.nextActionAt === undefined ||
+    opponentPet.nextActionAt <= pet.nextActionAt;
+
+  // Ties keep the earlier action, so attacking wins an even call
+  return scoreActions(state, depth, otherActs).reduce((best, scored) =>
+    scored.value > best.value + 1e-9 ? scored : best
+  ).action;
+}
+
+/** --- Strategy registry --- **/
+
+export const AI_STRATEGIES = {
+  // Situational weights with a chance to open with an ability
+  weighted: (pet, opponentPet, rng) => {
+    if (shouldUseAbility(pet, opponentPet, rng)) {
+      return "ability";
+    }
+    return generateSmartAttack(pet, opponentPet, rng);
+  },
+
+  // One turn scored against the action matrix
+  greedy: (pet, opponentPet) => chooseLookaheadAction(pet, opponentPet, 1),
+
+  // Expectimax over `depth` turns
+  expectimax: (pet, opponentPet, rng, config) =>
+    chooseLookaheadAction(pet, opponentPet, config.depth || 2),
+};
+
+export function getAIConfig(difficulty) {
+  return AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.easy;
+}
+
+// Pick the next action for a pet from the strategy its difficulty names
+export function chooseAIAction(pet, opponentPet, rng = Math.random) {
+  const config = getAIConfig(pet.aiDifficulty);
+  return AI_STRATEGIES[config.strategy](pet, opponentPet, rng, config);
+}
@@ -0,0 +1,151 @@
+// src/config/battleEvents.js
+
+"use strict";
+
+import { BATTLE_STREAM_CONFIG } from "../utils/constants.js";
+import { getEffectiveStats } from "./battleLogic.js";
+
+// Turn records carry the events evaluateTurn narrated (actions, items,
+// damage, heals, statuses, faints). This frames them with battle, match,
+// turn and round markers into one numbered stream the client can animate
+// and resume from any point.
+
+function summarizePet(pet, fallbackId) {
+  if (!pet) return { id: fallbackId };
+
+  return {
+    id: pet.id,
+    name: pet.name,
+    type: pet.type,
+    rarity: pet.rarity,
+    level: pet.level,
+    ability: pet.ability,
+    maxHP: getEffectiveStats(pet).hp,
+  };
+}
+
+const findPet = (team, petId) =>
+  team.find((pet) => pet.id?.toString() === petId?.toString());
+
+const statusNames = (statuses = []) => statuses.map((status) => status.name);
+
+// Every event of a finished (or replayed) round-robin battle, in order
+export function buildBattleEvents({
+  battleLog,
+  playerTeam,
+  opponentTeam,
+  winner,
+  playerWins,
+  opponentWins,
+}) {
+  const events = [];
+  const push = (event) => events.push({ seq: events.length, ...event });
+  const score = { player: 0, opponent: 0 };
+
+  push({
+    type: "battle_start",
+    playerTeam: playerTeam.map((pet) => summarizePet(pet)),
+    opponentTeam: opponentTeam.map((pet) => summarizePet(pet)),
+    totalMatches: battleLog.length,
+  });
+
+  battleLog.forEach((match, index) => {
+    push({
+      type: "match_start",
+      round: match.round,
+      match: index + 1,
+      player: summarizePet(
+        findPet(playerTeam, match.playerPet),
+        match.playerPet
+      ),
+      opponent: summarizePet(
+        findPet(opponentTeam, match.opponentPet),
+        match.opponentPet
+      ),
+    });
+
+    match.result.turns.forEach((turn) => {
+      push({ type: "turn_start", turn: turn.turn, tick: turn.tick });
+      (turn.events || []).forEach((event) => push(event));
+      push({
+        type: "turn_end",
+        turn: turn.turn,
+        hp: { player: turn.playerHP, opponent: turn.opponentHP },
+        statusEffects: {
+          player: statusNames(turn.statusEffects?.player),
+          opponent: statusNames(turn.statusEffects?.opponent),
+        },
+      });
+    });
+
+    if (score[match.result.winner] !== undefined) {
+      score[match.result.winner] += 1;
+    }
+    push({
+      type: "match_end",
+      round: match.round,
+      match: index + 1,
+      winner: match.result.winner,
+      score: { ...score },
+    });
+
+    if (battleLog[index + 1]?.round !== match.round) {
+      push({ type: "round_end", round: match.round, score: { ...score } });
+    }
+  });
+
+  push({
+    type: "battle_end",
+    winner,
+    score: { player: playerWins, opponent: opponentWins },
+  });
+
+  return events;
+}
+
+// Stored PvP battles keep both sides as A and B; spectators watch them with
+// A in the player seat
+export function fromPvPBattle(battleData) {
+  const seat = { A: "player", B: "opponent" };
+
+  return {
+    battleLog: battleData.battleLog.map((match) => ({
+      round: match.round,
+      playerPet: match.petA,
+      opponentPet: match.petB,
+      result: {
+        winner: seat[match.result.winner],
+        turns: match.result.turns.map((turn) => ({
+          turn: turn.turn,
+          tick: turn.tick,
+          playerHP: turn.hp.A,
+          opponentHP: turn.hp.B,
+          events: turn.events,
+        })),
+      },
+    })),
+    playerTeam: battleData.teams?.A || [],
+    opponentTeam: battleData.teams?.B || [],
+    winner: seat[battleData.winner] || "draw",
+    playerWins: battleData.wins.A,
+    opponentWins: battleData.wins.B,
+  };
+}
+
+// Playback speeds outside the configured range are pulled back into it
+export function clampStreamSpeed(speed, config = BATTLE_STREAM_CONFIG) {
+  const value = Number(speed);
+  if (!Number.isFinite(value) || value <= 0) return 1;
+  return Math.min(config.MAX_SPEED, Math.max(config.MIN_SPEED, value));
+}
+
+// How long to wait after sending an event at the given speed
+export function getEventDuration(
+  event,
+  speed = 1,
+  config = BATTLE_STREAM_CONFIG
+) {
+  const duration =
+    config.EVENT_DURATIONS_MS[event.type] ?? config.DEFAULT_DURATION_MS;
+  return Math.round(duration / clampStreamSpeed(speed, config));
+}
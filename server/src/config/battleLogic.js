@@ -6,11 +6,23 @@ import {
   PET_TYPES,
   ALL_ABILITIES,
   TECHNIQUES,
+  MANA_CONFIG,
+  TIMELINE_CONFIG,
+  getEquipmentMultipliers,
   getTechniqueMultipliers,
   isOnePlacementTechnique,
 } from "../utils/constants.js";
+import { getRarityMultiplier } from "../utils/rng.js";
+import { applyEffect, tickStatusEffects } from "./statusEffects.js";
+import { getUsableItems, reviveFaintedPet, useItem } from "./consumables.js";
+import { getSynergyMultipliers } from "./synergies.js";
+import { getLoadout } from "./abilities.js";
 
-const actions = ["attack", "defend", "parry", "ability"];
+// Bump whenever a change in this file alters battle outcomes, so battles
+// recorded under an older engine are not replayed with different results
+export const BATTLE_ENGINE_VERSION = "1.11.0";
+
+const actions = ["attack", "defend", "parry", "recover"];
 const weightedActions = [
   "attack",
   "attack",
@@ -21,7 +33,8 @@ const weightedActions = [
   "ability",
 ];
 
-// Action matrix for determining battle outcomes
+// Action matrix for determining battle outcomes. Using an item leaves the
+// pet as open as recovering does.
 const actionMatrix = {
   attack: {
     attack: "both damaged",
@@ -29,6 +42,7 @@ const actionMatrix = {
     parry: "lose",
     ability: "win",
     recover: "win",
+    item: "win",
   },
   defend: {
     attack: "lose",
@@ -36,6 +50,7 @@ const actionMatrix = {
     parry: "win",
     ability: "lose",
     recover: "tie",
+    item: "tie",
   },
   parry: {
     attack: "win",
@@ -43,6 +58,7 @@ const actionMatrix = {
     parry: "both damaged",
     ability: "win",
     recover: "win",
+    item: "win",
   },
   ability: {
     attack: "lose",
@@ -50,6 +66,7 @@ const actionMatrix = {
     parry: "lose",
     ability: "both damaged",
     recover: "win",
+    item: "win",
   },
   recover: {
     attack: "lose",
@@ -57,9 +74,28 @@ const actionMatrix = {
     parry: "lose",
     ability: "lose",
     recover: "tie",
+    item: "tie",
+  },
+  item: {
+    attack: "lose",
+    defend: "tie",
+    parry: "lose",
+    ability: "lose",
+    recover: "tie",
+    item: "tie",
   },
 };
 
+// Outcome for a pet acting while the other is still waiting on the timeline
+const soloOutcomes = {
+  attack: "win",
+  ability: "win",
+  defend: "tie",
+  parry: "tie",
+  recover: "tie",
+  item: "tie",
+};
+
 export function computeDamage(
   basePower,
   attackerLevel,
@@ -105,8 +141,40 @@ export function getTypeEffectiveness(attackerType, defenderType) {
   return 1.0; // Normal effectiveness
 }
 
+// Combine several sets of stat multipliers into one
+function mergeMultipliers(...sets) {
+  return sets.reduce((merged, set) => {
+    Object.entries(set).forEach(([stat, value]) => {
+      merged[stat] = (merged[stat] || 1) * value;
+    });
+    return merged;
+  }, {});
+}
+
+// Held items and team synergies multiply the pet's own stats
+function applyStatMultipliers(stats, multipliers) {
+  const boosted = { ...stats };
+
+  ["dmg", "hp"].forEach((stat) => {
+    if (multipliers[stat] && boosted[stat] !== undefined)
+      boosted[stat] = Math.round(boosted[stat] * multipliers[stat]);
+  });
+  ["range", "spa", "critChance", "critDamage", "moneyBonus"].forEach((stat) => {
+    if (multipliers[stat] && boosted[stat] !== undefined)
+      boosted[stat] = +(boosted[stat] * multipliers[stat]).toFixed(2);
+  });
+
+  return boosted;
+}
+
 export function getEffectiveStats(pet) {
-  const baseStats = { ...pet.stats };
+  const baseStats = applyStatMultipliers(
+    pet.stats,
+    mergeMultipliers(
+      getEquipmentMultipliers(pet.equipment),
+      getSynergyMultipliers(pet.synergies)
+    )
+  );
 
   if (!pet.technique) return baseStats;
 
@@ -116,7 +184,7 @@ export function getEffectiveStats(pet) {
   );
   const effectiveStats = { ...baseStats };
 
-  // Apply technique multipliers directly
+  // Apply technique multipliers on top of item and synergy modifiers
   if (techniqueMultipliers.dmg)
     effectiveStats.dmg = Math.round(baseStats.dmg * techniqueMultipliers.dmg);
   if (techniqueMultipliers.spa)
@@ -139,27 +207,85 @@ export function getEffectiveStats(pet) {
   return effectiveStats;
 }
 
-export function evaluateTurn(player, opponent, playerActionResult) {
-  const { playerAction, opponentAction, result } = playerActionResult;
+export function evaluateTurn(
+  player,
+  opponent,
+  playerActionResult,
+  rng = Math.random
+) {
+  const {
+    playerAction,
+    opponentAction,
+    result,
+    playerItem,
+    opponentItem,
+    playerAbility,
+    opponentAbility,
+  } = playerActionResult;
   const playerPet = player.pet;
   const opponentPet = opponent.pet;
 
+  // A null action means that pet is still waiting for its turn on the timeline
+  const actingPets = [];
+  if (playerAction) actingPets.push(playerPet);
+  if (opponentAction) actingPets.push(opponentPet);
+  const tick = Math.min(
+    ...actingPets.map((pet) => initializeTimeline(pet).nextActionAt)
+  );
+
   let damage = 0;
   let abilityUsed = null;
+  let abilityUser = null;
+  const hit = {};
+
+  // What happened, in order, for animated playback (see battleEvents.js)
+  const events = [];
+  const sideOf = (pet) => (pet === playerPet ? "player" : "opponent");
+  [
+    ["player", playerAction],
+    ["opponent", opponentAction],
+  ].forEach(([side, action]) => {
+    if (action) events.push({ type: "action", side, action });
+  });
+
+  // Items are used before any blows land
+  const itemsUsed = [];
+  [
+    [player, "player", playerAction, playerItem],
+    [opponent, "opponent", opponentAction, opponentItem],
+  ].forEach(([trainer, side, action, itemId]) => {
+    if (action !== "item") return;
+    const used = useItem(initializeMana(trainer.pet), itemId, trainer.bag);
+    if (!used) return;
+    itemsUsed.push({ side, ...used });
+    events.push({ type: "item", side, ...used, hp: trainer.pet.currentHP });
+  });
 
   // Get effective stats with technique multipliers
   const playerStats = getEffectiveStats(playerPet);
   const opponentStats = getEffectiveStats(opponentPet);
 
-  // Handle ability usage
-  if (playerAction === "ability" && playerPet.ability) {
-    abilityUsed = ALL_ABILITIES[playerPet.ability];
-    if (abilityUsed && canUseAbility(playerPet, abilityUsed)) {
+  // Handle ability usage; the ability comes from the pet's loadout
+  const playerChoice =
+    playerAction === "ability"
+      ? chooseAbility(playerPet, opponentPet, playerAbility)
+      : null;
+  const opponentChoice =
+    opponentAction === "ability"
+      ? chooseAbility(opponentPet, playerPet, opponentAbility)
+      : null;
+
+  if (playerAction === "ability") {
+    if (playerChoice) {
+      abilityUsed = playerChoice;
+      abilityUser = playerPet;
       damage = calculateAbilityDamage(
         abilityUsed,
         playerPet,
         opponentPet,
-        playerStats
+        playerStats,
+        rng,
+        hit
       );
       useAbility(playerPet, abilityUsed);
     } else {
@@ -169,17 +295,22 @@ export function evaluateTurn(player, opponent, playerActionResult) {
         playerPet,
         opponentPet,
         playerAction,
-        opponentAction
+        opponentAction,
+        rng,
+        hit
       );
     }
-  } else if (opponentAction === "ability" && opponentPet.ability) {
-    abilityUsed = ALL_ABILITIES[opponentPet.ability];
-    if (abilityUsed && canUseAbility(opponentPet, abilityUsed)) {
+  } else if (opponentAction === "ability") {
+    if (opponentChoice) {
+      abilityUsed = opponentChoice;
+      abilityUser = opponentPet;
       damage = calculateAbilityDamage(
         abilityUsed,
         opponentPet,
         playerPet,
-        opponentStats
+        opponentStats,
+        rng,
+        hit
       );
       useAbility(opponentPet, abilityUsed);
     } else {
@@ -188,9 +319,22 @@ export function evaluateTurn(player, opponent, playerActionResult) {
         opponentPet,
         playerPet,
         opponentAction,
-        playerAction
+        playerAction,
+        rng,
+        hit
       );
     }
+  } else if (!playerAction) {
+    // Only the opponent acts on this tick
+    damage = calculateRegularDamage(
+      opponentStats,
+      opponentPet,
+      playerPet,
+      opponentAction,
+      playerAction,
+      rng,
+      hit
+    );
   } else {
     // Regular attack damage
     damage = calculateRegularDamage(
@@ -198,7 +342,9 @@ export function evaluateTurn(player, opponent, playerActionResult) {
       playerPet,
       opponentPet,
       playerAction,
-      opponentAction
+      opponentAction,
+      rng,
+      hit
     );
   }
 
@@ -215,31 +361,128 @@ export function evaluateTurn(player, opponent, playerActionResult) {
   playerPet.currentHP = Math.max(0, playerPet.currentHP);
   opponentPet.currentHP = Math.max(0, opponentPet.currentHP);
 
-  // Apply ability effects
+  const damaged = {
+    win: [opponentPet],
+    lose: [playerPet],
+    "both damaged": [opponentPet, playerPet],
+  };
+  (damaged[result] || []).forEach((pet) => {
+    events.push({
+      type: "damage",
+      side: sideOf(pet),
+      amount: damage,
+      critical: !!hit.critical,
+      typeMultiplier: hit.typeMultiplier ?? 1,
+      ability: abilityUsed?.id || null,
+      hp: pet.currentHP,
+    });
+  });
+
+  // Recovering pets that are still standing restore part of their HP
+  [playerPet, opponentPet].forEach((pet) => {
+    if ((pet === playerPet ? playerAction : opponentAction) !== "recover") {
+      return;
+    }
+    const before = pet.currentHP;
+    recoverHealth(pet);
+    if (pet.currentHP > before) {
+      events.push({
+        type: "heal",
+        side: sideOf(pet),
+        amount: pet.currentHP - before,
+        hp: pet.currentHP,
+      });
+    }
+  });
+
+  // Apply ability effects from whichever pet used the ability
   if (abilityUsed && abilityUsed.effect) {
+    const playerUsedAbility = abilityUser === playerPet;
+    const statusesBefore = [
+      ...(playerPet.statusEffects || []),
+      ...(opponentPet.statusEffects || []),
+    ];
     applyAbilityEffect(
       abilityUsed,
-      playerPet,
-      opponentPet,
+      abilityUser,
+      playerUsedAbility ? opponentPet : playerPet,
       { damage },
-      playerStats
+      playerUsedAbility ? playerStats : opponentStats,
+      rng
+    );
+    [playerPet, opponentPet].forEach((pet) =>
+      (pet.statusEffects || [])
+        .filter((status) => !statusesBefore.includes(status))
+        .forEach((status) =>
+          events.push({
+            type: "status_applied",
+            side: sideOf(pet),
+            status: status.name,
+            statusType: status.type,
+            duration: status.duration,
+          })
+        )
     );
   }
 
-  // Process cooldowns and status effects
-  processCooldowns(playerPet);
-  processCooldowns(opponentPet);
-  processStatusEffects(playerPet);
-  processStatusEffects(opponentPet);
+  // Pets that acted process cooldowns, status effects and mana regeneration,
+  // then queue their next action
+  actingPets.forEach((pet) => {
+    const ticking = (pet.statusEffects || []).map((status) => status.name);
+    const hpBefore = pet.currentHP;
+
+    processCooldowns(pet);
+    processStatusEffects(pet, rng);
+    regenerateMana(pet);
+    scheduleNextAction(pet);
+
+    if (ticking.length > 0) {
+      const remaining = pet.statusEffects.map((status) => status.name);
+      events.push({
+        type: "status_tick",
+        side: sideOf(pet),
+        statuses: ticking,
+        expired: ticking.filter((name) => !remaining.includes(name)),
+        hpChange: pet.currentHP - hpBefore,
+        hp: pet.currentHP,
+      });
+    }
+  });
+
+  // A revive in the bag picks a fainted pet back up, which costs it its
+  // next action
+  [
+    [player, "player"],
+    [opponent, "opponent"],
+  ].forEach(([trainer, side]) => {
+    const revived = reviveFaintedPet(trainer.pet, trainer.bag);
+    if (!revived) return;
+    scheduleNextAction(trainer.pet);
+    itemsUsed.push({ side, ...revived });
+    events.push({ type: "item", side, ...revived, hp: trainer.pet.currentHP });
+  });
+
+  [playerPet, opponentPet]
+    .filter((pet) => pet.currentHP <= 0)
+    .forEach((pet) =>
+      events.push({ type: "faint", side: sideOf(pet), petId: pet.id })
+    );
+
+  // Speed changes shift the wait of a pet that is between actions
+  syncActionInterval(playerPet, tick);
+  syncActionInterval(opponentPet, tick);
 
   return {
     player,
     opponent,
     damage,
     abilityUsed,
+    itemsUsed,
+    events,
     playerAction,
     opponentAction,
     result,
+    tick,
   };
 }
 
@@ -248,7 +491,9 @@ export function calculateRegularDamage(
   attacker,
   defender,
   attackerAction,
-  defenderAction
+  defenderAction,
+  rng = Math.random,
+  hit = {}
 ) {
   const basePower = attackerStats.dmg || 10;
   const typeMultiplier = getTypeEffectiveness(attacker.type, defender.type);
@@ -263,9 +508,14 @@ export function calculateRegularDamage(
   // Check for critical hit with technique bonuses
   const critChance = attackerStats.critChance || 0;
   const critMultiplier = attackerStats.critDamage || 1.5;
-  const isCritical = Math.random() < critChance;
+  const isCritical = rng() < critChance;
   const finalCritMultiplier = isCritical ? critMultiplier : 1.0;
 
+  // Callers that narrate the hit read these back
+  hit.critical = isCritical;
+  hit.typeMultiplier = typeMultiplier;
+
+  // Tired pets (low stamina going in) hit softer
   return Math.floor(
     computeDamage(
       basePower,
@@ -274,7 +524,7 @@ export function calculateRegularDamage(
       typeMultiplier,
       finalCritMultiplier,
       techniqueMultiplier
-    )
+    ) * (attacker.fatigueMultiplier ?? 1)
   );
 }
 
@@ -282,10 +532,14 @@ export function calculateAbilityDamage(
   ability,
   attacker,
   defender,
-  attackerStats
+  attackerStats,
+  rng = Math.random,
+  hit = {}
 ) {
   const basePower = ability.power || 20;
   const typeMultiplier = getTypeEffectiveness(ability.element, defender.type);
+  hit.critical = false;
+  hit.typeMultiplier = typeMultiplier;
   const levelMultiplier = 1 + (attacker.level - 1) * 0.05;
 
   // Get technique damage multiplier
@@ -296,7 +550,11 @@ export function calculateAbilityDamage(
   const techniqueMultiplier = techniqueMultipliers.dmg || 1.0;
 
   let damage = Math.floor(
-    basePower * typeMultiplier * levelMultiplier * techniqueMultiplier
+    basePower *
+      typeMultiplier *
+      levelMultiplier *
+      techniqueMultiplier *
+      (attacker.fatigueMultiplier ?? 1)
   );
 
   // Apply special damage modifiers
@@ -324,8 +582,9 @@ export function calculateAbilityDamage(
         effect.name === "critical_guarantee" || effect.guaranteedCritical
     );
 
-    if (hasGuaranteedCritical || Math.random() < critChance) {
+    if (hasGuaranteedCritical || rng() < critChance) {
       damage = Math.floor(damage * critMultiplier);
+      hit.critical = true;
     }
   }
 
@@ -342,7 +601,7 @@ export function calculateAbilityDamage(
   // Handle instant kill
   if (
     ability.effect === "INSTANT_KILL" &&
-    Math.random() < (ability.effectChance || 0.3)
+    rng() < (ability.effectChance || 0.3)
   ) {
     damage = defender.currentHP; // Instantly kill
   }
@@ -355,433 +614,23 @@ export function applyAbilityEffect(
   attacker,
   defender,
   result,
-  attackerStats
+  attackerStats,
+  rng = Math.random
 ) {
   const effectChance = ability.effectChance || 0.3;
 
-  if (Math.random() > effectChance) return;
-
-  // Get technique multipliers for DOT effects
-  const techniqueMultipliers = getTechniqueMultipliers(
-    attacker.technique,
-    attacker.techniqueLevel || 1
-  );
-  const dotDurationMultiplier = techniqueMultipliers.dotDuration || 1.0;
-  const dotDamageMultiplier = techniqueMultipliers.dotDamage || 1.0;
-
-  switch (ability.effect) {
-    case "BURN":
-      const burnDuration = Math.floor(3 * dotDurationMultiplier);
-      const burnDamage = Math.floor(
-        attackerStats.dmg * 0.1 * dotDamageMultiplier
-      );
-      defender.statusEffects.push({
-        name: "burn",
-        duration: burnDuration,
-        damagePerTurn: burnDamage,
-        type: "damage",
-      });
-      break;
-
-    case "PERMANENT_BURN":
-      defender.statusEffects.push({
-        name: "permanent_burn",
-        duration: 999, // Permanent
-        damagePerTurn: Math.floor(attackerStats.dmg * 0.2),
-        type: "damage",
-      });
-      break;
-
-    case "DOT":
-      const dotDuration = Math.floor(2 * dotDurationMultiplier);
-      const dotDamage = Math.floor(
-        ((ability.power || 15) * dotDamageMultiplier) / dotDuration
-      );
-      defender.statusEffects.push({
-        name: "damage_over_time",
-        duration: dotDuration,
-        damagePerTurn: dotDamage,
-        type: "damage",
-      });
-      break;
-
-    case "DAMAGE_OVER_TIME":
-      const customDotDuration = Math.floor(3 * dotDurationMultiplier);
-      const customDotDamage = Math.floor(
-        ((ability.power || 20) * dotDamageMultiplier) / customDotDuration
-      );
-      defender.statusEffects.push({
-        name: "damage_over_time",
-        duration: customDotDuration,
-        damagePerTurn: customDotDamage,
-        type: "damage",
-      });
-      break;
-
-    case "STUN":
-      defender.statusEffects.push({
-        name: "stun",
-        duration: 1,
-        type: "stun",
-      });
-      break;
-
-    case "HEAL":
-      const healAmount = ability.power || 20;
-      attacker.currentHP = Math.min(
-        attacker.stats.hp,
-        attacker.currentHP + healAmount
-      );
-      break;
-
-    case "FULL_HEAL":
-      attacker.currentHP = attacker.stats.hp;
-      // Also heal team members if applicable
-      if (attacker.team) {
-        attacker.team.forEach((pet) => {
-          pet.currentHP = pet.stats.hp;
-        });
-      }
-      break;
-
-    case "HEAL_OVER_TIME":
-      const hotDuration = Math.floor(3 * dotDurationMultiplier);
-      attacker.statusEffects.push({
-        name: "heal_over_time",
-        duration: hotDuration,
-        healPerTurn: Math.floor((ability.power || 15) / hotDuration),
-        type: "heal",
-      });
-      break;
-
-    case "DEFENSE_UP":
-      attacker.statusEffects.push({
-        name: "defense_up",
-        duration: 3,
-        defenseMultiplier: 1.3,
-        type: "buff",
-      });
-      break;
-
-    case "DEFENSE_DOWN":
-      defender.statusEffects.push({
-        name: "defense_down",
-        duration: 3,
-        defenseMultiplier: 0.7,
-        type: "debuff",
-      });
-      break;
-
-    case "PERMANENT_STAT_REDUCTION":
-      defender.statusEffects.push({
-        name: "permanent_stat_reduction",
-        duration: 999,
-        attackMultiplier: 0.7,
-        defenseMultiplier: 0.7,
-        speedMultiplier: 0.7,
-        type: "debuff",
-      });
-      break;
-
-    case "ATTACK_DOWN":
-      defender.statusEffects.push({
-        name: "attack_down",
-        duration: 3,
-        attackMultiplier: 0.6,
-        type: "debuff",
-      });
-      break;
-
-    case "SLOW":
-      defender.statusEffects.push({
-        name: "slow",
-        duration: 2,
-        speedReduction: 0.7,
-        type: "debuff",
-      });
-      break;
-
-    case "SPEED_UP":
-      attacker.statusEffects.push({
-        name: "speed_up",
-        duration: 3,
-        speedMultiplier: 1.4,
-        type: "buff",
-      });
-      break;
-
-    case "EVASION_UP":
-      attacker.statusEffects.push({
-        name: "evasion_up",
-        duration: 3,
-        evasionBonus: 0.5, // 50% evasion chance
-        type: "buff",
-      });
-      break;
-
-    case "ACCURACY_DOWN":
-      defender.statusEffects.push({
-        name: "accuracy_down",
-        duration: 3,
-        accuracyReduction: 0.6,
-        type: "debuff",
-      });
-      break;
+  if (rng() > effectChance) return;
 
-    case "LIFE_STEAL":
-      const stealAmount = Math.floor(result.damage * 0.5); // 50% of damage dealt
-      attacker.currentHP = Math.min(
-        attacker.stats.hp,
-        attacker.currentHP + stealAmount
-      );
-      break;
-
-    case "CLEANSE":
-      attacker.statusEffects = attacker.statusEffects.filter(
-        (effect) =>
-          ![
-            "burn",
-            "permanent_burn",
-            "stun",
-            "defense_down",
-            "attack_down",
-            "slow",
-            "damage_over_time",
-            "sleep",
-            "confusion",
-            "accuracy_down",
-            "permanent_stat_reduction",
-            "healing_reduction",
-            "heal_reversal",
-            "silence",
-            "turn_delay",
-          ].includes(effect.name)
-      );
-      break;
-
-    case "SLEEP":
-      const sleepDuration = Math.floor(1 + Math.random());
-      defender.statusEffects.push({
-        name: "sleep",
-        duration: sleepDuration,
-        type: "stun",
-      });
-      break;
-
-    case "CONFUSION":
-      defender.statusEffects.push({
-        name: "confusion",
-        duration: 2,
-        selfDamageChance: 0.3,
-        type: "debuff",
-      });
-      break;
-
-    case "TURN_DELAY":
-      defender.statusEffects.push({
-        name: "turn_delay",
-        duration: 1,
-        turnsDelayed: 1,
-        type: "debuff",
-      });
-      break;
-
-    case "DAMAGE_REDUCTION":
-      attacker.statusEffects.push({
-        name: "damage_reduction",
-        duration: 1,
-        damageReduction: 0.5,
-        type: "buff",
-      });
-      break;
-
-    case "DAMAGE_IMMUNITY":
-      attacker.statusEffects.push({
-        name: "damage_immunity",
-        duration: 1,
-        type: "buff",
-      });
-      break;
-
-    case "IMMORTALITY":
-      attacker.statusEffects.push({
-        name: "immortality",
-        duration: 1,
-        type: "buff",
-      });
-      break;
-
-    case "BARRIER":
-      attacker.statusEffects.push({
-        name: "barrier",
-        duration: 3,
-        damageReduction: 0.8, // 80% damage reduction
-        type: "buff",
-      });
-      break;
-
-    case "SILENCE":
-      defender.statusEffects.push({
-        name: "silence",
-        duration: 2,
-        type: "debuff",
-      });
-      break;
-
-    case "HEALING_REDUCTION":
-      defender.statusEffects.push({
-        name: "healing_reduction",
-        duration: 4,
-        healingReduction: 0.8, // 80% healing reduction
-        type: "debuff",
-      });
-      break;
-
-    case "HEAL_REVERSAL":
-      defender.statusEffects.push({
-        name: "heal_reversal",
-        duration: 3,
-        type: "debuff",
-      });
-      break;
-
-    case "BUFF_REMOVAL":
-      defender.statusEffects = defender.statusEffects.filter(
-        (effect) => effect.type !== "buff"
-      );
-      break;
-
-    case "RANDOM_DEBUFF":
-      const randomDebuffs = [
-        { effect: "DEFENSE_DOWN", duration: 2 },
-        { effect: "ATTACK_DOWN", duration: 2 },
-        { effect: "SLOW", duration: 2 },
-        { effect: "ACCURACY_DOWN", duration: 2 },
-        { effect: "CONFUSION", duration: 1 },
-      ];
-      const randomDebuff =
-        randomDebuffs[Math.floor(Math.random() * randomDebuffs.length)];
-
-      // Apply the random debuff
-      const tempAbility = {
-        effect: randomDebuff.effect,
-        effectChance: 1.0,
-        power: ability.power,
-      };
-      applyAbilityEffect(
-        tempAbility,
-        attacker,
-        defender,
-        result,
-        attackerStats
-      );
-      break;
-
-    case "TRANSFORMATION":
-      attacker.statusEffects.push({
-        name: "transformation",
-        duration: 999, // Permanent until battle ends
-        evasionBonus: 0.4,
-        criticalChance: 0.3,
-        type: "buff",
-      });
-      break;
-
-    case "DAMAGE_AMPLIFICATION":
-      defender.statusEffects.push({
-        name: "damage_amplification",
-        duration: 3,
-        damageTakenMultiplier: 1.2,
-        type: "debuff",
-      });
-      break;
-
-    case "SCALING_DAMAGE":
-      const fallenAllies = attacker.team
-        ? attacker.team.filter((pet) => pet.currentHP <= 0).length
-        : 0;
-      result.scalingMultiplier = 1 + fallenAllies * 0.3; // 30% more damage per fallen ally
-      break;
-
-    case "RESURRECTION":
-      // Resurrect fallen team members
-      if (attacker.team) {
-        attacker.team.forEach((pet) => {
-          if (pet.currentHP <= 0) {
-            pet.currentHP = Math.floor(pet.stats.hp * 0.5); // 50% HP on resurrection
-          }
-          // Also apply stat boost
-          pet.statusEffects.push({
-            name: "resurrection_boost",
-            duration: 3,
-            attackMultiplier: 1.2,
-            defenseMultiplier: 1.2,
-            speedMultiplier: 1.2,
-            type: "buff",
-          });
-        });
-      }
-      break;
-
-    case "BATTLE_RESET":
-      // This effect is handled in the battle controller
-      attacker.statusEffects.push({
-        name: "battle_reset_ready",
-        duration: 999,
-        type: "buff",
-      });
-      break;
-
-    case "MULTI_HIT":
-      result.multiHit = true;
-      result.hitCount = 3; // Number of hits
-      break;
-
-    case "EXECUTE":
-      const missingHPRatio =
-        (defender.stats.hp - defender.currentHP) / defender.stats.hp;
-      result.executeMultiplier = 1 + missingHPRatio; // Up to 2x damage
-      break;
-
-    case "INSTANT_KILL":
-      if (Math.random() < effectChance) {
-        defender.currentHP = 0;
-        result.instantKill = true;
-      }
-      break;
-
-    case "TRUE_DAMAGE":
-      result.trueDamage = true;
-      break;
-
-    case "DEFENSE_IGNORE":
-      result.ignoreDefense = true;
-      break;
-
-    case "CRITICAL_GUARANTEE":
-      attacker.statusEffects.push({
-        name: "critical_guarantee",
-        duration: 1,
-        guaranteedCritical: true,
-        type: "buff",
-      });
-      break;
-
-    case "TYPE_ADVANTAGE":
-      result.typeAdvantage = true;
-      break;
-
-    case "STAT_REDUCTION":
-      defender.statusEffects.push({
-        name: "stat_reduction",
-        duration: 3,
-        attackMultiplier: 0.8,
-        defenseMultiplier: 0.8,
-        speedMultiplier: 0.8,
-        type: "debuff",
-      });
-      break;
-  }
+  // Behaviour lives in the status effect registry
+  applyEffect(ability.effect, {
+    ability,
+    attacker,
+    defender,
+    result,
+    attackerStats,
+    effectChance,
+    rng,
+  });
 }
 
 // ONE PLACEMENT validation for battle teams
@@ -818,15 +667,182 @@ export function calculateBattleRewards(baseReward, winningPets) {
 }
 
 export function canUseAbility(pet, ability) {
+  if (getCurrentMana(pet) < (ability.manaCost || 0)) return false;
   if (!pet.abilityCooldowns) return true;
   return !(pet.abilityCooldowns[ability.id] > 0);
 }
 
+// Loadout abilities that are off cooldown and affordable right now
+export function getReadyAbilities(pet) {
+  return getLoadout(pet)
+    .map((abilityId) => ALL_ABILITIES[abilityId])
+    .filter((ability) => ability && canUseAbility(pet, ability));
+}
+
+// The ability a pet uses for an "ability" action: the one asked for if it's
+// ready, otherwise a support ability when badly hurt, otherwise the hardest
+// hitting one against this opponent. Earlier loadout slots win ties.
+export function chooseAbility(pet, opponentPet, abilityId = null) {
+  const ready = getReadyAbilities(pet);
+  if (ready.length === 0) return null;
+
+  const requested = ready.find((ability) => ability.id === abilityId);
+  if (requested) return requested;
+
+  if (pet.currentHP < pet.stats.hp * 0.4) {
+    const support = ready.find((ability) => ability.type === "SUPPORT");
+    if (support) return support;
+  }
+
+  const strength = (ability) =>
+    (ability.power || 20) *
+    getTypeEffectiveness(ability.element, opponentPet.type);
+  return ready.reduce((best, ability) =>
+    strength(ability) > strength(best) ? ability : best
+  );
+}
+
 export function useAbility(pet, ability) {
   if (!pet.abilityCooldowns) {
     pet.abilityCooldowns = {};
   }
   pet.abilityCooldowns[ability.id] = ability.cooldown || 1;
+
+  initializeMana(pet);
+  pet.mana = Math.max(0, pet.mana - (ability.manaCost || 0));
+}
+
+// Held items and synergies that scale mana, on top of techniques
+function getManaMultipliers(pet) {
+  return mergeMultipliers(
+    getEquipmentMultipliers(pet.equipment),
+    getSynergyMultipliers(pet.synergies)
+  );
+}
+
+// Mana pool from HP, scaled by part of the rarity multiplier and by items;
+// flat modifiers on the pet are added on top
+export function getMaxMana(pet) {
+  const rarity = pet.rarity
+    ? pet.rarity.charAt(0).toUpperCase() + pet.rarity.slice(1).toLowerCase()
+    : null;
+  const rarityScale =
+    1 + (getRarityMultiplier(rarity) - 1) * MANA_CONFIG.RARITY_SCALING;
+  const itemScale = getManaMultipliers(pet).maxMana || 1;
+  const bonus = pet.statModifiers?.maxMana || 0;
+
+  return (
+    Math.round(
+      (MANA_CONFIG.BASE_MANA + (pet.stats?.hp || 0) * MANA_CONFIG.MANA_PER_HP) *
+        rarityScale *
+        itemScale
+    ) + bonus
+  );
+}
+
+// Per-turn regen; techniques and items scale it and flat modifiers add to it
+export function getManaRegen(pet) {
+  const techniqueMultipliers = getTechniqueMultipliers(
+    pet.technique,
+    pet.techniqueLevel || 1
+  );
+  const multiplier =
+    (techniqueMultipliers.manaRegen || 1.0) *
+    (getManaMultipliers(pet).manaRegen || 1);
+  const maxMana = pet.maxMana ?? getMaxMana(pet);
+
+  return Math.max(
+    MANA_CONFIG.MIN_REGEN,
+    Math.floor(maxMana * MANA_CONFIG.REGEN_RATE * multiplier) +
+      (pet.statModifiers?.manaRegen || 0)
+  );
+}
+
+// Battle pets start each fight with a full pool
+export function initializeMana(pet) {
+  if (pet.maxMana === undefined) pet.maxMana = getMaxMana(pet);
+  if (pet.mana === undefined) pet.mana = pet.maxMana;
+  return pet;
+}
+
+export function getCurrentMana(pet) {
+  return initializeMana(pet).mana;
+}
+
+export function regenerateMana(pet) {
+  initializeMana(pet);
+  if (pet.currentHP <= 0) return;
+  pet.mana = Math.min(pet.maxMana, pet.mana + getManaRegen(pet));
+}
+
+const roundTick = (value) =>
+  Math.round(value * TIMELINE_CONFIG.PRECISION) / TIMELINE_CONFIG.PRECISION;
+
+// Ticks between actions: the spa stat scaled by SPEED_UP, slow and other
+// speed statuses
+export function getActionInterval(pet) {
+  const speed = (pet.statusEffects || []).reduce(
+    (total, status) =>
+      total * (status.speedMultiplier ?? 1) * (status.speedReduction ?? 1),
+    1
+  );
+  const spa = pet.stats?.spa || TIMELINE_CONFIG.DEFAULT_SPA;
+
+  return Math.max(TIMELINE_CONFIG.MIN_INTERVAL, roundTick(spa / speed));
+}
+
+// Pets first act one interval into the match
+export function initializeTimeline(pet) {
+  if (pet.actionInterval === undefined) {
+    pet.actionInterval = getActionInterval(pet);
+  }
+  if (pet.nextActionAt === undefined) pet.nextActionAt = pet.actionInterval;
+  return pet;
+}
+
+export function resetTimeline(pet) {
+  pet.actionInterval = getActionInterval(pet);
+  pet.nextActionAt = pet.actionInterval;
+}
+
+// Which pets act next and at what tick; pets due on the same tick act together
+export function getNextTimelineStep(playerPet, opponentPet) {
+  initializeTimeline(playerPet);
+  initializeTimeline(opponentPet);
+  const tick = Math.min(playerPet.nextActionAt, opponentPet.nextActionAt);
+
+  return {
+    tick,
+    player: playerPet.nextActionAt === tick,
+    opponent: opponentPet.nextActionAt === tick,
+  };
+}
+
+export function scheduleNextAction(pet) {
+  initializeTimeline(pet);
+  pet.actionInterval = getActionInterval(pet);
+  pet.nextActionAt = roundTick(pet.nextActionAt + pet.actionInterval);
+}
+
+// Scale the time a waiting pet has left when its speed changes
+export function syncActionInterval(pet, tick) {
+  initializeTimeline(pet);
+  const interval = getActionInterval(pet);
+  if (interval === pet.actionInterval) return;
+
+  const remaining = Math.max(0, pet.nextActionAt - tick);
+  pet.nextActionAt = roundTick(
+    tick + remaining * (interval / pet.actionInterval)
+  );
+  pet.actionInterval = interval;
+}
+
+export function recoverHealth(pet, ratio = 0.15) {
+  if (pet.currentHP <= 0) return;
+  pet.currentHP = Math.min(
+    pet.stats.hp,
+    pet.currentHP + Math.floor(pet.stats.hp * ratio)
+  );
 }
 
 export function processCooldowns(pet) {
@@ -838,55 +854,8 @@ export function processCooldowns(pet) {
   });
 }
 
-export function processStatusEffects(pet) {
-  const newStatusEffects = [];
-
-  for (const status of pet.statusEffects) {
-    status.duration--;
-
-    // Handle special status effects
-    switch (status.name) {
-      case "escalating_dot":
-        status.currentTurn++;
-        const dotDamage = status.baseDamage * status.currentTurn;
-        pet.currentHP = Math.max(0, pet.currentHP - dotDamage);
-        break;
-
-      case "confusion":
-        if (Math.random() < status.selfDamageChance) {
-          // Pet hits itself
-          pet.currentHP = Math.max(
-            0,
-            pet.currentHP - Math.floor(pet.stats.dmg * 0.3)
-          );
-        }
-        break;
-
-      case "heal_reversal":
-        // This is handled when healing occurs
-        break;
-
-      default:
-        // Handle standard damage/heal effects
-        if (status.type === "damage" && status.damagePerTurn) {
-          pet.currentHP -= status.damagePerTurn;
-        } else if (status.type === "heal" && status.healPerTurn) {
-          pet.currentHP = Math.min(
-            pet.stats.hp,
-            pet.currentHP + status.healPerTurn
-          );
-        }
-        break;
-    }
-
-    // Keep the status if it still has duration
-    if (status.duration > 0) {
-      newStatusEffects.push(status);
-    }
-  }
-
-  pet.currentHP = Math.max(0, pet.currentHP);
-  pet.statusEffects = newStatusEffects;
+export function processStatusEffects(pet, rng = Math.random) {
+  tickStatusEffects(pet, rng);
 }
 
 export function recoverPokemon(playerPokemon, opponentPokemon) {
@@ -894,6 +863,10 @@ export function recoverPokemon(playerPokemon, opponentPokemon) {
   opponentPokemon.currentHP = opponentPokemon.stats.hp;
   playerPokemon.statusEffects = [];
   opponentPokemon.statusEffects = [];
+  playerPokemon.mana = initializeMana(playerPokemon).maxMana;
+  opponentPokemon.mana = initializeMana(opponentPokemon).maxMana;
+  resetTimeline(playerPokemon);
+  resetTimeline(opponentPokemon);
 }
 
 // Schedule round-robin matches
@@ -913,7 +886,7 @@ export function scheduleRounds(numPlayers) {
 }
 
 // Generate smart AI attack using weighted actions
-export function generateSmartAttack(pet, opponentPet) {
+export function generateSmartAttack(pet, opponentPet, rng = Math.random) {
   let weights = [0.6, 0.2, 0.2]; // Default weights for attack, defend, parry
 
   // Adjust weights based on situation
@@ -925,15 +898,15 @@ export function generateSmartAttack(pet, opponentPet) {
     weights = [0.8, 0.1, 0.1];
   }
 
-  // Consider using ability if available and not on cooldown
-  if (pet.ability && canUseAbility(pet, ALL_ABILITIES[pet.ability])) {
+  // Consider using an ability if one in the loadout is ready
+  if (getReadyAbilities(pet).length > 0) {
     // Add ability to possible actions with some weight
     const abilityWeight = 0.3;
     weights = weights.map((w) => w * (1 - abilityWeight));
     weights.push(abilityWeight);
 
     const actionsWithAbility = ["attack", "defend", "parry", "ability"];
-    const random = Math.random();
+    const random = rng();
     let cumulativeWeight = 0;
 
     for (let i = 0; i < actionsWithAbility.length; i++) {
@@ -946,7 +919,7 @@ export function generateSmartAttack(pet, opponentPet) {
 
   // Fallback to regular actions without ability
   const regularActions = ["attack", "defend", "parry"];
-  const random = Math.random();
+  const random = rng();
   let cumulativeWeight = 0;
 
   for (let i = 0; i < regularActions.length; i++) {
@@ -960,31 +933,58 @@ export function generateSmartAttack(pet, opponentPet) {
 }
 
 // Evaluate player battle (compatibility function)
-export function evaluatePlayerBattle(player, opponent, playerAction) {
-  const opponentAction = generateSmartAttack(opponent.pet, player.pet);
+export function evaluatePlayerBattle(
+  player,
+  opponent,
+  playerAction,
+  rng = Math.random,
+  playerItem = null,
+  playerAbility = null
+) {
+  // The AI only picks a move when its pet is due on the timeline
+  const step = getNextTimelineStep(player.pet, opponent.pet);
+  const opponentAction = step.opponent
+    ? generateSmartAttack(opponent.pet, player.pet, rng)
+    : null;
   const result = determineBattleResult(playerAction, opponentAction);
 
-  return evaluateTurn(player, opponent, {
-    playerAction,
-    opponentAction,
-    result,
-  });
+  return evaluateTurn(
+    player,
+    opponent,
+    {
+      playerAction,
+      opponentAction,
+      result,
+      playerItem,
+      playerAbility,
+    },
+    rng
+  );
 }
 
 // Determine battle result using the action matrix
 export function determineBattleResult(playerAction, opponentAction) {
+  if (!opponentAction) return soloOutcomes[playerAction] || "tie";
+  if (!playerAction) {
+    return soloOutcomes[opponentAction] === "win" ? "lose" : "tie";
+  }
   return actionMatrix[playerAction]?.[opponentAction] || "both damaged";
 }
 
 // Get available actions for a pet
-export function getAvailableActions(pet) {
+export function getAvailableActions(pet, bag = null) {
   const availableActions = [...actions]; // Start with all basic actions
 
-  // Check if ability is available
-  if (pet.ability && canUseAbility(pet, ALL_ABILITIES[pet.ability])) {
+  // Any loadout ability that is off cooldown and affordable
+  if (getReadyAbilities(pet).length > 0) {
     availableActions.push("ability");
   }
 
+  // Items need something in the bag that would help right now
+  if (getUsableItems(pet, bag).length > 0) {
+    availableActions.push("item");
+  }
+
   return availableActions;
 }
 
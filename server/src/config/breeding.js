@@ -0,0 +1,204 @@
+// src/config/breeding.js
+
+"use strict";
+
+import {
+  BREEDING_CONFIG,
+  PET_RARITIES,
+  POTENTIAL_CONFIG,
+} from "../utils/constants.js";
+import { getRarityMultiplier } from "../utils/rng.js";
+import { inheritPotential } from "./potential.js";
+
+// Genetics for bred eggs. The child takes its type (and that parent's
+// ability) from one parent, each stat from within the range the two parents
+// span, and maybe a technique. Mutations can make it shiny or lift its
+// rarity a tier, and part of its hidden potential is passed down. Everything
+// draws from the rng passed in, so a seeded rng gives the same child every
+// time.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const INTEGER_STATS = ["dmg", "hp"];
+const INHERITED_STATS = [
+  "dmg",
+  "hp",
+  "range",
+  "spa",
+  "critChance",
+  "critDamage",
+  "moneyBonus",
+];
+
+// Common is tier 0; each rarer entry in PET_RARITIES is one tier up
+export function getRarityTier(rarity) {
+  const index = PET_RARITIES.findIndex((entry) => entry.name === rarity);
+  return index === -1 ? 0 : PET_RARITIES.length - 1 - index;
+}
+
+function rarityAtTier(tier) {
+  const capped = Math.max(0, Math.min(PET_RARITIES.length - 1, tier));
+  return PET_RARITIES[PET_RARITIES.length - 1 - capped].name;
+}
+
+// Milliseconds until the pet can breed again
+export function getBreedingCooldown(
+  pet,
+  now = Date.now(),
+  config = BREEDING_CONFIG
+) {
+  if (!pet.lastBredAt) return 0;
+
+  const readyAt =
+    new Date(pet.lastBredAt).getTime() + config.COOLDOWN_HOURS * HOUR_MS;
+  return Math.max(0, readyAt - now);
+}
+
+// Why a single pet can't breed right now, or null if it can
+export function getBreedingBlocker(
+  pet,
+  now = Date.now(),
+  config = BREEDING_CONFIG
+) {
+  if ((pet.level || 1) < config.MIN_LEVEL) {
+    return `${pet.name} must be level ${config.MIN_LEVEL} to breed`;
+  }
+  if (pet.isListed) {
+    return `${pet.name} is listed on the marketplace`;
+  }
+
+  const cooldown = getBreedingCooldown(pet, now, config);
+  if (cooldown > 0) {
+    return `${pet.name} can breed again in ${Math.ceil(
+      cooldown / HOUR_MS
+    )} hour(s)`;
+  }
+
+  return null;
+}
+
+export function validateBreedingPair(
+  parentA,
+  parentB,
+  now = Date.now(),
+  config = BREEDING_CONFIG
+) {
+  if (parentA.id?.toString() === parentB.id?.toString()) {
+    return "A pet can't breed with itself";
+  }
+
+  return (
+    getBreedingBlocker(parentA, now, config) ||
+    getBreedingBlocker(parentB, now, config)
+  );
+}
+
+// Rarer parents cost more to breed
+export function getBreedingCost(parentA, parentB, config = BREEDING_CONFIG) {
+  const averageTier =
+    (getRarityTier(parentA.rarity) + getRarityTier(parentB.rarity)) / 2;
+  return Math.round(
+    config.BASE_COST + config.COST_PER_RARITY_TIER * averageTier
+  );
+}
+
+const roundStat = (stat, value) =>
+  INTEGER_STATS.includes(stat) ? Math.round(value) : +value.toFixed(2);
+
+// The range each stat can land in, before any rarity mutation
+export function getStatRanges(parentA, parentB, config = BREEDING_CONFIG) {
+  return INHERITED_STATS.reduce((ranges, stat) => {
+    const values = [parentA.stats?.[stat] ?? 0, parentB.stats?.[stat] ?? 0];
+    ranges[stat] = {
+      min: roundStat(stat, Math.min(...values) * (1 - config.STAT_SPREAD)),
+      max: roundStat(stat, Math.max(...values) * (1 + config.STAT_SPREAD)),
+    };
+    return ranges;
+  }, {});
+}
+
+export function getShinyChance(parentA, parentB, config = BREEDING_CONFIG) {
+  const shinyParents = [parentA, parentB].filter((pet) => pet.isShiny).length;
+  return config.SHINY_CHANCE + shinyParents * config.SHINY_PARENT_BONUS;
+}
+
+// What a pair could produce, for the client to show before breeding
+export function describeInheritance(
+  parentA,
+  parentB,
+  config = BREEDING_CONFIG
+) {
+  return {
+    types: [...new Set([parentA.type, parentB.type])],
+    rarities: [...new Set([parentA.rarity, parentB.rarity])],
+    statRanges: getStatRanges(parentA, parentB, config),
+    techniques: [parentA.technique, parentB.technique].filter(Boolean),
+    techniqueChance: config.TECHNIQUE_INHERIT_CHANCE,
+    shinyChance: getShinyChance(parentA, parentB, config),
+    rarityUpgradeChance: config.RARITY_UPGRADE_CHANCE,
+    potentialInheritChance: POTENTIAL_CONFIG.BREED_INHERIT_CHANCE,
+    cost: getBreedingCost(parentA, parentB, config),
+  };
+}
+
+// Roll the child's genes: Pet-compatible data plus the mutations it got
+export function inheritGenes(
+  parentA,
+  parentB,
+  rng = Math.random,
+  config = BREEDING_CONFIG
+) {
+  const typeParent = rng() < 0.5 ? parentA : parentB;
+  const rarityParent = rng() < 0.5 ? parentA : parentB;
+  const mutations = [];
+
+  let rarity = rarityParent.rarity;
+  if (rng() < config.RARITY_UPGRADE_CHANCE) {
+    const upgraded = rarityAtTier(getRarityTier(rarity) + 1);
+    if (upgraded !== rarity) {
+      mutations.push("rarity_upgrade");
+      rarity = upgraded;
+    }
+  }
+
+  // A rarer child is scaled up the way generated pets of that rarity are
+  const rarityScale =
+    getRarityMultiplier(rarity) / getRarityMultiplier(rarityParent.rarity);
+  const ranges = getStatRanges(parentA, parentB, config);
+  const stats = INHERITED_STATS.reduce((rolled, stat) => {
+    const { min, max } = ranges[stat];
+    const value = min + rng() * (max - min);
+    rolled[stat] = roundStat(
+      stat,
+      INTEGER_STATS.includes(stat) ? value * rarityScale : value
+    );
+    return rolled;
+  }, {});
+
+  const technique =
+    [parentA.technique, parentB.technique].find(
+      (candidate) => candidate && rng() < config.TECHNIQUE_INHERIT_CHANCE
+    ) || null;
+
+  const isShiny = rng() < getShinyChance(parentA, parentB, config);
+  if (isShiny) mutations.push("shiny");
+
+  const potential = inheritPotential(parentA, parentB, rng);
+
+  return {
+    pet: {
+      name: `${typeParent.type}ling`,
+      type: typeParent.type,
+      rarity,
+      ability: typeParent.ability,
+      technique,
+      stats,
+      isShiny,
+      potential,
+      parentIds: [parentA.id, parentB.id],
+      generation:
+        Math.max(parentA.generation || 0, parentB.generation || 0) + 1,
+    },
+    mutations,
+  };
+}
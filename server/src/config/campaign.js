@@ -0,0 +1,233 @@
+// src/config/campaign.js
+
+"use strict";
+
+import {
+  ALL_ABILITIES,
+  CAMPAIGN_CHAPTERS,
+  CONSUMABLE_DEFINITIONS,
+  ITEM_DEFINITIONS,
+  PET_TYPES,
+} from "../utils/constants.js";
+
+// Chapters and stages are described in constants/campaign.json. Stages name
+// their star conditions and stat modifiers, which are resolved here.
+
+// How each star condition is judged against a finished stage battle
+const STAR_CONDITIONS = {
+  victory: {
+    describe: () => "Win the stage",
+    met: (summary) => summary.victory,
+  },
+  no_faints: {
+    describe: () => "No pets faint",
+    met: (summary) => summary.victory && summary.faints === 0,
+  },
+  max_turns: {
+    describe: (condition) => `Win within ${condition.value} turns`,
+    met: (summary, condition) =>
+      summary.victory && summary.turns <= condition.value,
+  },
+};
+
+const MODIFIABLE_STATS = [
+  "dmg",
+  "hp",
+  "range",
+  "spa",
+  "critChance",
+  "critDamage",
+];
+
+export function getChapter(chapterId, chapters = CAMPAIGN_CHAPTERS) {
+  return chapters.find((chapter) => chapter.id === chapterId) || null;
+}
+
+export function findStage(stageId, chapters = CAMPAIGN_CHAPTERS) {
+  for (const chapter of chapters) {
+    const index = chapter.stages.findIndex((stage) => stage.id === stageId);
+    if (index !== -1) {
+      return { chapter, stage: chapter.stages[index], index };
+    }
+  }
+  return null;
+}
+
+// Best star count per stage id from a user's progress entries
+export function getStarsByStage(progress) {
+  return new Map(
+    (progress?.stages || []).map((entry) => [entry.stageId, entry.stars])
+  );
+}
+
+// A chapter opens once every stage of the chapter it names is cleared and
+// enough stars were collected there
+export function isChapterUnlocked(
+  chapter,
+  starsByStage,
+  chapters = CAMPAIGN_CHAPTERS
+) {
+  if (!chapter.unlock) return true;
+
+  const required = getChapter(chapter.unlock.chapter, chapters);
+  if (!required) return false;
+
+  const stars = required.stages.map((stage) => starsByStage.get(stage.id) || 0);
+  return (
+    stars.every((count) => count > 0) &&
+    stars.reduce((sum, count) => sum + count, 0) >=
+      (chapter.unlock.minStars || 0)
+  );
+}
+
+// Stages open in order inside an unlocked chapter
+export function isStageUnlocked(
+  stageId,
+  starsByStage,
+  chapters = CAMPAIGN_CHAPTERS
+) {
+  const found = findStage(stageId, chapters);
+  if (!found || !isChapterUnlocked(found.chapter, starsByStage, chapters)) {
+    return false;
+  }
+  if (found.index === 0) return true;
+
+  const previous = found.chapter.stages[found.index - 1];
+  return (starsByStage.get(previous.id) || 0) > 0;
+}
+
+// Scale the stats of every battle-format pet whose element a modifier
+// targets. Modifiers apply to both sides; returns new pet objects.
+export function applyStageModifiers(team, modifiers = []) {
+  return team.map((pet) => {
+    const stats = { ...pet.stats };
+
+    for (const modifier of modifiers) {
+      if (pet.type?.toUpperCase() !== modifier.element) continue;
+      if (typeof stats[modifier.stat] !== "number") continue;
+
+      stats[modifier.stat] =
+        modifier.stat === "critChance" || modifier.stat === "spa"
+          ? +(stats[modifier.stat] * modifier.multiplier).toFixed(2)
+          : Math.round(stats[modifier.stat] * modifier.multiplier);
+    }
+
+    return { ...pet, stats, currentHP: stats.hp };
+  });
+}
+
+// Reduce a round-robin result to what star conditions look at
+export function summarizeStageBattle(battleResult) {
+  return {
+    victory: battleResult.winner === "player",
+    faints: battleResult.battleLog.filter(
+      (entry) => entry.result.finalPlayerHP <= 0
+    ).length,
+    turns: battleResult.battleLog.reduce(
+      (sum, entry) => sum + entry.result.turns.length,
+      0
+    ),
+  };
+}
+
+export function describeStarCondition(condition) {
+  return STAR_CONDITIONS[condition.type]?.describe(condition) || condition.type;
+}
+
+// Stars for a stage battle: one per condition met, none without a win
+export function evaluateStars(stage, summary) {
+  const conditions = stage.stars.map((condition) => ({
+    type: condition.type,
+    description: describeStarCondition(condition),
+    met: STAR_CONDITIONS[condition.type].met(summary, condition),
+  }));
+
+  return {
+    stars: summary.victory ? conditions.filter((c) => c.met).length : 0,
+    conditions,
+  };
+}
+
+// Check the campaign data. Throws so the server refuses to start with a
+// stage that references an unknown ability, element or star condition.
+export function validateCampaign(chapters = CAMPAIGN_CHAPTERS) {
+  const errors = [];
+  const stageIds = new Set();
+  const elements = Object.keys(PET_TYPES);
+
+  chapters.forEach((chapter, chapterIndex) => {
+    if (chapter.unlock) {
+      const required = chapters.findIndex(
+        (other) => other.id === chapter.unlock.chapter
+      );
+      if (required === -1 || required >= chapterIndex) {
+        errors.push(
+          `Chapter ${chapter.id} must unlock from an earlier chapter, not "${chapter.unlock.chapter}"`
+        );
+      }
+    }
+
+    chapter.stages.forEach((stage) => {
+      if (stageIds.has(stage.id)) {
+        errors.push(`Stage id ${stage.id} is used twice`);
+      }
+      stageIds.add(stage.id);
+
+      if (!stage.opponents?.length) {
+        errors.push(`Stage ${stage.id} has no opponents`);
+      }
+      if (!stage.stars?.length || stage.stars.length > 3) {
+        errors.push(`Stage ${stage.id} needs between 1 and 3 star conditions`);
+      }
+      (stage.stars || [])
+        .filter((condition) => !STAR_CONDITIONS[condition.type])
+        .forEach((condition) =>
+          errors.push(
+            `Stage ${stage.id} has unknown star condition "${condition.type}"`
+          )
+        );
+
+      (stage.modifiers || []).forEach((modifier) => {
+        if (!elements.includes(modifier.element)) {
+          errors.push(
+            `Stage ${stage.id} modifies unknown element "${modifier.element}"`
+          );
+        }
+        if (!MODIFIABLE_STATS.includes(modifier.stat)) {
+          errors.push(
+            `Stage ${stage.id} modifies unknown stat "${modifier.stat}"`
+          );
+        }
+      });
+
+      (stage.opponents || []).forEach((opponent) => {
+        if (opponent.ability && !ALL_ABILITIES[opponent.ability]) {
+          errors.push(
+            `Stage ${stage.id} opponent ${opponent.name} has unknown ability ${opponent.ability}`
+          );
+        }
+        if (!elements.includes(opponent.type?.toUpperCase())) {
+          errors.push(
+            `Stage ${stage.id} opponent ${opponent.name} has unknown type ${opponent.type}`
+          );
+        }
+      });
+
+      (stage.firstClearRewards?.items || [])
+        .filter(
+          (item) =>
+            (item.type === "equipment" && !ITEM_DEFINITIONS[item.itemId]) ||
+            (item.type === "consumable" && !CONSUMABLE_DEFINITIONS[item.itemId])
+        )
+        .forEach((item) =>
+          errors.push(`Stage ${stage.id} rewards unknown item "${item.itemId}"`)
+        );
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid campaign:\n${errors.join("\n")}`);
+  }
+
+  return true;
+}
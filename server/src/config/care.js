@@ -0,0 +1,103 @@
+// src/config/care.js
+
+"use strict";
+
+import { CARE_CONFIG } from "../utils/constants.js";
+
+// Hunger and happiness work like stamina: pets store each meter as it was
+// at `careUpdatedAt` and the current value is worked out on read. Low meters
+// only cost damage and experience while they stay low; neglect never takes
+// anything away from a pet for good.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DECAY_PER_HOUR = {
+  hunger: "HUNGER_DECAY_PER_HOUR",
+  happiness: "HAPPINESS_DECAY_PER_HOUR",
+};
+
+export function getMeter(pet, meter, now = Date.now(), config = CARE_CONFIG) {
+  const stored = Math.min(config.MAX_METER, pet[meter] ?? config.MAX_METER);
+  if (!pet.careUpdatedAt) return stored;
+
+  const elapsed = Math.max(0, now - new Date(pet.careUpdatedAt).getTime());
+  const decay = (elapsed / HOUR_MS) * config[DECAY_PER_HOUR[meter]];
+  return Math.max(0, Math.ceil(stored - decay));
+}
+
+export function getCareMeters(pet, now = Date.now(), config = CARE_CONFIG) {
+  return {
+    hunger: getMeter(pet, "hunger", now, config),
+    happiness: getMeter(pet, "happiness", now, config),
+  };
+}
+
+// The lower meter decides how the pet is doing
+const lowestMeter = (pet, now, config) =>
+  Math.min(...Object.values(getCareMeters(pet, now, config)));
+
+export function getCareStatus(pet, now = Date.now(), config = CARE_CONFIG) {
+  const lowest = lowestMeter(pet, now, config);
+  if (lowest < config.NEGLECT_THRESHOLD) return "neglected";
+  if (lowest >= config.WELL_CARED_THRESHOLD) return "well_cared";
+  return "content";
+}
+
+// Damage multiplier; only neglected pets fight below their best
+export function getCareDamageMultiplier(
+  pet,
+  now = Date.now(),
+  config = CARE_CONFIG
+) {
+  const lowest = lowestMeter(pet, now, config);
+  if (lowest >= config.NEGLECT_THRESHOLD) return 1;
+
+  return +(
+    config.MIN_DAMAGE_MULTIPLIER +
+    (1 - config.MIN_DAMAGE_MULTIPLIER) * (lowest / config.NEGLECT_THRESHOLD)
+  ).toFixed(2);
+}
+
+// Experience multiplier; well cared for pets learn faster
+export function getCareExperienceMultiplier(
+  pet,
+  now = Date.now(),
+  config = CARE_CONFIG
+) {
+  const lowest = lowestMeter(pet, now, config);
+  if (lowest >= config.WELL_CARED_THRESHOLD) {
+    return config.WELL_CARED_EXPERIENCE_MULTIPLIER;
+  }
+  if (lowest >= config.NEGLECT_THRESHOLD) return 1;
+
+  return +(
+    config.MIN_EXPERIENCE_MULTIPLIER +
+    (1 - config.MIN_EXPERIENCE_MULTIPLIER) * (lowest / config.NEGLECT_THRESHOLD)
+  ).toFixed(2);
+}
+
+// Pet update after eating. Decay up to now is banked first.
+export function feed(pet, food, now = Date.now(), config = CARE_CONFIG) {
+  const meters = getCareMeters(pet, now, config);
+  return {
+    hunger: Math.min(config.MAX_METER, meters.hunger + (food.hunger || 0)),
+    happiness: Math.min(
+      config.MAX_METER,
+      meters.happiness + (food.happiness || 0)
+    ),
+    careUpdatedAt: new Date(now),
+  };
+}
+
+// Care as the client shows it
+export function describeCare(pet, now = Date.now(), config = CARE_CONFIG) {
+  const status = getCareStatus(pet, now, config);
+  return {
+    ...getCareMeters(pet, now, config),
+    max: config.MAX_METER,
+    status,
+    neglected: status === "neglected",
+    damageMultiplier: getCareDamageMultiplier(pet, now, config),
+    experienceMultiplier: getCareExperienceMultiplier(pet, now, config),
+  };
+}
@@ -0,0 +1,255 @@
+// src/config/consumables.js
+
+"use strict";
+
+import { restoreStamina } from "./stamina.js";
+import { CONSUMABLE_DEFINITIONS } from "../utils/constants.js";
+
+// Consumables a side brings into a battle live in an item bag:
+// { itemId: { quantity, used } }. The bag is shared by the whole team and
+// lasts the whole battle, so per-battle limits hold across matches. Using an
+// item takes the pet's action; revives fire on their own when a pet faints.
+// Out-of-battle items are used on a pet from the inventory instead and give
+// the pet update to save.
+
+// Each effect says whether it would do anything for the pet and applies it
+const ITEM_EFFECTS = {
+  heal: {
+    canApply: (pet) => pet.currentHP > 0 && pet.currentHP < pet.stats.hp,
+    apply: (pet, item) => {
+      const before = pet.currentHP;
+      pet.currentHP = Math.min(
+        pet.stats.hp,
+        pet.currentHP + Math.floor(pet.stats.hp * item.ratio)
+      );
+      return pet.currentHP - before;
+    },
+  },
+
+  cure: {
+    canApply: (pet, item) =>
+      pet.currentHP > 0 &&
+      (pet.statusEffects || []).some((status) =>
+        item.types.includes(status.type)
+      ),
+    apply: (pet, item) => {
+      const before = pet.statusEffects.length;
+      pet.statusEffects = pet.statusEffects.filter(
+        (status) => !item.types.includes(status.type)
+      );
+      return before - pet.statusEffects.length;
+    },
+  },
+
+  // Pets that haven't spent mana yet still have a full pool
+  restore_mana: {
+    canApply: (pet) =>
+      pet.currentHP > 0 && pet.maxMana !== undefined && pet.mana < pet.maxMana,
+    apply: (pet, item) => {
+      const before = pet.mana;
+      pet.mana = Math.min(
+        pet.maxMana,
+        pet.mana + Math.floor(pet.maxMana * item.ratio)
+      );
+      return pet.mana - before;
+    },
+  },
+
+  // Never picked as an action; see reviveFaintedPet
+  revive: {
+    canApply: () => false,
+    apply: (pet, item) => {
+      pet.currentHP = Math.max(1, Math.floor(pet.stats.hp * item.ratio));
+      pet.statusEffects = [];
+      return pet.currentHP;
+    },
+  },
+
+  restore_stamina: {
+    outOfBattle: true,
+    canApply: () => false,
+    getUpdate: (pet, item, now) => restoreStamina(pet, item.amount, now),
+  },
+};
+
+export function getConsumable(itemId) {
+  return CONSUMABLE_DEFINITIONS[itemId] || null;
+}
+
+export function isOutOfBattleItem(item) {
+  return Boolean(ITEM_EFFECTS[item?.effect]?.outOfBattle);
+}
+
+// Pet update for using an out-of-battle item on the pet; null otherwise
+export function getItemUpdate(pet, itemId, now = Date.now()) {
+  const item = getConsumable(itemId);
+  if (!isOutOfBattleItem(item)) return null;
+  return ITEM_EFFECTS[item.effect].getUpdate(pet, item, now);
+}
+
+// Normalise the { itemId: quantity } a player asks to bring
+export function createItemBag(items = {}) {
+  return Object.entries(items).reduce((bag, [itemId, quantity]) => {
+    if (quantity > 0) bag[itemId] = { quantity, used: 0 };
+    return bag;
+  }, {});
+}
+
+export function getRemainingUses(bag, itemId) {
+  const entry = bag?.[itemId];
+  const item = getConsumable(itemId);
+  if (!entry || !item) return 0;
+
+  return Math.max(
+    0,
+    Math.min(entry.quantity, item.perBattleLimit) - entry.used
+  );
+}
+
+export function canUseItem(pet, itemId, bag) {
+  const item = getConsumable(itemId);
+  if (!item || getRemainingUses(bag, itemId) <= 0) return false;
+  return ITEM_EFFECTS[item.effect].canApply(pet, item);
+}
+
+// Items the pet could use as its action right now
+export function getUsableItems(pet, bag) {
+  return Object.keys(bag || {}).filter((itemId) =>
+    canUseItem(pet, itemId, bag)
+  );
+}
+
+function consume(pet, item, bag) {
+  const amount = ITEM_EFFECTS[item.effect].apply(pet, item);
+  bag[item.id].used += 1;
+
+  return {
+    petId: pet.id,
+    itemId: item.id,
+    name: item.name,
+    effect: item.effect,
+    amount,
+  };
+}
+
+// Use an item as the pet's action; null if it can't be used
+export function useItem(pet, itemId, bag) {
+  if (!canUseItem(pet, itemId, bag)) return null;
+  return consume(pet, getConsumable(itemId), bag);
+}
+
+// Bring a fainted pet back with the first revive left in the bag
+export function reviveFaintedPet(pet, bag) {
+  if (pet.currentHP > 0) return null;
+
+  const itemId = Object.keys(bag || {}).find(
+    (id) =>
+      getConsumable(id)?.effect === "revive" && getRemainingUses(bag, id) > 0
+  );
+  if (!itemId) return null;
+
+  return consume(pet, getConsumable(itemId), bag);
+}
+
+// Autopilot pick for simulated battles. Never draws from the battle rng, so
+// seeded replays stay in step.
+export function chooseItem(pet, bag) {
+  const usable = getUsableItems(pet, bag);
+  if (usable.length === 0) return null;
+
+  const byEffect = (effect) =>
+    usable.filter((itemId) => getConsumable(itemId).effect === effect);
+
+  if (pet.currentHP < pet.stats.hp * 0.35) {
+    // The smallest heal that covers the gap, else the biggest one
+    const missing = pet.stats.hp - pet.currentHP;
+    const heals = byEffect("heal").sort(
+      (a, b) => getConsumable(a).ratio - getConsumable(b).ratio
+    );
+    const heal =
+      heals.find((id) => pet.stats.hp * getConsumable(id).ratio >= missing) ||
+      heals[heals.length - 1];
+    if (heal) return heal;
+  }
+
+  const harmful = (pet.statusEffects || []).some(
+    (status) => status.type === "damage" || status.type === "stun"
+  );
+  if (harmful && byEffect("cure").length > 0) return byEffect("cure")[0];
+
+  if (pet.mana < pet.maxMana * 0.25 && byEffect("restore_mana").length > 0) {
+    return byEffect("restore_mana")[0];
+  }
+
+  return null;
+}
+
+// How many of each item the bag used, for settling the inventory
+export function getItemUsage(bag) {
+  return Object.entries(bag || {}).reduce((usage, [itemId, entry]) => {
+    if (entry.used > 0) usage[itemId] = entry.used;
+    return usage;
+  }, {});
+}
+
+// What the bag still holds, to go back into the inventory
+export function getUnusedItems(bag) {
+  return Object.entries(bag || {}).reduce((unused, [itemId, entry]) => {
+    if (entry.quantity > entry.used) {
+      unused[itemId] = entry.quantity - entry.used;
+    }
+    return unused;
+  }, {});
+}
+
+// The bag as the client shows it
+export function describeItemBag(bag, pet = null) {
+  return Object.entries(bag || {}).map(([itemId, entry]) => {
+    const item = getConsumable(itemId);
+    return {
+      itemId,
+      name: item?.name || itemId,
+      description: item?.description,
+      effect: item?.effect,
+      quantity: entry.quantity,
+      used: entry.used,
+      remaining: getRemainingUses(bag, itemId),
+      usable: pet ? canUseItem(pet, itemId, bag) : false,
+    };
+  });
+}
+
+// Validate consumables.json at startup so a typo fails loudly
+export function validateConsumables(consumables = CONSUMABLE_DEFINITIONS) {
+  const errors = [];
+
+  Object.entries(consumables).forEach(([id, item]) => {
+    if (item.id !== id) {
+      errors.push(`Consumable ${id} has a mismatched id "${item.id}"`);
+    }
+    if (!ITEM_EFFECTS[item.effect]) {
+      errors.push(`Consumable ${id} has unknown effect "${item.effect}"`);
+    }
+    if (isOutOfBattleItem(item)) {
+      if (!(item.amount > 0)) {
+        errors.push(`Consumable ${id} needs a positive amount`);
+      }
+      return;
+    }
+    if (!(item.perBattleLimit > 0)) {
+      errors.push(`Consumable ${id} needs a positive perBattleLimit`);
+    }
+    if (item.effect !== "cure" && !(item.ratio > 0 && item.ratio <= 1)) {
+      errors.push(`Consumable ${id} needs a ratio between 0 and 1`);
+    }
+    if (item.effect === "cure" && !item.types?.length) {
+      errors.push(`Consumable ${id} needs the status types it cures`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid consumables:\n${errors.join("\n")}`);
+  }
+
+  return true;
+}
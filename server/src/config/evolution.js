@@ -0,0 +1,261 @@
+// src/config/evolution.js
+
+"use strict";
+
+import {
+  ALL_ABILITIES,
+  EVOLUTION_CONFIG,
+  EVOLUTION_TREES,
+  ITEM_DEFINITIONS,
+  PET_TYPES,
+} from "../utils/constants.js";
+import { getLearnedAbilities, teachAbility } from "./abilities.js";
+
+// Evolution trees from constants/evolutions.json. Each type has a base
+// form; every form lists the forms it can branch into, and each of those
+// says what it requires and how it changes the pet. Pets that predate the
+// trees have no form yet and start from their type's base form.
+
+const INTEGER_STATS = ["dmg", "hp"];
+
+const typeKey = (pet) => pet.type?.toUpperCase();
+
+const hasAbility = (pet, abilityId) =>
+  getLearnedAbilities(pet).includes(abilityId);
+
+const isHolding = (pet, itemId) =>
+  (pet.equipment || []).some((entry) => entry.itemId === itemId);
+
+export function getTimeOfDay(now = Date.now(), config = EVOLUTION_CONFIG) {
+  const hour = new Date(now).getUTCHours();
+  return hour >= config.DAY_START_HOUR && hour < config.NIGHT_START_HOUR
+    ? "day"
+    : "night";
+}
+
+// Each requirement kind checks one condition from a form's "requires"
+const REQUIREMENT_KINDS = {
+  level: (pet, level) => ({
+    met: (pet.level || 1) >= level,
+    description: `Reach level ${level}`,
+  }),
+
+  battlesWon: (pet, count) => ({
+    met: (pet.battlesWon || 0) >= count,
+    description: `Win ${count} battles (${pet.battlesWon || 0} so far)`,
+  }),
+
+  ability: (pet, abilityId) => ({
+    met: hasAbility(pet, abilityId),
+    description: `Know ${ALL_ABILITIES[abilityId]?.name || abilityId}`,
+  }),
+
+  items: (pet, itemIds) => ({
+    met: itemIds.every((itemId) => isHolding(pet, itemId)),
+    description: `Hold ${itemIds
+      .map((itemId) => ITEM_DEFINITIONS[itemId]?.name || itemId)
+      .join(" and ")}`,
+  }),
+
+  timeOfDay: (pet, timeOfDay, now) => ({
+    met: getTimeOfDay(now) === timeOfDay,
+    description: `Evolve during the ${timeOfDay}`,
+  }),
+};
+
+export function getEvolutionTree(pet, trees = EVOLUTION_TREES) {
+  return trees[typeKey(pet)] || null;
+}
+
+export function getCurrentForm(pet, trees = EVOLUTION_TREES) {
+  const tree = getEvolutionTree(pet, trees);
+  if (!tree) return null;
+
+  return tree.forms[pet.evolutionForm] || tree.forms[tree.base];
+}
+
+export function checkRequirements(pet, form, now = Date.now()) {
+  return Object.entries(form.requires || {}).map(([kind, value]) => {
+    const check = REQUIREMENT_KINDS[kind];
+    return {
+      kind,
+      ...(check
+        ? check(pet, value, now)
+        : { met: false, description: `Unknown requirement: ${kind}` }),
+    };
+  });
+}
+
+// The forms a pet can branch into next, with how close it is to each
+export function getNextForms(pet, now = Date.now(), trees = EVOLUTION_TREES) {
+  const tree = getEvolutionTree(pet, trees);
+  const current = getCurrentForm(pet, trees);
+  if (!current) return [];
+
+  return current.evolvesTo.map((formId) => {
+    const form = tree.forms[formId];
+    const requirements = checkRequirements(pet, form, now);
+    return {
+      id: form.id,
+      name: form.name,
+      stage: form.stage,
+      description: form.description,
+      changes: form.changes || {},
+      requirements,
+      canEvolve: requirements.every((requirement) => requirement.met),
+    };
+  });
+}
+
+export function describeEvolution(
+  pet,
+  now = Date.now(),
+  trees = EVOLUTION_TREES
+) {
+  const current = getCurrentForm(pet, trees);
+  if (!current) return null;
+
+  const nextForms = getNextForms(pet, now, trees);
+  return {
+    current: { id: current.id, name: current.name, stage: current.stage },
+    isFinal: nextForms.length === 0,
+    timeOfDay: getTimeOfDay(now),
+    nextForms,
+  };
+}
+
+const applyStatChanges = (stats, multipliers = {}) =>
+  Object.entries(multipliers).reduce(
+    (result, [stat, multiplier]) => {
+      const value = (stats[stat] || 0) * multiplier;
+      result[stat] = INTEGER_STATS.includes(stat)
+        ? Math.round(value)
+        : +value.toFixed(2);
+      return result;
+    },
+    { ...stats }
+  );
+
+// Validate an evolution against the tree and build the pet update, or
+// return an error. formId may be left out when there is only one branch.
+export function getEvolutionResult(
+  pet,
+  formId = null,
+  now = Date.now(),
+  trees = EVOLUTION_TREES
+) {
+  if (!getCurrentForm(pet, trees)) {
+    return { error: `${pet.name} can't evolve` };
+  }
+
+  const options = getNextForms(pet, now, trees);
+  if (options.length === 0) {
+    return { error: `${pet.name} is fully evolved` };
+  }
+  if (!formId && options.length > 1) {
+    return {
+      error: `Choose which form ${pet.name} should evolve into: ${options
+        .map((option) => option.id)
+        .join(", ")}`,
+    };
+  }
+
+  const option = formId
+    ? options.find((candidate) => candidate.id === formId)
+    : options[0];
+  if (!option) {
+    return { error: `${pet.name} can't evolve into ${formId}` };
+  }
+  if (!option.canEvolve) {
+    const unmet = option.requirements
+      .filter((requirement) => !requirement.met)
+      .map((requirement) => requirement.description);
+    return {
+      error: `${pet.name} isn't ready to become ${option.name}: ${unmet.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const form = getEvolutionTree(pet, trees).forms[option.id];
+  const stats = applyStatChanges(pet.stats, form.changes?.stats);
+  return {
+    form,
+    update: {
+      // A name the owner chose is kept; generated ones follow the form
+      ...(pet.nameSetByOwner ? {} : { name: form.name }),
+      evolutionForm: form.id,
+      evolutionStage: form.stage,
+      stats,
+      // A form's ability is learned on top of the pet's own
+      ...(form.changes?.ability
+        ? teachAbility(pet, form.changes.ability)
+        : { ability: pet.ability }),
+      evolutions: [...(pet.evolutions || []), form.name],
+      updatedAt: new Date(now),
+    },
+  };
+}
+
+// Validate evolutions.json at startup so a typo fails loudly
+export function validateEvolutions(trees = EVOLUTION_TREES) {
+  const errors = [];
+
+  Object.entries(trees).forEach(([type, tree]) => {
+    if (!PET_TYPES[type]) {
+      errors.push(`Evolution tree ${type} is not a pet type`);
+    }
+    if (!tree.forms?.[tree.base]) {
+      errors.push(
+        `Evolution tree ${type} has unknown base form "${tree.base}"`
+      );
+    }
+
+    Object.entries(tree.forms || {}).forEach(([id, form]) => {
+      const where = `Form ${type}.${id}`;
+      if (form.id !== id) {
+        errors.push(`${where} has a mismatched id "${form.id}"`);
+      }
+      if (!Array.isArray(form.evolvesTo)) {
+        errors.push(`${where} needs an evolvesTo list`);
+      }
+      (form.evolvesTo || [])
+        .filter((formId) => !tree.forms[formId])
+        .forEach((formId) =>
+          errors.push(`${where} evolves into unknown form "${formId}"`)
+        );
+
+      const requires = form.requires || {};
+      Object.keys(requires)
+        .filter((kind) => !REQUIREMENT_KINDS[kind])
+        .forEach((kind) =>
+          errors.push(`${where} has unknown requirement "${kind}"`)
+        );
+      if (requires.ability && !ALL_ABILITIES[requires.ability]) {
+        errors.push(`${where} requires unknown ability "${requires.ability}"`);
+      }
+      (requires.items || [])
+        .filter((itemId) => !ITEM_DEFINITIONS[itemId])
+        .forEach((itemId) =>
+          errors.push(`${where} requires unknown item "${itemId}"`)
+        );
+      if (
+        requires.timeOfDay &&
+        !["day", "night"].includes(requires.timeOfDay)
+      ) {
+        errors.push(`${where} has unknown time of day "${requires.timeOfDay}"`);
+      }
+
+      const ability = form.changes?.ability;
+      if (ability && !ALL_ABILITIES[ability]) {
+        errors.push(`${where} teaches unknown ability "${ability}"`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid evolutions:\n${errors.join("\n")}`);
+  }
+
+  return true;
+}
@@ -0,0 +1,301 @@
+// src/config/placementBattle.js
+
+"use strict";
+
+import {
+  PET_TYPES,
+  TYPE_KEYS,
+  PLACEMENT_CONFIG,
+  isOnePlacementTechnique,
+} from "../utils/constants.js";
+import {
+  computeDamage,
+  getEffectiveStats,
+  getTypeEffectiveness,
+  calculateBattleRewards,
+} from "./battleLogic.js";
+
+// Bump whenever a change in this file alters wave outcomes, so stored
+// placement battles are not replayed with different results
+export const PLACEMENT_ENGINE_VERSION = "1.1.0";
+
+const cellKey = (lane, column) => `${lane}:${column}`;
+
+const roundTime = (value) => Math.round(value * 100) / 100;
+
+// Check a placement list against the grid, the placement cap and the per-pet
+// copy limits. `pets` are the pets the player owns.
+export function validatePlacements(
+  placements,
+  pets,
+  config = PLACEMENT_CONFIG
+) {
+  if (!Array.isArray(placements) || placements.length === 0) {
+    return { valid: false, error: "Place at least one pet on the map" };
+  }
+  if (placements.length > config.MAX_PLACEMENTS) {
+    return {
+      valid: false,
+      error: `You can place at most ${config.MAX_PLACEMENTS} pets`,
+    };
+  }
+
+  const petsById = new Map(pets.map((pet) => [pet.id.toString(), pet]));
+  const occupied = new Set();
+  const copies = new Map();
+
+  for (const placement of placements) {
+    const pet = petsById.get(String(placement?.petId));
+    if (!pet) {
+      return {
+        valid: false,
+        error: `Pet ${placement?.petId} is not available for placement`,
+      };
+    }
+
+    const { lane, column } = placement;
+    if (
+      !Number.isInteger(lane) ||
+      !Number.isInteger(column) ||
+      lane < 0 ||
+      lane >= config.LANES ||
+      column < 0 ||
+      column >= config.LANE_LENGTH
+    ) {
+      return {
+        valid: false,
+        error: `Cell (${lane}, ${column}) is outside the map`,
+      };
+    }
+
+    const key = cellKey(lane, column);
+    if (occupied.has(key)) {
+      return {
+        valid: false,
+        error: `Cell (${lane}, ${column}) already has a pet on it`,
+      };
+    }
+    occupied.add(key);
+
+    const count = (copies.get(pet.id.toString()) || 0) + 1;
+    copies.set(pet.id.toString(), count);
+
+    if (isOnePlacementTechnique(pet.technique) && count > 1) {
+      return {
+        valid: false,
+        error: `Pet "${pet.name}" has ${pet.technique} technique (ONE PLACEMENT) and can only be placed once`,
+      };
+    }
+    if (count > config.MAX_COPIES_PER_PET) {
+      return {
+        valid: false,
+        error: `Pet "${pet.name}" can be placed at most ${config.MAX_COPIES_PER_PET} times`,
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Enemy waves come from the seeded rng alone, so a battle can be replayed
+export function generateWaves(
+  rng,
+  { difficulty = "medium", enemyLevel = 1 } = {},
+  config = PLACEMENT_CONFIG
+) {
+  const scaling = config.DIFFICULTY[difficulty] || config.DIFFICULTY.medium;
+  const levelScaling = 1 + (enemyLevel - 1) * 0.05;
+  const waves = [];
+
+  for (let wave = 1; wave <= config.WAVES; wave++) {
+    const count = Math.max(1, Math.round((3 + wave * 2) * scaling.count));
+    const hp = Math.round((30 + wave * 20) * scaling.hp * levelScaling);
+    const enemies = [];
+
+    for (let i = 0; i < count; i++) {
+      const typeKey = TYPE_KEYS[Math.floor(rng() * TYPE_KEYS.length)];
+      enemies.push({
+        id: `w${wave}_e${i + 1}`,
+        type: PET_TYPES[typeKey].name,
+        level: enemyLevel,
+        hp,
+        lane: Math.floor(rng() * config.LANES),
+        spawnAt: roundTime(i * config.SPAWN_INTERVAL),
+        speed: roundTime(config.ENEMY_SPEED * (0.85 + rng() * 0.3)),
+      });
+    }
+
+    waves.push({ wave, enemies });
+  }
+
+  return waves;
+}
+
+// Units aim at the enemy closest to the base that is within range
+function pickTarget(unit, enemies) {
+  let target = null;
+  for (const enemy of enemies) {
+    const distance = Math.hypot(unit.lane - enemy.lane, unit.column - enemy.x);
+    if (distance > unit.range) continue;
+    if (!target || enemy.x < target.x) target = enemy;
+  }
+  return target;
+}
+
+function playWave(units, enemies, rng, config) {
+  const pending = enemies.map((enemy) => ({
+    ...enemy,
+    x: config.LANE_LENGTH,
+    currentHP: enemy.hp,
+  }));
+  let active = [];
+  let kills = 0;
+  let leaked = 0;
+  let time = 0;
+
+  units.forEach((unit) => {
+    unit.nextAttackAt = 0;
+  });
+
+  for (let step = 0; pending.length > 0 || active.length > 0; step++) {
+    time = roundTime(step * config.TICK_SECONDS);
+
+    while (pending.length > 0 && pending[0].spawnAt <= time) {
+      active.push(pending.shift());
+    }
+
+    // Enemies walk toward the base; the ones that reach it cost a life
+    active.forEach((enemy) => {
+      enemy.x -= enemy.speed * config.TICK_SECONDS;
+    });
+    leaked += active.filter((enemy) => enemy.x <= 0).length;
+    active = active.filter((enemy) => enemy.x > 0);
+
+    // Each unit attacks every `spa` seconds while something is in range
+    for (const unit of units) {
+      if (time < unit.nextAttackAt) continue;
+
+      const target = pickTarget(unit, active);
+      if (!target) continue;
+
+      const isCritical = rng() < (unit.stats.critChance || 0);
+      const damage = Math.max(
+        1,
+        Math.floor(
+          computeDamage(
+            unit.stats.dmg || 10,
+            unit.level,
+            target.level,
+            getTypeEffectiveness(unit.type, target.type),
+            isCritical ? unit.stats.critDamage || 1.5 : 1
+          ) * unit.fatigueMultiplier
+        )
+      );
+
+      unit.damageDealt += Math.min(damage, target.currentHP);
+      target.currentHP -= damage;
+      unit.nextAttackAt = roundTime(time + unit.interval);
+
+      if (target.currentHP <= 0) {
+        kills++;
+        unit.kills++;
+        active = active.filter((enemy) => enemy !== target);
+      }
+    }
+  }
+
+  return { kills, leaked, duration: time };
+}
+
+// Play every wave against the placed pets. `pets` must include every pet
+// referenced by the placements; run validatePlacements first.
+export function simulatePlacementBattle(
+  { placements, pets, difficulty = "medium", enemyLevel = 1, rng },
+  config = PLACEMENT_CONFIG
+) {
+  const petsById = new Map(pets.map((pet) => [pet.id.toString(), pet]));
+
+  const units = placements.map((placement) => {
+    const pet = petsById.get(String(placement.petId));
+    const stats = getEffectiveStats(pet);
+
+    return {
+      petId: pet.id.toString(),
+      name: pet.name,
+      type: pet.type,
+      level: pet.level || 1,
+      lane: placement.lane,
+      column: placement.column,
+      stats,
+      fatigueMultiplier: pet.fatigueMultiplier ?? 1,
+      range: stats.range || 1,
+      interval: Math.max(config.TICK_SECONDS, stats.spa || 1),
+      nextAttackAt: 0,
+      kills: 0,
+      damageDealt: 0,
+    };
+  });
+
+  // Money bonuses count once per pet, however many copies are on the map
+  const placedPets = [...new Set(units.map((unit) => unit.petId))].map((id) =>
+    petsById.get(id)
+  );
+
+  const waves = generateWaves(rng, { difficulty, enemyLevel }, config);
+  const waveResults = [];
+  let lives = config.BASE_LIVES;
+
+  for (const { wave, enemies } of waves) {
+    const outcome = playWave(units, enemies, rng, config);
+    lives -= outcome.leaked;
+    const cleared = lives > 0;
+
+    // Every wave the base survives pays out, boosted by moneyBonus
+    const rewards = cleared
+      ? calculateBattleRewards(
+          {
+            coins: config.WAVE_REWARD.coins * wave,
+            experience: config.WAVE_REWARD.experience * wave,
+          },
+          placedPets
+        )
+      : { coins: 0, experience: 0, bonusMultiplier: 1 };
+
+    waveResults.push({
+      wave,
+      enemies: enemies.length,
+      kills: outcome.kills,
+      leaked: outcome.leaked,
+      duration: outcome.duration,
+      cleared,
+      rewards,
+    });
+
+    if (!cleared) break;
+  }
+
+  const wavesCleared = waveResults.filter((wave) => wave.cleared).length;
+
+  return {
+    victory: wavesCleared === waves.length,
+    wavesCleared,
+    totalWaves: waves.length,
+    livesRemaining: Math.max(0, lives),
+    waves: waveResults,
+    placements: units.map((unit) => ({
+      petId: unit.petId,
+      name: unit.name,
+      lane: unit.lane,
+      column: unit.column,
+      kills: unit.kills,
+      damageDealt: unit.damageDealt,
+    })),
+    rewards: waveResults.reduce(
+      (total, wave) => ({
+        coins: total.coins + wave.rewards.coins,
+        experience: total.experience + wave.rewards.experience,
+      }),
+      { coins: 0, experience: 0 }
+    ),
+  };
+}
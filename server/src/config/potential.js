@@ -0,0 +1,91 @@
+// src/config/potential.js
+
+"use strict";
+
+import { POTENTIAL_CONFIG } from "../utils/constants.js";
+
+// Hidden potential (IVs). Every pet gets a value from 0 to MAX_VALUE per
+// stat when it hatches. Players never see the numbers; an appraisal turns
+// them into letter grades. Potential scales how much a stat grows on each
+// level up, so two pets that hatched with the same stats drift apart.
+
+const rollValue = (rng, config) => Math.floor(rng() * (config.MAX_VALUE + 1));
+
+export function rollPotential(rng = Math.random, config = POTENTIAL_CONFIG) {
+  return config.STATS.reduce((potential, stat) => {
+    potential[stat] = rollValue(rng, config);
+    return potential;
+  }, {});
+}
+
+export function getPotentialGrade(value, config = POTENTIAL_CONFIG) {
+  const share = (value || 0) / config.MAX_VALUE;
+  return config.GRADES.find(({ min }) => share >= min).grade;
+}
+
+// Letter grades per stat plus an overall grade from the average
+export function appraisePotential(potential, config = POTENTIAL_CONFIG) {
+  if (!potential) return null;
+
+  const grades = config.STATS.reduce((result, stat) => {
+    result[stat] = getPotentialGrade(potential[stat], config);
+    return result;
+  }, {});
+  const average =
+    config.STATS.reduce((sum, stat) => sum + (potential[stat] || 0), 0) /
+    config.STATS.length;
+
+  return {
+    grades,
+    overall: getPotentialGrade(average, config),
+  };
+}
+
+// Growth multiplier for one stat; pets without potential grow at the midpoint
+export function getGrowthMultiplier(
+  potential,
+  stat,
+  config = POTENTIAL_CONFIG
+) {
+  const value = potential?.[stat] ?? config.MAX_VALUE / 2;
+  return (
+    config.GROWTH_MIN +
+    (config.GROWTH_MAX - config.GROWTH_MIN) * (value / config.MAX_VALUE)
+  );
+}
+
+// Each stat comes from a random parent some of the time, otherwise fresh
+export function inheritPotential(
+  parentA,
+  parentB,
+  rng = Math.random,
+  config = POTENTIAL_CONFIG
+) {
+  return config.STATS.reduce((potential, stat) => {
+    const parent = rng() < 0.5 ? parentA : parentB;
+    const inherited = parent.potential?.[stat];
+    potential[stat] =
+      rng() < config.BREED_INHERIT_CHANCE && inherited != null
+        ? inherited
+        : rollValue(rng, config);
+    return potential;
+  }, {});
+}
+
+// Fused pets never roll below the materials' average for a stat
+export function fusePotential(
+  materials,
+  rng = Math.random,
+  config = POTENTIAL_CONFIG
+) {
+  return config.STATS.reduce((potential, stat) => {
+    const floor = Math.round(
+      materials.reduce(
+        (sum, pet) => sum + (pet.potential?.[stat] ?? config.MAX_VALUE / 2),
+        0
+      ) / Math.max(1, materials.length)
+    );
+    potential[stat] = Math.max(floor, rollValue(rng, config));
+    return potential;
+  }, {});
+}
@@ -0,0 +1,95 @@
+// src/config/stamina.js
+
+"use strict";
+
+import { STAMINA_CONFIG } from "../utils/constants.js";
+
+// Pets store the stamina they had at `staminaUpdatedAt`; what they have now is
+// worked out on read, so nothing has to tick in the background. Pets from
+// before stamina existed (or generated opponents) count as fully rested.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function getStamina(pet, now = Date.now(), config = STAMINA_CONFIG) {
+  const stored = pet.stamina ?? config.MAX_STAMINA;
+  if (!pet.staminaUpdatedAt) return Math.min(config.MAX_STAMINA, stored);
+
+  const elapsed = Math.max(0, now - new Date(pet.staminaUpdatedAt).getTime());
+  return Math.min(
+    config.MAX_STAMINA,
+    Math.floor(stored + (elapsed / HOUR_MS) * config.REGEN_PER_HOUR)
+  );
+}
+
+// Milliseconds until the pet is back to full stamina
+export function getTimeToFull(pet, now = Date.now(), config = STAMINA_CONFIG) {
+  const missing = config.MAX_STAMINA - getStamina(pet, now, config);
+  if (missing <= 0) return 0;
+
+  return Math.ceil((missing / config.REGEN_PER_HOUR) * HOUR_MS);
+}
+
+// Damage multiplier for a pet going into battle at `stamina`
+export function getFatigueMultiplier(stamina, config = STAMINA_CONFIG) {
+  if (stamina >= config.FATIGUE_THRESHOLD) return 1;
+
+  const rested = Math.max(0, stamina) / config.FATIGUE_THRESHOLD;
+  return +(
+    config.MIN_DAMAGE_MULTIPLIER +
+    (1 - config.MIN_DAMAGE_MULTIPLIER) * rested
+  ).toFixed(2);
+}
+
+// Pets with no stamina left sit battles out
+export function canBattle(pet, now = Date.now(), config = STAMINA_CONFIG) {
+  return getStamina(pet, now, config) > 0;
+}
+
+// Pet update after a battle. Regen up to now is banked first.
+export function spendStamina(
+  pet,
+  cost = STAMINA_CONFIG.BATTLE_COST,
+  now = Date.now(),
+  config = STAMINA_CONFIG
+) {
+  return {
+    stamina: Math.max(0, getStamina(pet, now, config) - cost),
+    staminaUpdatedAt: new Date(now),
+  };
+}
+
+// Pet update after a rest item or other top-up
+export function restoreStamina(
+  pet,
+  amount,
+  now = Date.now(),
+  config = STAMINA_CONFIG
+) {
+  return {
+    stamina: Math.min(
+      config.MAX_STAMINA,
+      getStamina(pet, now, config) + amount
+    ),
+    staminaUpdatedAt: new Date(now),
+  };
+}
+
+// Stamina as the client shows it
+export function describeStamina(
+  pet,
+  now = Date.now(),
+  config = STAMINA_CONFIG
+) {
+  const stamina = getStamina(pet, now, config);
+  const timeToFullMs = getTimeToFull(pet, now, config);
+
+  return {
+    current: stamina,
+    max: config.MAX_STAMINA,
+    timeToFullMs,
+    fullAt: timeToFullMs > 0 ? new Date(now + timeToFullMs) : null,
+    fatigued: stamina < config.FATIGUE_THRESHOLD,
+    damageMultiplier: getFatigueMultiplier(stamina, config),
+    canBattle: stamina > 0,
+  };
+}
@@ -0,0 +1,302 @@
+// src/config/statusEffects.js
+
+"use strict";
+
+import {
+  ALL_ABILITIES,
+  STATUS_EFFECTS,
+  getTechniqueMultipliers,
+} from "../utils/constants.js";
+
+// Effects are described in constants/statusEffects.json. Each entry names an
+// apply handler, and status entries name their tick/expire handlers and
+// stacking rule, so new abilities only need engine changes for new behaviour.
+
+const TARGETS = ["attacker", "defender"];
+
+// How a status behaves when its target already has one with the same name
+const STACKING_RULES = {
+  // Keep the existing status and top its duration back up
+  refresh: (statusEffects, status) => {
+    const existing = statusEffects.find((s) => s.name === status.name);
+    if (!existing) return [...statusEffects, status];
+    existing.duration = Math.max(existing.duration, status.duration);
+    return statusEffects;
+  },
+
+  // Add another copy, dropping the oldest once maxStacks is reached
+  stack: (statusEffects, status, definition) => {
+    const next = [...statusEffects];
+    const copies = next.filter((s) => s.name === status.name);
+    if (definition.maxStacks && copies.length >= definition.maxStacks) {
+      next.splice(next.indexOf(copies[0]), 1);
+    }
+    next.push(status);
+    return next;
+  },
+
+  // Swap the existing status for the new one
+  replace: (statusEffects, status) => [
+    ...statusEffects.filter((s) => s.name !== status.name),
+    status,
+  ],
+};
+
+// Per-turn behaviour; the same handlers can run once more on expiry
+const TICK_HANDLERS = {
+  damage: (pet, status) => {
+    pet.currentHP -= status.damagePerTurn || 0;
+  },
+
+  heal: (pet, status) => {
+    pet.currentHP = Math.min(
+      pet.stats.hp,
+      pet.currentHP + (status.healPerTurn || 0)
+    );
+  },
+
+  escalating_damage: (pet, status) => {
+    status.currentTurn = (status.currentTurn || 0) + 1;
+    pet.currentHP -= status.baseDamage * status.currentTurn;
+  },
+
+  self_damage: (pet, status, rng) => {
+    if (rng() < status.selfDamageChance) {
+      pet.currentHP -= Math.floor(pet.stats.dmg * status.selfDamageRatio);
+    }
+  },
+};
+
+// Resolve a potency spec against the ability being used
+function resolvePotency(potency, context) {
+  const { ability, attackerStats, result } = context;
+
+  switch (potency.source) {
+    case "dmg":
+      return (attackerStats.dmg || 0) * (potency.ratio ?? 1);
+    case "power":
+      return (ability.power || potency.default || 0) * (potency.ratio ?? 1);
+    case "damage":
+      return (result.damage || 0) * (potency.ratio ?? 1);
+    default:
+      return 0;
+  }
+}
+
+// Build a fresh status instance from its definition
+export function createStatus(effectId, definition, context) {
+  const techniqueMultipliers = getTechniqueMultipliers(
+    context.attacker.technique,
+    context.attacker.techniqueLevel || 1
+  );
+  const scaling = definition.techniqueScaling || {};
+
+  const duration = scaling.duration
+    ? Math.floor(definition.duration * (techniqueMultipliers.dotDuration || 1))
+    : definition.duration;
+
+  const status = {
+    ...definition.params,
+    effect: effectId,
+    name: definition.name,
+    type: definition.type,
+    duration,
+  };
+
+  if (definition.potency) {
+    let amount = resolvePotency(definition.potency, context);
+    if (scaling.potency) amount *= techniqueMultipliers.dotDamage || 1;
+    if (definition.potency.perTurn) amount /= duration;
+    status[definition.potency.field] = Math.floor(amount);
+  }
+
+  return status;
+}
+
+export function addStatus(pet, status, definition) {
+  const rule = STACKING_RULES[definition.stacking] || STACKING_RULES.stack;
+  pet.statusEffects = rule(pet.statusEffects || [], status, definition);
+}
+
+const APPLY_HANDLERS = {
+  none: () => {},
+
+  status: (effect, target, context, effectId) => {
+    addStatus(
+      target,
+      createStatus(effectId, effect.status, context),
+      effect.status
+    );
+  },
+
+  heal: (effect, target, context) => {
+    const amount = Math.floor(resolvePotency(effect.potency, context));
+    target.currentHP = Math.min(target.stats.hp, target.currentHP + amount);
+  },
+
+  full_heal: (effect, target) => {
+    target.currentHP = target.stats.hp;
+    target.team?.forEach((pet) => {
+      pet.currentHP = pet.stats.hp;
+    });
+  },
+
+  remove_statuses: (effect, target) => {
+    target.statusEffects = (target.statusEffects || []).filter(
+      (status) => !effect.types.includes(status.type)
+    );
+  },
+
+  random: (effect, target, context) => {
+    const pick =
+      effect.options[Math.floor(context.rng() * effect.options.length)];
+    applyEffect(pick, context);
+  },
+
+  resurrect: (effect, target, context, effectId) => {
+    target.team?.forEach((pet) => {
+      if (pet.currentHP <= 0) {
+        pet.currentHP = Math.floor(pet.stats.hp * effect.ratio);
+      }
+      addStatus(
+        pet,
+        createStatus(effectId, effect.status, context),
+        effect.status
+      );
+    });
+  },
+
+  instant_kill: (effect, target, context) => {
+    if (context.rng() < context.effectChance) {
+      target.currentHP = 0;
+      context.result.instantKill = true;
+    }
+  },
+
+  flag: (effect, target, context) => {
+    Object.assign(context.result, effect.result);
+  },
+};
+
+export function getStatusEffect(effectId) {
+  return STATUS_EFFECTS[effectId] || null;
+}
+
+// Run an effect's apply handler against the side it targets
+export function applyEffect(effectId, context) {
+  const effect = getStatusEffect(effectId);
+  if (!effect) return false;
+
+  const target =
+    effect.target === "attacker" ? context.attacker : context.defender;
+  APPLY_HANDLERS[effect.apply](effect, target, context, effectId);
+  return true;
+}
+
+function runHandler(name, pet, status, rng) {
+  if (name) TICK_HANDLERS[name](pet, status, rng);
+}
+
+// Statuses created before the registry carry no effect id, so fall back to
+// their type for damage and healing
+function getTickHandler(status) {
+  const definition = getStatusEffect(status.effect)?.status;
+  if (definition) return definition;
+
+  if (status.type === "damage" && status.damagePerTurn) {
+    return { tick: "damage" };
+  }
+  if (status.type === "heal" && status.healPerTurn) return { tick: "heal" };
+  return {};
+}
+
+// Tick every status once, expire the ones that ran out
+export function tickStatusEffects(pet, rng = Math.random) {
+  const remaining = [];
+
+  for (const status of pet.statusEffects || []) {
+    const definition = getTickHandler(status);
+    status.duration--;
+
+    runHandler(definition.tick, pet, status, rng);
+
+    if (status.duration > 0) {
+      remaining.push(status);
+    } else {
+      runHandler(definition.expire, pet, status, rng);
+    }
+  }
+
+  pet.currentHP = Math.max(0, pet.currentHP);
+  pet.statusEffects = remaining;
+}
+
+function validateStatusDefinition(id, status, errors) {
+  if (!status?.name) {
+    errors.push(`Status effect ${id} is missing status.name`);
+    return;
+  }
+  if (!(status.duration > 0)) {
+    errors.push(`Status effect ${id} needs a positive duration`);
+  }
+  if (!STACKING_RULES[status.stacking]) {
+    errors.push(
+      `Status effect ${id} has unknown stacking rule "${status.stacking}"`
+    );
+  }
+  ["tick", "expire"].forEach((hook) => {
+    if (status[hook] && !TICK_HANDLERS[status[hook]]) {
+      errors.push(
+        `Status effect ${id} has unknown ${hook} handler "${status[hook]}"`
+      );
+    }
+  });
+  if (status.potency && !status.potency.field) {
+    errors.push(`Status effect ${id} potency is missing a field`);
+  }
+}
+
+// Check the registry and every ability that points into it. Throws so the
+// server refuses to start with an ability referencing an unknown effect.
+export function validateStatusEffects(
+  effects = STATUS_EFFECTS,
+  abilities = ALL_ABILITIES
+) {
+  const errors = [];
+
+  Object.entries(effects).forEach(([id, effect]) => {
+    if (!APPLY_HANDLERS[effect.apply]) {
+      errors.push(`Status effect ${id} has unknown apply "${effect.apply}"`);
+    }
+    if (!TARGETS.includes(effect.target)) {
+      errors.push(`Status effect ${id} has unknown target "${effect.target}"`);
+    }
+    if (effect.apply === "status" || effect.apply === "resurrect") {
+      validateStatusDefinition(id, effect.status, errors);
+    }
+    if (effect.apply === "heal" && !effect.potency) {
+      errors.push(`Status effect ${id} is missing a potency`);
+    }
+    if (effect.apply === "random") {
+      (effect.options || [])
+        .filter((option) => !effects[option])
+        .forEach((option) =>
+          errors.push(`Status effect ${id} picks unknown effect ${option}`)
+        );
+    }
+  });
+
+  Object.values(abilities).forEach((ability) => {
+    if (ability.effect && !effects[ability.effect]) {
+      errors.push(
+        `Ability ${ability.id} references unknown status effect ${ability.effect}`
+      );
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid status effects:\n${errors.join("\n")}`);
+  }
+
+  return true;
+}
@@ -0,0 +1,167 @@
+// src/config/synergies.js
+
+"use strict";
+
+import { PET_TYPES, TECHNIQUES, TEAM_SYNERGIES } from "../utils/constants.js";
+
+// Team-composition bonuses described in constants/synergies.json. Each kind
+// below decides which pets of a team qualify; qualifying pets carry the
+// synergy's stat multipliers, which getEffectiveStats folds in next to held
+// items and techniques.
+
+const MODIFIABLE_STATS = [
+  "dmg",
+  "hp",
+  "range",
+  "spa",
+  "critChance",
+  "critDamage",
+  "moneyBonus",
+];
+
+const typeKey = (pet) => pet.type?.toUpperCase();
+
+// Each kind returns the groups of pets a synergy covers and what they get
+const SYNERGY_KINDS = {
+  // Pets sharing a type get the highest tier their count reaches
+  same_type: (synergy, team) => {
+    const byType = {};
+    team.forEach((pet) => {
+      byType[typeKey(pet)] = [...(byType[typeKey(pet)] || []), pet];
+    });
+
+    return Object.entries(byType).flatMap(([type, pets]) => {
+      const tier = [...synergy.tiers]
+        .sort((a, b) => b.count - a.count)
+        .find((candidate) => pets.length >= candidate.count);
+      if (!tier) return [];
+
+      return [
+        {
+          key: `${synergy.id}_${type.toLowerCase()}`,
+          name: `${synergy.name} (${PET_TYPES[type]?.name || type})`,
+          pets,
+          modifiers: tier.modifiers,
+        },
+      ];
+    });
+  },
+
+  // A full team with every pet of a different type
+  distinct_types: (synergy, team) => {
+    const types = new Set(team.map(typeKey));
+    if (team.length < synergy.minPets || types.size !== team.length) return [];
+
+    return [{ pets: team, modifiers: synergy.modifiers }];
+  },
+
+  // Every listed technique somewhere on the team boosts the whole team
+  technique_combo: (synergy, team) => {
+    const present = synergy.techniques.every((technique) =>
+      team.some((pet) => pet.technique === technique)
+    );
+    if (!present) return [];
+
+    return [{ pets: team, modifiers: synergy.modifiers }];
+  },
+};
+
+// Synergies a team triggers, each with the pets it covers
+export function getTeamSynergies(team, synergies = TEAM_SYNERGIES) {
+  return Object.values(synergies).flatMap((synergy) =>
+    SYNERGY_KINDS[synergy.kind](synergy, team).map((group) => ({
+      key: group.key || synergy.id,
+      id: synergy.id,
+      name: group.name || synergy.name,
+      description: synergy.description,
+      modifiers: group.modifiers,
+      pets: group.pets,
+    }))
+  );
+}
+
+// Attach each pet's share of the team's synergies as `pet.synergies`
+export function applyTeamSynergies(team) {
+  const active = getTeamSynergies(team);
+
+  team.forEach((pet) => {
+    pet.synergies = active
+      .filter((synergy) => synergy.pets.includes(pet))
+      .map(({ key, id, name, modifiers }) => ({ key, id, name, modifiers }));
+  });
+
+  return team;
+}
+
+// Combined stat multipliers from the synergies a pet carries
+export function getSynergyMultipliers(synergies = []) {
+  return synergies.reduce((multipliers, synergy) => {
+    Object.entries(synergy.modifiers).forEach(([stat, value]) => {
+      multipliers[stat] = (multipliers[stat] || 1) * value;
+    });
+    return multipliers;
+  }, {});
+}
+
+// One entry per synergy a team carries into battle, for battle results
+export function summarizeTeamSynergies(team) {
+  const summary = new Map();
+
+  team.forEach((pet) =>
+    (pet.synergies || []).forEach((synergy) => {
+      if (!summary.has(synergy.key)) {
+        summary.set(synergy.key, {
+          id: synergy.id,
+          name: synergy.name,
+          modifiers: synergy.modifiers,
+          petIds: [],
+        });
+      }
+      summary.get(synergy.key).petIds.push(pet.id);
+    })
+  );
+
+  return [...summary.values()];
+}
+
+// Validate synergies.json at startup so a typo fails loudly
+export function validateSynergies(synergies = TEAM_SYNERGIES) {
+  const errors = [];
+
+  Object.entries(synergies).forEach(([id, synergy]) => {
+    if (synergy.id !== id) {
+      errors.push(`Synergy ${id} has a mismatched id "${synergy.id}"`);
+    }
+    if (!SYNERGY_KINDS[synergy.kind]) {
+      errors.push(`Synergy ${id} has unknown kind "${synergy.kind}"`);
+      return;
+    }
+
+    const modifierSets =
+      synergy.kind === "same_type"
+        ? (synergy.tiers || []).map((tier) => tier.modifiers)
+        : [synergy.modifiers];
+    if (synergy.kind === "same_type" && !synergy.tiers?.length) {
+      errors.push(`Synergy ${id} needs at least one tier`);
+    }
+    modifierSets.forEach((modifiers) =>
+      Object.keys(modifiers || {})
+        .filter((stat) => !MODIFIABLE_STATS.includes(stat))
+        .forEach((stat) =>
+          errors.push(`Synergy ${id} modifies unknown stat "${stat}"`)
+        )
+    );
+
+    (synergy.techniques || [])
+      .filter((technique) => !TECHNIQUES[technique])
+      .forEach((technique) =>
+        errors.push(`Synergy ${id} needs unknown technique "${technique}"`)
+      );
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid synergies:\n${errors.join("\n")}`);
+  }
+
+  return true;
+}
@@ -4,21 +4,71 @@ import { DatabaseService } from "../services/DatabaseService.js";
 import { serverRNGService } from "../services/RNGService.js";
 import { rewardService } from "../services/RewardService.js";
 import { mailService } from "../services/MailService.js";
+import { battleSessionService } from "../services/BattleSessionService.js";
+import { defenseService } from "../services/DefenseService.js";
+import { rankingService } from "../services/RankingService.js";
+import { tournamentService } from "../services/TournamentService.js";
+import { raidService } from "../services/RaidService.js";
+import { campaignService } from "../services/CampaignService.js";
+import { equipmentService } from "../services/EquipmentService.js";
+import { consumableService } from "../services/ConsumableService.js";
+import { spectatorService } from "../services/SpectatorService.js";
+import { findStage } from "../config/campaign.js";
+import { chooseAIAction } from "../config/battleAI.js";
+import { chooseItem, getItemUsage } from "../config/consumables.js";
+import {
+  buildBattleEvents,
+  clampStreamSpeed,
+  fromPvPBattle,
+  getEventDuration,
+} from "../config/battleEvents.js";
+import {
+  canBattle,
+  describeStamina,
+  getFatigueMultiplier,
+  getStamina,
+  spendStamina,
+} from "../config/stamina.js";
+import {
+  applyTeamSynergies,
+  getTeamSynergies,
+  summarizeTeamSynergies,
+} from "../config/synergies.js";
+import { getGrowthMultiplier } from "../config/potential.js";
+import {
+  describeCare,
+  getCareDamageMultiplier,
+  getCareExperienceMultiplier,
+} from "../config/care.js";
+import { describeEvolution, getEvolutionResult } from "../config/evolution.js";
+import { getLoadout, learnAbilities } from "../config/abilities.js";
 import { blockchainService } from "../config/blockchain.js";
 import {
+  BATTLE_ENGINE_VERSION,
   scheduleRounds,
   evaluateTurn,
-  generateSmartAttack,
   recoverPokemon,
   validateBattleTeam,
   calculateBattleRewards,
   getEffectiveStats,
-  canUseAbility,
-  useAbility,
-  processCooldowns,
-  processStatusEffects,
+  determineBattleResult,
+  getNextTimelineStep,
 } from "../config/battleLogic.js";
-import { ALL_ABILITIES, isOnePlacementTechnique } from "../utils/constants.js";
+import {
+  simulatePlacementBattle,
+  validatePlacements,
+  PLACEMENT_ENGINE_VERSION,
+} from "../config/placementBattle.js";
+import {
+  ALL_ABILITIES,
+  EQUIPMENT_SLOTS,
+  PLACEMENT_CONFIG,
+  SPECTATOR_CONFIG,
+  STAMINA_CONFIG,
+  TEAM_SYNERGIES,
+  isOnePlacementTechnique,
+} from "../utils/constants.js";
+import { createSeededRandom, generateSeed } from "../utils/rng.js";
 import logger from "../utils/logger.js";
 import { config } from "../config/env.js";
 
@@ -182,11 +232,12 @@ export const GameController = {
   async startBattle(req, res) {
     try {
       const userId = req.user.id;
-      let {
+      const {
         petIds,
         battleMode = "pve",
         opponentDifficulty = "medium",
         maxPets = 3,
+        items = {},
       } = req.body;
 
       const user = await dbService.findUserById(userId);
@@ -197,87 +248,62 @@ export const GameController = {
         });
       }
 
-      // Validate user's pets
-      const userPets = user.pets
-        .filter((pet) => petIds.includes(pet.id))
-        .slice(0, maxPets);
-
-      if (userPets.length === 0) {
-        return res.status(400).json({
+      const preparation = await this.prepareBattle(user, {
+        petIds,
+        opponentDifficulty,
+        maxPets,
+      });
+      if (preparation.error) {
+        return res.status(preparation.status).json({
           success: false,
-          message: "No valid pets selected for battle",
+          message: preparation.error,
         });
       }
 
-      // Verify blockchain ownership for all pets
-      if (user.walletAddress) {
-        for (const pet of userPets) {
-          if (pet.blockchainId) {
-            const isOwner = await blockchainService.verifyPetOwnership(
-              user.walletAddress,
-              pet.blockchainId,
-              pet.blockchainNetwork || "polygon"
-            );
-            if (!isOwner) {
-              return res.status(403).json({
-                success: false,
-                message: `You don't own pet "${pet.name}" on the blockchain`,
-              });
-            }
-          }
-        }
-      }
+      const {
+        userPets,
+        opponentPets,
+        onePlacementPets,
+        playerTeam,
+        opponentTeam,
+      } = preparation;
 
-      // Check for ONE PLACEMENT technique
-      const onePlacementPets = userPets.filter(
-        (pet) => pet.technique && isOnePlacementTechnique(pet.technique)
+      // Consumables leave the inventory now; whatever isn't used comes back
+      const withdrawal = await consumableService.withdrawForBattle(
+        userId,
+        items
       );
-
-      // If any pet has one placement technique, user can only use that ONE pet
-      if (onePlacementPets.length > 0) {
-        if (userPets.length > 1) {
-          return res.status(400).json({
-            success: false,
-            message: `Pet "${onePlacementPets[0].name}" has ${onePlacementPets[0].technique} technique (ONE PLACEMENT) and must battle alone. Please send only this pet to battle.`,
-          });
-        }
-
-        // If user sent only the one placement pet, adjust opponent team to 1 pet
-        maxPets = 1;
-      }
-
-      // Use validateBattleTeam from battleLogic
-      const teamValidation = validateBattleTeam(userPets);
-      if (!teamValidation.valid) {
-        return res.status(400).json({
+      if (!withdrawal.success) {
+        return res.status(withdrawal.status || 500).json({
           success: false,
-          message: teamValidation.error,
+          message: withdrawal.error,
         });
       }
+      const itemBag = withdrawal.bag;
 
-      // Generate opponent team with abilities
-      const opponentPets = await this.generateOpponentTeam(
-        opponentDifficulty,
-        userPets,
-        maxPets
-      );
-
-      // Convert pets to battle format
-      const playerTeam = this.convertPetsToBattleFormat(
-        userPets,
-        user.username
-      );
-      const opponentTeam = this.convertPetsToBattleFormat(
-        opponentPets,
-        `${opponentDifficulty} Opponent`
-      );
-
-      // Simulate round-robin battle using scheduleRounds
-      const battleResult = await this.simulateRoundRobinBattle(
-        playerTeam,
-        opponentTeam,
-        battleMode
+      // Snapshot the starting teams, items and seed so the battle can be
+      // replayed
+      const seed = generateSeed();
+      const initialTeams = JSON.parse(
+        JSON.stringify({ playerTeam, opponentTeam })
       );
+      const initialItemBag = structuredClone(itemBag);
+
+      // Simulate round-robin battle using scheduleRounds. Unused items go
+      // back to the inventory even if the simulation throws.
+      let battleResult;
+      try {
+        battleResult = await this.simulateRoundRobinBattle(
+          structuredClone(initialTeams.playerTeam),
+          structuredClone(initialTeams.opponentTeam),
+          battleMode,
+          createSeededRandom(seed),
+          100,
+          itemBag
+        );
+      } finally {
+        await consumableService.settleBattleBag(userId, itemBag);
+      }
 
       // Apply rewards using calculateBattleRewards
       const opponentLevel = this.getOpponentLevel(
@@ -293,8 +319,9 @@ export const GameController = {
         userPets.length
       );
 
-      // Use calculateBattleRewards from battleLogic for technique bonuses
-      const winningPets = battleResult.winner === "player" ? userPets : [];
+      // Use calculateBattleRewards from battleLogic for technique bonuses;
+      // the battle team also carries item and synergy money bonuses
+      const winningPets = battleResult.winner === "player" ? playerTeam : [];
       const enhancedRewards = calculateBattleRewards(baseReward, winningPets);
 
       // Update user stats
@@ -330,7 +357,11 @@ export const GameController = {
             (pet.battlesLost || 0) + (battleResult.totalRounds - petWins),
           experience:
             (pet.experience || 0) +
-            Math.floor(enhancedRewards.experience / userPets.length),
+            Math.floor(
+              (enhancedRewards.experience / userPets.length) *
+                getCareExperienceMultiplier(pet)
+            ),
+          ...spendStamina(pet),
           updatedAt: new Date(),
         };
 
@@ -342,6 +373,7 @@ export const GameController = {
         if (levelUpResult.leveledUp) {
           petUpdate.level = levelUpResult.newLevel;
           petUpdate.stats = levelUpResult.newStats;
+          petUpdate.abilities = levelUpResult.abilities;
           petUpdate.experience = petUpdate.experience - levelUpResult.expNeeded;
 
           // Update blockchain if pet leveled up
@@ -364,14 +396,21 @@ export const GameController = {
       }
 
       // Save battle history
-      await dbService.addBattleHistory({
+      const savedBattle = await dbService.addBattleHistory({
         userId,
         result: battleResult.winner === "player" ? "victory" : "defeat",
         opponent: `${opponentDifficulty} Opponent`,
         userPets: userPets.map((pet) => pet.id),
         opponentPets: opponentPets.map((pet) => pet.id),
         rewards: enhancedRewards,
-        battleData: battleResult,
+        battleData: {
+          ...JSON.parse(JSON.stringify(battleResult)),
+          seed,
+          engineVersion: BATTLE_ENGINE_VERSION,
+          battleMode,
+          initialTeams,
+          initialItemBag,
+        },
         battleType: "round_robin",
         onePlacementUsed: onePlacementPets.length > 0,
       });
@@ -395,6 +434,7 @@ export const GameController = {
         success: true,
         data: {
           battle: {
+            battleId: savedBattle._id,
             result: battleResult,
             userPets: userPets.map((pet) => ({
               id: pet.id,
@@ -442,16 +482,40 @@ export const GameController = {
     }
   },
 
-  // Connect wallet to user account
-  async connectWallet(req, res) {
+  // Grid size and placement limits for the lane placement mode
+  async getPlacementConfig(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          lanes: PLACEMENT_CONFIG.LANES,
+          laneLength: PLACEMENT_CONFIG.LANE_LENGTH,
+          maxPlacements: PLACEMENT_CONFIG.MAX_PLACEMENTS,
+          maxCopiesPerPet: PLACEMENT_CONFIG.MAX_COPIES_PER_PET,
+          waves: PLACEMENT_CONFIG.WAVES,
+          baseLives: PLACEMENT_CONFIG.BASE_LIVES,
+          difficulties: Object.keys(PLACEMENT_CONFIG.DIFFICULTY),
+        },
+      });
+    } catch (error) {
+      logger.error("Get placement config error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Place pets on the lane grid and play every enemy wave against them
+  async startPlacementBattle(req, res) {
     try {
       const userId = req.user.id;
-      const { walletAddress } = req.body;
+      const { placements, difficulty = "medium" } = req.body;
 
-      if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      if (!PLACEMENT_CONFIG.DIFFICULTY[difficulty]) {
         return res.status(400).json({
           success: false,
-          message: "Invalid wallet address",
+          message: "Invalid difficulty",
         });
       }
 
@@ -463,36 +527,141 @@ export const GameController = {
         });
       }
 
-      // Update user with wallet address
-      await dbService.updateUser(userId, {
-        walletAddress: walletAddress.toLowerCase(),
-        updatedAt: new Date(),
+      const validation = validatePlacements(placements, user.pets);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.error,
+        });
+      }
+
+      const placedIds = new Set(placements.map((p) => String(p.petId)));
+      const userPets = user.pets.filter((pet) =>
+        placedIds.has(pet.id.toString())
+      );
+
+      const ownership =
+        (await GameController.verifyPetOwnership(user, userPets)) ||
+        GameController.findExhaustedPet(userPets);
+      if (ownership) {
+        return res.status(ownership.status).json({
+          success: false,
+          message: ownership.error,
+        });
+      }
+
+      // Waves and crits come from one seed so the battle can be replayed
+      const seed = generateSeed();
+      const enemyLevel = GameController.getOpponentLevel(
+        difficulty,
+        user.level
+      );
+      const battleResult = simulatePlacementBattle({
+        placements,
+        pets: userPets.map((pet) => ({
+          ...pet,
+          fatigueMultiplier: GameController.getDamageMultiplier(pet),
+        })),
+        difficulty,
+        enemyLevel,
+        rng: createSeededRandom(seed),
       });
+      const { rewards } = battleResult;
 
-      // Sync blockchain assets
-      const syncResult = await this.syncBlockchainAssets(userId, walletAddress);
+      if (rewards.coins > 0) {
+        await dbService.updateUserBalance(userId, rewards.coins);
+      }
+      if (rewards.experience > 0) {
+        await dbService.updateUserExperience(userId, rewards.experience);
+      }
+
+      const updateData = { updatedAt: new Date() };
+      if (battleResult.victory) {
+        updateData.battlesWon = (user.battlesWon || 0) + 1;
+      } else {
+        updateData.battlesLost = (user.battlesLost || 0) + 1;
+      }
+      await dbService.updateUser(userId, updateData);
+
+      for (const pet of userPets) {
+        await dbService.updatePet(pet.id, {
+          battlesWon: (pet.battlesWon || 0) + (battleResult.victory ? 1 : 0),
+          battlesLost: (pet.battlesLost || 0) + (battleResult.victory ? 0 : 1),
+          experience:
+            (pet.experience || 0) +
+            Math.floor(
+              (rewards.experience / userPets.length) *
+                getCareExperienceMultiplier(pet)
+            ),
+          ...spendStamina(pet),
+          updatedAt: new Date(),
+        });
+      }
+
+      const savedBattle = await dbService.addBattleHistory({
+        userId,
+        result: battleResult.victory ? "victory" : "defeat",
+        opponent: `${difficulty} Waves`,
+        userPets: userPets.map((pet) => pet.id),
+        rewards,
+        battleData: {
+          ...battleResult,
+          seed,
+          engineVersion: PLACEMENT_ENGINE_VERSION,
+          battleMode: "placement",
+          difficulty,
+          enemyLevel,
+          placements: placements.map(({ petId, lane, column }) => ({
+            petId: String(petId),
+            lane,
+            column,
+          })),
+        },
+        battleType: "placement",
+        onePlacementUsed: userPets.some((pet) =>
+          isOnePlacementTechnique(pet.technique)
+        ),
+      });
+
+      const updatedUser = await dbService.findUserById(userId);
 
       res.json({
         success: true,
-        message: "Wallet connected successfully",
         data: {
-          walletAddress: walletAddress.toLowerCase(),
-          syncResult,
+          battle: {
+            battleId: savedBattle._id,
+            result: battleResult,
+          },
+          rewards,
+          user: {
+            balance: updatedUser.balance,
+            experience: updatedUser.experience,
+            level: updatedUser.level,
+            battlesWon: updatedUser.battlesWon,
+            battlesLost: updatedUser.battlesLost,
+          },
         },
       });
     } catch (error) {
-      logger.error("Connect wallet error:", error);
+      logger.error("Placement battle error:", error);
       res.status(500).json({
         success: false,
-        message: "Internal server error during wallet connection",
+        message: "Internal server error during battle",
       });
     }
   },
 
-  // Disconnect wallet from user account
-  async disconnectWallet(req, res) {
+  // Start an interactive turn-based battle session
+  async startBattleSession(req, res) {
     try {
       const userId = req.user.id;
+      const {
+        petIds,
+        battleMode = "pve",
+        opponentDifficulty = "medium",
+        maxPets = 3,
+        items = {},
+      } = req.body;
 
       const user = await dbService.findUserById(userId);
       if (!user) {
@@ -502,136 +671,152 @@ export const GameController = {
         });
       }
 
-      // Remove wallet address
-      await dbService.updateUser(userId, {
-        walletAddress: null,
-        updatedAt: new Date(),
+      const preparation = await GameController.prepareBattle(user, {
+        petIds,
+        opponentDifficulty,
+        maxPets,
       });
+      if (preparation.error) {
+        return res.status(preparation.status).json({
+          success: false,
+          message: preparation.error,
+        });
+      }
 
-      res.json({
+      const { userPets, playerTeam, opponentTeam } = preparation;
+
+      const withdrawal = await consumableService.withdrawForBattle(
+        userId,
+        items
+      );
+      if (!withdrawal.success) {
+        return res.status(withdrawal.status || 500).json({
+          success: false,
+          message: withdrawal.error,
+        });
+      }
+
+      const result = await battleSessionService.createSession({
+        userId,
+        userPets,
+        playerTeam: JSON.parse(JSON.stringify(playerTeam)),
+        opponentTeam: JSON.parse(JSON.stringify(opponentTeam)),
+        opponentName: `${opponentDifficulty} Opponent`,
+        opponentDifficulty,
+        opponentLevel: GameController.getOpponentLevel(
+          opponentDifficulty,
+          user.level
+        ),
+        battleMode,
+        itemBag: withdrawal.bag,
+      });
+
+      if (!result.success) {
+        await consumableService.settleBattleBag(userId, withdrawal.bag);
+        return res.status(result.sessionId ? 409 : 400).json({
+          success: false,
+          message: result.error,
+          data: result.sessionId ? { sessionId: result.sessionId } : undefined,
+        });
+      }
+
+      await GameController.spendBattleStamina(userPets);
+
+      res.status(201).json({
         success: true,
-        message: "Wallet disconnected successfully",
+        message: "Battle session started",
+        data: {
+          session: battleSessionService.toClientState(result.session),
+        },
       });
     } catch (error) {
-      logger.error("Disconnect wallet error:", error);
+      logger.error("Start battle session error:", error);
       res.status(500).json({
         success: false,
-        message: "Internal server error during wallet disconnection",
+        message: "Internal server error during battle",
       });
     }
   },
 
-  // Sync blockchain assets with database
-  async syncBlockchainAssets(userId, walletAddress) {
+  // Get the current state of a battle session
+  async getBattleSession(req, res) {
     try {
-      const syncResult = {
-        pets: 0,
-        eggs: 0,
-        skins: 0,
-        techniques: 0,
-      };
-
-      // Sync pets from blockchain
-      const blockchainPets = await blockchainService.getOwnedPets(
-        walletAddress
-      );
-      for (const blockchainPet of blockchainPets) {
-        const existingPet = await dbService.findPetByBlockchainId(
-          blockchainPet.tokenId
-        );
-
-        if (!existingPet) {
-          // Create new pet in database from blockchain
-          const petData = {
-            name: blockchainPet.metadata.name,
-            type: blockchainPet.metadata.petType,
-            rarity: blockchainPet.metadata.rarity,
-            level: blockchainPet.metadata.level,
-            isShiny: blockchainPet.metadata.isShiny,
-            blockchainId: blockchainPet.tokenId,
-            blockchainNetwork: "polygon",
-            tokenURI: blockchainPet.tokenURI,
-            ownerId: userId,
-            stats: this.generateStatsFromRarity(blockchainPet.metadata.rarity),
-          };
-
-          await dbService.createPet(petData);
-          syncResult.pets++;
-        }
-      }
-
-      // Sync eggs from blockchain
-      const blockchainEggs = await blockchainService.getOwnedEggs(
-        walletAddress
+      const result = await battleSessionService.getSession(
+        req.params.sessionId,
+        req.user.id
       );
-      for (const blockchainEgg of blockchainEggs) {
-        // Create or update eggs in database
-        for (let i = 0; i < blockchainEgg.amount; i++) {
-          const eggData = {
-            name: blockchainEgg.name,
-            eggType: blockchainEgg.eggType,
-            rarity: this.getRarityFromEggType(blockchainEgg.eggType),
-            blockchainId: blockchainEgg.eggType.toString(),
-            blockchainNetwork: "polygon",
-            ownerId: userId,
-            isHatched: false,
-          };
 
-          await dbService.createEgg(eggData);
-          syncResult.eggs++;
-        }
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
       }
 
-      logger.info(`Blockchain sync completed for user ${userId}:`, syncResult);
-      return syncResult;
+      res.json({
+        success: true,
+        data: {
+          session: battleSessionService.toClientState(result.session),
+        },
+      });
     } catch (error) {
-      logger.error("Blockchain sync error:", error);
-      throw error;
+      logger.error("Get battle session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
     }
   },
 
-  // Get user's blockchain assets
-  async getBlockchainAssets(req, res) {
+  // Submit the player's action for the current turn
+  async submitBattleAction(req, res) {
     try {
-      const userId = req.user.id;
-      const user = await dbService.findUserById(userId);
+      const { action, itemId, abilityId } = req.body;
 
-      if (!user) {
-        return res.status(404).json({
+      if (!action) {
+        return res.status(400).json({
           success: false,
-          message: "User not found",
+          message: "Action is required",
         });
       }
 
-      if (!user.walletAddress) {
-        return res.status(400).json({
+      const result = await battleSessionService.submitAction(
+        req.params.sessionId,
+        req.user.id,
+        action,
+        itemId,
+        abilityId
+      );
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
           success: false,
-          message: "Wallet not connected",
+          message: result.error,
+          data: result.availableActions
+            ? { availableActions: result.availableActions }
+            : undefined,
         });
       }
 
-      // Get assets from blockchain
-      const [pets, eggs, skins, techniques] = await Promise.all([
-        blockchainService.getOwnedPets(user.walletAddress),
-        blockchainService.getOwnedEggs(user.walletAddress),
-        blockchainService.getOwnedSkins(user.walletAddress),
-        blockchainService.getOwnedTechniques(user.walletAddress),
-      ]);
+      const { session, turn } = result;
 
       res.json({
         success: true,
         data: {
-          walletAddress: user.walletAddress,
-          assets: {
-            pets,
-            eggs,
-            skins,
-            techniques,
+          turn: {
+            tick: turn.tick,
+            playerAction: turn.playerAction,
+            opponentAction: turn.opponentAction,
+            result: turn.result,
+            damage: turn.damage,
+            abilityUsed: turn.abilityUsed,
+            itemsUsed: turn.itemsUsed,
           },
+          session: battleSessionService.toClientState(session),
         },
       });
     } catch (error) {
-      logger.error("Get blockchain assets error:", error);
+      logger.error("Submit battle action error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -639,115 +824,30 @@ export const GameController = {
     }
   },
 
-  // List item on marketplace
-  async listOnMarketplace(req, res) {
+  // Forfeit an active battle session
+  async forfeitBattleSession(req, res) {
     try {
-      const userId = req.user.id;
-      const { itemType, itemId, price, amount = 1 } = req.body;
-
-      const user = await dbService.findUserById(userId);
-      if (!user || !user.walletAddress) {
-        return res.status(400).json({
-          success: false,
-          message: "User not found or wallet not connected",
-        });
-      }
-
-      let nftContract, tokenId, itemDetails;
-
-      // Get item details based on type
-      switch (itemType) {
-        case "pet":
-          const pet = await dbService.findPetById(itemId);
-          if (!pet || pet.ownerId.toString() !== userId) {
-            return res.status(404).json({
-              success: false,
-              message: "Pet not found or not owned by user",
-            });
-          }
-          if (!pet.blockchainId) {
-            return res.status(400).json({
-              success: false,
-              message: "Pet is not on blockchain",
-            });
-          }
-          nftContract = config.CONTRACT_PET_NFT;
-          tokenId = pet.blockchainId;
-          itemDetails = {
-            name: pet.name,
-            type: pet.type,
-            rarity: pet.rarity,
-            level: pet.level,
-          };
-          break;
-
-        case "egg":
-          const egg = await dbService.findEggById(itemId);
-          if (!egg || egg.ownerId.toString() !== userId) {
-            return res.status(404).json({
-              success: false,
-              message: "Egg not found or not owned by user",
-            });
-          }
-          nftContract = config.CONTRACT_EGG_NFT;
-          tokenId = egg.eggType || 1;
-          itemDetails = {
-            name: egg.name,
-            eggType: egg.eggType,
-            rarity: egg.rarity,
-          };
-          break;
-
-        default:
-          return res.status(400).json({
-            success: false,
-            message: "Unsupported item type",
-          });
-      }
-
-      // List on blockchain marketplace
-      const listResult = await blockchainService.listItem(
-        nftContract,
-        this.getItemTypeEnum(itemType),
-        tokenId,
-        amount,
-        price
+      const result = await battleSessionService.forfeit(
+        req.params.sessionId,
+        req.user.id
       );
 
-      if (!listResult.success) {
-        return res.status(500).json({
+      if (!result.success) {
+        return res.status(result.status || 400).json({
           success: false,
-          message: `Failed to list item: ${listResult.error}`,
+          message: result.error,
         });
       }
 
-      // Save listing in database
-      await dbService.createMarketplaceListing({
-        listingId: listResult.listingId,
-        userId,
-        itemType,
-        itemId,
-        price,
-        amount,
-        nftContract,
-        tokenId,
-        itemDetails,
-        status: "listed",
-        listedAt: new Date(),
-      });
-
       res.json({
         success: true,
-        message: "Item listed on marketplace successfully",
+        message: "Battle forfeited",
         data: {
-          listingId: listResult.listingId,
-          itemType,
-          itemDetails,
-          price,
+          session: battleSessionService.toClientState(result.session),
         },
       });
     } catch (error) {
-      logger.error("List on marketplace error:", error);
+      logger.error("Forfeit battle session error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -755,69 +855,93 @@ export const GameController = {
     }
   },
 
-  // Buy item from marketplace
-  async buyFromMarketplace(req, res) {
+  // Register the pets that defend against asynchronous challenges
+  async setDefenseTeam(req, res) {
     try {
-      const userId = req.user.id;
-      const { listingId } = req.body;
-
-      const user = await dbService.findUserById(userId);
-      if (!user || !user.walletAddress) {
-        return res.status(400).json({
-          success: false,
-          message: "User not found or wallet not connected",
-        });
-      }
-
-      // Get listing details
-      const listing = await blockchainService.getListing(listingId);
-      if (!listing || !listing.active) {
-        return res.status(404).json({
+      const user = await dbService.findUserById(req.user.id);
+      // Defending costs no stamina, so tired pets can still hold the fort
+      const selection = await GameController.selectBattlePets(user, {
+        petIds: req.body.petIds,
+        maxPets: 3,
+        spendsStamina: false,
+      });
+      if (selection.error) {
+        return res.status(selection.status).json({
           success: false,
-          message: "Listing not found or not active",
+          message: selection.error,
         });
       }
 
-      if (listing.seller.toLowerCase() === user.walletAddress.toLowerCase()) {
+      const result = await defenseService.setDefenseTeam(
+        user,
+        selection.userPets
+      );
+      if (!result.success) {
         return res.status(400).json({
           success: false,
-          message: "Cannot buy your own listing",
+          message: result.error,
         });
       }
 
-      // Buy from blockchain
-      const buyResult = await blockchainService.buyItem(
-        listingId,
-        listing.price
-      );
+      res.json({
+        success: true,
+        message: "Defense team updated",
+        data: {
+          petIds: result.team.petIds,
+          defenseWins: result.team.defenseWins,
+          defenseLosses: result.team.defenseLosses,
+        },
+      });
+    } catch (error) {
+      logger.error("Set defense team error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
 
-      if (!buyResult.success) {
-        return res.status(500).json({
+  // Get the user's defense team, record and recent results
+  async getDefenseTeam(req, res) {
+    try {
+      const result = await defenseService.getDefenseReport(req.user.id);
+      if (!result.success) {
+        return res.status(404).json({
           success: false,
-          message: `Failed to buy item: ${buyResult.error}`,
+          message: result.error,
         });
       }
 
-      // Update database
-      await dbService.updateMarketplaceListing(listingId, {
-        status: "sold",
-        buyerId: userId,
-        soldAt: new Date(),
+      res.json({
+        success: true,
+        data: result.report,
+      });
+    } catch (error) {
+      logger.error("Get defense team error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
       });
+    }
+  },
 
-      // Add item to buyer's collection
-      await this.addMarketplaceItemToUser(userId, listing);
+  // Stop the user's defense team from being challenged
+  async removeDefenseTeam(req, res) {
+    try {
+      const result = await defenseService.removeDefenseTeam(req.user.id);
+      if (!result.success) {
+        return res.status(404).json({
+          success: false,
+          message: result.error,
+        });
+      }
 
       res.json({
         success: true,
-        message: "Item purchased successfully",
-        data: {
-          listingId,
-          item: listing,
-        },
+        message: "Defense team removed",
       });
     } catch (error) {
-      logger.error("Buy from marketplace error:", error);
+      logger.error("Remove defense team error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -825,80 +949,24 @@ export const GameController = {
     }
   },
 
-  // Get marketplace listings
-  async getMarketplaceListings(req, res) {
+  // List defense teams the user can challenge
+  async getDefenseOpponents(req, res) {
     try {
-      const { type, page = 1, limit = 20 } = req.query;
-
-      const listings = await blockchainService.getActiveListings();
-
-      // Filter by type if specified
-      let filteredListings = listings;
-      if (type) {
-        filteredListings = listings.filter(
-          (listing) => this.getItemTypeFromEnum(listing.itemType) === type
-        );
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+      const result = await defenseService.findOpponents(req.user, limit);
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
       }
 
-      // Paginate results
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedListings = filteredListings.slice(startIndex, endIndex);
-
-      // Enhance listings with additional data
-      const enhancedListings = await Promise.all(
-        paginatedListings.map(async (listing) => {
-          let itemDetails = {};
-
-          try {
-            if (listing.itemType === 0) {
-              // PET
-              const metadata = await blockchainService.getPetMetadata(
-                listing.tokenId
-              );
-              itemDetails = {
-                name: metadata.name,
-                type: metadata.petType,
-                rarity: metadata.rarity,
-                level: metadata.level,
-                isShiny: metadata.isShiny,
-              };
-            } else if (listing.itemType === 1) {
-              // EGG
-              itemDetails = {
-                name: `Egg Type ${listing.tokenId}`,
-                eggType: parseInt(listing.tokenId),
-              };
-            }
-          } catch (error) {
-            logger.warn(
-              `Failed to get metadata for listing ${listing.listingId}:`,
-              error
-            );
-          }
-
-          return {
-            ...listing,
-            itemDetails,
-            itemTypeName: this.getItemTypeFromEnum(listing.itemType),
-          };
-        })
-      );
-
       res.json({
         success: true,
-        data: {
-          listings: enhancedListings,
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: filteredListings.length,
-            totalPages: Math.ceil(filteredListings.length / limit),
-          },
-        },
+        data: { opponents: result.opponents },
       });
     } catch (error) {
-      logger.error("Get marketplace listings error:", error);
+      logger.error("Get defense opponents error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -906,459 +974,1986 @@ export const GameController = {
     }
   },
 
-  // Cancel marketplace listing
-  async cancelMarketplaceListing(req, res) {
+  // Fight another player's defense team, both sides under AI control
+  async challengeDefenseTeam(req, res) {
     try {
       const userId = req.user.id;
-      const { listingId } = req.body;
+      const { defenderId } = req.params;
 
-      const user = await dbService.findUserById(userId);
-      if (!user || !user.walletAddress) {
+      if (defenderId === userId.toString()) {
         return res.status(400).json({
           success: false,
-          message: "User not found or wallet not connected",
+          message: "You cannot challenge your own defense team",
         });
       }
 
-      // Get listing to verify ownership
-      const listing = await dbService.getMarketplaceListing(listingId);
-      if (!listing) {
-        return res.status(404).json({
+      const user = await dbService.findUserById(userId);
+      const selection = await GameController.selectBattlePets(user, {
+        petIds: req.body.petIds,
+        maxPets: 3,
+      });
+      if (selection.error) {
+        return res.status(selection.status).json({
           success: false,
-          message: "Listing not found",
+          message: selection.error,
         });
       }
 
-      if (listing.userId.toString() !== userId) {
-        return res.status(403).json({
+      const defense = await defenseService.loadDefenders(defenderId);
+      if (!defense.success) {
+        return res.status(defense.status || 400).json({
           success: false,
-          message: "Not authorized to cancel this listing",
+          message: defense.error,
         });
       }
 
-      if (listing.status !== "listed") {
-        return res.status(400).json({
-          success: false,
-          message: "Listing is not active",
+      const { userPets } = selection;
+      const { team, defender, pets: defenderPets } = defense;
+
+      const playerTeam = GameController.convertPetsToBattleFormat(
+        userPets,
+        user.username
+      );
+      const opponentTeam = GameController.convertPetsToBattleFormat(
+        defenderPets,
+        defender.username
+      );
+
+      const seed = generateSeed();
+      const initialTeams = JSON.parse(
+        JSON.stringify({ playerTeam, opponentTeam })
+      );
+
+      const battleResult = await GameController.simulateRoundRobinBattle(
+        structuredClone(initialTeams.playerTeam),
+        structuredClone(initialTeams.opponentTeam),
+        "pvp",
+        createSeededRandom(seed),
+        0
+      );
+
+      const victory = battleResult.winner === "player";
+      const baseReward = GameController.calculateBaseBattleRewards(
+        defender.level || 1,
+        victory,
+        "pvp",
+        userPets.length
+      );
+      const pot = calculateBattleRewards(
+        baseReward,
+        victory ? userPets : defenderPets
+      );
+      const split = defenseService.splitRewards(pot, battleResult);
+
+      // Attacker rewards and battle record
+      if (split.attacker.coins > 0) {
+        await dbService.updateUserBalance(userId, split.attacker.coins);
+      }
+      if (split.attacker.experience > 0) {
+        await dbService.updateUserExperience(userId, split.attacker.experience);
+      }
+      await dbService.updateUser(userId, {
+        battlesWon: (user.battlesWon || 0) + (victory ? 1 : 0),
+        battlesLost: (user.battlesLost || 0) + (victory ? 0 : 1),
+        updatedAt: new Date(),
+      });
+
+      for (const pet of userPets) {
+        const petWins = battleResult.battleLog.filter(
+          (match) =>
+            match.playerPet === pet.id && match.result.winner === "player"
+        ).length;
+        const petMatches = battleResult.battleLog.filter(
+          (match) => match.playerPet === pet.id
+        ).length;
+
+        await dbService.updatePet(pet.id, {
+          battlesWon: (pet.battlesWon || 0) + petWins,
+          battlesLost: (pet.battlesLost || 0) + (petMatches - petWins),
+          ...spendStamina(pet),
+          updatedAt: new Date(),
         });
       }
 
-      // Cancel on blockchain (this would require a cancel method in blockchain service)
-      // For now, just update database status
-      await dbService.updateMarketplaceListing(listingId, {
-        status: "cancelled",
-        cancelledAt: new Date(),
+      const savedBattle = await dbService.addBattleHistory({
+        userId,
+        result: victory ? "victory" : "defeat",
+        opponent: defender.username,
+        userPets: userPets.map((pet) => pet.id),
+        rewards: split.attacker,
+        battleData: {
+          ...JSON.parse(JSON.stringify(battleResult)),
+          seed,
+          engineVersion: BATTLE_ENGINE_VERSION,
+          battleMode: "pvp",
+          initialTeams,
+          defenderId: defender.id,
+        },
+        battleType: "defense_challenge",
+      });
+
+      await defenseService.settleDefense({
+        team,
+        defender,
+        attacker: user,
+        battleId: savedBattle._id,
+        battleResult,
+        coins: split.defender.coins,
       });
 
+      const rating = await rankingService.recordMatch(
+        { id: user.id, username: user.username },
+        { id: defender.id, username: defender.username },
+        victory ? 1 : battleResult.winner === "draw" ? 0.5 : 0
+      );
+
       res.json({
         success: true,
-        message: "Listing cancelled successfully",
+        message: victory
+          ? `You broke ${defender.username}'s defense!`
+          : `${defender.username}'s defense held`,
+        data: {
+          battle: {
+            battleId: savedBattle._id,
+            result: battleResult,
+            victory,
+            opponent: defender.username,
+            playerWins: battleResult.playerWins,
+            opponentWins: battleResult.opponentWins,
+            totalRounds: battleResult.totalRounds,
+          },
+          rewards: split.attacker,
+          defenderRewards: split.defender,
+          rating: rating.success ? rating.changes[user.id.toString()] : null,
+        },
       });
     } catch (error) {
-      logger.error("Cancel marketplace listing error:", error);
+      logger.error("Challenge defense team error:", error);
       res.status(500).json({
         success: false,
-        message: "Internal server error",
+        message: "Internal server error during battle",
       });
     }
   },
 
-  // Round-robin battle simulation
-  async simulateRoundRobinBattle(playerTeam, opponentTeam, battleMode) {
-    const battleLog = [];
-    let playerWins = 0;
-    let opponentWins = 0;
-
-    // Use scheduleRounds from battleLogic for proper scheduling
-    const numPlayers = Math.max(playerTeam.length, opponentTeam.length);
-    const schedule = scheduleRounds(numPlayers);
-
-    for (const match of schedule) {
-      const playerIndex = match.match[0] % playerTeam.length;
-      const opponentIndex = match.match[1] % opponentTeam.length;
-
-      const playerPet = playerTeam[playerIndex];
-      const opponentPet = opponentTeam[opponentIndex];
+  // Validate the selected pets and build both battle teams
+  async prepareBattle(user, { petIds, opponentDifficulty, maxPets }) {
+    const selection = await GameController.selectBattlePets(user, {
+      petIds,
+      maxPets,
+    });
+    if (selection.error) return selection;
+
+    const { userPets, onePlacementPets } = selection;
+
+    // Generate opponent team with abilities
+    const opponentPets = await GameController.generateOpponentTeam(
+      opponentDifficulty,
+      userPets,
+      selection.maxPets
+    );
+
+    // Convert pets to battle format
+    const playerTeam = GameController.convertPetsToBattleFormat(
+      userPets,
+      user.username
+    );
+    const opponentTeam = GameController.convertPetsToBattleFormat(
+      opponentPets,
+      `${opponentDifficulty} Opponent`
+    );
 
-      if (!playerPet || !opponentPet) continue;
+    return {
+      userPets,
+      opponentPets,
+      onePlacementPets,
+      playerTeam,
+      opponentTeam,
+    };
+  },
 
-      // Convert to battle format
-      const playerTrainer = {
-        id: `player_${playerPet.id}`,
-        playerName: "Player",
-        pet: this.convertPetToBattleFormat(playerPet),
-      };
+  // Check ownership and team rules for the pets a user sends to battle
+  async selectBattlePets(user, { petIds, maxPets, spendsStamina = true }) {
+    if (!Array.isArray(petIds) || petIds.length === 0) {
+      return { status: 400, error: "No valid pets selected for battle" };
+    }
 
-      const opponentTrainer = {
-        id: `opponent_${opponentPet.id}`,
-        playerName: "Opponent",
-        pet: this.convertPetToBattleFormat(opponentPet),
-      };
+    // Validate user's pets
+    const userPets = user.pets
+      .filter((pet) => petIds.includes(pet.id.toString()))
+      .slice(0, maxPets);
 
-      let matchResult;
+    if (userPets.length === 0) {
+      return { status: 400, error: "No valid pets selected for battle" };
+    }
 
-      if (battleMode === "pve") {
-        // Simulate AI battle using evaluateTurn
-        matchResult = await this.simulatePetBattle(
-          playerTrainer,
-          opponentTrainer
-        );
-      } else {
-        // For PvP, we'd need player input - for now use AI
-        matchResult = await this.simulatePetBattle(
-          playerTrainer,
-          opponentTrainer
-        );
-      }
+    const ownership = await GameController.verifyPetOwnership(user, userPets);
+    if (ownership) return ownership;
 
-      battleLog.push({
-        round: match.round,
-        playerPet: playerPet.id,
-        opponentPet: opponentPet.id,
-        result: matchResult,
-      });
+    if (spendsStamina) {
+      const exhausted = GameController.findExhaustedPet(userPets);
+      if (exhausted) return exhausted;
+    }
 
-      if (matchResult.winner === "player") {
-        playerWins++;
-      } else if (matchResult.winner === "opponent") {
-        opponentWins++;
+    // Check for ONE PLACEMENT technique
+    const onePlacementPets = userPets.filter(
+      (pet) => pet.technique && isOnePlacementTechnique(pet.technique)
+    );
+
+    // If any pet has one placement technique, user can only use that ONE pet
+    if (onePlacementPets.length > 0) {
+      if (userPets.length > 1) {
+        return {
+          status: 400,
+          error: `Pet "${onePlacementPets[0].name}" has ${onePlacementPets[0].technique} technique (ONE PLACEMENT) and must battle alone. Please send only this pet to battle.`,
+        };
       }
 
-      // Heal pets for next match using recoverPokemon
-      recoverPokemon(playerTrainer.pet, opponentTrainer.pet);
+      // If user sent only the one placement pet, adjust opponent team to 1 pet
+      maxPets = 1;
     }
 
-    const overallWinner =
-      playerWins > opponentWins
-        ? "player"
-        : opponentWins > playerWins
-        ? "opponent"
-        : "draw";
+    // Use validateBattleTeam from battleLogic
+    const teamValidation = validateBattleTeam(userPets);
+    if (!teamValidation.valid) {
+      return { status: 400, error: teamValidation.error };
+    }
 
-    return {
-      winner: overallWinner,
-      playerWins,
-      opponentWins,
-      totalRounds: schedule.length,
-      battleLog,
-      schedule,
-    };
+    return { userPets, onePlacementPets, maxPets };
   },
 
-  // Simulate individual pet battle
-  async simulatePetBattle(playerTrainer, opponentTrainer) {
-    const turns = [];
-    let currentPlayer = playerTrainer;
-    let currentOpponent = opponentTrainer;
-
-    while (
-      currentPlayer.pet.currentHP > 0 &&
-      currentOpponent.pet.currentHP > 0
-    ) {
-      const playerAction = this.generatePetAction(
-        currentPlayer.pet,
-        currentOpponent.pet
-      );
-      const opponentAction = this.generatePetAction(
-        currentOpponent.pet,
-        currentPlayer.pet
-      );
-
-      // Use evaluateTurn from battleLogic
-      const battleResult = evaluateTurn(currentPlayer, currentOpponent, {
-        playerAction,
-        opponentAction,
-        result: this.determineBattleResult(playerAction, opponentAction),
-      });
-
-      turns.push({
-        turn: turns.length + 1,
-        playerAction,
-        opponentAction,
-        result: battleResult.result,
-        playerHP: currentPlayer.pet.currentHP,
-        opponentHP: currentOpponent.pet.currentHP,
-        damage: battleResult.damage,
-        abilityUsed: battleResult.abilityUsed,
-        statusEffects: {
-          player: [...currentPlayer.pet.statusEffects],
-          opponent: [...currentOpponent.pet.statusEffects],
-        },
-      });
-
-      // Update trainers with new health and status
-      currentPlayer = battleResult.player;
-      currentOpponent = battleResult.opponent;
-
-      // Process cooldowns and status effects
-      processCooldowns(currentPlayer.pet);
-      processCooldowns(currentOpponent.pet);
-      processStatusEffects(currentPlayer.pet);
-      processStatusEffects(currentOpponent.pet);
-
-      // Add small delay for realism
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
+  // Tiredness and neglect both cut damage. The engines read the combined
+  // multiplier from fatigueMultiplier.
+  getDamageMultiplier(pet, now = Date.now()) {
+    return +(
+      getFatigueMultiplier(getStamina(pet, now)) *
+      getCareDamageMultiplier(pet, now)
+    ).toFixed(2);
+  },
 
-    const winner = currentPlayer.pet.currentHP > 0 ? "player" : "opponent";
+  // Pets at zero stamina can't battle; returns an error or null
+  findExhaustedPet(pets, now = Date.now()) {
+    const exhausted = pets.find((pet) => !canBattle(pet, now));
+    if (!exhausted) return null;
 
     return {
-      winner,
-      turns,
-      finalPlayerHP: currentPlayer.pet.currentHP,
-      finalOpponentHP: currentOpponent.pet.currentHP,
-      playerPet: currentPlayer.pet,
-      opponentPet: currentOpponent.pet,
+      status: 400,
+      error: `${exhausted.name} is out of stamina. Let it rest or use a Stamina Tonic.`,
     };
   },
 
-  // Determine battle result based on actions
-  determineBattleResult(playerAction, opponentAction) {
-    const actionMatrix = {
-      attack: {
-        attack: "both damaged",
-        defend: "win",
-        parry: "lose",
-        ability: "win",
-      },
-      defend: {
-        attack: "lose",
-        defend: "tie",
-        parry: "win",
-        ability: "lose",
-      },
-      parry: {
-        attack: "win",
-        defend: "lose",
-        parry: "both damaged",
-        ability: "win",
-      },
-      ability: {
-        attack: "lose",
-        defend: "win",
-        parry: "lose",
-        ability: "both damaged",
-      },
-    };
-
-    return actionMatrix[playerAction]?.[opponentAction] || "both damaged";
+  // Charge every pet that fought one battle's worth of stamina
+  async spendBattleStamina(pets, now = Date.now()) {
+    for (const pet of pets) {
+      await dbService.updatePet(pet.id, spendStamina(pet, undefined, now));
+    }
   },
 
-  // Generate smart action for pets considering abilities
-  generatePetAction(pet, opponentPet) {
-    // If pet has ability and it's a good time to use it
-    if (pet.ability && this.shouldUseAbility(pet, opponentPet)) {
-      const ability = ALL_ABILITIES[pet.ability];
-      // Use the ability immediately when decision is made
-      useAbility(pet, ability);
-      return "ability";
+  // Verify blockchain ownership for all pets; returns an error or null
+  async verifyPetOwnership(user, pets) {
+    if (!user.walletAddress) return null;
+
+    for (const pet of pets) {
+      if (pet.blockchainId) {
+        const isOwner = await blockchainService.verifyPetOwnership(
+          user.walletAddress,
+          pet.blockchainId,
+          pet.blockchainNetwork || "polygon"
+        );
+        if (!isOwner) {
+          return {
+            status: 403,
+            error: `You don't own pet "${pet.name}" on the blockchain`,
+          };
+        }
+      }
     }
 
-    // Otherwise use smart AI decision
-    return generateSmartAttack(pet, opponentPet);
+    return null;
   },
 
-  // Determine if pet should use its ability
-  shouldUseAbility(pet, opponentPet) {
-    const ability = ALL_ABILITIES[pet.ability];
-    if (!ability) return false;
+  // Connect wallet to user account
+  async connectWallet(req, res) {
+    try {
+      const userId = req.user.id;
+      const { walletAddress } = req.body;
 
-    // Check cooldown using canUseAbility from battleLogic
-    if (!canUseAbility(pet, ability)) {
-      return false;
-    }
+      if (!walletAddress || !ethers.isAddress(walletAddress)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid wallet address",
+        });
+      }
 
-    const useChance = Math.random();
+      const user = await dbService.findUserById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
 
-    // Higher chance to use ability when:
-    // - Opponent is weak
-    // - Pet is low on health (for healing abilities)
-    // - Based on ability type
+      // Update user with wallet address
+      await dbService.updateUser(userId, {
+        walletAddress: walletAddress.toLowerCase(),
+        updatedAt: new Date(),
+      });
 
-    if (ability.type === "SUPPORT" && pet.currentHP < pet.stats.hp * 0.4) {
-      return useChance < 0.7; // 70% chance to use healing when low
-    }
+      // Sync blockchain assets
+      const syncResult = await this.syncBlockchainAssets(userId, walletAddress);
 
-    if (
-      ability.type === "OFFENSIVE" &&
-      opponentPet.currentHP < opponentPet.stats.hp * 0.3
-    ) {
-      return useChance < 0.6; // 60% chance to finish with ability
+      res.json({
+        success: true,
+        message: "Wallet connected successfully",
+        data: {
+          walletAddress: walletAddress.toLowerCase(),
+          syncResult,
+        },
+      });
+    } catch (error) {
+      logger.error("Connect wallet error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during wallet connection",
+      });
     }
-
-    // Default chance to use ability
-    return useChance < 0.3; // 30% chance normally
   },
 
-  // Calculate base battle rewards
-  calculateBaseBattleRewards(
-    opponentLevel,
-    isVictory,
-    battleMode,
-    teamSize = 3
-  ) {
-    const baseCoins = opponentLevel * 10 * (teamSize / 3);
-    const baseExp = opponentLevel * 5 * (teamSize / 3);
-
-    if (!isVictory) {
-      return {
-        coins: Math.floor(baseCoins * 0.3),
-        experience: Math.floor(baseExp * 0.3),
-      };
-    }
+  // Disconnect wallet from user account
+  async disconnectWallet(req, res) {
+    try {
+      const userId = req.user.id;
 
-    const multiplier = battleMode === "pvp" ? 1.5 : 1.0;
+      const user = await dbService.findUserById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Remove wallet address
+      await dbService.updateUser(userId, {
+        walletAddress: null,
+        updatedAt: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: "Wallet disconnected successfully",
+      });
+    } catch (error) {
+      logger.error("Disconnect wallet error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during wallet disconnection",
+      });
+    }
+  },
+
+  // Sync blockchain assets with database
+  async syncBlockchainAssets(userId, walletAddress) {
+    try {
+      const syncResult = {
+        pets: 0,
+        eggs: 0,
+        skins: 0,
+        techniques: 0,
+      };
+
+      // Sync pets from blockchain
+      const blockchainPets = await blockchainService.getOwnedPets(
+        walletAddress
+      );
+      for (const blockchainPet of blockchainPets) {
+        const existingPet = await dbService.findPetByBlockchainId(
+          blockchainPet.tokenId
+        );
+
+        if (!existingPet) {
+          // Create new pet in database from blockchain
+          const petData = {
+            name: blockchainPet.metadata.name,
+            type: blockchainPet.metadata.petType,
+            rarity: blockchainPet.metadata.rarity,
+            level: blockchainPet.metadata.level,
+            isShiny: blockchainPet.metadata.isShiny,
+            blockchainId: blockchainPet.tokenId,
+            blockchainNetwork: "polygon",
+            tokenURI: blockchainPet.tokenURI,
+            ownerId: userId,
+            stats: this.generateStatsFromRarity(blockchainPet.metadata.rarity),
+          };
+
+          await dbService.createPet(petData);
+          syncResult.pets++;
+        }
+      }
+
+      // Sync eggs from blockchain
+      const blockchainEggs = await blockchainService.getOwnedEggs(
+        walletAddress
+      );
+      for (const blockchainEgg of blockchainEggs) {
+        // Create or update eggs in database
+        for (let i = 0; i < blockchainEgg.amount; i++) {
+          const eggData = {
+            name: blockchainEgg.name,
+            eggType: blockchainEgg.eggType,
+            rarity: this.getRarityFromEggType(blockchainEgg.eggType),
+            blockchainId: blockchainEgg.eggType.toString(),
+            blockchainNetwork: "polygon",
+            ownerId: userId,
+            isHatched: false,
+          };
+
+          await dbService.createEgg(eggData);
+          syncResult.eggs++;
+        }
+      }
+
+      logger.info(`Blockchain sync completed for user ${userId}:`, syncResult);
+      return syncResult;
+    } catch (error) {
+      logger.error("Blockchain sync error:", error);
+      throw error;
+    }
+  },
+
+  // Get user's blockchain assets
+  async getBlockchainAssets(req, res) {
+    try {
+      const userId = req.user.id;
+      const user = await dbService.findUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!user.walletAddress) {
+        return res.status(400).json({
+          success: false,
+          message: "Wallet not connected",
+        });
+      }
+
+      // Get assets from blockchain
+      const [pets, eggs, skins, techniques] = await Promise.all([
+        blockchainService.getOwnedPets(user.walletAddress),
+        blockchainService.getOwnedEggs(user.walletAddress),
+        blockchainService.getOwnedSkins(user.walletAddress),
+        blockchainService.getOwnedTechniques(user.walletAddress),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          walletAddress: user.walletAddress,
+          assets: {
+            pets,
+            eggs,
+            skins,
+            techniques,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get blockchain assets error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // List item on marketplace
+  async listOnMarketplace(req, res) {
+    try {
+      const userId = req.user.id;
+      const { itemType, itemId, price, amount = 1 } = req.body;
+
+      const user = await dbService.findUserById(userId);
+      if (!user || !user.walletAddress) {
+        return res.status(400).json({
+          success: false,
+          message: "User not found or wallet not connected",
+        });
+      }
+
+      let nftContract, tokenId, itemDetails;
+
+      // Get item details based on type
+      switch (itemType) {
+        case "pet":
+          const pet = await dbService.findPetById(itemId);
+          if (!pet || pet.ownerId.toString() !== userId) {
+            return res.status(404).json({
+              success: false,
+              message: "Pet not found or not owned by user",
+            });
+          }
+          if (!pet.blockchainId) {
+            return res.status(400).json({
+              success: false,
+              message: "Pet is not on blockchain",
+            });
+          }
+          nftContract = config.CONTRACT_PET_NFT;
+          tokenId = pet.blockchainId;
+          itemDetails = {
+            name: pet.name,
+            type: pet.type,
+            rarity: pet.rarity,
+            level: pet.level,
+          };
+          break;
+
+        case "egg":
+          const egg = await dbService.findEggById(itemId);
+          if (!egg || egg.ownerId.toString() !== userId) {
+            return res.status(404).json({
+              success: false,
+              message: "Egg not found or not owned by user",
+            });
+          }
+          nftContract = config.CONTRACT_EGG_NFT;
+          tokenId = egg.eggType || 1;
+          itemDetails = {
+            name: egg.name,
+            eggType: egg.eggType,
+            rarity: egg.rarity,
+          };
+          break;
+
+        default:
+          return res.status(400).json({
+            success: false,
+            message: "Unsupported item type",
+          });
+      }
+
+      // List on blockchain marketplace
+      const listResult = await blockchainService.listItem(
+        nftContract,
+        this.getItemTypeEnum(itemType),
+        tokenId,
+        amount,
+        price
+      );
+
+      if (!listResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: `Failed to list item: ${listResult.error}`,
+        });
+      }
+
+      // Save listing in database
+      await dbService.createMarketplaceListing({
+        listingId: listResult.listingId,
+        userId,
+        itemType,
+        itemId,
+        price,
+        amount,
+        nftContract,
+        tokenId,
+        itemDetails,
+        status: "listed",
+        listedAt: new Date(),
+      });
+
+      // A listed pet goes to its buyer bare; held items stay with the seller
+      if (itemType === "pet") {
+        await equipmentService.unequipAll(itemId);
+      }
+
+      res.json({
+        success: true,
+        message: "Item listed on marketplace successfully",
+        data: {
+          listingId: listResult.listingId,
+          itemType,
+          itemDetails,
+          price,
+        },
+      });
+    } catch (error) {
+      logger.error("List on marketplace error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Buy item from marketplace
+  async buyFromMarketplace(req, res) {
+    try {
+      const userId = req.user.id;
+      const { listingId } = req.body;
+
+      const user = await dbService.findUserById(userId);
+      if (!user || !user.walletAddress) {
+        return res.status(400).json({
+          success: false,
+          message: "User not found or wallet not connected",
+        });
+      }
+
+      // Get listing details
+      const listing = await blockchainService.getListing(listingId);
+      if (!listing || !listing.active) {
+        return res.status(404).json({
+          success: false,
+          message: "Listing not found or not active",
+        });
+      }
+
+      if (listing.seller.toLowerCase() === user.walletAddress.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot buy your own listing",
+        });
+      }
+
+      // Buy from blockchain
+      const buyResult = await blockchainService.buyItem(
+        listingId,
+        listing.price
+      );
+
+      if (!buyResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: `Failed to buy item: ${buyResult.error}`,
+        });
+      }
+
+      // Update database
+      await dbService.updateMarketplaceListing(listingId, {
+        status: "sold",
+        buyerId: userId,
+        soldAt: new Date(),
+      });
+
+      // Add item to buyer's collection
+      await this.addMarketplaceItemToUser(userId, listing);
+
+      res.json({
+        success: true,
+        message: "Item purchased successfully",
+        data: {
+          listingId,
+          item: listing,
+        },
+      });
+    } catch (error) {
+      logger.error("Buy from marketplace error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Get marketplace listings
+  async getMarketplaceListings(req, res) {
+    try {
+      const { type, page = 1, limit = 20 } = req.query;
+
+      const listings = await blockchainService.getActiveListings();
+
+      // Filter by type if specified
+      let filteredListings = listings;
+      if (type) {
+        filteredListings = listings.filter(
+          (listing) => this.getItemTypeFromEnum(listing.itemType) === type
+        );
+      }
+
+      // Paginate results
+      const startIndex = (page - 1) * limit;
+      const endIndex = startIndex + parseInt(limit);
+      const paginatedListings = filteredListings.slice(startIndex, endIndex);
+
+      // Enhance listings with additional data
+      const enhancedListings = await Promise.all(
+        paginatedListings.map(async (listing) => {
+          let itemDetails = {};
+
+          try {
+            if (listing.itemType === 0) {
+              // PET
+              const metadata = await blockchainService.getPetMetadata(
+                listing.tokenId
+              );
+              itemDetails = {
+                name: metadata.name,
+                type: metadata.petType,
+                rarity: metadata.rarity,
+                level: metadata.level,
+                isShiny: metadata.isShiny,
+              };
+            } else if (listing.itemType === 1) {
+              // EGG
+              itemDetails = {
+                name: `Egg Type ${listing.tokenId}`,
+                eggType: parseInt(listing.tokenId),
+              };
+            }
+          } catch (error) {
+            logger.warn(
+              `Failed to get metadata for listing ${listing.listingId}:`,
+              error
+            );
+          }
+
+          return {
+            ...listing,
+            itemDetails,
+            itemTypeName: this.getItemTypeFromEnum(listing.itemType),
+          };
+        })
+      );
+
+      res.json({
+        success: true,
+        data: {
+          listings: enhancedListings,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: filteredListings.length,
+            totalPages: Math.ceil(filteredListings.length / limit),
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get marketplace listings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Cancel marketplace listing
+  async cancelMarketplaceListing(req, res) {
+    try {
+      const userId = req.user.id;
+      const { listingId } = req.body;
+
+      const user = await dbService.findUserById(userId);
+      if (!user || !user.walletAddress) {
+        return res.status(400).json({
+          success: false,
+          message: "User not found or wallet not connected",
+        });
+      }
+
+      // Get listing to verify ownership
+      const listing = await dbService.getMarketplaceListing(listingId);
+      if (!listing) {
+        return res.status(404).json({
+          success: false,
+          message: "Listing not found",
+        });
+      }
+
+      if (listing.userId.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to cancel this listing",
+        });
+      }
+
+      if (listing.status !== "listed") {
+        return res.status(400).json({
+          success: false,
+          message: "Listing is not active",
+        });
+      }
+
+      // Cancel on blockchain (this would require a cancel method in blockchain service)
+      // For now, just update database status
+      await dbService.updateMarketplaceListing(listingId, {
+        status: "cancelled",
+        cancelledAt: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: "Listing cancelled successfully",
+      });
+    } catch (error) {
+      logger.error("Cancel marketplace listing error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Round-robin battle simulation
+  async simulateRoundRobinBattle(
+    playerTeam,
+    opponentTeam,
+    battleMode,
+    rng = Math.random,
+    turnDelay = 100,
+    itemBag = null
+  ) {
+    const battleLog = [];
+    let playerWins = 0;
+    let opponentWins = 0;
+
+    // Use scheduleRounds from battleLogic for proper scheduling
+    const numPlayers = Math.max(playerTeam.length, opponentTeam.length);
+    const schedule = scheduleRounds(numPlayers);
+
+    for (const match of schedule) {
+      const playerIndex = match.match[0] % playerTeam.length;
+      const opponentIndex = match.match[1] % opponentTeam.length;
+
+      const playerPet = playerTeam[playerIndex];
+      const opponentPet = opponentTeam[opponentIndex];
+
+      if (!playerPet || !opponentPet) continue;
+
+      // Convert to battle format
+      // The item bag is shared by every match of the battle
+      const playerTrainer = {
+        id: `player_${playerPet.id}`,
+        playerName: "Player",
+        pet: this.convertPetToBattleFormat(playerPet),
+        bag: itemBag,
+      };
+
+      const opponentTrainer = {
+        id: `opponent_${opponentPet.id}`,
+        playerName: "Opponent",
+        pet: this.convertPetToBattleFormat(opponentPet),
+      };
+
+      let matchResult;
+
+      if (battleMode === "pve") {
+        // Simulate AI battle using evaluateTurn
+        matchResult = await this.simulatePetBattle(
+          playerTrainer,
+          opponentTrainer,
+          rng,
+          turnDelay
+        );
+      } else {
+        // For PvP, we'd need player input - for now use AI
+        matchResult = await this.simulatePetBattle(
+          playerTrainer,
+          opponentTrainer,
+          rng,
+          turnDelay
+        );
+      }
+
+      battleLog.push({
+        round: match.round,
+        playerPet: playerPet.id,
+        opponentPet: opponentPet.id,
+        result: matchResult,
+      });
+
+      if (matchResult.winner === "player") {
+        playerWins++;
+      } else if (matchResult.winner === "opponent") {
+        opponentWins++;
+      }
+
+      // Heal pets for next match using recoverPokemon
+      recoverPokemon(playerTrainer.pet, opponentTrainer.pet);
+    }
+
+    const overallWinner =
+      playerWins > opponentWins
+        ? "player"
+        : opponentWins > playerWins
+        ? "opponent"
+        : "draw";
+
+    return {
+      winner: overallWinner,
+      playerWins,
+      opponentWins,
+      totalRounds: schedule.length,
+      battleLog,
+      schedule,
+      synergies: {
+        player: summarizeTeamSynergies(playerTeam),
+        opponent: summarizeTeamSynergies(opponentTeam),
+      },
+      itemsUsed: getItemUsage(itemBag),
+    };
+  },
+
+  // Simulate individual pet battle
+  async simulatePetBattle(
+    playerTrainer,
+    opponentTrainer,
+    rng = Math.random,
+    turnDelay = 100
+  ) {
+    const turns = [];
+    let currentPlayer = playerTrainer;
+    let currentOpponent = opponentTrainer;
+
+    while (
+      currentPlayer.pet.currentHP > 0 &&
+      currentOpponent.pet.currentHP > 0
+    ) {
+      // Faster pets come up on the timeline more often; a pet that isn't due
+      // sits this step out
+      const step = getNextTimelineStep(currentPlayer.pet, currentOpponent.pet);
+
+      // Pets reach into their trainer's bag before picking a move
+      const playerItem = step.player
+        ? chooseItem(currentPlayer.pet, currentPlayer.bag)
+        : null;
+      const opponentItem = step.opponent
+        ? chooseItem(currentOpponent.pet, currentOpponent.bag)
+        : null;
+      const playerAction = playerItem
+        ? "item"
+        : step.player
+        ? this.generatePetAction(currentPlayer.pet, currentOpponent.pet, rng)
+        : null;
+      const opponentAction = opponentItem
+        ? "item"
+        : step.opponent
+        ? this.generatePetAction(currentOpponent.pet, currentPlayer.pet, rng)
+        : null;
+
+      // Use evaluateTurn from battleLogic
+      const battleResult = evaluateTurn(
+        currentPlayer,
+        currentOpponent,
+        {
+          playerAction,
+          opponentAction,
+          result: this.determineBattleResult(playerAction, opponentAction),
+          playerItem,
+          opponentItem,
+        },
+        rng
+      );
+
+      turns.push({
+        turn: turns.length + 1,
+        tick: battleResult.tick,
+        playerAction,
+        opponentAction,
+        result: battleResult.result,
+        playerHP: currentPlayer.pet.currentHP,
+        opponentHP: currentOpponent.pet.currentHP,
+        damage: battleResult.damage,
+        abilityUsed: battleResult.abilityUsed,
+        itemsUsed: battleResult.itemsUsed,
+        events: battleResult.events,
+        statusEffects: {
+          player: [...currentPlayer.pet.statusEffects],
+          opponent: [...currentOpponent.pet.statusEffects],
+        },
+      });
+
+      // Update trainers with new health and status
+      currentPlayer = battleResult.player;
+      currentOpponent = battleResult.opponent;
+
+      // Add small delay for realism (skipped for replays)
+      if (turnDelay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, turnDelay));
+      }
+    }
+
+    const winner = currentPlayer.pet.currentHP > 0 ? "player" : "opponent";
+
+    return {
+      winner,
+      turns,
+      finalPlayerHP: currentPlayer.pet.currentHP,
+      finalOpponentHP: currentOpponent.pet.currentHP,
+      playerPet: currentPlayer.pet,
+      opponentPet: currentOpponent.pet,
+    };
+  },
+
+  // Determine battle result based on actions
+  determineBattleResult(playerAction, opponentAction) {
+    return determineBattleResult(playerAction, opponentAction);
+  },
+
+  // Pick a pet's next action with the AI strategy its difficulty names
+  generatePetAction(pet, opponentPet, rng = Math.random) {
+    return chooseAIAction(pet, opponentPet, rng);
+  },
+
+  // Calculate base battle rewards
+  calculateBaseBattleRewards(
+    opponentLevel,
+    isVictory,
+    battleMode,
+    teamSize = 3
+  ) {
+    const baseCoins = opponentLevel * 10 * (teamSize / 3);
+    const baseExp = opponentLevel * 5 * (teamSize / 3);
+
+    if (!isVictory) {
+      return {
+        coins: Math.floor(baseCoins * 0.3),
+        experience: Math.floor(baseExp * 0.3),
+      };
+    }
+
+    const multiplier = battleMode === "pvp" ? 1.5 : 1.0;
+
+    return {
+      coins: Math.floor(baseCoins * multiplier),
+      experience: Math.floor(baseExp * multiplier),
+    };
+  },
+
+  // Convert blockchain pet to battle format
+  convertPetToBattleFormat(pet) {
+    // Item modifiers are folded into stats here, so equipment stays behind
+    const stats = getEffectiveStats(pet);
+
+    return {
+      id: pet.id,
+      name: pet.name,
+      type: pet.type,
+      rarity: pet.rarity,
+      ability: pet.ability,
+      loadout: getLoadout(pet),
+      technique: pet.technique,
+      techniqueLevel: pet.techniqueLevel || 1,
+      level: pet.level || 1,
+      stats,
+      currentHP: pet.currentHP || stats.hp,
+      statusEffects: pet.statusEffects || [],
+      isAlive: pet.isAlive !== false,
+      abilityCooldowns: pet.abilityCooldowns || {},
+      fatigueMultiplier:
+        pet.fatigueMultiplier ?? GameController.getDamageMultiplier(pet),
+      aiDifficulty: pet.aiDifficulty,
+      blockchainId: pet.blockchainId,
+    };
+  },
+
+  // Convert multiple pets to battle format
+  convertPetsToBattleFormat(pets, trainerName) {
+    const team = pets.map((pet, index) => ({
+      id: pet.id,
+      name: pet.name,
+      type: pet.type,
+      rarity: pet.rarity,
+      ability: pet.ability,
+      loadout: getLoadout(pet),
+      technique: pet.technique,
+      techniqueLevel: pet.techniqueLevel || 1,
+      level: pet.level || 1,
+      stats: pet.stats || {},
+      equipment: pet.equipment || [],
+      currentHP: pet.currentHP,
+      statusEffects: pet.statusEffects || [],
+      isAlive: pet.isAlive !== false,
+      trainerName,
+      position: index + 1,
+      fatigueMultiplier:
+        pet.fatigueMultiplier ?? GameController.getDamageMultiplier(pet),
+      aiDifficulty: pet.aiDifficulty,
+      blockchainId: pet.blockchainId,
+    }));
+
+    applyTeamSynergies(team);
+
+    // Fresh pets start at full health, item and synergy HP included
+    team.forEach((battlePet) => {
+      if (!battlePet.currentHP) {
+        battlePet.currentHP = getEffectiveStats(battlePet).hp;
+      }
+    });
+
+    return team;
+  },
+
+  // Generate opponent team with abilities and techniques
+  async generateOpponentTeam(difficulty, userPets, maxPets) {
+    const difficulties = {
+      easy: { levelMultiplier: 0.7, rarity: "common" },
+      medium: { levelMultiplier: 1.0, rarity: "uncommon" },
+      hard: { levelMultiplier: 1.3, rarity: "rare" },
+      epic: { levelMultiplier: 1.6, rarity: "epic" },
+    };
+
+    const aiDifficulty = difficulties[difficulty] ? difficulty : "medium";
+    const config = difficulties[aiDifficulty];
+    const opponentPets = [];
+
+    // If user has one placement pet, opponent also gets 1 pet
+    const teamSize = Math.min(userPets.length, maxPets);
+
+    const avgUserLevel =
+      userPets.reduce((sum, pet) => sum + (pet.level || 1), 0) /
+      userPets.length;
+
+    for (let i = 0; i < teamSize; i++) {
+      const opponentPet = serverRNGService.generatePet();
+
+      // Scale opponent pet based on difficulty
+      opponentPet.level = Math.max(
+        1,
+        Math.round(avgUserLevel * config.levelMultiplier)
+      );
+      opponentPet.rarity = config.rarity;
+      opponentPet.aiDifficulty = aiDifficulty;
+
+      // Enhance stats based on difficulty
+      if (opponentPet.stats) {
+        Object.keys(opponentPet.stats).forEach((stat) => {
+          opponentPet.stats[stat] = Math.round(
+            opponentPet.stats[stat] * config.levelMultiplier
+          );
+        });
+      }
+
+      // Add random ability based on type
+      const typeAbilities = Object.values(ALL_ABILITIES).filter(
+        (ability) => ability.element === opponentPet.type?.toUpperCase()
+      );
+      if (typeAbilities.length > 0) {
+        const randomAbility =
+          typeAbilities[Math.floor(Math.random() * typeAbilities.length)];
+        opponentPet.ability = randomAbility.id;
+      }
+
+      opponentPets.push(opponentPet);
+    }
+
+    return opponentPets;
+  },
+
+  // Get available pets for battle (respecting one placement)
+  async getAvailableBattlePets(req, res) {
+    try {
+      const userId = req.user.id;
+      const user = await dbService.findUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const now = Date.now();
+      const availablePets = user.pets.map((pet) => ({
+        id: pet.id,
+        name: pet.name,
+        type: pet.type,
+        rarity: pet.rarity,
+        level: pet.level,
+        ability: pet.ability,
+        loadout: getLoadout(pet),
+        technique: pet.technique,
+        isOnePlacement: pet.technique
+          ? isOnePlacementTechnique(pet.technique)
+          : false,
+        stats: getEffectiveStats(pet),
+        stamina: describeStamina(pet, now),
+        care: describeCare(pet, now),
+        blockchainId: pet.blockchainId,
+        isOnChain: !!pet.blockchainId,
+      }));
+
+      // Check if user has any one placement pets
+      const onePlacementPets = availablePets.filter(
+        (pet) => pet.isOnePlacement
+      );
+
+      res.json({
+        success: true,
+        data: {
+          pets: availablePets,
+          onePlacementPets: onePlacementPets,
+          maxTeamSize: onePlacementPets.length > 0 ? 1 : 3,
+          walletConnected: !!user.walletAddress,
+          rules: {
+            onePlacement:
+              "Pets with ONE PLACEMENT techniques must battle alone",
+            stamina: `Each battle costs ${STAMINA_CONFIG.BATTLE_COST} stamina; pets at 0 stamina can't battle`,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Get available battle pets error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Preview the synergies and boosted stats a team would take into battle
+  async previewBattleTeam(req, res) {
+    try {
+      const petIds = String(req.query.petIds || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+      if (petIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "petIds is required",
+        });
+      }
+
+      const user = await dbService.findUserById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const pets = user.pets
+        .filter((pet) => petIds.includes(pet.id.toString()))
+        .slice(0, 3);
+      if (pets.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No valid pets selected",
+        });
+      }
+
+      const team = GameController.convertPetsToBattleFormat(
+        pets,
+        user.username
+      );
+
+      res.json({
+        success: true,
+        data: {
+          pets: team.map((pet, index) => ({
+            id: pet.id,
+            name: pet.name,
+            type: pet.type,
+            technique: pet.technique,
+            stats: getEffectiveStats(pets[index]),
+            teamStats: getEffectiveStats(pet),
+            synergies: pet.synergies.map((synergy) => synergy.name),
+          })),
+          synergies: getTeamSynergies(team).map(({ pets, ...synergy }) => ({
+            ...synergy,
+            petIds: pets.map((pet) => pet.id),
+          })),
+          validation: validateBattleTeam(pets),
+          catalog: Object.values(TEAM_SYNERGIES),
+        },
+      });
+    } catch (error) {
+      logger.error("Preview battle team error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Get battle history with enhanced details
+  async getBattleHistory(req, res) {
+    try {
+      const userId = req.user.id;
+      const battleHistory = await dbService.getUserBattleHistory(userId);
+
+      // Enhance with round-robin details
+      const enhancedHistory = battleHistory.map((battle) => {
+        if (battle.battleType === "round_robin" && battle.battleData) {
+          return {
+            ...battle,
+            detailedResults: {
+              totalRounds: battle.battleData.totalRounds,
+              playerWins: battle.battleData.playerWins,
+              opponentWins: battle.battleData.opponentWins,
+              individualMatches: battle.battleData.battleLog,
+            },
+          };
+        }
+        return battle;
+      });
+
+      const summary = {
+        totalBattles: enhancedHistory.length,
+        victories: enhancedHistory.filter((b) => b.result === "victory").length,
+        defeats: enhancedHistory.filter((b) => b.result === "defeat").length,
+        roundRobinBattles: enhancedHistory.filter(
+          (b) => b.battleType === "round_robin"
+        ).length,
+      };
+
+      summary.winRate =
+        summary.totalBattles > 0
+          ? ((summary.victories / summary.totalBattles) * 100).toFixed(1)
+          : 0;
+
+      res.json({
+        success: true,
+        data: {
+          battles: enhancedHistory,
+          summary,
+        },
+      });
+    } catch (error) {
+      logger.error("Get battle history error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Re-simulate one of the user's stored battles from its seed
+  async replayStoredBattle(userId, battleId) {
+    const battle = await dbService.findBattleHistoryById(battleId);
+    if (!battle || battle.userId.toString() !== userId.toString()) {
+      return { error: "Battle not found", status: 404 };
+    }
+
+    const { seed, engineVersion, battleMode, initialTeams, initialItemBag } =
+      battle.battleData || {};
+
+    if (seed === undefined || !initialTeams) {
+      return {
+        error: "Battle was recorded without a seed and cannot be replayed",
+        status: 400,
+      };
+    }
 
-    return {
-      coins: Math.floor(baseCoins * multiplier),
-      experience: Math.floor(baseExp * multiplier),
-    };
+    if (engineVersion !== BATTLE_ENGINE_VERSION) {
+      return {
+        error: `Battle was recorded with engine v${engineVersion}, current engine is v${BATTLE_ENGINE_VERSION}`,
+        status: 409,
+      };
+    }
+
+    const replay = await GameController.simulateRoundRobinBattle(
+      structuredClone(initialTeams.playerTeam),
+      structuredClone(initialTeams.opponentTeam),
+      battleMode,
+      createSeededRandom(seed),
+      0,
+      initialItemBag ? structuredClone(initialItemBag) : null
+    );
+
+    return { battle, replay, initialTeams };
+  },
+
+  // Replay a stored battle by re-simulating it from its seed
+  async getBattleReplay(req, res) {
+    try {
+      const { battle, replay, error, status } =
+        await GameController.replayStoredBattle(
+          req.user.id,
+          req.params.battleId
+        );
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const { seed, engineVersion } = battle.battleData;
+      const battleLog = JSON.parse(JSON.stringify(replay.battleLog));
+
+      res.json({
+        success: true,
+        data: {
+          battleId: battle._id,
+          seed,
+          engineVersion,
+          winner: replay.winner,
+          playerWins: replay.playerWins,
+          opponentWins: replay.opponentWins,
+          battleLog,
+          matchesRecord:
+            JSON.stringify(battleLog) ===
+            JSON.stringify(battle.battleData.battleLog),
+        },
+      });
+    } catch (error) {
+      logger.error("Get battle replay error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Write battle events as Server-Sent Events, paced for animated playback.
+  // Clients resume with Last-Event-ID (or ?from=) and change speed by
+  // reconnecting with a new ?speed=.
+  async sendEventStream(req, res, events) {
+    const speed = clampStreamSpeed(req.query.speed || 1);
+    const lastEventId = req.get("Last-Event-ID");
+    const from =
+      lastEventId !== undefined
+        ? Number(lastEventId) + 1
+        : Math.max(0, parseInt(req.query.from, 10) || 0);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+    });
+
+    for (const event of events.slice(from)) {
+      if (closed) break;
+      res.write(
+        `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          event
+        )}\n\n`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, getEventDuration(event, speed))
+      );
+    }
+
+    res.end();
+  },
+
+  // Stream one of the user's stored battles
+  async streamBattleEvents(req, res) {
+    try {
+      const { replay, initialTeams, error, status } =
+        await GameController.replayStoredBattle(
+          req.user.id,
+          req.params.battleId
+        );
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const events = buildBattleEvents({
+        ...replay,
+        playerTeam: initialTeams.playerTeam,
+        opponentTeam: initialTeams.opponentTeam,
+      });
+      await GameController.sendEventStream(req, res, events);
+    } catch (error) {
+      logger.error("Stream battle events error:", error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Live PvP battles that can be spectated, top-rated first. Spectating
+  // itself happens over the PvP socket.
+  async getLiveBattles(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          battles: spectatorService.listLiveBattles(),
+          delayMs: spectatorService.delayMs,
+        },
+      });
+    } catch (error) {
+      logger.error("Get live battles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Recent high-rated PvP battles to watch back
+  async getFeaturedBattles(req, res) {
+    try {
+      const since = new Date(
+        Date.now() - SPECTATOR_CONFIG.FEATURED_WINDOW_DAYS * 24 * 60 * 60 * 1000
+      );
+      const battles = await dbService.getFeaturedBattles(
+        since,
+        SPECTATOR_CONFIG.FEATURED_LIMIT
+      );
+
+      res.json({
+        success: true,
+        data: {
+          battles: battles.map(({ battleData, date }) => ({
+            battleId: battleData.pvpBattleId,
+            players: battleData.players,
+            averageRating: battleData.averageRating,
+            winner: battleData.winner,
+            wins: battleData.wins,
+            totalMatches: battleData.totalRounds,
+            reason: battleData.reason,
+            date,
+          })),
+        },
+      });
+    } catch (error) {
+      logger.error("Get featured battles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Stream a finished PvP battle from its stored log for spectators
+  async streamSpectatorBattle(req, res) {
+    try {
+      const battle = await dbService.findPvPBattleHistory(req.params.battleId);
+      if (!battle?.battleData?.teams) {
+        return res.status(404).json({
+          success: false,
+          message: "Battle not found",
+        });
+      }
+
+      const events = buildBattleEvents(fromPvPBattle(battle.battleData));
+      await GameController.sendEventStream(req, res, events);
+    } catch (error) {
+      logger.error("Stream spectator battle error:", error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Get available quests
+  async getAvailableQuests(req, res) {
+    try {
+      const userId = req.user.id;
+      const user = await dbService.findUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const availableQuests = [
+        {
+          id: "beginner_battle",
+          name: "First Battle",
+          difficulty: "easy",
+          description: "Complete your first battle",
+          reward: { coins: 100, experience: 50 },
+          completed:
+            user.completedQuests?.some(
+              (q) => q.questId === "beginner_battle"
+            ) || false,
+        },
+        {
+          id: "hatch_3_pets",
+          name: "Pet Collector",
+          difficulty: "easy",
+          description: "Hatch 3 pets",
+          reward: { coins: 150, experience: 75 },
+          progress: user.pets?.length || 0,
+          target: 3,
+          completed: (user.pets?.length || 0) >= 3,
+        },
+        {
+          id: "win_5_battles",
+          name: "Battle Veteran",
+          difficulty: "medium",
+          description: "Win 5 battles",
+          reward: { coins: 250, experience: 125 },
+          progress: user.battlesWon || 0,
+          target: 5,
+          completed: (user.battlesWon || 0) >= 5,
+        },
+        {
+          id: "reach_level_10",
+          name: "Experienced Trainer",
+          difficulty: "medium",
+          description: "Reach level 10",
+          reward: { coins: 500, experience: 250 },
+          progress: user.level || 1,
+          target: 10,
+          completed: (user.level || 1) >= 10,
+        },
+        {
+          id: "connect_wallet",
+          name: "Blockchain Explorer",
+          difficulty: "easy",
+          description: "Connect your wallet to the game",
+          reward: { coins: 200, experience: 100 },
+          completed: !!user.walletAddress,
+        },
+        {
+          id: "mint_first_nft",
+          name: "NFT Creator",
+          difficulty: "medium",
+          description: "Mint your first pet as NFT",
+          reward: { coins: 300, experience: 150 },
+          completed: user.pets?.some((pet) => !!pet.blockchainId) || false,
+        },
+      ];
+
+      res.json({
+        success: true,
+        data: {
+          quests: availableQuests,
+        },
+      });
+    } catch (error) {
+      logger.error("Get available quests error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
   },
 
-  // Convert blockchain pet to battle format
-  convertPetToBattleFormat(pet) {
-    return {
-      id: pet.id,
-      name: pet.name,
-      type: pet.type,
-      rarity: pet.rarity,
-      ability: pet.ability,
-      technique: pet.technique,
-      techniqueLevel: pet.techniqueLevel || 1,
-      level: pet.level || 1,
-      stats: getEffectiveStats(pet),
-      currentHP: pet.currentHP || pet.stats.hp,
-      statusEffects: pet.statusEffects || [],
-      isAlive: pet.isAlive !== false,
-      abilityCooldowns: pet.abilityCooldowns || {},
-      blockchainId: pet.blockchainId,
-    };
+  // Complete a quest
+  async completeQuest(req, res) {
+    try {
+      const userId = req.user.id;
+      const { questId } = req.body;
+
+      const user = await dbService.findUserById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const quest = this.getQuestById(questId);
+      if (!quest) {
+        return res.status(404).json({
+          success: false,
+          message: "Quest not found",
+        });
+      }
+
+      if (user.completedQuests?.some((q) => q.questId === questId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Quest already completed",
+        });
+      }
+
+      if (!this.checkQuestRequirements(user, questId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Quest requirements not met",
+        });
+      }
+
+      // Use RewardService for quest rewards
+      const rewardResult = await rewardService.applyQuestRewards(
+        userId,
+        quest.difficulty,
+        user.level,
+        questId
+      );
+
+      if (!rewardResult.success) {
+        throw new Error(`Failed to apply quest rewards: ${rewardResult.error}`);
+      }
+
+      const completedQuest = {
+        questId,
+        completedAt: new Date(),
+        rewards: rewardResult.rewards,
+      };
+
+      await dbService.updateUser(userId, {
+        $push: { completedQuests: completedQuest },
+        updatedAt: new Date(),
+      });
+
+      const responseData = {
+        success: true,
+        message: `Quest "${quest.name}" completed successfully!`,
+        data: {
+          quest,
+          rewards: rewardResult.rewards,
+          user: {
+            completedQuests: (user.completedQuests?.length || 0) + 1,
+          },
+        },
+      };
+
+      res.json(responseData);
+    } catch (error) {
+      logger.error("Quest completion error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during quest completion",
+      });
+    }
   },
 
-  // Convert multiple pets to battle format
-  convertPetsToBattleFormat(pets, trainerName) {
-    return pets.map((pet, index) => ({
-      id: pet.id,
-      name: pet.name,
-      type: pet.type,
-      rarity: pet.rarity,
-      ability: pet.ability,
-      technique: pet.technique,
-      techniqueLevel: pet.techniqueLevel || 1,
-      level: pet.level || 1,
-      stats: pet.stats || {},
-      currentHP: pet.currentHP || pet.stats.hp,
-      statusEffects: pet.statusEffects || [],
-      isAlive: pet.isAlive !== false,
-      trainerName,
-      position: index + 1,
-      blockchainId: pet.blockchainId,
-    }));
+  // Get quest progress
+  async getQuestProgress(req, res) {
+    try {
+      const userId = req.user.id;
+      const user = await dbService.findUserById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const questProgress = {
+        completed: user.completedQuests?.length || 0,
+        inProgress: 6 - (user.completedQuests?.length || 0),
+        totalAvailable: 6,
+      };
+
+      res.json({
+        success: true,
+        data: { progress: questProgress },
+      });
+    } catch (error) {
+      logger.error("Get quest progress error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
   },
 
-  // Generate opponent team with abilities and techniques
-  async generateOpponentTeam(difficulty, userPets, maxPets) {
-    const difficulties = {
-      easy: { levelMultiplier: 0.7, rarity: "common" },
-      medium: { levelMultiplier: 1.0, rarity: "uncommon" },
-      hard: { levelMultiplier: 1.3, rarity: "rare" },
-      epic: { levelMultiplier: 1.6, rarity: "epic" },
-    };
+  // Get daily reward status
+  async getDailyRewardStatus(req, res) {
+    try {
+      const userId = req.user.id;
+      const user = await dbService.findUserById(userId);
 
-    const config = difficulties[difficulty] || difficulties.medium;
-    const opponentPets = [];
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
 
-    // If user has one placement pet, opponent also gets 1 pet
-    const teamSize = Math.min(userPets.length, maxPets);
+      const lastClaim = user.lastDailyClaim || new Date(0);
+      const now = new Date();
+      const hoursSinceLastClaim = (now - lastClaim) / (1000 * 60 * 60);
+      const canClaim = hoursSinceLastClaim >= 20;
+      const hoursRemaining = canClaim ? 0 : Math.ceil(20 - hoursSinceLastClaim);
 
-    const avgUserLevel =
-      userPets.reduce((sum, pet) => sum + (pet.level || 1), 0) /
-      userPets.length;
+      const status = {
+        canClaim,
+        hoursRemaining,
+        consecutiveDays: user.consecutiveDays || 1,
+        lastClaim: user.lastDailyClaim,
+        nextReward: this.getNextDailyReward((user.consecutiveDays || 1) + 1),
+      };
 
-    for (let i = 0; i < teamSize; i++) {
-      const opponentPet = serverRNGService.generatePet();
+      res.json({
+        success: true,
+        data: { status },
+      });
+    } catch (error) {
+      logger.error("Get daily reward status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
 
-      // Scale opponent pet based on difficulty
-      opponentPet.level = Math.max(
-        1,
-        Math.round(avgUserLevel * config.levelMultiplier)
-      );
-      opponentPet.rarity = config.rarity;
+  // Claim daily reward
+  async claimDailyReward(req, res) {
+    try {
+      const userId = req.user.id;
+      const user = await dbService.findUserById(userId);
 
-      // Enhance stats based on difficulty
-      if (opponentPet.stats) {
-        Object.keys(opponentPet.stats).forEach((stat) => {
-          opponentPet.stats[stat] = Math.round(
-            opponentPet.stats[stat] * config.levelMultiplier
-          );
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
         });
       }
 
-      // Add random ability based on type
-      const typeAbilities = Object.values(ALL_ABILITIES).filter(
-        (ability) => ability.element === opponentPet.type?.toUpperCase()
+      const lastClaim = user.lastDailyClaim || new Date(0);
+      const now = new Date();
+      const hoursSinceLastClaim = (now - lastClaim) / (1000 * 60 * 60);
+
+      if (hoursSinceLastClaim < 20) {
+        const hoursRemaining = Math.ceil(20 - hoursSinceLastClaim);
+        return res.status(400).json({
+          success: false,
+          message: `Please wait ${hoursRemaining} more hours to claim your next daily reward`,
+        });
+      }
+
+      const consecutiveDays = user.consecutiveDays || 1;
+      const isNewDay = hoursSinceLastClaim >= 24;
+      const currentConsecutiveDays = isNewDay
+        ? consecutiveDays + 1
+        : consecutiveDays;
+
+      // Use RewardService for daily rewards
+      const rewardResult = await rewardService.applyDailyRewards(
+        userId,
+        currentConsecutiveDays,
+        user.level
       );
-      if (typeAbilities.length > 0) {
-        const randomAbility =
-          typeAbilities[Math.floor(Math.random() * typeAbilities.length)];
-        opponentPet.ability = randomAbility.id;
+
+      if (!rewardResult.success) {
+        throw new Error(`Failed to apply daily rewards: ${rewardResult.error}`);
       }
 
-      opponentPets.push(opponentPet);
-    }
+      const updateData = {
+        lastDailyClaim: now,
+        consecutiveDays: isNewDay ? currentConsecutiveDays : consecutiveDays,
+        updatedAt: new Date(),
+      };
 
-    return opponentPets;
+      await dbService.updateUser(userId, updateData);
+
+      const responseData = {
+        success: true,
+        message: `Daily reward claimed! Day ${updateData.consecutiveDays} streak!`,
+        data: {
+          rewards: rewardResult.rewards,
+          streak: {
+            current: updateData.consecutiveDays,
+            nextReward: this.getNextDailyReward(updateData.consecutiveDays + 1),
+          },
+          user: {
+            consecutiveDays: updateData.consecutiveDays,
+            lastDailyClaim: updateData.lastDailyClaim,
+          },
+        },
+      };
+
+      res.json(responseData);
+    } catch (error) {
+      logger.error("Daily reward claim error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during daily reward claim",
+      });
+    }
   },
 
-  // Get available pets for battle (respecting one placement)
-  async getAvailableBattlePets(req, res) {
+  // Get user game stats
+  async getUserStats(req, res) {
     try {
       const userId = req.user.id;
+      const stats = await dbService.getUserStats(userId);
+
+      // Add blockchain stats
       const user = await dbService.findUserById(userId);
+      const blockchainStats = {
+        walletConnected: !!user.walletAddress,
+        nftPets: user.pets?.filter((pet) => !!pet.blockchainId).length || 0,
+        totalPets: user.pets?.length || 0,
+        nftPercentage: user.pets?.length
+          ? (
+              (user.pets.filter((pet) => !!pet.blockchainId).length /
+                user.pets.length) *
+              100
+            ).toFixed(1)
+          : 0,
+      };
 
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
+      res.json({
+        success: true,
+        data: {
+          ...stats,
+          blockchain: blockchainStats,
+        },
+      });
+    } catch (error) {
+      logger.error("Get user stats error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Get leaderboard
+  async getLeaderboard(req, res) {
+    try {
+      const { type = "level", limit = 10 } = req.query;
+
+      // The ranked ladder is ordered by rating rather than progression
+      if (type === "rating") {
+        const { season, standings } = await rankingService.getLadder(
+          Math.min(parseInt(limit) || 10, 100)
+        );
+
+        return res.json({
+          success: true,
+          data: {
+            leaderboard: standings.map((standing) => ({
+              rank: standing.position,
+              username: standing.username,
+              score: standing.rating,
+              tier: standing.tier,
+              division: standing.division,
+              wins: standing.wins,
+              losses: standing.losses,
+            })),
+            type,
+            season: rankingService.formatSeason(season),
+            updatedAt: new Date(),
+          },
         });
       }
 
-      const availablePets = user.pets.map((pet) => ({
-        id: pet.id,
-        name: pet.name,
-        type: pet.type,
-        rarity: pet.rarity,
-        level: pet.level,
-        ability: pet.ability,
-        technique: pet.technique,
-        isOnePlacement: pet.technique
-          ? isOnePlacementTechnique(pet.technique)
-          : false,
-        stats: getEffectiveStats(pet),
-        blockchainId: pet.blockchainId,
-        isOnChain: !!pet.blockchainId,
-      }));
+      const leaderboard = await dbService.getLeaderboard(type, parseInt(limit));
 
-      // Check if user has any one placement pets
-      const onePlacementPets = availablePets.filter(
-        (pet) => pet.isOnePlacement
-      );
+      const formattedLeaderboard = leaderboard.map((user, index) => ({
+        rank: index + 1,
+        username: user.username,
+        level: user.level,
+        score: type === "level" ? user.level : user.experience,
+        battlesWon: user.battlesWon,
+        walletConnected: !!user.walletAddress,
+      }));
 
       res.json({
         success: true,
         data: {
-          pets: availablePets,
-          onePlacementPets: onePlacementPets,
-          maxTeamSize: onePlacementPets.length > 0 ? 1 : 3,
-          walletConnected: !!user.walletAddress,
-          rules: {
-            onePlacement:
-              "Pets with ONE PLACEMENT techniques must battle alone",
-          },
+          leaderboard: formattedLeaderboard,
+          type,
+          updatedAt: new Date(),
         },
       });
     } catch (error) {
-      logger.error("Get available battle pets error:", error);
+      logger.error("Get leaderboard error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1366,51 +2961,35 @@ export const GameController = {
     }
   },
 
-  // Get battle history with enhanced details
-  async getBattleHistory(req, res) {
+  // Get the current ranked season and the user's standing in it
+  async getRankedStatus(req, res) {
     try {
-      const userId = req.user.id;
-      const battleHistory = await dbService.getUserBattleHistory(userId);
+      const standing = await rankingService.getPlayerStanding(req.user);
 
-      // Enhance with round-robin details
-      const enhancedHistory = battleHistory.map((battle) => {
-        if (battle.battleType === "round_robin" && battle.battleData) {
-          return {
-            ...battle,
-            detailedResults: {
-              totalRounds: battle.battleData.totalRounds,
-              playerWins: battle.battleData.playerWins,
-              opponentWins: battle.battleData.opponentWins,
-              individualMatches: battle.battleData.battleLog,
-            },
-          };
-        }
-        return battle;
+      res.json({
+        success: true,
+        data: standing,
       });
+    } catch (error) {
+      logger.error("Get ranked status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
 
-      const summary = {
-        totalBattles: enhancedHistory.length,
-        victories: enhancedHistory.filter((b) => b.result === "victory").length,
-        defeats: enhancedHistory.filter((b) => b.result === "defeat").length,
-        roundRobinBattles: enhancedHistory.filter(
-          (b) => b.battleType === "round_robin"
-        ).length,
-      };
-
-      summary.winRate =
-        summary.totalBattles > 0
-          ? ((summary.victories / summary.totalBattles) * 100).toFixed(1)
-          : 0;
+  // List ranked seasons
+  async getRankedSeasons(req, res) {
+    try {
+      const seasons = await rankingService.getSeasons();
 
       res.json({
         success: true,
-        data: {
-          battles: enhancedHistory,
-          summary,
-        },
+        data: { seasons },
       });
     } catch (error) {
-      logger.error("Get battle history error:", error);
+      logger.error("Get ranked seasons error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1418,87 +2997,53 @@ export const GameController = {
     }
   },
 
-  // Get available quests
-  async getAvailableQuests(req, res) {
+  // Get final (or live) standings for a season
+  async getSeasonStandings(req, res) {
     try {
-      const userId = req.user.id;
-      const user = await dbService.findUserById(userId);
+      const { page = 1, limit = 50 } = req.query;
+      const result = await rankingService.getSeasonStandings(
+        parseInt(req.params.seasonNumber),
+        {
+          page: Math.max(parseInt(page) || 1, 1),
+          limit: Math.min(parseInt(limit) || 50, 100),
+        }
+      );
 
-      if (!user) {
+      if (!result) {
         return res.status(404).json({
           success: false,
-          message: "User not found",
+          message: "Season not found",
         });
       }
 
-      const availableQuests = [
-        {
-          id: "beginner_battle",
-          name: "First Battle",
-          difficulty: "easy",
-          description: "Complete your first battle",
-          reward: { coins: 100, experience: 50 },
-          completed:
-            user.completedQuests?.some(
-              (q) => q.questId === "beginner_battle"
-            ) || false,
-        },
-        {
-          id: "hatch_3_pets",
-          name: "Pet Collector",
-          difficulty: "easy",
-          description: "Hatch 3 pets",
-          reward: { coins: 150, experience: 75 },
-          progress: user.pets?.length || 0,
-          target: 3,
-          completed: (user.pets?.length || 0) >= 3,
-        },
-        {
-          id: "win_5_battles",
-          name: "Battle Veteran",
-          difficulty: "medium",
-          description: "Win 5 battles",
-          reward: { coins: 250, experience: 125 },
-          progress: user.battlesWon || 0,
-          target: 5,
-          completed: (user.battlesWon || 0) >= 5,
-        },
-        {
-          id: "reach_level_10",
-          name: "Experienced Trainer",
-          difficulty: "medium",
-          description: "Reach level 10",
-          reward: { coins: 500, experience: 250 },
-          progress: user.level || 1,
-          target: 10,
-          completed: (user.level || 1) >= 10,
-        },
-        {
-          id: "connect_wallet",
-          name: "Blockchain Explorer",
-          difficulty: "easy",
-          description: "Connect your wallet to the game",
-          reward: { coins: 200, experience: 100 },
-          completed: !!user.walletAddress,
-        },
-        {
-          id: "mint_first_nft",
-          name: "NFT Creator",
-          difficulty: "medium",
-          description: "Mint your first pet as NFT",
-          reward: { coins: 300, experience: 150 },
-          completed: user.pets?.some((pet) => !!pet.blockchainId) || false,
-        },
-      ];
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Get season standings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // List tournaments, optionally filtered by status
+  async getTournaments(req, res) {
+    try {
+      const { status, limit = 20 } = req.query;
+      const tournaments = await tournamentService.getTournaments(
+        { status, limit: Math.min(parseInt(limit) || 20, 50) },
+        req.user.id
+      );
 
       res.json({
         success: true,
-        data: {
-          quests: availableQuests,
-        },
+        data: { tournaments },
       });
     } catch (error) {
-      logger.error("Get available quests error:", error);
+      logger.error("Get tournaments error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1506,112 +3051,147 @@ export const GameController = {
     }
   },
 
-  // Complete a quest
-  async completeQuest(req, res) {
+  // Get a tournament with its groups and bracket
+  async getTournament(req, res) {
     try {
-      const userId = req.user.id;
-      const { questId } = req.body;
+      const tournament = await tournamentService.getTournament(
+        req.params.tournamentId,
+        req.user.id
+      );
 
-      const user = await dbService.findUserById(userId);
-      if (!user) {
+      if (!tournament) {
         return res.status(404).json({
           success: false,
-          message: "User not found",
+          message: "Tournament not found",
         });
       }
 
-      const quest = this.getQuestById(questId);
-      if (!quest) {
+      res.json({
+        success: true,
+        data: { tournament },
+      });
+    } catch (error) {
+      logger.error("Get tournament error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Pay the entry fee and register a team for a tournament
+  async registerForTournament(req, res) {
+    try {
+      const user = await dbService.findUserById(req.user.id);
+      const tournament = await tournamentService.findTournament(
+        req.params.tournamentId
+      );
+      if (!tournament) {
         return res.status(404).json({
           success: false,
-          message: "Quest not found",
+          message: "Tournament not found",
         });
       }
 
-      if (user.completedQuests?.some((q) => q.questId === questId)) {
-        return res.status(400).json({
+      const selection = await GameController.selectBattlePets(user, {
+        petIds: req.body.petIds,
+        maxPets: tournament.teamSize,
+        spendsStamina: false,
+      });
+      if (selection.error) {
+        return res.status(selection.status).json({
           success: false,
-          message: "Quest already completed",
+          message: selection.error,
         });
       }
 
-      if (!this.checkQuestRequirements(user, questId)) {
-        return res.status(400).json({
+      const team = GameController.convertPetsToBattleFormat(
+        selection.userPets,
+        user.username
+      );
+      const result = await tournamentService.register(
+        tournament._id,
+        user,
+        selection.userPets,
+        JSON.parse(JSON.stringify(team))
+      );
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
           success: false,
-          message: "Quest requirements not met",
+          message: result.error,
         });
       }
 
-      // Use RewardService for quest rewards
-      const rewardResult = await rewardService.applyQuestRewards(
-        userId,
-        quest.difficulty,
-        user.level,
-        questId
+      res.json({
+        success: true,
+        message: `Registered for ${result.tournament.name}`,
+        data: {
+          tournament: tournamentService.formatSummary(
+            result.tournament,
+            user.id
+          ),
+        },
+      });
+    } catch (error) {
+      logger.error("Register for tournament error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Leave a tournament before registration closes and get the fee back
+  async withdrawFromTournament(req, res) {
+    try {
+      const result = await tournamentService.withdraw(
+        req.params.tournamentId,
+        req.user.id
       );
 
-      if (!rewardResult.success) {
-        throw new Error(`Failed to apply quest rewards: ${rewardResult.error}`);
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
       }
 
-      const completedQuest = {
-        questId,
-        completedAt: new Date(),
-        rewards: rewardResult.rewards,
-      };
-
-      await dbService.updateUser(userId, {
-        $push: { completedQuests: completedQuest },
-        updatedAt: new Date(),
-      });
-
-      const responseData = {
+      res.json({
         success: true,
-        message: `Quest "${quest.name}" completed successfully!`,
+        message: "Withdrawn from tournament",
         data: {
-          quest,
-          rewards: rewardResult.rewards,
-          user: {
-            completedQuests: (user.completedQuests?.length || 0) + 1,
-          },
-        },
-      };
-
-      res.json(responseData);
+          refunded: result.refunded,
+          tournament: tournamentService.formatSummary(
+            result.tournament,
+            req.user.id
+          ),
+        },
+      });
     } catch (error) {
-      logger.error("Quest completion error:", error);
+      logger.error("Withdraw from tournament error:", error);
       res.status(500).json({
         success: false,
-        message: "Internal server error during quest completion",
+        message: "Internal server error",
       });
     }
   },
 
-  // Get quest progress
-  async getQuestProgress(req, res) {
+  // List boss raids
+  async getRaids(req, res) {
     try {
-      const userId = req.user.id;
-      const user = await dbService.findUserById(userId);
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      const questProgress = {
-        completed: user.completedQuests?.length || 0,
-        inProgress: 6 - (user.completedQuests?.length || 0),
-        totalAvailable: 6,
-      };
+      const { status, limit = 20 } = req.query;
+      const raids = await raidService.getRaids(
+        { status, limit: Math.min(parseInt(limit) || 20, 50) },
+        req.user.id
+      );
 
       res.json({
         success: true,
-        data: { progress: questProgress },
+        data: { raids },
       });
     } catch (error) {
-      logger.error("Get quest progress error:", error);
+      logger.error("Get raids error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1619,39 +3199,24 @@ export const GameController = {
     }
   },
 
-  // Get daily reward status
-  async getDailyRewardStatus(req, res) {
+  // Get a raid with its contribution leaderboard
+  async getRaid(req, res) {
     try {
-      const userId = req.user.id;
-      const user = await dbService.findUserById(userId);
+      const raid = await raidService.getRaid(req.params.raidId, req.user.id);
 
-      if (!user) {
+      if (!raid) {
         return res.status(404).json({
           success: false,
-          message: "User not found",
+          message: "Raid not found",
         });
       }
 
-      const lastClaim = user.lastDailyClaim || new Date(0);
-      const now = new Date();
-      const hoursSinceLastClaim = (now - lastClaim) / (1000 * 60 * 60);
-      const canClaim = hoursSinceLastClaim >= 20;
-      const hoursRemaining = canClaim ? 0 : Math.ceil(20 - hoursSinceLastClaim);
-
-      const status = {
-        canClaim,
-        hoursRemaining,
-        consecutiveDays: user.consecutiveDays || 1,
-        lastClaim: user.lastDailyClaim,
-        nextReward: this.getNextDailyReward((user.consecutiveDays || 1) + 1),
-      };
-
       res.json({
         success: true,
-        data: { status },
+        data: { raid },
       });
     } catch (error) {
-      logger.error("Get daily reward status error:", error);
+      logger.error("Get raid error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1659,112 +3224,78 @@ export const GameController = {
     }
   },
 
-  // Claim daily reward
-  async claimDailyReward(req, res) {
+  // Send a team against the raid boss
+  async attackRaid(req, res) {
     try {
-      const userId = req.user.id;
-      const user = await dbService.findUserById(userId);
-
-      if (!user) {
+      const user = await dbService.findUserById(req.user.id);
+      const raid = await raidService.findRaid(req.params.raidId);
+      if (!raid) {
         return res.status(404).json({
           success: false,
-          message: "User not found",
+          message: "Raid not found",
         });
       }
 
-      const lastClaim = user.lastDailyClaim || new Date(0);
-      const now = new Date();
-      const hoursSinceLastClaim = (now - lastClaim) / (1000 * 60 * 60);
-
-      if (hoursSinceLastClaim < 20) {
-        const hoursRemaining = Math.ceil(20 - hoursSinceLastClaim);
-        return res.status(400).json({
+      const selection = await GameController.selectBattlePets(user, {
+        petIds: req.body.petIds,
+        maxPets: raid.teamSize,
+      });
+      if (selection.error) {
+        return res.status(selection.status).json({
           success: false,
-          message: `Please wait ${hoursRemaining} more hours to claim your next daily reward`,
+          message: selection.error,
         });
       }
 
-      const consecutiveDays = user.consecutiveDays || 1;
-      const isNewDay = hoursSinceLastClaim >= 24;
-      const currentConsecutiveDays = isNewDay
-        ? consecutiveDays + 1
-        : consecutiveDays;
-
-      // Use RewardService for daily rewards
-      const rewardResult = await rewardService.applyDailyRewards(
-        userId,
-        currentConsecutiveDays,
-        user.level
+      const result = await raidService.attack(
+        raid._id,
+        user,
+        selection.userPets
       );
 
-      if (!rewardResult.success) {
-        throw new Error(`Failed to apply daily rewards: ${rewardResult.error}`);
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
       }
 
-      const updateData = {
-        lastDailyClaim: now,
-        consecutiveDays: isNewDay ? currentConsecutiveDays : consecutiveDays,
-        updatedAt: new Date(),
-      };
-
-      await dbService.updateUser(userId, updateData);
+      await GameController.spendBattleStamina(selection.userPets);
 
-      const responseData = {
+      res.json({
         success: true,
-        message: `Daily reward claimed! Day ${updateData.consecutiveDays} streak!`,
+        message: result.attempt.defeated
+          ? `${raid.boss.name} has fallen!`
+          : `Your team dealt ${result.attempt.damage} damage`,
         data: {
-          rewards: rewardResult.rewards,
-          streak: {
-            current: updateData.consecutiveDays,
-            nextReward: this.getNextDailyReward(updateData.consecutiveDays + 1),
-          },
-          user: {
-            consecutiveDays: updateData.consecutiveDays,
-            lastDailyClaim: updateData.lastDailyClaim,
+          attempt: {
+            seed: result.seed,
+            damage: result.attempt.damage,
+            duels: result.attempt.duels,
           },
+          raid: raidService.formatRaid(result.raid, user.id),
         },
-      };
-
-      res.json(responseData);
+      });
     } catch (error) {
-      logger.error("Daily reward claim error:", error);
+      logger.error("Raid attack error:", error);
       res.status(500).json({
         success: false,
-        message: "Internal server error during daily reward claim",
+        message: "Internal server error",
       });
     }
   },
 
-  // Get user game stats
-  async getUserStats(req, res) {
+  // Campaign chapters with the user's stars and unlocks
+  async getCampaign(req, res) {
     try {
-      const userId = req.user.id;
-      const stats = await dbService.getUserStats(userId);
-
-      // Add blockchain stats
-      const user = await dbService.findUserById(userId);
-      const blockchainStats = {
-        walletConnected: !!user.walletAddress,
-        nftPets: user.pets?.filter((pet) => !!pet.blockchainId).length || 0,
-        totalPets: user.pets?.length || 0,
-        nftPercentage: user.pets?.length
-          ? (
-              (user.pets.filter((pet) => !!pet.blockchainId).length /
-                user.pets.length) *
-              100
-            ).toFixed(1)
-          : 0,
-      };
+      const chapters = await campaignService.getCampaign(req.user.id);
 
       res.json({
         success: true,
-        data: {
-          ...stats,
-          blockchain: blockchainStats,
-        },
+        data: { chapters },
       });
     } catch (error) {
-      logger.error("Get user stats error:", error);
+      logger.error("Get campaign error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1772,31 +3303,96 @@ export const GameController = {
     }
   },
 
-  // Get leaderboard
-  async getLeaderboard(req, res) {
+  // Fight a campaign stage's fixed lineup
+  async playCampaignStage(req, res) {
     try {
-      const { type = "level", limit = 10 } = req.query;
-      const leaderboard = await dbService.getLeaderboard(type, parseInt(limit));
+      const userId = req.user.id;
+      const found = findStage(req.params.stageId);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: "Stage not found",
+        });
+      }
 
-      const formattedLeaderboard = leaderboard.map((user, index) => ({
-        rank: index + 1,
-        username: user.username,
-        level: user.level,
-        score: type === "level" ? user.level : user.experience,
-        battlesWon: user.battlesWon,
-        walletConnected: !!user.walletAddress,
-      }));
+      const user = await dbService.findUserById(userId);
+      const selection = await GameController.selectBattlePets(user, {
+        petIds: req.body.petIds,
+        maxPets: found.stage.maxPets,
+      });
+      if (selection.error) {
+        return res.status(selection.status).json({
+          success: false,
+          message: selection.error,
+        });
+      }
+
+      const { userPets } = selection;
+      const result = await campaignService.playStage(
+        user,
+        userPets,
+        found.stage.id
+      );
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const { battleResult, summary, stage } = result;
+      await GameController.spendBattleStamina(userPets);
+
+      await dbService.updateUser(userId, {
+        battlesWon: (user.battlesWon || 0) + (summary.victory ? 1 : 0),
+        battlesLost: (user.battlesLost || 0) + (summary.victory ? 0 : 1),
+        updatedAt: new Date(),
+      });
+
+      const savedBattle = await dbService.addBattleHistory({
+        userId,
+        result: summary.victory ? "victory" : "defeat",
+        opponent: stage.name,
+        userPets: userPets.map((pet) => pet.id),
+        rewards: result.rewards,
+        battleData: {
+          ...JSON.parse(JSON.stringify(battleResult)),
+          seed: result.seed,
+          engineVersion: BATTLE_ENGINE_VERSION,
+          battleMode: "campaign",
+          initialTeams: result.initialTeams,
+          stageId: stage.id,
+          stars: result.stars,
+        },
+        battleType: "campaign",
+      });
 
       res.json({
         success: true,
+        message: summary.victory
+          ? `${stage.name} cleared with ${result.stars} star${
+              result.stars === 1 ? "" : "s"
+            }`
+          : `${stage.name} was too much this time`,
         data: {
-          leaderboard: formattedLeaderboard,
-          type,
-          updatedAt: new Date(),
+          battle: {
+            battleId: savedBattle._id,
+            result: battleResult,
+            victory: summary.victory,
+            opponent: stage.name,
+            playerWins: battleResult.playerWins,
+            opponentWins: battleResult.opponentWins,
+            totalRounds: battleResult.totalRounds,
+          },
+          stars: result.stars,
+          conditions: result.conditions,
+          firstClear: result.firstClear,
+          rewards: result.rewards,
+          campaign: await campaignService.getCampaign(userId),
         },
       });
     } catch (error) {
-      logger.error("Get leaderboard error:", error);
+      logger.error("Campaign stage error:", error);
       res.status(500).json({
         success: false,
         message: "Internal server error",
@@ -1853,6 +3449,7 @@ export const GameController = {
         level: levelUpResult.newLevel,
         experience: pet.experience - levelUpResult.expNeeded,
         stats: levelUpResult.newStats,
+        abilities: levelUpResult.abilities,
         updatedAt: new Date(),
       });
 
@@ -1879,11 +3476,11 @@ export const GameController = {
     }
   },
 
-  // Evolve pet
+  // Evolve a pet into one of the next forms in its type's evolution tree
   async evolvePet(req, res) {
     try {
       const userId = req.user.id;
-      const { petId } = req.body;
+      const { petId, formId } = req.body;
 
       const user = await dbService.findUserById(userId);
       if (!user) {
@@ -1901,26 +3498,29 @@ export const GameController = {
         });
       }
 
-      if (pet.level < 10) {
+      const { form, update, error } = getEvolutionResult(pet, formId);
+      if (error) {
         return res.status(400).json({
           success: false,
-          message: "Pet must be at least level 10 to evolve",
+          message: error,
         });
       }
 
-      const evolutionResult = this.calculateEvolution(pet);
-      await dbService.updatePet(petId, evolutionResult);
+      await dbService.updatePet(petId, update);
 
       res.json({
         success: true,
-        message: `${pet.name} evolved into ${evolutionResult.name}!`,
+        message: `${pet.name} evolved into ${form.name}!`,
         data: {
           pet: {
             id: pet.id,
-            name: evolutionResult.name,
-            evolutionStage: evolutionResult.evolutionStage,
-            stats: evolutionResult.stats,
+            name: update.name || pet.name,
+            evolutionForm: update.evolutionForm,
+            evolutionStage: update.evolutionStage,
+            ability: update.ability,
+            stats: update.stats,
           },
+          evolution: describeEvolution({ ...pet, ...update }),
         },
       });
     } catch (error) {
@@ -1932,14 +3532,95 @@ export const GameController = {
     }
   },
 
+  // The forms a pet could evolve into next and what each one needs
+  async getEvolutionPreview(req, res) {
+    try {
+      const user = await dbService.findUserById(req.user.id);
+      const pet = user?.pets.find((p) => p.id.toString() === req.params.petId);
+      if (!pet) {
+        return res.status(404).json({
+          success: false,
+          message: "Pet not found",
+        });
+      }
+
+      const evolution = describeEvolution(pet);
+      if (!evolution) {
+        return res.status(400).json({
+          success: false,
+          message: `${pet.name} can't evolve`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { petId: pet.id, evolution },
+      });
+    } catch (error) {
+      logger.error("Get evolution preview error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Held items and consumables the user owns, plus every item that exists
+  async getItems(req, res) {
+    try {
+      const items = await equipmentService.getInventory(req.user.id);
+      const consumables = await consumableService.getInventory(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          items,
+          slots: EQUIPMENT_SLOTS,
+          catalog: equipmentService.getCatalog(),
+          consumables,
+          consumableCatalog: consumableService.getCatalog(),
+        },
+      });
+    } catch (error) {
+      logger.error("Get items error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
   // Equip pet item
   async equipPetItem(req, res) {
     try {
-      // Implementation for equipping items would go here
+      const { petId, inventoryItemId } = req.body;
+      if (!petId || !inventoryItemId) {
+        return res.status(400).json({
+          success: false,
+          message: "petId and inventoryItemId are required",
+        });
+      }
+
+      const result = await equipmentService.equip(
+        req.user.id,
+        petId,
+        inventoryItemId
+      );
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
       res.json({
         success: true,
-        message: "Item equipped successfully",
-        data: req.body,
+        message: `${result.pet.name} is now holding ${result.item.name}`,
+        data: {
+          pet: result.pet,
+          item: result.item,
+          stats: getEffectiveStats(result.pet),
+        },
       });
     } catch (error) {
       logger.error("Equip pet item error:", error);
@@ -1950,6 +3631,43 @@ export const GameController = {
     }
   },
 
+  // Put a pet's item back in the bag
+  async unequipPetItem(req, res) {
+    try {
+      const { petId, slot } = req.body;
+      if (!petId || !slot) {
+        return res.status(400).json({
+          success: false,
+          message: "petId and slot are required",
+        });
+      }
+
+      const result = await equipmentService.unequip(req.user.id, petId, slot);
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Removed ${result.pet.name}'s ${slot}`,
+        data: {
+          pet: result.pet,
+          item: result.item,
+          stats: getEffectiveStats(result.pet),
+        },
+      });
+    } catch (error) {
+      logger.error("Unequip pet item error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
   // Helper method to add marketplace item to user
   async addMarketplaceItemToUser(userId, listing) {
     switch (listing.itemType) {
@@ -2051,12 +3769,25 @@ export const GameController = {
       const newLevel = pet.level + 1;
       const statIncrease = Math.floor(newLevel * 1.5);
 
+      // Hidden potential decides how much of the increase each stat gets
       const newStats = {
         ...pet.stats,
-        dmg: pet.stats.dmg + statIncrease,
-        hp: pet.stats.hp + statIncrease * 2,
+        dmg:
+          pet.stats.dmg +
+          Math.round(statIncrease * getGrowthMultiplier(pet.potential, "dmg")),
+        hp:
+          pet.stats.hp +
+          Math.round(
+            statIncrease * 2 * getGrowthMultiplier(pet.potential, "hp")
+          ),
       };
 
+      // New levels can open an ability slot in the pet's learnset
+      const { abilities, learned } = learnAbilities({
+        ...pet,
+        level: newLevel,
+      });
+
       return {
         leveledUp: true,
         newLevel,
@@ -2064,31 +3795,14 @@ export const GameController = {
         expNeeded,
         newStats,
         statIncrease,
+        abilities,
+        learnedAbilities: learned,
       };
     }
 
     return { leveledUp: false };
   },
 
-  calculateEvolution(pet) {
-    const evolutionStage = (pet.evolutionStage || 1) + 1;
-    const newName = `Mega ${pet.name}`;
-
-    const newStats = {
-      ...pet.stats,
-      dmg: Math.round(pet.stats.dmg * 1.5),
-      hp: Math.round(pet.stats.hp * 1.5),
-    };
-
-    return {
-      name: newName,
-      evolutionStage,
-      stats: newStats,
-      evolutions: [...(pet.evolutions || []), newName],
-      updatedAt: new Date(),
-    };
-  },
-
   getQuestById(questId) {
     const quests = {
       beginner_battle: {
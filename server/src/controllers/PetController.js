@@ -1,7 +1,18 @@
 import { Pet } from "../models/Pet.js";
 import { User } from "../models/User.js";
 import { serverRNGService } from "../services/RNGService.js";
+import { breedingService } from "../services/BreedingService.js";
+import { careService } from "../services/CareService.js";
+import { consumableService } from "../services/ConsumableService.js";
+import { equipmentService } from "../services/EquipmentService.js";
+import {
+  appraisePotential,
+  fusePotential,
+  rollPotential,
+} from "../config/potential.js";
+import { describeAbilities, getLoadoutResult } from "../config/abilities.js";
 import { blockchainService } from "../config/blockchain.js";
+import { POTENTIAL_CONFIG } from "../utils/constants.js";
 import logger from "../utils/logger.js";
 
 export const PetController = {
@@ -435,7 +446,7 @@ export const PetController = {
 
       if (!isSuccessful) {
         // Failed fusion - lose material pets but get some consolation
-        await Pet.deleteMany({ _id: { $in: petIds } });
+        await PetController.removeFusionMaterials(petIds);
         user.balance -= fusionData.cost;
         user.experience += fusionData.consolationExp;
 
@@ -476,12 +487,15 @@ export const PetController = {
         serverRNGService.generatePetForDB?.(userId, pityCounter) ||
         PetController.generateFusionPet(userId, materialPets, targetRarity);
 
-      // Create new pet instance
-      const newPet = new Pet(newPetData);
+      // Create new pet instance; its potential builds on the materials'
+      const newPet = new Pet({
+        ...newPetData,
+        potential: fusePotential(materialPets),
+      });
       await newPet.save();
 
       // Remove material pets and update user
-      await Pet.deleteMany({ _id: { $in: petIds } });
+      await PetController.removeFusionMaterials(petIds);
       user.balance -= fusionData.cost;
       user.experience += fusionData.successExp;
 
@@ -613,6 +627,318 @@ export const PetController = {
     }
   },
 
+  // Reveal a pet's hidden potential as letter grades
+  async appraisePet(req, res) {
+    try {
+      const { petId } = req.params;
+      const userId = req.user._id || req.user.id;
+
+      const pet = await Pet.findOne({ _id: petId, ownerId: userId });
+      if (!pet) {
+        return res.status(404).json({
+          success: false,
+          message: "Pet not found",
+        });
+      }
+
+      // Appraising again is free; the grades never change
+      if (pet.appraisedAt) {
+        return res.json({
+          success: true,
+          message: `${pet.name} has already been appraised`,
+          data: {
+            appraisal: appraisePotential(pet.potential),
+            cost: 0,
+          },
+        });
+      }
+
+      const cost = POTENTIAL_CONFIG.APPRAISAL_COST;
+      const user = await User.findById(userId);
+      if (user.balance < cost) {
+        return res.status(400).json({
+          success: false,
+          message: `Not enough coins. Appraisal cost: ${cost}, You have: ${user.balance}`,
+        });
+      }
+
+      // Older pets never rolled potential, so they get it now
+      if (!pet.potential) pet.potential = rollPotential();
+      pet.appraisedAt = new Date();
+      user.balance -= cost;
+
+      await pet.save();
+      await user.save();
+
+      logger.info(`User ${user.username} appraised pet ${pet.name}`);
+
+      res.json({
+        success: true,
+        message: `${pet.name} was appraised`,
+        data: {
+          appraisal: appraisePotential(pet.potential),
+          cost,
+          user: {
+            coins: user.balance,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Appraise pet error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Learned abilities, the battle loadout and what the pet learns next
+  async getPetAbilities(req, res) {
+    try {
+      const { petId } = req.params;
+      const userId = req.user._id || req.user.id;
+
+      const pet = await Pet.findOne({ _id: petId, ownerId: userId });
+      if (!pet) {
+        return res.status(404).json({
+          success: false,
+          message: "Pet not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: describeAbilities(pet),
+      });
+    } catch (error) {
+      logger.error("Get pet abilities error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Choose which learned abilities the pet takes into battle
+  async setPetLoadout(req, res) {
+    try {
+      const { petId } = req.params;
+      const { abilityIds } = req.body;
+      const userId = req.user._id || req.user.id;
+
+      const pet = await Pet.findOne({ _id: petId, ownerId: userId });
+      if (!pet) {
+        return res.status(404).json({
+          success: false,
+          message: "Pet not found",
+        });
+      }
+
+      const result = getLoadoutResult(pet, abilityIds);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      Object.assign(pet, result.update);
+      await pet.save();
+
+      res.json({
+        success: true,
+        message: `${pet.name}'s loadout was updated`,
+        data: describeAbilities(pet),
+      });
+    } catch (error) {
+      logger.error("Set pet loadout error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Breed two owned pets into an egg that hatches into their offspring
+  async breedPets(req, res) {
+    try {
+      const userId = req.user._id || req.user.id;
+      const result = await breedingService.breed(userId, req.body.parentIds);
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Your pets laid an egg!",
+        data: {
+          egg: result.egg.toJSON(),
+          cost: result.cost,
+          parents: result.parents,
+        },
+      });
+    } catch (error) {
+      logger.error("Breed pets error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // What two pets could pass on, their cooldowns and the cost
+  async getBreedingPreview(req, res) {
+    try {
+      const userId = req.user._id || req.user.id;
+      const parentIds = [req.query.parentA, req.query.parentB];
+      const result = await breedingService.preview(userId, parentIds);
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { preview: result.preview },
+      });
+    } catch (error) {
+      logger.error("Get breeding preview error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Food the user holds, plus everything on the menu
+  async getFood(req, res) {
+    try {
+      const userId = req.user._id || req.user.id;
+      const pantry = await careService.getPantry(userId);
+
+      res.json({
+        success: true,
+        data: {
+          pantry,
+          catalog: careService.getCatalog(),
+        },
+      });
+    } catch (error) {
+      logger.error("Get food error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  async buyFood(req, res) {
+    try {
+      const userId = req.user._id || req.user.id;
+      const { foodId, quantity = 1 } = req.body;
+      const result = await careService.buyFood(userId, foodId, quantity);
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Bought ${quantity} ${result.food.name}`,
+        data: {
+          foodId,
+          quantity: result.quantity,
+          cost: result.cost,
+          user: { coins: result.balance },
+        },
+      });
+    } catch (error) {
+      logger.error("Buy food error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Feed a pet one food item from the user's pantry
+  async feedPet(req, res) {
+    try {
+      const userId = req.user._id || req.user.id;
+      const result = await careService.feedPet(
+        userId,
+        req.params.petId,
+        req.body.foodId
+      );
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${result.pet.name} enjoyed the ${result.food.name}!`,
+        data: {
+          pet: result.pet,
+          food: { foodId: result.food.id, remaining: result.food.remaining },
+        },
+      });
+    } catch (error) {
+      logger.error("Feed pet error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
+  // Use an item from the inventory on a pet, like a stamina tonic
+  async useItemOnPet(req, res) {
+    try {
+      const userId = req.user._id || req.user.id;
+      const result = await consumableService.useOnPet(
+        userId,
+        req.params.petId,
+        req.body.itemId
+      );
+
+      if (!result.success) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${result.pet.name} used the ${result.item.name}!`,
+        data: {
+          pet: result.pet,
+          item: { itemId: result.item.id, remaining: result.item.remaining },
+        },
+      });
+    } catch (error) {
+      logger.error("Use item on pet error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error",
+      });
+    }
+  },
+
   // Sync blockchain pets with local database
   async syncBlockchainPets(req, res) {
     try {
@@ -907,6 +1233,14 @@ export const PetController = {
     return basePetData;
   },
 
+  // Materials hand their held items back to the owner before they go
+  async removeFusionMaterials(petIds) {
+    for (const petId of petIds) {
+      await equipmentService.unequipAll(petId);
+    }
+    await Pet.deleteMany({ _id: { $in: petIds } });
+  },
+
   calculateQualityMultiplier(materialPets) {
     const totalValue = materialPets.reduce((sum, pet) => {
       const rarityValues = {
@@ -5,6 +5,7 @@ import { User } from "../models/User.js";
 import Transaction from "../models/Transaction.js";
 import Offer from "../models/Offer.js";
 import { tradeService, marketplaceService } from "../services/TradeService.js";
+import { equipmentService } from "../services/EquipmentService.js";
 import { blockchainService } from "../config/blockchain.js";
 import { mailService } from "../services/MailService.js";
 import logger from "../utils/logger.js";
@@ -85,6 +86,9 @@ export const TradeController = {
 
         await trade.save();
 
+        // Held items go back to the seller's bag, as with coin listings
+        await equipmentService.unequipAll(petId);
+
         logger.info(
           `User ${user.username} listed blockchain pet ${pet.name} for ${price} ${currency}`
         );
@@ -7,6 +7,15 @@ import { connectDB } from "./config/db.js";
 import { errorHandler, notFound } from "./middleware/errorHandler.js";
 import { apiLimiter } from "./middleware/rateLimiter.js";
 import logger from "./utils/logger.js";
+import { battleSessionService } from "./services/BattleSessionService.js";
+import { rankingService } from "./services/RankingService.js";
+import { tournamentService } from "./services/TournamentService.js";
+import { raidService } from "./services/RaidService.js";
+import { validateStatusEffects } from "./config/statusEffects.js";
+import { validateCampaign } from "./config/campaign.js";
+import { validateSynergies } from "./config/synergies.js";
+import { validateConsumables } from "./config/consumables.js";
+import { validateEvolutions } from "./config/evolution.js";
 
 // Import routes
 import authRoutes from "./api/auth.routes.js";
@@ -15,6 +24,14 @@ import petsRoutes from "./api/pets.routes.js";
 import eggsRoutes from "./api/eggs.routes.js";
 import tradeRoutes from "./api/trade.routes.js";
 import adminRoutes from "./api/admin.routes.js";
+import { attachPvPSocket } from "./api/pvp.socket.js";
+
+// Refuse to boot if an ability points at a status effect that doesn't exist
+validateStatusEffects();
+validateCampaign();
+validateSynergies();
+validateConsumables();
+validateEvolutions();
 
 const app = express();
 
@@ -105,8 +122,23 @@ const server = app.listen(PORT, async () => {
   logger.info(`🌍 Environment: ${config.NODE_ENV}`);
   logger.info(`🔗 Client URL: ${config.CLIENT_URL}`);
   logger.info(`📊 API available at: http://localhost:${PORT}/api`);
+
+  // Time out battle sessions abandoned mid-fight
+  battleSessionService.startIdleSweep();
+
+  // Close ranked seasons when they run out
+  rankingService.startSeasonScheduler();
+
+  // Close registration and play tournament rounds as they come due
+  tournamentService.startScheduler();
+
+  // Close raids whose window ran out and pay their loot
+  raidService.startScheduler();
 });
 
+// Live PvP battles share the HTTP server
+attachPvPSocket(server);
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   logger.info("SIGTERM received, shutting down gracefully");
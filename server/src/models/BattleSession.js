@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+const battleSessionSchema = new mongoose.Schema(
+  {
+    // Session owner and the pets they brought
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userPets: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
+
+    // Battle setup
+    battleMode: {
+      type: String,
+      default: "pve",
+    },
+    opponentName: {
+      type: String,
+      required: true,
+    },
+    opponentDifficulty: {
+      type: String,
+      default: "medium",
+    },
+    opponentLevel: {
+      type: Number,
+      default: 1,
+    },
+
+    // Replay data (see BATTLE_ENGINE_VERSION in battleLogic.js)
+    seed: {
+      type: Number,
+      required: true,
+    },
+    engineVersion: {
+      type: String,
+      required: true,
+    },
+
+    // Battle state, stored in battle format
+    playerTeam: { type: Array, default: [] },
+    opponentTeam: { type: Array, default: [] },
+    schedule: { type: Array, default: [] },
+    matchIndex: {
+      type: Number,
+      default: 0,
+    },
+    currentMatch: {
+      type: Object,
+      default: null,
+    },
+    battleLog: { type: Array, default: [] },
+    // Consumables brought along: { itemId: { quantity, used } }
+    itemBag: { type: Object, default: {} },
+    turn: {
+      type: Number,
+      default: 0,
+    },
+    playerWins: {
+      type: Number,
+      default: 0,
+    },
+    opponentWins: {
+      type: Number,
+      default: 0,
+    },
+
+    // Session lifecycle
+    status: {
+      type: String,
+      enum: ["active", "completed", "forfeited", "timed_out"],
+      default: "active",
+    },
+    winner: {
+      type: String,
+      enum: ["player", "opponent", "draw", null],
+      default: null,
+    },
+    rewards: {
+      type: Object,
+      default: null,
+    },
+    lastActionAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    // Keep empty cooldown maps so the stored state resumes verbatim
+    minimize: false,
+    // Reject a second action that raced the first one for the same turn
+    optimisticConcurrency: true,
+  }
+);
+
+// Indexes for performance
+battleSessionSchema.index({ userId: 1, status: 1 });
+battleSessionSchema.index({ status: 1, lastActionAt: 1 });
+
+// Method to check whether the session has gone idle
+battleSessionSchema.methods.isIdle = function (timeoutMs) {
+  return Date.now() - this.lastActionAt.getTime() > timeoutMs;
+};
+
+// Static method to find a user's active session
+battleSessionSchema.statics.findActiveForUser = function (userId) {
+  return this.findOne({ userId, status: "active" });
+};
+
+// Static method to find sessions idle since before the cutoff
+battleSessionSchema.statics.findIdleSessions = function (cutoff) {
+  return this.find({
+    status: "active",
+    lastActionAt: { $lt: cutoff },
+  });
+};
+
+export default mongoose.model("BattleSession", battleSessionSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// One entry per stage the user has cleared at least once
+const stageProgressSchema = new mongoose.Schema(
+  {
+    stageId: { type: String, required: true },
+    stars: { type: Number, min: 0, max: 3, default: 0 },
+    clears: { type: Number, default: 0 },
+    bestTurns: { type: Number, default: null },
+    firstClearedAt: { type: Date, default: Date.now },
+    lastClearedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const campaignProgressSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    stages: {
+      type: [stageProgressSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Method to find a stage entry by id
+campaignProgressSchema.methods.getStage = function (stageId) {
+  return this.stages.find((entry) => entry.stageId === stageId);
+};
+
+export default mongoose.model("CampaignProgress", campaignProgressSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import { CONSUMABLE_DEFINITIONS } from "../utils/constants.js";
+
+// How many of one consumable from CONSUMABLE_DEFINITIONS a user holds
+const consumableStackSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    itemId: {
+      type: String,
+      required: true,
+      enum: Object.keys(CONSUMABLE_DEFINITIONS),
+    },
+    quantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One stack per item per user, so grants and withdrawals are a single $inc
+consumableStackSchema.index({ ownerId: 1, itemId: 1 }, { unique: true });
+
+export default mongoose.model("ConsumableStack", consumableStackSchema);
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+
+export const MAX_DEFENSE_PETS = 3;
+export const MAX_DEFENSE_RESULTS = 20;
+
+const defenseResultSchema = new mongoose.Schema(
+  {
+    attackerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    attackerName: { type: String, required: true },
+    battleId: { type: mongoose.Schema.Types.ObjectId, ref: "BattleHistory" },
+    victory: { type: Boolean, required: true }, // from the defender's side
+    coinsEarned: { type: Number, default: 0 },
+    seen: { type: Boolean, default: false },
+    date: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const defenseTeamSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    petIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
+      validate: {
+        validator: (pets) => pets.length > 0 && pets.length <= MAX_DEFENSE_PETS,
+        message: `A defense team needs between 1 and ${MAX_DEFENSE_PETS} pets`,
+      },
+    },
+    level: {
+      type: Number,
+      default: 1,
+    },
+
+    // Defense record
+    defenseWins: {
+      type: Number,
+      default: 0,
+    },
+    defenseLosses: {
+      type: Number,
+      default: 0,
+    },
+    coinsEarned: {
+      type: Number,
+      default: 0,
+    },
+    results: {
+      type: [defenseResultSchema],
+      default: [],
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastDefendedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+defenseTeamSchema.index({ active: 1, level: 1 });
+
+// Virtual for defense win rate
+defenseTeamSchema.virtual("winRate").get(function () {
+  const total = this.defenseWins + this.defenseLosses;
+  return total > 0 ? (this.defenseWins / total) * 100 : 0;
+});
+
+// Method to record the outcome of a challenge against this team
+defenseTeamSchema.methods.recordResult = function (result) {
+  if (result.victory) {
+    this.defenseWins += 1;
+  } else {
+    this.defenseLosses += 1;
+  }
+  this.coinsEarned += result.coinsEarned || 0;
+  this.lastDefendedAt = new Date();
+
+  this.results.unshift(result);
+  this.results = this.results.slice(0, MAX_DEFENSE_RESULTS);
+};
+
+// Static method to find teams a challenger can attack
+defenseTeamSchema.statics.findOpponents = function (
+  userId,
+  level,
+  levelRange,
+  limit = 10
+) {
+  return this.find({
+    active: true,
+    userId: { $ne: userId },
+    level: { $gte: level - levelRange, $lte: level + levelRange },
+  })
+    .populate("userId", "username level")
+    .sort({ lastDefendedAt: 1 })
+    .limit(limit);
+};
+
+export default mongoose.model("DefenseTeam", defenseTeamSchema);
@@ -15,6 +15,7 @@ export class Egg {
     type,
     isHatched = false,
     contents = null,
+    genes = null,
     hatchDuration = 60,
     cost = 100,
     description = "A mysterious egg",
@@ -28,6 +29,7 @@ export class Egg {
     this.type = type;
     this.isHatched = isHatched;
     this.contents = contents;
+    this.genes = genes;
     this.hatchDuration = hatchDuration;
     this.cost = cost;
     this.description = description;
@@ -106,6 +108,7 @@ export class Egg {
       type: this.type,
       isHatched: this.isHatched,
       contents: this.contents,
+      genes: this.genes,
       hatchDuration: this.hatchDuration,
       cost: this.cost,
       description: this.description,
@@ -123,6 +126,7 @@ export class Egg {
       type: data.type,
       isHatched: data.isHatched,
       contents: data.contents,
+      genes: data.genes,
       hatchDuration: data.hatchDuration,
       cost: data.cost,
       description: data.description,
@@ -148,6 +152,9 @@ export class Egg {
       case EGG_TYPES.ATTRIBUTE:
         result = await this.hatchTechnique();
         break;
+      case EGG_TYPES.BRED:
+        result = await this.hatchBredPet();
+        break;
       default:
         throw new Error(`Unknown egg type: ${this.type}`);
     }
@@ -173,6 +180,14 @@ export class Egg {
     return savedPet;
   }
 
+  /** 🧬 Hatch the pet whose genes were rolled when the egg was bred */
+  async hatchBredPet() {
+    if (!this.genes) throw new Error("This egg has no genes to hatch.");
+
+    const pet = new Pet({ ...this.genes, ownerId: this.ownerId });
+    return await pet.save();
+  }
+
   /** 🎨 Hatch a skin cosmetic */
   async hatchSkin() {
     const rarity = weightedRandom(SKIN_RARITIES);
@@ -307,6 +322,8 @@ export class Egg {
       type: this.type,
       isHatched: this.isHatched,
       contents: this.contents,
+      // Only the lineage shows; the rest stays a surprise until hatching
+      parentIds: this.genes?.parentIds || null,
       hatchDuration: this.hatchDuration,
       cost: this.cost,
       description: this.description,
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import { FOOD_DEFINITIONS } from "../utils/constants.js";
+
+// How much of one food from FOOD_DEFINITIONS a user holds
+const foodStackSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    foodId: {
+      type: String,
+      required: true,
+      enum: Object.keys(FOOD_DEFINITIONS),
+    },
+    quantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One stack per food per user, so grants and feedings are a single $inc
+foodStackSchema.index({ ownerId: 1, foodId: 1 }, { unique: true });
+
+export default mongoose.model("FoodStack", foodStackSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import { EQUIPMENT_SLOTS, ITEM_DEFINITIONS } from "../utils/constants.js";
+
+// One owned copy of an item from ITEM_DEFINITIONS
+const inventoryItemSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    itemId: {
+      type: String,
+      required: true,
+      enum: Object.keys(ITEM_DEFINITIONS),
+    },
+    slot: {
+      type: String,
+      required: true,
+      enum: EQUIPMENT_SLOTS,
+    },
+
+    // Pet currently holding this item, null while it sits in the bag
+    equippedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Pet",
+      default: null,
+    },
+    source: {
+      type: String,
+      default: null,
+    },
+    obtainedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A pet holds at most one item per slot
+inventoryItemSchema.index(
+  { equippedTo: 1, slot: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { equippedTo: { $type: "objectId" } },
+  }
+);
+
+export default mongoose.model("InventoryItem", inventoryItemSchema);
@@ -1,14 +1,24 @@
 // src/models/Pet.js
 import { Pet as MongoosePet } from "./dbSchema.js";
+import {
+  appraisePotential,
+  getGrowthMultiplier,
+  rollPotential,
+} from "../config/potential.js";
+import { describeCare, getCareExperienceMultiplier } from "../config/care.js";
+import { getLoadout, learnAbilities } from "../config/abilities.js";
 
 export class Pet {
   constructor({
     id = null, // Will be set by MongoDB _id
     ownerId = null,
     name,
+    nameSetByOwner = false, // generated names follow the pet's evolutions
     type,
     rarity,
     ability,
+    abilities = [],
+    loadout = [],
     technique = null,
     skin = null,
 
@@ -28,16 +38,40 @@ export class Pet {
     statusEffects = [],
     isAlive = true,
 
+    // Stamina
+    stamina = 100,
+    staminaUpdatedAt = null,
+
+    // Care; meters start decaying from the moment the pet is created
+    hunger = 100,
+    happiness = 100,
+    careUpdatedAt = new Date(),
+
+    // Held items
+    equipment = [],
+
     // Progression
     level = 1,
     experience = 0,
     evolutionStage = 1,
+    evolutionForm = null,
     evolutions = [],
+    battlesWon = 0,
+    battlesLost = 0,
 
     // Cosmetics
     title = null,
     isShiny = false,
 
+    // Hidden potential, rolled when the pet is first created
+    potential = rollPotential(),
+    appraisedAt = null,
+
+    // Breeding
+    parentIds = [],
+    generation = 0,
+    lastBredAt = null,
+
     // Blockchain
     nftTokenId = null,
     isListed = false,
@@ -50,9 +84,12 @@ export class Pet {
     this.id = id; // Alias for compatibility
     this.ownerId = ownerId;
     this.name = name;
+    this.nameSetByOwner = nameSetByOwner;
     this.type = type;
     this.rarity = rarity;
     this.ability = ability;
+    this.abilities = abilities;
+    this.loadout = loadout;
     this.technique = technique;
     this.skin = skin;
 
@@ -60,15 +97,31 @@ export class Pet {
     this.currentHP = currentHP;
     this.statusEffects = statusEffects;
     this.isAlive = isAlive;
+    this.stamina = stamina;
+    this.staminaUpdatedAt = staminaUpdatedAt;
+    this.hunger = hunger;
+    this.happiness = happiness;
+    this.careUpdatedAt = careUpdatedAt;
+    this.equipment = equipment;
 
     this.level = level;
     this.experience = experience;
     this.evolutionStage = evolutionStage;
+    this.evolutionForm = evolutionForm;
     this.evolutions = evolutions;
+    this.battlesWon = battlesWon;
+    this.battlesLost = battlesLost;
 
     this.title = title;
     this.isShiny = isShiny;
 
+    this.potential = potential;
+    this.appraisedAt = appraisedAt;
+
+    this.parentIds = parentIds;
+    this.generation = generation;
+    this.lastBredAt = lastBredAt;
+
     this.nftTokenId = nftTokenId;
     this.isListed = isListed;
 
@@ -146,21 +199,38 @@ export class Pet {
     return {
       ownerId: this.ownerId,
       name: this.name,
+      nameSetByOwner: this.nameSetByOwner,
       type: this.type,
       rarity: this.rarity,
       ability: this.ability,
+      abilities: this.abilities,
+      loadout: this.loadout,
       technique: this.technique,
       skin: this.skin,
       stats: this.stats,
       currentHP: this.currentHP,
       statusEffects: this.statusEffects,
       isAlive: this.isAlive,
+      stamina: this.stamina,
+      staminaUpdatedAt: this.staminaUpdatedAt,
+      hunger: this.hunger,
+      happiness: this.happiness,
+      careUpdatedAt: this.careUpdatedAt,
+      equipment: this.equipment,
       level: this.level,
       experience: this.experience,
       evolutionStage: this.evolutionStage,
+      evolutionForm: this.evolutionForm,
       evolutions: this.evolutions,
+      battlesWon: this.battlesWon,
+      battlesLost: this.battlesLost,
       title: this.title,
       isShiny: this.isShiny,
+      potential: this.potential,
+      appraisedAt: this.appraisedAt,
+      parentIds: this.parentIds,
+      generation: this.generation,
+      lastBredAt: this.lastBredAt,
       nftTokenId: this.nftTokenId,
       isListed: this.isListed,
       createdAt: this.createdAt,
@@ -174,21 +244,39 @@ export class Pet {
       id: data._id || data.id,
       ownerId: data.ownerId,
       name: data.name,
+      nameSetByOwner: data.nameSetByOwner,
       type: data.type,
       rarity: data.rarity,
       ability: data.ability,
+      abilities: data.abilities,
+      loadout: data.loadout,
       technique: data.technique,
       skin: data.skin,
       stats: data.stats,
       currentHP: data.currentHP,
       statusEffects: data.statusEffects,
       isAlive: data.isAlive,
+      stamina: data.stamina,
+      staminaUpdatedAt: data.staminaUpdatedAt,
+      hunger: data.hunger,
+      happiness: data.happiness,
+      careUpdatedAt: data.careUpdatedAt,
+      equipment: data.equipment,
       level: data.level,
       experience: data.experience,
       evolutionStage: data.evolutionStage,
+      evolutionForm: data.evolutionForm,
       evolutions: data.evolutions,
+      battlesWon: data.battlesWon,
+      battlesLost: data.battlesLost,
       title: data.title,
       isShiny: data.isShiny,
+      // Pets from before potential existed stay without it until appraised
+      potential: data.potential ?? null,
+      appraisedAt: data.appraisedAt,
+      parentIds: data.parentIds,
+      generation: data.generation,
+      lastBredAt: data.lastBredAt,
       nftTokenId: data.nftTokenId,
       isListed: data.isListed,
       createdAt: data.createdAt,
@@ -201,7 +289,7 @@ export class Pet {
   async gainExperience(amount) {
     if (!amount || amount <= 0) return this;
 
-    this.experience += amount;
+    this.experience += Math.floor(amount * getCareExperienceMultiplier(this));
     this.updatedAt = new Date();
 
     const threshold = this.level * 100;
@@ -217,10 +305,15 @@ export class Pet {
 
   async levelUp() {
     this.level++;
-    this.stats.dmg = Math.round(this.stats.dmg * 1.1);
-    this.stats.hp = Math.round(this.stats.hp * 1.1);
-    this.stats.range = +(this.stats.range * 1.02).toFixed(2);
-    this.stats.spa = +(this.stats.spa * 0.97).toFixed(2);
+    const growth = (stat) => getGrowthMultiplier(this.potential, stat);
+    this.stats.dmg = Math.round(this.stats.dmg * (1 + 0.1 * growth("dmg")));
+    this.stats.hp = Math.round(this.stats.hp * (1 + 0.1 * growth("hp")));
+    this.stats.range = +(
+      this.stats.range *
+      (1 + 0.02 * growth("range"))
+    ).toFixed(2);
+    this.stats.spa = +(this.stats.spa * (1 - 0.03 * growth("spa"))).toFixed(2);
+    this.abilities = learnAbilities(this).abilities;
     this.currentHP = this.stats.hp;
     this.updatedAt = new Date();
 
@@ -387,21 +480,39 @@ export class Pet {
       id: this._id || this.id,
       ownerId: this.ownerId,
       name: this.name,
+      nameSetByOwner: this.nameSetByOwner,
       type: this.type,
       rarity: this.rarity,
       ability: this.ability,
+      abilities: this.abilities,
+      loadout: getLoadout(this),
       technique: this.technique,
       skin: this.skin,
       stats: this.stats,
       currentHP: this.currentHP,
       statusEffects: this.statusEffects,
       isAlive: this.isAlive,
+      stamina: this.stamina,
+      staminaUpdatedAt: this.staminaUpdatedAt,
+      hunger: this.hunger,
+      happiness: this.happiness,
+      careUpdatedAt: this.careUpdatedAt,
+      care: describeCare(this),
+      equipment: this.equipment,
       level: this.level,
       experience: this.experience,
       evolutionStage: this.evolutionStage,
+      evolutionForm: this.evolutionForm,
       evolutions: this.evolutions,
+      battlesWon: this.battlesWon,
+      battlesLost: this.battlesLost,
       title: this.title,
       isShiny: this.isShiny,
+      // Raw potential stays hidden; only appraised grades are shown
+      appraisal: this.appraisedAt ? appraisePotential(this.potential) : null,
+      parentIds: this.parentIds,
+      generation: this.generation,
+      lastBredAt: this.lastBredAt,
       nftTokenId: this.nftTokenId,
       isListed: this.isListed,
       createdAt: this.createdAt,
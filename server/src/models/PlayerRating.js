@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+const playerRatingSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+
+    // Rating
+    rating: {
+      type: Number,
+      required: true,
+    },
+    peakRating: {
+      type: Number,
+      required: true,
+    },
+    gamesPlayed: {
+      type: Number,
+      default: 0,
+    },
+
+    // Current season
+    seasonNumber: {
+      type: Number,
+      required: true,
+    },
+    seasonGames: {
+      type: Number,
+      default: 0,
+    },
+    seasonWins: {
+      type: Number,
+      default: 0,
+    },
+    seasonLosses: {
+      type: Number,
+      default: 0,
+    },
+    seasonDraws: {
+      type: Number,
+      default: 0,
+    },
+
+    lastMatchAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+playerRatingSchema.index({ seasonNumber: 1, rating: -1 });
+
+// Method to check whether the player is still in placement games
+playerRatingSchema.methods.isProvisional = function (provisionalGames) {
+  return this.gamesPlayed < provisionalGames;
+};
+
+// Static method to get the ladder for a season
+playerRatingSchema.statics.getLadder = function (
+  seasonNumber,
+  minGames,
+  limit = 50
+) {
+  return this.find({
+    seasonNumber,
+    gamesPlayed: { $gte: minGames },
+  })
+    .sort({ rating: -1, seasonWins: -1 })
+    .limit(limit);
+};
+
+export default mongoose.model("PlayerRating", playerRatingSchema);
@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import { RAID_CONFIG } from "../utils/constants.js";
+
+const bossSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    type: { type: String, required: true },
+    level: { type: Number, required: true },
+    rarity: { type: String, default: "Mythic" },
+    stats: { type: Object, required: true },
+    abilities: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const contributionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: { type: String, required: true },
+    damage: { type: Number, default: 0 },
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: { type: Date },
+    rank: { type: Number, default: null },
+    rewards: { type: Object, default: null },
+  },
+  { _id: false }
+);
+
+const attemptSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    petIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
+    bossHPBefore: { type: Number, required: true },
+    damage: { type: Number, default: 0 },
+    seed: { type: Number },
+    engineVersion: { type: String },
+    playedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const raidSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+    status: {
+      type: String,
+      enum: ["active", "defeated", "expired"],
+      default: "active",
+    },
+
+    // Boss and its shared HP pool
+    boss: {
+      type: bossSchema,
+      required: true,
+    },
+    maxHP: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currentHP: {
+      type: Number,
+      required: true,
+    },
+
+    // Raid window
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Rules
+    teamSize: {
+      type: Number,
+      default: RAID_CONFIG.TEAM_SIZE,
+      min: 1,
+    },
+    minLevel: {
+      type: Number,
+      default: 1,
+    },
+    maxAttempts: {
+      type: Number,
+      default: RAID_CONFIG.MAX_ATTEMPTS,
+      min: 1,
+    },
+    attemptCooldownMinutes: {
+      type: Number,
+      default: RAID_CONFIG.ATTEMPT_COOLDOWN_MINUTES,
+      min: 0,
+    },
+
+    // Progress
+    contributions: {
+      type: [contributionSchema],
+      default: [],
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+    rewardsDistributed: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    defeatedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+raidSchema.index({ status: 1, endsAt: 1 });
+raidSchema.index({ "contributions.userId": 1 });
+
+// Method to check whether the boss can currently be attacked
+raidSchema.methods.isOpen = function (now = new Date()) {
+  return (
+    this.status === "active" &&
+    this.currentHP > 0 &&
+    now >= this.startsAt &&
+    now < this.endsAt
+  );
+};
+
+// Method to find a contribution entry by user
+raidSchema.methods.getContribution = function (userId) {
+  return this.contributions.find(
+    (contribution) => contribution.userId.toString() === userId.toString()
+  );
+};
+
+// Static method to get raids the scheduler needs to look at
+raidSchema.statics.findRunnable = function (now = new Date()) {
+  return this.find({
+    $or: [
+      { status: "active", endsAt: { $lte: now } },
+      { status: { $in: ["defeated", "expired"] }, rewardsDistributed: false },
+    ],
+  });
+};
+
+export default mongoose.model("Raid", raidSchema);
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const standingSchema = new mongoose.Schema(
+  {
+    position: { type: Number, required: true },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: { type: String, required: true },
+    rating: { type: Number, required: true },
+    tier: { type: String, required: true },
+    division: { type: Number, default: null },
+    games: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    rewards: { type: Object, default: null },
+  },
+  { _id: false }
+);
+
+const seasonSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completing", "completed"],
+      default: "active",
+    },
+
+    // Final standings, written when the season closes
+    standings: {
+      type: [standingSchema],
+      default: [],
+    },
+    completedAt: {
+      type: Date,
+    },
+
+    // When a rollover claimed the season; a stale claim can be taken over
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    // Players already paid their season reward, so a retried rollover
+    // doesn't pay them twice
+    rewardedUserIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+seasonSchema.index({ status: 1 });
+
+// Method to check whether the season is past its end date
+seasonSchema.methods.hasEnded = function (now = new Date()) {
+  return now >= this.endsAt;
+};
+
+// Static method to get the running season
+seasonSchema.statics.findActive = function () {
+  return this.findOne({ status: "active" }).sort({ number: -1 });
+};
+
+export default mongoose.model("Season", seasonSchema);
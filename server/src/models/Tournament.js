@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+import { TOURNAMENT_CONFIG } from "../utils/constants.js";
+
+const participantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    username: { type: String, required: true },
+    level: { type: Number, default: 1 },
+    petIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
+    team: { type: Array, default: [] }, // battle-format snapshot taken at registration
+    entryFeePaid: { type: Number, default: 0 },
+    group: { type: Number, default: null },
+    eliminated: { type: Boolean, default: false },
+    placement: { type: Number, default: null },
+    prize: { type: Number, default: 0 },
+    registeredAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const matchSchema = new mongoose.Schema(
+  {
+    stage: { type: String, enum: ["group", "knockout"], required: true },
+    round: { type: Number, required: true },
+    group: { type: Number, default: null },
+    position: { type: Number, default: 0 }, // slot within a knockout round
+    home: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    away: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    homeName: { type: String, default: null },
+    awayName: { type: String, default: null },
+    scheduledAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "bye"],
+      default: "pending",
+    },
+    winner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    homeWins: { type: Number, default: 0 },
+    awayWins: { type: Number, default: 0 },
+    seed: { type: Number },
+    engineVersion: { type: String },
+    playedAt: { type: Date },
+  },
+  { _id: true }
+);
+
+const tournamentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: [
+        "registration",
+        "group_stage",
+        "knockout",
+        "completed",
+        "cancelled",
+      ],
+      default: "registration",
+    },
+
+    // Schedule
+    registrationOpensAt: {
+      type: Date,
+      required: true,
+    },
+    registrationClosesAt: {
+      type: Date,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    matchIntervalMinutes: {
+      type: Number,
+      default: TOURNAMENT_CONFIG.MATCH_INTERVAL_MINUTES,
+      min: 1,
+    },
+
+    // Format
+    minParticipants: {
+      type: Number,
+      default: TOURNAMENT_CONFIG.MIN_PARTICIPANTS,
+      min: 2,
+    },
+    maxParticipants: {
+      type: Number,
+      default: TOURNAMENT_CONFIG.MAX_PARTICIPANTS,
+    },
+    groupSize: {
+      type: Number,
+      default: TOURNAMENT_CONFIG.GROUP_SIZE,
+      min: 2,
+    },
+    qualifiersPerGroup: {
+      type: Number,
+      default: TOURNAMENT_CONFIG.QUALIFIERS_PER_GROUP,
+      min: 1,
+    },
+    teamSize: {
+      type: Number,
+      default: TOURNAMENT_CONFIG.TEAM_SIZE,
+      min: 1,
+    },
+    minLevel: {
+      type: Number,
+      default: 1,
+    },
+
+    // Economy
+    entryFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    basePrize: {
+      type: Number,
+      default: 0,
+      min: 0,
+    }, // coins added by the house on top of entry fees
+    prizePool: {
+      type: Number,
+      default: 0,
+    },
+    prizeSplit: {
+      type: [Number],
+      default: TOURNAMENT_CONFIG.PRIZE_SPLIT,
+    },
+
+    // Bracket
+    participants: {
+      type: [participantSchema],
+      default: [],
+    },
+    groupCount: {
+      type: Number,
+      default: 0,
+    },
+    matches: {
+      type: [matchSchema],
+      default: [],
+    },
+    winner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+tournamentSchema.index({ status: 1, startsAt: 1 });
+tournamentSchema.index({ "participants.userId": 1 });
+
+// Method to check whether registration is currently open
+tournamentSchema.methods.isRegistrationOpen = function (now = new Date()) {
+  return (
+    this.status === "registration" &&
+    now >= this.registrationOpensAt &&
+    now < this.registrationClosesAt
+  );
+};
+
+// Method to find a participant entry by user
+tournamentSchema.methods.getParticipant = function (userId) {
+  return this.participants.find(
+    (participant) => participant.userId.toString() === userId.toString()
+  );
+};
+
+// Static method to get tournaments the scheduler needs to look at
+tournamentSchema.statics.findRunnable = function (now = new Date()) {
+  return this.find({
+    $or: [
+      { status: "registration", startsAt: { $lte: now } },
+      { status: { $in: ["group_stage", "knockout"] } },
+    ],
+  });
+};
+
+export default mongoose.model("Tournament", tournamentSchema);
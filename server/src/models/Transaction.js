@@ -20,6 +20,10 @@ const transactionSchema = new mongoose.Schema(
         "cosmetic_purchase",
         "roll_purchase",
         "reward",
+        "season_reward",
+        "tournament_prize",
+        "raid_reward",
+        "campaign_reward",
         "marketplace_fee",
         "royalty_fee",
         "trade_listing",
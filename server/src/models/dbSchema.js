@@ -179,9 +179,12 @@ const petSchema = new mongoose.Schema({
     required: true,
   },
   name: { type: String, required: true },
+  nameSetByOwner: { type: Boolean, default: false }, // set by renames
   type: { type: String, required: true },
   rarity: { type: String, required: true },
-  ability: { type: String, required: true },
+  ability: { type: String, required: true }, // primary; first in the loadout
+  abilities: [{ type: String }], // learned ids from constants/abilities.json
+  loadout: [{ type: String }], // ids taken into battle
   technique: { type: String, default: null },
   skin: { type: String, default: null },
 
@@ -207,10 +210,33 @@ const petSchema = new mongoose.Schema({
   ],
   isAlive: { type: Boolean, default: true },
 
+  // Stamina as of staminaUpdatedAt; regen is applied on read
+  stamina: { type: Number, default: 100 },
+  staminaUpdatedAt: { type: Date, default: null },
+
+  // Care meters as of careUpdatedAt; decay is applied on read
+  hunger: { type: Number, default: 100 },
+  happiness: { type: Number, default: 100 },
+  careUpdatedAt: { type: Date, default: null },
+
+  // Held items, at most one per slot
+  equipment: [
+    {
+      _id: false,
+      slot: String,
+      itemId: String,
+      inventoryItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InventoryItem",
+      },
+    },
+  ],
+
   // Progression
   level: { type: Number, default: 1 },
   experience: { type: Number, default: 0 },
   evolutionStage: { type: Number, default: 1 },
+  evolutionForm: { type: String, default: null }, // id in constants/evolutions.json
   evolutions: [{ type: String }],
   battlesWon: { type: Number, default: 0 },
   battlesLost: { type: Number, default: 0 },
@@ -219,6 +245,15 @@ const petSchema = new mongoose.Schema({
   title: { type: String, default: null },
   isShiny: { type: Boolean, default: false },
 
+  // Hidden potential per stat; only revealed as grades once appraised
+  potential: { type: Object, default: null },
+  appraisedAt: { type: Date, default: null },
+
+  // Breeding lineage; generation 0 pets were hatched or fused
+  parentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
+  generation: { type: Number, default: 0 },
+  lastBredAt: { type: Date, default: null },
+
   // Blockchain
   nftTokenId: { type: String, default: null },
   isListed: { type: Boolean, default: false },
@@ -238,6 +273,8 @@ const eggSchema = new mongoose.Schema({
   type: { type: String, required: true },
   isHatched: { type: Boolean, default: false },
   contents: { type: Object, default: null },
+  // Pet data rolled when a bred egg is laid, hatched as-is
+  genes: { type: Object, default: null },
   hatchDuration: { type: Number, default: 60 },
   cost: { type: Number, default: 100 },
   description: { type: String, default: "A mysterious egg" },
@@ -274,19 +311,23 @@ const skinSchema = new mongoose.Schema({
 });
 
 // Battle History Schema
-const battleHistorySchema = new mongoose.Schema({
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "User",
-    required: true,
+const battleHistorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    result: { type: String, required: true }, // victory or defeat
+    opponent: { type: String, required: true },
+    userPets: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
+    rewards: { type: Object, default: {} },
+    battleData: { type: Object, default: {} },
+    date: { type: Date, default: Date.now },
   },
-  result: { type: String, required: true }, // victory or defeat
-  opponent: { type: String, required: true },
-  userPets: [{ type: mongoose.Schema.Types.ObjectId, ref: "Pet" }],
-  rewards: { type: Object, default: {} },
-  battleData: { type: Object, default: {} },
-  date: { type: Date, default: Date.now },
-});
+  // Keep empty objects (e.g. cooldown maps) so stored battle logs replay verbatim
+  { minimize: false }
+);
 
 // Create models
 export const User = mongoose.model("User", userSchema);
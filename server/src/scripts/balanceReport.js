@@ -0,0 +1,155 @@
+// src/scripts/balanceReport.js
+//
+// Balance report: runs headless battles across type pairs, techniques and
+// rarities and writes win-rate matrices, average battle length and damage
+// share. No database or server needed.
+//
+//   node src/scripts/balanceReport.js [options]
+//
+//   --dimensions types,techniques,rarities   which matrices to build
+//                                           (add "custom" for config pets)
+//   --battles 200                            duels per matchup
+//   --seed 1                                 base seed, same seed = same report
+//   --ai easy|medium|hard|epic               AI both pets play (default easy)
+//   --config pets.json                       { "base": {...}, "pets": [...] }
+//   --format json|csv                        output format (default json)
+//   --out reports/balance                    directory to write files into;
+//                                           prints to stdout when omitted
+
+"use strict";
+
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { join, resolve } from "path";
+import {
+  BALANCE_DIMENSIONS,
+  DEFAULT_BALANCE_PET,
+  buildBalanceReport,
+  matchupsToCSV,
+  matrixToCSV,
+} from "../config/balanceSimulator.js";
+import { AI_DIFFICULTIES } from "../utils/constants.js";
+
+const USAGE = `Usage: node src/scripts/balanceReport.js [--dimensions ${Object.keys(
+  BALANCE_DIMENSIONS
+).join(",")},custom] [--battles N] [--seed N] [--ai ${Object.keys(
+  AI_DIFFICULTIES
+).join("|")}] [--config file.json] [--format json|csv] [--out dir]`;
+
+export function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+
+    const [key, inline] = arg.slice(2).split("=");
+    if (key === "help") {
+      args.help = true;
+      continue;
+    }
+
+    const value = inline ?? argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${key}`);
+    args[key] = value;
+  }
+
+  return args;
+}
+
+function parsePositiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive whole number`);
+  }
+  return number;
+}
+
+// Turn CLI arguments into buildBalanceReport options
+export function resolveOptions(args) {
+  const config = args.config
+    ? JSON.parse(readFileSync(resolve(args.config), "utf8"))
+    : {};
+
+  if (args.ai && !AI_DIFFICULTIES[args.ai]) {
+    throw new Error(`--ai must be one of ${Object.keys(AI_DIFFICULTIES)}`);
+  }
+  if (args.format && !["json", "csv"].includes(args.format)) {
+    throw new Error("--format must be json or csv");
+  }
+
+  const base = { ...DEFAULT_BALANCE_PET, ...config.base };
+  if (args.ai) base.aiDifficulty = args.ai;
+
+  return {
+    dimensions: args.dimensions
+      ? args.dimensions.split(",").map((name) => name.trim())
+      : config.pets?.length
+      ? ["custom"]
+      : Object.keys(BALANCE_DIMENSIONS),
+    base,
+    pets: config.pets || null,
+    battles: args.battles ? parsePositiveInt(args.battles, "battles") : 200,
+    seed: args.seed ? parsePositiveInt(args.seed, "seed") : 1,
+    format: args.format || "json",
+    out: args.out || null,
+  };
+}
+
+// File name -> contents for a report in the requested format
+export function renderReport(report, format) {
+  if (format === "json") {
+    return { "balance-report.json": JSON.stringify(report, null, 2) + "\n" };
+  }
+
+  const files = {};
+  Object.entries(report.dimensions).forEach(([dimension, matrix]) => {
+    files[`${dimension}-winrate.csv`] = matrixToCSV(matrix, "winRate");
+    files[`${dimension}-turns.csv`] = matrixToCSV(matrix, "avgTurns");
+    files[`${dimension}-damage-share.csv`] = matrixToCSV(matrix, "damageShare");
+    files[`${dimension}-matchups.csv`] = matchupsToCSV(matrix);
+  });
+  return files;
+}
+
+export function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const options = resolveOptions(args);
+  const started = Date.now();
+  const report = buildBalanceReport(options);
+  const files = renderReport(report, options.format);
+
+  if (!options.out) {
+    Object.entries(files).forEach(([name, contents]) => {
+      if (options.format === "csv") console.log(`# ${name}`);
+      process.stdout.write(contents);
+    });
+    return;
+  }
+
+  mkdirSync(options.out, { recursive: true });
+  Object.entries(files).forEach(([name, contents]) =>
+    writeFileSync(join(options.out, name), contents)
+  );
+  console.error(
+    `📊 Wrote ${Object.keys(files).length} file(s) to ${options.out} in ${
+      Date.now() - started
+    }ms`
+  );
+}
+
+// If run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+}
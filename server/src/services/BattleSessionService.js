@@ -0,0 +1,611 @@
+// src/services/BattleSessionService.js
+import BattleSession from "../models/BattleSession.js";
+import { DatabaseService } from "./DatabaseService.js";
+import { rewardService } from "./RewardService.js";
+import { consumableService } from "./ConsumableService.js";
+import {
+  BATTLE_ENGINE_VERSION,
+  scheduleRounds,
+  evaluatePlayerBattle,
+  getAvailableActions,
+  getNextTimelineStep,
+  getEffectiveStats,
+  getReadyAbilities,
+  canUseAbility,
+  initializeMana,
+} from "../config/battleLogic.js";
+import { getLoadout } from "../config/abilities.js";
+import {
+  canUseItem,
+  describeItemBag,
+  getConsumable,
+  getItemUsage,
+  getRemainingUses,
+} from "../config/consumables.js";
+import { ALL_ABILITIES } from "../utils/constants.js";
+import { createSeededRandom, generateSeed } from "../utils/rng.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+export class BattleSessionService {
+  constructor() {
+    this.idleTimeoutMs = 5 * 60 * 1000; // 5 minutes without an action
+    this.sweepIntervalMs = 60 * 1000;
+    this.sweepTimer = null;
+  }
+
+  // Create a persistent turn-based battle for a user
+  async createSession({
+    userId,
+    userPets,
+    playerTeam,
+    opponentTeam,
+    opponentName,
+    opponentDifficulty,
+    opponentLevel,
+    battleMode = "pve",
+    itemBag = {},
+  }) {
+    try {
+      const existing = await BattleSession.findActiveForUser(userId);
+      if (existing) {
+        if (!existing.isIdle(this.idleTimeoutMs)) {
+          return {
+            success: false,
+            error: "You already have an active battle session",
+            sessionId: existing._id,
+          };
+        }
+        await this.endSession(existing, "timed_out");
+      }
+
+      // A single pet per side has no round-robin pairings, so play one match
+      const schedule = scheduleRounds(
+        Math.max(playerTeam.length, opponentTeam.length)
+      );
+      if (schedule.length === 0) {
+        schedule.push({ round: 1, match: [0, 0] });
+      }
+
+      const session = new BattleSession({
+        userId,
+        userPets: userPets.map((pet) => pet.id),
+        battleMode,
+        opponentName,
+        opponentDifficulty,
+        opponentLevel,
+        seed: generateSeed(),
+        engineVersion: BATTLE_ENGINE_VERSION,
+        playerTeam,
+        opponentTeam,
+        schedule,
+        itemBag,
+      });
+
+      this.startNextMatch(session);
+      this.playOpponentTurns(session);
+      await session.save();
+
+      logger.info(`Battle session ${session._id} started for user ${userId}`);
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error("Error creating battle session:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Load a session owned by the user, timing it out if it went idle
+  async getSession(sessionId, userId) {
+    try {
+      const session = await BattleSession.findById(sessionId);
+      if (!session || session.userId.toString() !== userId.toString()) {
+        return {
+          success: false,
+          error: "Battle session not found",
+          status: 404,
+        };
+      }
+
+      if (session.status === "active" && session.isIdle(this.idleTimeoutMs)) {
+        await this.endSession(session, "timed_out");
+      }
+
+      return { success: true, session };
+    } catch (error) {
+      logger.error("Error loading battle session:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Resolve one player-chosen action against the AI opponent; item actions
+  // name the consumable to use and ability actions may name a loadout ability
+  async submitAction(
+    sessionId,
+    userId,
+    action,
+    itemId = null,
+    abilityId = null
+  ) {
+    const lookup = await this.getSession(sessionId, userId);
+    if (!lookup.success) return lookup;
+
+    const { session } = lookup;
+
+    try {
+      if (session.status !== "active") {
+        return {
+          success: false,
+          error: `Battle session is ${session.status.replace("_", " ")}`,
+          status: 409,
+          session,
+        };
+      }
+
+      const { player, opponent } = session.currentMatch;
+      const availableActions = getAvailableActions(player.pet, session.itemBag);
+
+      if (
+        !availableActions.includes(action) ||
+        (action === "item" &&
+          !canUseItem(player.pet, itemId, session.itemBag)) ||
+        (action === "ability" &&
+          abilityId &&
+          !getReadyAbilities(player.pet).some(
+            (ability) => ability.id === abilityId
+          ))
+      ) {
+        return {
+          success: false,
+          error: this.describeInvalidAction(
+            player.pet,
+            action,
+            itemId,
+            session.itemBag,
+            abilityId
+          ),
+          availableActions,
+        };
+      }
+
+      const turnResult = this.playTurn(
+        session,
+        action,
+        action === "item" ? itemId : null,
+        action === "ability" ? abilityId : null
+      );
+      this.playOpponentTurns(session);
+
+      session.lastActionAt = new Date();
+
+      if (!session.currentMatch) {
+        await this.endSession(session, "completed");
+      } else {
+        await this.persist(session);
+      }
+
+      return { success: true, session, turn: turnResult };
+    } catch (error) {
+      if (error.name === "VersionError") {
+        return {
+          success: false,
+          error: "Another action for this turn is already being processed",
+          status: 409,
+        };
+      }
+      logger.error("Error processing battle action:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Concede the battle early
+  async forfeit(sessionId, userId) {
+    const lookup = await this.getSession(sessionId, userId);
+    if (!lookup.success) return lookup;
+
+    const { session } = lookup;
+    if (session.status !== "active") {
+      return {
+        success: false,
+        error: `Battle session is ${session.status.replace("_", " ")}`,
+        status: 409,
+        session,
+      };
+    }
+
+    try {
+      await this.endSession(session, "forfeited");
+      return { success: true, session };
+    } catch (error) {
+      logger.error("Error forfeiting battle session:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Time out every session that has gone idle
+  async expireIdleSessions() {
+    const cutoff = new Date(Date.now() - this.idleTimeoutMs);
+    const idleSessions = await BattleSession.findIdleSessions(cutoff);
+
+    for (const session of idleSessions) {
+      try {
+        await this.endSession(session, "timed_out");
+      } catch (error) {
+        logger.error(`Error timing out battle session ${session._id}:`, error);
+      }
+    }
+
+    return idleSessions.length;
+  }
+
+  startIdleSweep() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.expireIdleSessions().catch((error) =>
+        logger.error("Battle session sweep error:", error)
+      );
+    }, this.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopIdleSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /** --- Match flow --- **/
+
+  // Resolve one timeline step; a null action means the player's pet isn't due
+  playTurn(session, action, itemId = null, abilityId = null) {
+    const { opponent } = session.currentMatch;
+    // The bag belongs to the session, so it carries across matches
+    const player = { ...session.currentMatch.player, bag: session.itemBag };
+
+    // Every turn gets its own stream so a resumed session stays reproducible
+    const rng = createSeededRandom(session.seed + session.turn);
+    const turnResult = evaluatePlayerBattle(
+      player,
+      opponent,
+      action,
+      rng,
+      itemId,
+      abilityId
+    );
+
+    session.turn += 1;
+    session.currentMatch.turns.push({
+      turn: session.currentMatch.turns.length + 1,
+      tick: turnResult.tick,
+      playerAction: turnResult.playerAction,
+      opponentAction: turnResult.opponentAction,
+      result: turnResult.result,
+      playerHP: player.pet.currentHP,
+      opponentHP: opponent.pet.currentHP,
+      damage: turnResult.damage,
+      abilityUsed: turnResult.abilityUsed,
+      itemsUsed: turnResult.itemsUsed,
+      events: turnResult.events,
+      statusEffects: {
+        player: [...player.pet.statusEffects],
+        opponent: [...opponent.pet.statusEffects],
+      },
+    });
+
+    if (player.pet.currentHP <= 0 || opponent.pet.currentHP <= 0) {
+      this.finishMatch(session);
+    }
+
+    return turnResult;
+  }
+
+  // A faster AI opponent takes its extra actions before the player's next move
+  playOpponentTurns(session) {
+    while (session.currentMatch) {
+      const { player, opponent } = session.currentMatch;
+      if (getNextTimelineStep(player.pet, opponent.pet).player) return;
+      this.playTurn(session, null);
+    }
+  }
+
+  // Advance to the next scheduled pairing, or clear currentMatch when done
+  startNextMatch(session) {
+    while (session.matchIndex < session.schedule.length) {
+      const { round, match } = session.schedule[session.matchIndex];
+      const playerPet =
+        session.playerTeam[match[0] % session.playerTeam.length];
+      const opponentPet =
+        session.opponentTeam[match[1] % session.opponentTeam.length];
+
+      if (playerPet && opponentPet) {
+        session.currentMatch = {
+          round,
+          player: this.createTrainer("player", playerPet),
+          opponent: this.createTrainer("opponent", opponentPet),
+          turns: [],
+        };
+        return true;
+      }
+
+      session.matchIndex += 1;
+    }
+
+    session.currentMatch = null;
+    return false;
+  }
+
+  finishMatch(session) {
+    const { round, player, opponent, turns } = session.currentMatch;
+    const winner = player.pet.currentHP > 0 ? "player" : "opponent";
+
+    session.battleLog.push({
+      round,
+      playerPet: player.pet.id,
+      opponentPet: opponent.pet.id,
+      result: {
+        winner,
+        turns,
+        finalPlayerHP: player.pet.currentHP,
+        finalOpponentHP: opponent.pet.currentHP,
+      },
+    });
+
+    if (winner === "player") {
+      session.playerWins += 1;
+    } else {
+      session.opponentWins += 1;
+    }
+
+    session.matchIndex += 1;
+    this.startNextMatch(session);
+  }
+
+  createTrainer(side, pet) {
+    const stats = getEffectiveStats(pet);
+
+    return {
+      id: `${side}_${pet.id}`,
+      playerName:
+        pet.trainerName || (side === "player" ? "Player" : "Opponent"),
+      pet: initializeMana({
+        ...structuredClone(pet),
+        stats,
+        currentHP: stats.hp,
+        statusEffects: [],
+        abilityCooldowns: {},
+      }),
+    };
+  }
+
+  describeInvalidAction(
+    pet,
+    action,
+    itemId = null,
+    bag = null,
+    abilityId = null
+  ) {
+    if (action === "ability") {
+      const loadout = getLoadout(pet);
+      if (abilityId && !loadout.includes(abilityId)) {
+        return `${
+          ALL_ABILITIES[abilityId]?.name || `"${abilityId}"`
+        } isn't in ${pet.name}'s loadout`;
+      }
+
+      const abilities = (abilityId ? [abilityId] : loadout)
+        .map((id) => ALL_ABILITIES[id])
+        .filter(Boolean);
+      if (abilities.length === 0) {
+        return `${pet.name} has no usable ability`;
+      }
+
+      const reasons = abilities.map((ability) => {
+        if (pet.abilityCooldowns?.[ability.id] > 0) {
+          return `${ability.name} is on cooldown for ${
+            pet.abilityCooldowns[ability.id]
+          } more turn(s)`;
+        }
+        if (!canUseAbility(pet, ability)) {
+          return `${ability.name} needs ${ability.manaCost} mana, ${pet.name} has ${pet.mana}`;
+        }
+        return null;
+      });
+      if (reasons.some(Boolean)) return reasons.filter(Boolean).join("; ");
+    }
+    if (action === "item") {
+      const item = getConsumable(itemId);
+      if (!item) {
+        return itemId ? `Unknown item "${itemId}"` : "Choose an item to use";
+      }
+      if (getRemainingUses(bag, itemId) <= 0) {
+        return `No ${item.name} left for this battle`;
+      }
+      return `${item.name} would have no effect on ${pet.name}`;
+    }
+    return `Invalid action "${action}"`;
+  }
+
+  /** --- Settlement --- **/
+
+  // Close the session and settle rewards and pet stats exactly once
+  async endSession(session, status) {
+    if (status !== "completed") {
+      // Forfeits and timeouts count as a loss for the player
+      session.winner = "opponent";
+    } else {
+      session.winner =
+        session.playerWins > session.opponentWins
+          ? "player"
+          : session.opponentWins > session.playerWins
+          ? "opponent"
+          : "draw";
+    }
+
+    session.status = status;
+    session.endedAt = new Date();
+    await this.persist(session);
+
+    session.rewards = await this.settleSession(session);
+    await this.persist(session);
+
+    logger.info(
+      `Battle session ${session._id} ended (${status}, winner: ${session.winner})`
+    );
+
+    return session;
+  }
+
+  async settleSession(session) {
+    const userId = session.userId;
+    const user = await dbService.findUserById(userId);
+    if (!user) throw new Error("User not found");
+
+    const isVictory = session.winner === "player";
+    const rewardResult = await rewardService.applyBattleRewards(
+      userId,
+      { winner: session.winner },
+      user.level,
+      session.opponentLevel
+    );
+
+    if (!rewardResult.success) {
+      logger.warn(
+        `Failed to apply rewards for battle session ${session._id}: ${rewardResult.error}`
+      );
+    }
+
+    const rewards = rewardResult.success ? rewardResult.rewards : {};
+
+    // Items the battle didn't use go back into the inventory
+    await consumableService.settleBattleBag(userId, session.itemBag);
+
+    await dbService.updateUser(userId, {
+      battlesWon: (user.battlesWon || 0) + (isVictory ? 1 : 0),
+      battlesLost: (user.battlesLost || 0) + (isVictory ? 0 : 1),
+    });
+
+    // Pets earn a share of experience plus their own match record
+    const expShare = Math.floor(
+      (rewards.experience || 0) / Math.max(1, session.userPets.length)
+    );
+
+    for (const petId of session.userPets) {
+      try {
+        const matches = session.battleLog.filter(
+          (match) => match.playerPet?.toString() === petId.toString()
+        );
+        const wins = matches.filter(
+          (match) => match.result.winner === "player"
+        ).length;
+
+        const pet = await dbService.findPetById(petId);
+        if (!pet) continue;
+
+        await dbService.updatePet(petId, {
+          battlesWon: (pet.battlesWon || 0) + wins,
+          battlesLost: (pet.battlesLost || 0) + (matches.length - wins),
+        });
+        if (expShare > 0) {
+          await dbService.updatePetExperience(petId, expShare);
+        }
+      } catch (error) {
+        logger.warn(`Failed to settle pet ${petId} for battle session:`, error);
+      }
+    }
+
+    await dbService.addBattleHistory({
+      userId,
+      result: isVictory ? "victory" : "defeat",
+      opponent: session.opponentName,
+      userPets: session.userPets,
+      rewards,
+      battleData: {
+        sessionId: session._id,
+        status: session.status,
+        winner: session.winner,
+        playerWins: session.playerWins,
+        opponentWins: session.opponentWins,
+        totalRounds: session.schedule.length,
+        battleLog: session.battleLog,
+        schedule: session.schedule,
+        engineVersion: session.engineVersion,
+        battleMode: session.battleMode,
+        itemsUsed: getItemUsage(session.itemBag),
+      },
+      battleType: "interactive",
+    });
+
+    return rewards;
+  }
+
+  async persist(session) {
+    session.markModified("currentMatch");
+    session.markModified("battleLog");
+    session.markModified("itemBag");
+    return await session.save();
+  }
+
+  /** --- Output --- **/
+
+  formatBattlePet(pet) {
+    return {
+      id: pet.id,
+      name: pet.name,
+      type: pet.type,
+      rarity: pet.rarity,
+      level: pet.level,
+      ability: pet.ability,
+      loadout: getLoadout(pet),
+      technique: pet.technique,
+      currentHP: pet.currentHP,
+      maxHP: pet.stats.hp,
+      mana: pet.mana,
+      maxMana: pet.maxMana,
+      statusEffects: pet.statusEffects,
+      abilityCooldowns: pet.abilityCooldowns,
+    };
+  }
+
+  toClientState(session) {
+    const match = session.currentMatch;
+
+    return {
+      sessionId: session._id,
+      status: session.status,
+      battleMode: session.battleMode,
+      opponent: session.opponentName,
+      turn: session.turn,
+      matchNumber: Math.min(session.matchIndex + 1, session.schedule.length),
+      totalMatches: session.schedule.length,
+      playerWins: session.playerWins,
+      opponentWins: session.opponentWins,
+      currentMatch: match
+        ? {
+            round: match.round,
+            playerPet: this.formatBattlePet(match.player.pet),
+            opponentPet: this.formatBattlePet(match.opponent.pet),
+            turns: match.turns,
+          }
+        : null,
+      availableActions:
+        session.status === "active" && match
+          ? getAvailableActions(match.player.pet, session.itemBag)
+          : [],
+      items: describeItemBag(
+        session.itemBag,
+        session.status === "active" && match ? match.player.pet : null
+      ),
+      battleLog: session.battleLog,
+      winner: session.winner,
+      rewards: session.rewards,
+      expiresAt:
+        session.status === "active"
+          ? new Date(session.lastActionAt.getTime() + this.idleTimeoutMs)
+          : null,
+    };
+  }
+}
+
+export const battleSessionService = new BattleSessionService();
+export default battleSessionService;
@@ -0,0 +1,184 @@
+import { DatabaseService } from "./DatabaseService.js";
+import { Pet as MongoosePet } from "../models/dbSchema.js";
+import {
+  describeInheritance,
+  getBreedingBlocker,
+  getBreedingCooldown,
+  getBreedingCost,
+  inheritGenes,
+  validateBreedingPair,
+} from "../config/breeding.js";
+import { BREEDING_CONFIG, EGG_TYPES } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class BreedingService {
+  /** --- Lookup --- **/
+
+  async findParents(userId, parentIds) {
+    if (!Array.isArray(parentIds) || parentIds.length !== 2) {
+      return { error: "Choose two pets to breed", status: 400 };
+    }
+
+    const parents = await Promise.all(
+      parentIds.map((petId) => dbService.findPetById(petId))
+    );
+    if (
+      parents.some(
+        (pet) => !pet || pet.ownerId?.toString() !== userId.toString()
+      )
+    ) {
+      return { error: "Pet not found", status: 404 };
+    }
+
+    return { parents };
+  }
+
+  formatBreedingStatus(pet, now = Date.now()) {
+    const cooldownMs = getBreedingCooldown(pet, now);
+    return {
+      petId: pet.id,
+      name: pet.name,
+      canBreed: getBreedingBlocker(pet, now) === null,
+      reason: getBreedingBlocker(pet, now),
+      cooldownMs,
+      readyAt: cooldownMs > 0 ? new Date(now + cooldownMs) : null,
+    };
+  }
+
+  // What a pair would produce and whether they can breed right now
+  async preview(userId, parentIds, now = Date.now()) {
+    try {
+      const { parents, error, status } = await this.findParents(
+        userId,
+        parentIds
+      );
+      if (error) return { success: false, error, status };
+
+      return {
+        success: true,
+        preview: {
+          ...describeInheritance(parents[0], parents[1]),
+          error: validateBreedingPair(parents[0], parents[1], now),
+          parents: parents.map((pet) => this.formatBreedingStatus(pet, now)),
+        },
+      };
+    } catch (error) {
+      logger.error("Error previewing breeding:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /** --- Breeding --- **/
+
+  // Start a parent's cooldown, unless another request got there first
+  async claimParent(pet, now) {
+    const cutoff = new Date(now - BREEDING_CONFIG.COOLDOWN_HOURS * HOUR_MS);
+
+    return await MongoosePet.findOneAndUpdate(
+      {
+        _id: pet.id,
+        ownerId: pet.ownerId,
+        isListed: false,
+        $or: [{ lastBredAt: null }, { lastBredAt: { $lte: cutoff } }],
+      },
+      { $set: { lastBredAt: new Date(now), updatedAt: new Date(now) } },
+      { new: true }
+    );
+  }
+
+  async releaseParents(parents) {
+    for (const pet of parents) {
+      await MongoosePet.updateOne(
+        { _id: pet.id },
+        { $set: { lastBredAt: pet.lastBredAt || null } }
+      );
+    }
+  }
+
+  async breed(userId, parentIds, rng = Math.random, now = Date.now()) {
+    const claimed = [];
+    let charged = 0;
+
+    try {
+      const { parents, error, status } = await this.findParents(
+        userId,
+        parentIds
+      );
+      if (error) return { success: false, error, status };
+
+      const [parentA, parentB] = parents;
+      const invalid = validateBreedingPair(parentA, parentB, now);
+      if (invalid) return { success: false, error: invalid };
+
+      const cost = getBreedingCost(parentA, parentB);
+      const user = await dbService.findUserById(userId);
+      if ((user?.balance || 0) < cost) {
+        return {
+          success: false,
+          error: `Breeding costs ${cost} coins`,
+        };
+      }
+
+      for (const pet of parents) {
+        if (!(await this.claimParent(pet, now))) {
+          await this.releaseParents(claimed);
+          return {
+            success: false,
+            error: `${pet.name} can't breed right now`,
+            status: 409,
+          };
+        }
+        claimed.push(pet);
+      }
+
+      try {
+        await dbService.updateUserBalance(userId, -cost);
+        charged = cost;
+      } catch (balanceError) {
+        await this.releaseParents(claimed);
+        return { success: false, error: balanceError.message };
+      }
+
+      const { pet: genes, mutations } = inheritGenes(parentA, parentB, rng);
+      const egg = await dbService.createEgg({
+        ownerId: userId,
+        type: EGG_TYPES.BRED,
+        genes,
+        cost,
+        description: `An egg laid by ${parentA.name} and ${parentB.name}`,
+      });
+
+      logger.info(
+        `User ${userId} bred ${parentA.name} and ${parentB.name}${
+          mutations.length > 0 ? ` (mutations: ${mutations.join(", ")})` : ""
+        }`
+      );
+
+      return {
+        success: true,
+        egg,
+        cost,
+        parents: parents.map((pet) =>
+          this.formatBreedingStatus({ ...pet, lastBredAt: new Date(now) }, now)
+        ),
+      };
+    } catch (error) {
+      logger.error("Error breeding pets:", error);
+      // Nothing was laid, so give back the coins and the cooldowns
+      try {
+        if (charged > 0) await dbService.updateUserBalance(userId, charged);
+        await this.releaseParents(claimed);
+      } catch (rollbackError) {
+        logger.error("Failed to roll back breeding:", rollbackError);
+      }
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const breedingService = new BreedingService();
+export default breedingService;
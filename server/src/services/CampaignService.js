@@ -0,0 +1,249 @@
+import CampaignProgress from "../models/CampaignProgress.js";
+import { rewardService } from "./RewardService.js";
+import { GameController } from "../controllers/GameController.js";
+import { calculateBattleRewards } from "../config/battleLogic.js";
+import {
+  applyStageModifiers,
+  describeStarCondition,
+  evaluateStars,
+  findStage,
+  getStarsByStage,
+  isChapterUnlocked,
+  isStageUnlocked,
+  summarizeStageBattle,
+} from "../config/campaign.js";
+import { CAMPAIGN_CHAPTERS } from "../utils/constants.js";
+import { createSeededRandom, generateSeed } from "../utils/rng.js";
+import logger from "../utils/logger.js";
+
+export class CampaignService {
+  /** --- Teams --- **/
+
+  // Fixed opponent lineup for a stage, in battle format
+  buildOpponentTeam(stage) {
+    return applyStageModifiers(
+      GameController.convertPetsToBattleFormat(
+        stage.opponents.map((opponent, index) => ({
+          ...opponent,
+          id: `${stage.id}_${index + 1}`,
+        })),
+        stage.name
+      ),
+      stage.modifiers
+    );
+  }
+
+  buildPlayerTeam(stage, pets, trainerName) {
+    return applyStageModifiers(
+      GameController.convertPetsToBattleFormat(pets, trainerName),
+      stage.modifiers
+    );
+  }
+
+  // Farming rewards on every win, plus the first-clear rewards once
+  calculateStageRewards(stage, pets, { victory, firstClear }) {
+    if (!victory) return { coins: 0, experience: 0 };
+
+    const farming = calculateBattleRewards(stage.rewards, pets);
+    const firstClearRewards = firstClear ? stage.firstClearRewards : null;
+
+    return {
+      coins: farming.coins + (firstClearRewards?.coins || 0),
+      experience: farming.experience + (firstClearRewards?.experience || 0),
+      items: (firstClearRewards?.items || []).map((item) => ({ ...item })),
+    };
+  }
+
+  /** --- Progress --- **/
+
+  async getProgress(userId) {
+    return await CampaignProgress.findOne({ userId });
+  }
+
+  // Record a clear. The first clear pushes the stage entry, so only one
+  // request can ever see `firstClear` for a stage.
+  async recordClear(userId, stageId, { stars, turns }, now = new Date()) {
+    await CampaignProgress.updateOne(
+      { userId },
+      { $setOnInsert: { stages: [] } },
+      { upsert: true }
+    );
+
+    const created = await CampaignProgress.findOneAndUpdate(
+      { userId, "stages.stageId": { $ne: stageId } },
+      {
+        $push: {
+          stages: {
+            stageId,
+            stars,
+            clears: 1,
+            bestTurns: turns,
+            firstClearedAt: now,
+            lastClearedAt: now,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (created) return { progress: created, firstClear: true };
+
+    const progress = await CampaignProgress.findOneAndUpdate(
+      { userId, "stages.stageId": stageId },
+      {
+        $max: { "stages.$.stars": stars },
+        $min: { "stages.$.bestTurns": turns },
+        $inc: { "stages.$.clears": 1 },
+        $set: { "stages.$.lastClearedAt": now },
+      },
+      { new: true }
+    );
+    return { progress, firstClear: false };
+  }
+
+  /** --- Play --- **/
+
+  async playStage(user, pets, stageId) {
+    try {
+      const found = findStage(stageId);
+      if (!found) {
+        return { success: false, error: "Stage not found", status: 404 };
+      }
+      const { stage } = found;
+
+      const progress = await this.getProgress(user.id);
+      if (!isStageUnlocked(stage.id, getStarsByStage(progress))) {
+        return {
+          success: false,
+          error: "Clear the earlier stages to unlock this one",
+          status: 403,
+        };
+      }
+      if (pets.length > stage.maxPets) {
+        return {
+          success: false,
+          error: `This stage allows at most ${stage.maxPets} pets`,
+        };
+      }
+
+      // Snapshot the starting teams and seed so the battle can be replayed
+      const seed = generateSeed();
+      const initialTeams = JSON.parse(
+        JSON.stringify({
+          playerTeam: this.buildPlayerTeam(stage, pets, user.username),
+          opponentTeam: this.buildOpponentTeam(stage),
+        })
+      );
+
+      const battleResult = await GameController.simulateRoundRobinBattle(
+        structuredClone(initialTeams.playerTeam),
+        structuredClone(initialTeams.opponentTeam),
+        "pve",
+        createSeededRandom(seed),
+        0
+      );
+
+      const summary = summarizeStageBattle(battleResult);
+      const { stars, conditions } = evaluateStars(stage, summary);
+
+      let firstClear = false;
+      if (summary.victory) {
+        ({ firstClear } = await this.recordClear(user.id, stage.id, {
+          stars,
+          turns: summary.turns,
+        }));
+      }
+
+      const rewards = this.calculateStageRewards(stage, pets, {
+        victory: summary.victory,
+        firstClear,
+      });
+      if (summary.victory) {
+        const applied = await rewardService.applyRewards(
+          user.id,
+          rewards,
+          "campaign_reward",
+          { stageId: stage.id, stars, firstClear }
+        );
+        if (!applied.success) {
+          logger.warn(
+            `Failed to pay campaign rewards to ${user.username}: ${applied.error}`
+          );
+        }
+      }
+
+      return {
+        success: true,
+        stage,
+        battleResult,
+        initialTeams,
+        seed,
+        summary,
+        stars,
+        conditions,
+        firstClear,
+        rewards,
+      };
+    } catch (error) {
+      logger.error("Error playing campaign stage:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /** --- Views --- **/
+
+  formatStage(stage, progress, starsByStage) {
+    const entry = progress?.getStage(stage.id);
+
+    return {
+      id: stage.id,
+      name: stage.name,
+      maxPets: stage.maxPets,
+      unlocked: isStageUnlocked(stage.id, starsByStage),
+      stars: entry?.stars || 0,
+      clears: entry?.clears || 0,
+      bestTurns: entry?.bestTurns ?? null,
+      starConditions: stage.stars.map(describeStarCondition),
+      modifiers: stage.modifiers.map((modifier) => modifier.description),
+      opponents: stage.opponents.map((opponent) => ({
+        name: opponent.name,
+        type: opponent.type,
+        level: opponent.level,
+        rarity: opponent.rarity,
+      })),
+      firstClearRewards: entry ? null : stage.firstClearRewards,
+      rewards: stage.rewards,
+    };
+  }
+
+  formatCampaign(progress) {
+    const starsByStage = getStarsByStage(progress);
+
+    return CAMPAIGN_CHAPTERS.map((chapter) => {
+      const stages = chapter.stages.map((stage) =>
+        this.formatStage(stage, progress, starsByStage)
+      );
+
+      return {
+        id: chapter.id,
+        name: chapter.name,
+        description: chapter.description,
+        theme: chapter.theme,
+        unlocked: isChapterUnlocked(chapter, starsByStage),
+        unlockRequirement: chapter.unlock,
+        stars: stages.reduce((sum, stage) => sum + stage.stars, 0),
+        maxStars: stages.reduce(
+          (sum, stage) => sum + stage.starConditions.length,
+          0
+        ),
+        stages,
+      };
+    });
+  }
+
+  async getCampaign(userId) {
+    return this.formatCampaign(await this.getProgress(userId));
+  }
+}
+
+export const campaignService = new CampaignService();
+export default campaignService;
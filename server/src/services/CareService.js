@@ -0,0 +1,150 @@
+import FoodStack from "../models/FoodStack.js";
+import { DatabaseService } from "./DatabaseService.js";
+import { describeCare, feed } from "../config/care.js";
+import { CARE_CONFIG, FOOD_DEFINITIONS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+export class CareService {
+  /** --- Pantry --- **/
+
+  getCatalog() {
+    return Object.values(FOOD_DEFINITIONS);
+  }
+
+  async getPantry(userId) {
+    const stacks = await FoodStack.find({
+      ownerId: userId,
+      quantity: { $gt: 0 },
+    }).sort({ foodId: 1 });
+
+    return stacks.map((stack) => ({
+      ...FOOD_DEFINITIONS[stack.foodId],
+      foodId: stack.foodId,
+      quantity: stack.quantity,
+    }));
+  }
+
+  async grant(userId, foodId, quantity = 1) {
+    if (!FOOD_DEFINITIONS[foodId]) {
+      throw new Error(`Unknown food "${foodId}"`);
+    }
+
+    return await FoodStack.findOneAndUpdate(
+      { ownerId: userId, foodId },
+      { $inc: { quantity } },
+      { new: true, upsert: true }
+    );
+  }
+
+  async buyFood(userId, foodId, quantity = 1) {
+    const food = FOOD_DEFINITIONS[foodId];
+    if (!food) {
+      return { success: false, error: "Unknown food", status: 400 };
+    }
+    if (food.price == null) {
+      return {
+        success: false,
+        error: `${food.name} can't be bought, only earned`,
+        status: 400,
+      };
+    }
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 1 ||
+      quantity > CARE_CONFIG.MAX_FOOD_PURCHASE
+    ) {
+      return {
+        success: false,
+        error: `You can buy 1 to ${CARE_CONFIG.MAX_FOOD_PURCHASE} at a time`,
+        status: 400,
+      };
+    }
+
+    try {
+      const cost = food.price * quantity;
+      const user = await dbService.findUserById(userId);
+      if ((user?.balance || 0) < cost) {
+        return {
+          success: false,
+          error: `Not enough coins. ${quantity} ${food.name} costs ${cost}`,
+          status: 400,
+        };
+      }
+
+      await dbService.updateUserBalance(userId, -cost);
+      try {
+        const stack = await this.grant(userId, foodId, quantity);
+        return {
+          success: true,
+          food,
+          cost,
+          quantity: stack.quantity,
+          balance: user.balance - cost,
+        };
+      } catch (grantError) {
+        await dbService.updateUserBalance(userId, cost);
+        throw grantError;
+      }
+    } catch (error) {
+      logger.error("Error buying food:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /** --- Feeding --- **/
+
+  async feedPet(userId, petId, foodId, now = Date.now()) {
+    const food = FOOD_DEFINITIONS[foodId];
+    if (!food) {
+      return { success: false, error: "Unknown food", status: 400 };
+    }
+
+    try {
+      const pet = await dbService.findPetById(petId);
+      if (!pet || pet.ownerId?.toString() !== userId.toString()) {
+        return { success: false, error: "Pet not found", status: 404 };
+      }
+
+      // Take the food first so two feedings can't share one item
+      const stack = await FoodStack.findOneAndUpdate(
+        { ownerId: userId, foodId, quantity: { $gte: 1 } },
+        { $inc: { quantity: -1 } },
+        { new: true }
+      );
+      if (!stack) {
+        return {
+          success: false,
+          error: `You don't have any ${food.name}`,
+          status: 400,
+        };
+      }
+
+      const update = feed(pet, food, now);
+      try {
+        await dbService.updatePet(petId, update);
+      } catch (updateError) {
+        await this.grant(userId, foodId, 1);
+        throw updateError;
+      }
+
+      return {
+        success: true,
+        pet: {
+          id: pet.id,
+          name: pet.name,
+          ...update,
+          care: describeCare({ ...pet, ...update }, now),
+        },
+        food: { ...food, remaining: stack.quantity },
+      };
+    } catch (error) {
+      logger.error("Error feeding pet:", error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const careService = new CareService();
+export default careService;
@@ -0,0 +1,181 @@
+import ConsumableStack from "../models/ConsumableStack.js";
+import { DatabaseService } from "./DatabaseService.js";
+import {
+  createItemBag,
+  getItemUpdate,
+  getUnusedItems,
+  isOutOfBattleItem,
+} from "../config/consumables.js";
+import { describeStamina } from "../config/stamina.js";
+import { CONSUMABLE_DEFINITIONS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+export class ConsumableService {
+  /** --- Inventory --- **/
+
+  getCatalog() {
+    return Object.values(CONSUMABLE_DEFINITIONS);
+  }
+
+  async getInventory(userId) {
+    const stacks = await ConsumableStack.find({
+      ownerId: userId,
+      quantity: { $gt: 0 },
+    }).sort({ itemId: 1 });
+
+    return stacks.map((stack) => ({
+      ...CONSUMABLE_DEFINITIONS[stack.itemId],
+      itemId: stack.itemId,
+      quantity: stack.quantity,
+    }));
+  }
+
+  async grant(userId, itemId, quantity = 1) {
+    if (!CONSUMABLE_DEFINITIONS[itemId]) {
+      throw new Error(`Unknown consumable "${itemId}"`);
+    }
+
+    return await ConsumableStack.findOneAndUpdate(
+      { ownerId: userId, itemId },
+      { $inc: { quantity } },
+      { new: true, upsert: true }
+    );
+  }
+
+  /** --- Using items on pets --- **/
+
+  // Use one out-of-battle item from the inventory on a pet
+  async useOnPet(userId, petId, itemId, now = Date.now()) {
+    const item = CONSUMABLE_DEFINITIONS[itemId];
+    if (!item) {
+      return { success: false, error: "Unknown consumable", status: 400 };
+    }
+    if (!isOutOfBattleItem(item)) {
+      return {
+        success: false,
+        error: `${item.name} can only be used in battle`,
+        status: 400,
+      };
+    }
+
+    try {
+      const pet = await dbService.findPetById(petId);
+      if (!pet || pet.ownerId?.toString() !== userId.toString()) {
+        return { success: false, error: "Pet not found", status: 404 };
+      }
+
+      // Take the item first so two uses can't share one
+      const stack = await ConsumableStack.findOneAndUpdate(
+        { ownerId: userId, itemId, quantity: { $gte: 1 } },
+        { $inc: { quantity: -1 } },
+        { new: true }
+      );
+      if (!stack) {
+        return {
+          success: false,
+          error: `You don't have any ${item.name}`,
+          status: 400,
+        };
+      }
+
+      const update = getItemUpdate(pet, itemId, now);
+      try {
+        await dbService.updatePet(petId, update);
+      } catch (updateError) {
+        await this.grant(userId, itemId, 1);
+        throw updateError;
+      }
+
+      return {
+        success: true,
+        pet: {
+          id: pet.id,
+          name: pet.name,
+          stamina: describeStamina({ ...pet, ...update }, now),
+        },
+        item: { ...item, remaining: stack.quantity },
+      };
+    } catch (error) {
+      logger.error("Error using item on pet:", error);
+      return { success: false, error: error.message, status: 500 };
+    }
+  }
+
+  /** --- Battle bags --- **/
+
+  // Check a requested { itemId: quantity } against the catalog and limits
+  validateRequest(items) {
+    if (!items || typeof items !== "object" || Array.isArray(items)) {
+      return "Items must map item ids to quantities";
+    }
+
+    for (const [itemId, quantity] of Object.entries(items)) {
+      const item = CONSUMABLE_DEFINITIONS[itemId];
+      if (!item) return `Unknown consumable "${itemId}"`;
+      if (isOutOfBattleItem(item)) {
+        return `${item.name} is used on a pet between battles`;
+      }
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        return `Quantity for ${item.name} must be a whole number`;
+      }
+      if (quantity > item.perBattleLimit) {
+        return `You can bring at most ${item.perBattleLimit} ${item.name} into a battle`;
+      }
+    }
+
+    return null;
+  }
+
+  // Take the items a player brings out of their inventory for one battle.
+  // Either every item is taken or none are.
+  async withdrawForBattle(userId, items = {}) {
+    const error = this.validateRequest(items);
+    if (error) return { success: false, error, status: 400 };
+
+    const withdrawn = {};
+
+    try {
+      for (const [itemId, quantity] of Object.entries(items)) {
+        if (quantity === 0) continue;
+
+        const stack = await ConsumableStack.findOneAndUpdate(
+          { ownerId: userId, itemId, quantity: { $gte: quantity } },
+          { $inc: { quantity: -quantity } },
+          { new: true }
+        );
+        if (!stack) {
+          await this.returnItems(userId, withdrawn);
+          return {
+            success: false,
+            error: `You don't have ${quantity} ${CONSUMABLE_DEFINITIONS[itemId].name}`,
+            status: 400,
+          };
+        }
+        withdrawn[itemId] = quantity;
+      }
+
+      return { success: true, bag: createItemBag(withdrawn) };
+    } catch (error) {
+      logger.error("Error withdrawing battle items:", error);
+      await this.returnItems(userId, withdrawn);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Put whatever a battle didn't use back into the inventory
+  async settleBattleBag(userId, bag) {
+    return await this.returnItems(userId, getUnusedItems(bag));
+  }
+
+  async returnItems(userId, items) {
+    for (const [itemId, quantity] of Object.entries(items)) {
+      if (quantity > 0) await this.grant(userId, itemId, quantity);
+    }
+    return items;
+  }
+}
+
+export const consumableService = new ConsumableService();
+export default consumableService;
@@ -188,6 +188,31 @@ export class DatabaseService {
     return await battle.save();
   }
 
+  async findBattleHistoryById(battleId) {
+    return await BattleHistory.findById(battleId).lean();
+  }
+
+  // Each PvP battle is stored once per player; side A's copy stands for it
+  async findPvPBattleHistory(pvpBattleId) {
+    return await BattleHistory.findOne({
+      "battleData.pvpBattleId": pvpBattleId,
+      "battleData.side": "A",
+    }).lean();
+  }
+
+  // Recent PvP battles that can be replayed, highest-rated first
+  async getFeaturedBattles(since, limit = 10) {
+    return await BattleHistory.find({
+      "battleData.battleMode": "pvp",
+      "battleData.side": "A",
+      "battleData.teams": { $exists: true },
+      date: { $gte: since },
+    })
+      .sort({ "battleData.averageRating": -1, date: -1 })
+      .limit(limit)
+      .lean();
+  }
+
   async getUserBattleHistory(userId, limit = 10) {
     return await BattleHistory.find({ userId })
       .sort({ date: -1 })
@@ -0,0 +1,252 @@
+import DefenseTeam, { MAX_DEFENSE_PETS } from "../models/DefenseTeam.js";
+import { DatabaseService } from "./DatabaseService.js";
+import { mailService } from "./MailService.js";
+import { validateBattleTeam } from "../config/battleLogic.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+export class DefenseService {
+  constructor() {
+    this.opponentLevelRange = 5;
+  }
+
+  // Register or replace the user's defense team
+  async setDefenseTeam(user, pets) {
+    try {
+      if (pets.length === 0 || pets.length > MAX_DEFENSE_PETS) {
+        return {
+          success: false,
+          error: `A defense team needs between 1 and ${MAX_DEFENSE_PETS} pets`,
+        };
+      }
+
+      const teamValidation = validateBattleTeam(pets);
+      if (!teamValidation.valid) {
+        return { success: false, error: teamValidation.error };
+      }
+
+      const team = await DefenseTeam.findOneAndUpdate(
+        { userId: user.id },
+        {
+          petIds: pets.map((pet) => pet.id),
+          level: user.level || 1,
+          active: true,
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      logger.info(`User ${user.username} registered a defense team`);
+
+      return { success: true, team };
+    } catch (error) {
+      logger.error("Error setting defense team:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDefenseTeam(userId) {
+    try {
+      const team = await DefenseTeam.findOne({ userId });
+      if (!team) {
+        return { success: false, error: "No defense team registered" };
+      }
+
+      return { success: true, team };
+    } catch (error) {
+      logger.error("Error loading defense team:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeDefenseTeam(userId) {
+    try {
+      const team = await DefenseTeam.findOneAndUpdate(
+        { userId },
+        { active: false },
+        { new: true }
+      );
+      if (!team) {
+        return { success: false, error: "No defense team registered" };
+      }
+
+      return { success: true, team };
+    } catch (error) {
+      logger.error("Error removing defense team:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Defense teams near the challenger's level
+  async findOpponents(user, limit = 10) {
+    try {
+      const teams = await DefenseTeam.findOpponents(
+        user.id,
+        user.level || 1,
+        this.opponentLevelRange,
+        limit
+      );
+
+      return {
+        success: true,
+        opponents: teams
+          .filter((team) => team.userId)
+          .map((team) => ({
+            defenderId: team.userId._id,
+            username: team.userId.username,
+            level: team.userId.level,
+            teamSize: team.petIds.length,
+            defenseWins: team.defenseWins,
+            defenseLosses: team.defenseLosses,
+          })),
+      };
+    } catch (error) {
+      logger.error("Error finding defense opponents:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Load a defender's team, keeping only pets they still own
+  async loadDefenders(defenderId) {
+    const team = await DefenseTeam.findOne({
+      userId: defenderId,
+      active: true,
+    });
+    if (!team) {
+      return { success: false, error: "Defense team not found", status: 404 };
+    }
+
+    const defender = await dbService.findUserById(defenderId);
+    if (!defender) {
+      return { success: false, error: "Defender not found", status: 404 };
+    }
+
+    const teamPetIds = team.petIds.map((petId) => petId.toString());
+    const pets = defender.pets.filter((pet) =>
+      teamPetIds.includes(pet.id.toString())
+    );
+
+    // Pets sold or traded away since registration leave the team empty
+    if (pets.length === 0) {
+      team.active = false;
+      await team.save();
+      return {
+        success: false,
+        error: "This defense team is no longer available",
+        status: 404,
+      };
+    }
+
+    return { success: true, team, defender, pets };
+  }
+
+  // Share the coin pot in proportion to the matches each side won
+  splitRewards(rewards, battleResult) {
+    const coins = rewards.coins || 0;
+    const totalRounds = battleResult.totalRounds || 0;
+    const defenderCoins =
+      totalRounds > 0
+        ? Math.floor((coins * battleResult.opponentWins) / totalRounds)
+        : Math.floor(coins / 2);
+
+    return {
+      attacker: {
+        ...rewards,
+        coins: coins - defenderCoins,
+      },
+      defender: {
+        coins: defenderCoins,
+        experience: 0,
+      },
+    };
+  }
+
+  // Pay the defender, update their record and let them know what happened
+  async settleDefense({
+    team,
+    defender,
+    attacker,
+    battleId,
+    battleResult,
+    coins,
+  }) {
+    const victory = battleResult.winner === "opponent";
+
+    if (coins > 0) {
+      await dbService.updateUserBalance(defender.id, coins);
+    }
+
+    team.recordResult({
+      attackerId: attacker.id,
+      attackerName: attacker.username,
+      battleId,
+      victory,
+      coinsEarned: coins,
+    });
+    team.level = defender.level || team.level;
+    await team.save();
+
+    await dbService.addBattleHistory({
+      userId: defender.id,
+      result: victory ? "victory" : "defeat",
+      opponent: attacker.username,
+      userPets: team.petIds,
+      rewards: { coins, experience: 0 },
+      battleData: {
+        attackBattleId: battleId,
+        winner: victory ? "player" : "opponent",
+        playerWins: battleResult.opponentWins,
+        opponentWins: battleResult.playerWins,
+        totalRounds: battleResult.totalRounds,
+        battleMode: "defense",
+      },
+      battleType: "defense",
+    });
+
+    if (defender.email && defender.preferences?.notifications) {
+      try {
+        await mailService.sendDefenseResult(defender, {
+          attackerName: attacker.username,
+          victory,
+          coinsEarned: coins,
+        });
+      } catch (emailError) {
+        logger.warn("Failed to send defense result email:", emailError);
+      }
+    }
+
+    return { victory, coins };
+  }
+
+  // Return the defense record and mark unread results as seen
+  async getDefenseReport(userId) {
+    const lookup = await this.getDefenseTeam(userId);
+    if (!lookup.success) return lookup;
+
+    const { team } = lookup;
+    const unseen = team.results.filter((result) => !result.seen).length;
+
+    const report = {
+      petIds: team.petIds,
+      active: team.active,
+      defenseWins: team.defenseWins,
+      defenseLosses: team.defenseLosses,
+      winRate: team.winRate,
+      coinsEarned: team.coinsEarned,
+      unseenResults: unseen,
+      results: team.results.map((result) => result.toObject()),
+    };
+
+    if (unseen > 0) {
+      team.results.forEach((result) => {
+        result.seen = true;
+      });
+      await team.save();
+    }
+
+    return { success: true, report };
+  }
+}
+
+export const defenseService = new DefenseService();
+export default defenseService;
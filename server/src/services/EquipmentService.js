@@ -0,0 +1,212 @@
+import InventoryItem from "../models/InventoryItem.js";
+import { Pet } from "../models/Pet.js";
+import { Pet as MongoosePet } from "../models/dbSchema.js";
+import { EQUIPMENT_SLOTS, ITEM_DEFINITIONS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+export class EquipmentService {
+  /** --- Inventory --- **/
+
+  getCatalog() {
+    return Object.values(ITEM_DEFINITIONS);
+  }
+
+  formatItem(entry) {
+    return {
+      ...ITEM_DEFINITIONS[entry.itemId],
+      id: entry._id,
+      itemId: entry.itemId,
+      equippedTo: entry.equippedTo,
+      source: entry.source,
+      obtainedAt: entry.obtainedAt,
+    };
+  }
+
+  async getInventory(userId) {
+    const items = await InventoryItem.find({ ownerId: userId }).sort({
+      obtainedAt: -1,
+    });
+    return items.map((entry) => this.formatItem(entry));
+  }
+
+  async grantItem(userId, itemId, source = null) {
+    const definition = ITEM_DEFINITIONS[itemId];
+    if (!definition) {
+      throw new Error(`Unknown item "${itemId}"`);
+    }
+
+    return await InventoryItem.create({
+      ownerId: userId,
+      itemId,
+      slot: definition.slot,
+      source,
+    });
+  }
+
+  /** --- Equip --- **/
+
+  async equip(userId, petId, inventoryItemId) {
+    try {
+      const pet = await MongoosePet.findOne({ _id: petId, ownerId: userId });
+      if (!pet) {
+        return { success: false, error: "Pet not found", status: 404 };
+      }
+      if (pet.isListed) {
+        return {
+          success: false,
+          error: "Pets listed on the marketplace can't hold items",
+          status: 409,
+        };
+      }
+
+      const item = await InventoryItem.findOne({
+        _id: inventoryItemId,
+        ownerId: userId,
+      });
+      if (!item) {
+        return { success: false, error: "Item not found", status: 404 };
+      }
+      if (item.equippedTo) {
+        return {
+          success: false,
+          error: "Item is already equipped",
+          status: 409,
+        };
+      }
+      if (pet.equipment.some((entry) => entry.slot === item.slot)) {
+        return {
+          success: false,
+          error: `${pet.name} already holds a ${item.slot}`,
+          status: 409,
+        };
+      }
+
+      // Claim the item first so two requests can't hand it to different pets
+      const claimed = await InventoryItem.findOneAndUpdate(
+        { _id: item._id, equippedTo: null },
+        { $set: { equippedTo: pet._id } },
+        { new: true }
+      );
+      if (!claimed) {
+        return {
+          success: false,
+          error: "Item is already equipped",
+          status: 409,
+        };
+      }
+
+      const updated = await MongoosePet.findOneAndUpdate(
+        {
+          _id: pet._id,
+          ownerId: userId,
+          isListed: false,
+          "equipment.slot": { $ne: item.slot },
+        },
+        {
+          $push: {
+            equipment: {
+              slot: item.slot,
+              itemId: item.itemId,
+              inventoryItemId: item._id,
+            },
+          },
+          $set: { updatedAt: new Date() },
+        },
+        { new: true }
+      );
+      if (!updated) {
+        // Lost a race for the slot or the pet was listed meanwhile
+        await InventoryItem.updateOne(
+          { _id: item._id, equippedTo: pet._id },
+          { $set: { equippedTo: null } }
+        );
+        return {
+          success: false,
+          error: `${pet.name} can't hold a ${item.slot} right now`,
+          status: 409,
+        };
+      }
+
+      return {
+        success: true,
+        pet: Pet.fromDatabaseObject(updated.toObject()),
+        item: this.formatItem(claimed),
+      };
+    } catch (error) {
+      // The unique slot index caught a concurrent equip
+      if (error.code === 11000) {
+        return {
+          success: false,
+          error: "That slot is already taken",
+          status: 409,
+        };
+      }
+      logger.error("Error equipping item:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async unequip(userId, petId, slot) {
+    try {
+      if (!EQUIPMENT_SLOTS.includes(slot)) {
+        return {
+          success: false,
+          error: `Slot must be one of: ${EQUIPMENT_SLOTS.join(", ")}`,
+        };
+      }
+
+      const pet = await MongoosePet.findOne({ _id: petId, ownerId: userId });
+      if (!pet) {
+        return { success: false, error: "Pet not found", status: 404 };
+      }
+
+      const entry = pet.equipment.find((held) => held.slot === slot);
+      if (!entry) {
+        return {
+          success: false,
+          error: `${pet.name} isn't holding a ${slot}`,
+          status: 404,
+        };
+      }
+
+      const updated = await MongoosePet.findOneAndUpdate(
+        { _id: pet._id, ownerId: userId },
+        {
+          $pull: { equipment: { slot } },
+          $set: { updatedAt: new Date() },
+        },
+        { new: true }
+      );
+      const item = await InventoryItem.findOneAndUpdate(
+        { _id: entry.inventoryItemId, equippedTo: pet._id },
+        { $set: { equippedTo: null } },
+        { new: true }
+      );
+
+      return {
+        success: true,
+        pet: Pet.fromDatabaseObject(updated.toObject()),
+        item: item ? this.formatItem(item) : null,
+      };
+    } catch (error) {
+      logger.error("Error unequipping item:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Return everything a pet holds to its owner's bag, e.g. before a listing
+  async unequipAll(petId) {
+    await MongoosePet.updateOne(
+      { _id: petId },
+      { $set: { equipment: [], updatedAt: new Date() } }
+    );
+    const result = await InventoryItem.updateMany(
+      { equippedTo: petId },
+      { $set: { equippedTo: null } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export const equipmentService = new EquipmentService();
+export default equipmentService;
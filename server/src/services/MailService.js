@@ -129,6 +129,43 @@ class MailService {
     }
   }
 
+  // Send defense team result
+  async sendDefenseResult(user, result) {
+    if (!this.isEnabled || !user.email) {
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const subject = result.victory
+        ? "Your defense team held! 🛡️"
+        : "Your defense team was defeated";
+
+      const html = `
+        <h1>${result.victory ? "Defense Successful! 🛡️" : "Defense Lost"}</h1>
+        <p><strong>${
+          result.attackerName
+        }</strong> challenged your defense team.</p>
+
+        <ul>
+          <li>Outcome: <strong>${
+            result.victory ? "Victory" : "Defeat"
+          }</strong></li>
+          <li>Coins Earned: <strong>${result.coinsEarned}</strong></li>
+        </ul>
+
+        <p>Update your defense team any time from the Battle Arena.</p>
+      `;
+
+      await this.sendEmail(user.email, subject, html);
+
+      logger.info(`Defense result sent to ${user.email}`);
+      return { success: true };
+    } catch (error) {
+      logger.error("Error sending defense result:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Generic email sender (placeholder implementation)
   async sendEmail(to, subject, html) {
     // In a real implementation, this would use a service like:
@@ -0,0 +1,817 @@
+import { randomUUID } from "crypto";
+import { DatabaseService } from "./DatabaseService.js";
+import { rewardService } from "./RewardService.js";
+import { battleSessionService } from "./BattleSessionService.js";
+import { rankingService } from "./RankingService.js";
+import { spectatorService } from "./SpectatorService.js";
+import {
+  BATTLE_ENGINE_VERSION,
+  determineBattleResult,
+  evaluateTurn,
+  generateSmartAttack,
+  getAvailableActions,
+  getNextTimelineStep,
+  getReadyAbilities,
+  scheduleRounds,
+} from "../config/battleLogic.js";
+import { spendStamina } from "../config/stamina.js";
+import { createSeededRandom, generateSeed } from "../utils/rng.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+const SIDES = ["A", "B"];
+
+const otherSide = (side) => (side === "A" ? "B" : "A");
+
+// Outcomes are stored from side A's point of view
+const flipResult = (result) =>
+  result === "win" ? "lose" : result === "lose" ? "win" : result;
+
+export class PvPService {
+  constructor() {
+    this.queue = new Map(); // userId -> queued player
+    this.battles = new Map(); // battleId -> live battle
+    this.userBattles = new Map(); // userId -> battleId
+
+    this.matchmakingIntervalMs = 2000;
+    this.matchmakingTimer = null;
+
+    // Players start within a narrow level band that widens while they wait
+    this.baseLevelRange = 2;
+    this.levelRangeStepMs = 10000;
+
+    this.turnTimeoutMs = 30000;
+    this.reconnectGraceMs = 30000;
+  }
+
+  /** --- Matchmaking --- **/
+
+  joinQueue({
+    userId,
+    username,
+    level,
+    rating = null,
+    userPets,
+    team,
+    connection,
+  }) {
+    const key = userId.toString();
+
+    if (this.userBattles.has(key)) {
+      return { success: false, error: "You are already in a PvP battle" };
+    }
+    if (this.queue.has(key)) {
+      return { success: false, error: "You are already in the queue" };
+    }
+    if (!team || team.length === 0) {
+      return { success: false, error: "A battle team is required" };
+    }
+
+    this.queue.set(key, {
+      userId: key,
+      username,
+      level: level || 1,
+      rating,
+      userPets: userPets.map((petId) => petId.toString()),
+      team,
+      connection,
+      joinedAt: Date.now(),
+    });
+
+    logger.info(`User ${username} joined the PvP queue (level ${level})`);
+
+    return { success: true, queueSize: this.queue.size };
+  }
+
+  leaveQueue(userId) {
+    const removed = this.queue.delete(userId.toString());
+    return removed
+      ? { success: true }
+      : { success: false, error: "You are not in the queue" };
+  }
+
+  getLevelRange(entry, now = Date.now()) {
+    return (
+      this.baseLevelRange +
+      Math.floor((now - entry.joinedAt) / this.levelRangeStepMs)
+    );
+  }
+
+  // Pair queued players whose level bands overlap, closest levels first
+  runMatchmaking(now = Date.now()) {
+    const waiting = [...this.queue.values()].sort(
+      (a, b) => a.joinedAt - b.joinedAt
+    );
+    const matched = new Set();
+    const battles = [];
+
+    for (const player of waiting) {
+      if (matched.has(player.userId)) continue;
+
+      let best = null;
+      for (const candidate of waiting) {
+        if (candidate === player || matched.has(candidate.userId)) continue;
+
+        const levelGap = Math.abs(player.level - candidate.level);
+        const allowedGap = Math.min(
+          this.getLevelRange(player, now),
+          this.getLevelRange(candidate, now)
+        );
+
+        if (levelGap <= allowedGap && (!best || levelGap < best.levelGap)) {
+          best = { candidate, levelGap };
+        }
+      }
+
+      if (best) {
+        matched.add(player.userId);
+        matched.add(best.candidate.userId);
+        this.queue.delete(player.userId);
+        this.queue.delete(best.candidate.userId);
+        battles.push(this.createBattle(player, best.candidate));
+      }
+    }
+
+    return battles;
+  }
+
+  startMatchmaking() {
+    if (this.matchmakingTimer) return;
+
+    this.matchmakingTimer = setInterval(() => {
+      try {
+        this.runMatchmaking();
+      } catch (error) {
+        logger.error("PvP matchmaking error:", error);
+      }
+    }, this.matchmakingIntervalMs);
+    this.matchmakingTimer.unref?.();
+  }
+
+  stopMatchmaking() {
+    clearInterval(this.matchmakingTimer);
+    this.matchmakingTimer = null;
+  }
+
+  /** --- Battle flow --- **/
+
+  createBattle(playerA, playerB) {
+    const schedule = scheduleRounds(
+      Math.max(playerA.team.length, playerB.team.length)
+    );
+    // A single pet per side has no round-robin pairings, so play one match
+    if (schedule.length === 0) {
+      schedule.push({ round: 1, match: [0, 0] });
+    }
+
+    const battle = {
+      battleId: randomUUID(),
+      seed: generateSeed(),
+      engineVersion: BATTLE_ENGINE_VERSION,
+      schedule,
+      matchIndex: 0,
+      currentMatch: null,
+      battleLog: [],
+      turn: 0,
+      wins: { A: 0, B: 0 },
+      players: {
+        A: { ...playerA, connected: true, graceTimer: null },
+        B: { ...playerB, connected: true, graceTimer: null },
+      },
+      pendingActions: {},
+      pendingAbilities: {},
+      actingSides: [],
+      turnDeadline: null,
+      turnTimer: null,
+      status: "active",
+      startedAt: new Date(),
+    };
+
+    this.battles.set(battle.battleId, battle);
+    SIDES.forEach((side) =>
+      this.userBattles.set(battle.players[side].userId, battle.battleId)
+    );
+
+    this.startNextMatch(battle);
+
+    spectatorService.openFeed(this.toSpectatorSummary(battle));
+    this.publishToSpectators(battle, "spectate:state");
+
+    logger.info(
+      `PvP battle ${battle.battleId} started: ${playerA.username} vs ${playerB.username}`
+    );
+
+    SIDES.forEach((side) =>
+      this.send(battle, side, "match:found", this.toClientState(battle, side))
+    );
+    this.startTurn(battle);
+
+    return battle;
+  }
+
+  startNextMatch(battle) {
+    while (battle.matchIndex < battle.schedule.length) {
+      const { round, match } = battle.schedule[battle.matchIndex];
+      const teamA = battle.players.A.team;
+      const teamB = battle.players.B.team;
+      const petA = teamA[match[0] % teamA.length];
+      const petB = teamB[match[1] % teamB.length];
+
+      if (petA && petB) {
+        battle.currentMatch = {
+          round,
+          A: battleSessionService.createTrainer("A", petA),
+          B: battleSessionService.createTrainer("B", petB),
+          turns: [],
+        };
+        return true;
+      }
+
+      battle.matchIndex += 1;
+    }
+
+    battle.currentMatch = null;
+    return false;
+  }
+
+  // Only pets due on the timeline act; a faster pet gets extra turns
+  updateActingSides(battle) {
+    const { A, B } = battle.currentMatch;
+    const step = getNextTimelineStep(A.pet, B.pet);
+    battle.actingSides = SIDES.filter((side) =>
+      side === "A" ? step.player : step.opponent
+    );
+    return step;
+  }
+
+  startTurn(battle) {
+    clearTimeout(battle.turnTimer);
+    const step = this.updateActingSides(battle);
+
+    battle.turnDeadline = Date.now() + this.turnTimeoutMs;
+    battle.turnTimer = setTimeout(
+      () => this.resolveTurn(battle),
+      this.turnTimeoutMs
+    );
+    battle.turnTimer.unref?.();
+
+    SIDES.forEach((side) =>
+      this.send(battle, side, "battle:turn_start", {
+        turn: battle.turn + 1,
+        tick: step.tick,
+        deadline: battle.turnDeadline,
+        availableActions: battle.actingSides.includes(side)
+          ? getAvailableActions(battle.currentMatch[side].pet)
+          : [],
+      })
+    );
+  }
+
+  // Players due this turn choose blind; it resolves once all of them have.
+  // Ability actions may name the loadout ability to use.
+  submitAction(userId, action, abilityId = null) {
+    const lookup = this.findBattleForUser(userId);
+    if (!lookup) {
+      return { success: false, error: "You are not in a PvP battle" };
+    }
+
+    const { battle, side } = lookup;
+    if (battle.status !== "active" || !battle.currentMatch) {
+      return { success: false, error: "Battle is not accepting actions" };
+    }
+    if (!battle.actingSides.includes(side)) {
+      return {
+        success: false,
+        error: "Your pet is still waiting for its next action",
+      };
+    }
+    if (battle.pendingActions[side]) {
+      return {
+        success: false,
+        error: "You already chose an action this turn",
+      };
+    }
+
+    const pet = battle.currentMatch[side].pet;
+    const availableActions = getAvailableActions(pet);
+    if (
+      !availableActions.includes(action) ||
+      (action === "ability" &&
+        abilityId &&
+        !getReadyAbilities(pet).some((ability) => ability.id === abilityId))
+    ) {
+      return {
+        success: false,
+        error: battleSessionService.describeInvalidAction(
+          pet,
+          action,
+          null,
+          null,
+          abilityId
+        ),
+        availableActions,
+      };
+    }
+
+    battle.pendingActions[side] = action;
+    battle.pendingAbilities[side] = action === "ability" ? abilityId : null;
+    this.send(battle, otherSide(side), "battle:opponent_ready", {
+      turn: battle.turn + 1,
+    });
+
+    if (battle.actingSides.every((s) => battle.pendingActions[s])) {
+      this.resolveTurn(battle);
+    }
+
+    return { success: true };
+  }
+
+  resolveTurn(battle) {
+    if (battle.status !== "active" || !battle.currentMatch) return;
+    clearTimeout(battle.turnTimer);
+
+    const match = battle.currentMatch;
+    const rng = createSeededRandom(battle.seed + battle.turn);
+
+    // Players who let the timer run out act on autopilot; pets that aren't
+    // due on the timeline don't act at all
+    const actions = { A: null, B: null };
+    battle.actingSides.forEach((side) => {
+      actions[side] =
+        battle.pendingActions[side] ||
+        generateSmartAttack(match[side].pet, match[otherSide(side)].pet, rng);
+    });
+
+    const result = determineBattleResult(actions.A, actions.B);
+    const turnResult = evaluateTurn(
+      match.A,
+      match.B,
+      {
+        playerAction: actions.A,
+        opponentAction: actions.B,
+        result,
+        playerAbility: battle.pendingAbilities.A,
+        opponentAbility: battle.pendingAbilities.B,
+      },
+      rng
+    );
+
+    const timedOut = battle.actingSides.filter(
+      (side) => !battle.pendingActions[side]
+    );
+    battle.turn += 1;
+    battle.pendingActions = {};
+    battle.pendingAbilities = {};
+
+    const turn = {
+      turn: match.turns.length + 1,
+      tick: turnResult.tick,
+      actions,
+      timedOut,
+      result,
+      damage: turnResult.damage,
+      abilityUsed: turnResult.abilityUsed,
+      hp: { A: match.A.pet.currentHP, B: match.B.pet.currentHP },
+      events: turnResult.events,
+    };
+    match.turns.push(turn);
+
+    if (match.A.pet.currentHP <= 0 || match.B.pet.currentHP <= 0) {
+      this.finishMatch(battle);
+    }
+    if (battle.currentMatch) this.updateActingSides(battle);
+
+    SIDES.forEach((side) =>
+      this.send(battle, side, "battle:turn", {
+        turn: this.formatTurn(turn, side),
+        state: this.toClientState(battle, side),
+      })
+    );
+    this.publishToSpectators(battle, "spectate:turn", {
+      turn: this.formatSpectatorTurn(turn),
+    });
+
+    if (!battle.currentMatch) {
+      const winner =
+        battle.wins.A === battle.wins.B
+          ? null
+          : battle.wins.A > battle.wins.B
+          ? "A"
+          : "B";
+      return this.endBattle(battle, winner, "completed");
+    }
+
+    if (SIDES.every((side) => battle.players[side].connected)) {
+      this.startTurn(battle);
+    }
+  }
+
+  finishMatch(battle) {
+    const { round, A, B, turns } = battle.currentMatch;
+    const winner = A.pet.currentHP > 0 ? "A" : "B";
+
+    battle.battleLog.push({
+      round,
+      petA: A.pet.id,
+      petB: B.pet.id,
+      result: {
+        winner,
+        turns,
+        finalHP: { A: A.pet.currentHP, B: B.pet.currentHP },
+      },
+    });
+    battle.wins[winner] += 1;
+
+    battle.matchIndex += 1;
+    this.startNextMatch(battle);
+  }
+
+  /** --- Connection lifecycle --- **/
+
+  // Start the reconnect grace period; the player forfeits if it runs out
+  handleDisconnect(userId, connection) {
+    const key = userId.toString();
+
+    const queued = this.queue.get(key);
+    if (queued && queued.connection === connection) {
+      this.queue.delete(key);
+      return;
+    }
+
+    const lookup = this.findBattleForUser(key);
+    if (!lookup) return;
+
+    const { battle, side } = lookup;
+    const player = battle.players[side];
+    if (player.connection !== connection || battle.status !== "active") {
+      return;
+    }
+
+    player.connected = false;
+    clearTimeout(battle.turnTimer);
+    battle.turnTimer = null;
+
+    player.graceTimer = setTimeout(
+      () => this.forfeit(key, "disconnected"),
+      this.reconnectGraceMs
+    );
+    player.graceTimer.unref?.();
+
+    this.send(battle, otherSide(side), "battle:opponent_disconnected", {
+      graceMs: this.reconnectGraceMs,
+    });
+
+    logger.info(`User ${player.username} disconnected from PvP battle`);
+  }
+
+  // Reattach a returning player to their battle, if one is still running
+  handleReconnect(userId, connection) {
+    const lookup = this.findBattleForUser(userId);
+    if (!lookup) return false;
+
+    const { battle, side } = lookup;
+    const player = battle.players[side];
+
+    clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+    player.connection = connection;
+    player.connected = true;
+
+    this.send(battle, side, "battle:state", this.toClientState(battle, side));
+    this.send(battle, otherSide(side), "battle:opponent_reconnected", {});
+
+    if (!battle.turnTimer && SIDES.every((s) => battle.players[s].connected)) {
+      this.startTurn(battle);
+    }
+
+    return true;
+  }
+
+  forfeit(userId, reason = "forfeit") {
+    const lookup = this.findBattleForUser(userId);
+    if (!lookup) {
+      return { success: false, error: "You are not in a PvP battle" };
+    }
+
+    const { battle, side } = lookup;
+    this.endBattle(battle, otherSide(side), reason);
+
+    return { success: true };
+  }
+
+  async endBattle(battle, winnerSide, reason) {
+    if (battle.status !== "active") return;
+
+    battle.status = reason === "completed" ? "completed" : "forfeited";
+    battle.winner = winnerSide;
+    battle.endedAt = new Date();
+
+    clearTimeout(battle.turnTimer);
+    SIDES.forEach((side) => {
+      clearTimeout(battle.players[side].graceTimer);
+      this.userBattles.delete(battle.players[side].userId);
+    });
+    this.battles.delete(battle.battleId);
+
+    this.publishToSpectators(battle, "spectate:end", { reason });
+    spectatorService.closeFeed(battle.battleId);
+
+    logger.info(
+      `PvP battle ${battle.battleId} ended (${reason}, winner: ${
+        winnerSide ? battle.players[winnerSide].username : "draw"
+      })`
+    );
+
+    const ratingChanges = await this.rateBattle(battle);
+
+    for (const side of SIDES) {
+      let rewards = {};
+      try {
+        rewards = await this.settlePlayer(battle, side, reason);
+      } catch (error) {
+        logger.error(`Failed to settle PvP battle ${battle.battleId}:`, error);
+      }
+
+      this.send(battle, side, "battle:end", {
+        ...this.toClientState(battle, side),
+        victory: winnerSide === side,
+        reason,
+        rewards,
+        rating: ratingChanges[battle.players[side].userId] || null,
+      });
+    }
+  }
+
+  // Forfeits and disconnects count as losses on the ladder
+  async rateBattle(battle) {
+    const { A, B } = battle.players;
+    const scoreA = battle.winner === "A" ? 1 : battle.winner === "B" ? 0 : 0.5;
+
+    const result = await rankingService.recordMatch(
+      { id: A.userId, username: A.username },
+      { id: B.userId, username: B.username },
+      scoreA
+    );
+
+    if (!result.success) return {};
+
+    // Pre-match ratings rank the battle among featured replays
+    battle.ratings = {
+      A: result.changes[A.userId]?.before ?? null,
+      B: result.changes[B.userId]?.before ?? null,
+    };
+    return result.changes;
+  }
+
+  async settlePlayer(battle, side, reason) {
+    const player = battle.players[side];
+    const opponent = battle.players[otherSide(side)];
+    const isVictory = battle.winner === side;
+    const isDraw = battle.winner === null;
+
+    const user = await dbService.findUserById(player.userId);
+    if (!user) throw new Error("User not found");
+
+    const rewardResult = await rewardService.applyBattleRewards(
+      player.userId,
+      { winner: isDraw ? "draw" : isVictory ? "player" : "opponent" },
+      user.level,
+      opponent.level
+    );
+
+    if (!rewardResult.success) {
+      logger.warn(
+        `Failed to apply PvP rewards for ${player.username}: ${rewardResult.error}`
+      );
+    }
+
+    const rewards = rewardResult.success ? rewardResult.rewards : {};
+
+    await dbService.updateUser(player.userId, {
+      battlesWon: (user.battlesWon || 0) + (isVictory ? 1 : 0),
+      battlesLost: (user.battlesLost || 0) + (isVictory || isDraw ? 0 : 1),
+    });
+
+    // Every pet the player brought spends stamina, like in the other modes
+    const petKey = side === "A" ? "petA" : "petB";
+    for (const petId of player.userPets) {
+      try {
+        const matches = battle.battleLog.filter(
+          (match) => match[petKey]?.toString() === petId
+        );
+        const wins = matches.filter(
+          (match) => match.result.winner === side
+        ).length;
+
+        const pet = await dbService.findPetById(petId);
+        if (!pet) continue;
+
+        await dbService.updatePet(petId, {
+          battlesWon: (pet.battlesWon || 0) + wins,
+          battlesLost: (pet.battlesLost || 0) + (matches.length - wins),
+          ...spendStamina(pet),
+        });
+      } catch (error) {
+        logger.warn(`Failed to settle pet ${petId} for PvP battle:`, error);
+      }
+    }
+
+    await dbService.addBattleHistory({
+      userId: player.userId,
+      result: isDraw ? "draw" : isVictory ? "victory" : "defeat",
+      opponent: opponent.username,
+      userPets: player.userPets,
+      rewards,
+      battleData: {
+        pvpBattleId: battle.battleId,
+        side,
+        reason,
+        winner: battle.winner,
+        wins: battle.wins,
+        totalRounds: battle.schedule.length,
+        battleLog: battle.battleLog,
+        schedule: battle.schedule,
+        seed: battle.seed,
+        engineVersion: battle.engineVersion,
+        battleMode: "pvp",
+        // Both players and teams, so anyone can watch the replay
+        players: this.toSpectatorSummary(battle).players,
+        teams: { A: battle.players.A.team, B: battle.players.B.team },
+        averageRating: battle.ratings
+          ? (battle.ratings.A + battle.ratings.B) / 2
+          : null,
+      },
+      battleType: "pvp",
+    });
+
+    return rewards;
+  }
+
+  /** --- Helpers --- **/
+
+  findBattleForUser(userId) {
+    const battleId = this.userBattles.get(userId.toString());
+    const battle = battleId && this.battles.get(battleId);
+    if (!battle) return null;
+
+    const side = SIDES.find(
+      (s) => battle.players[s].userId === userId.toString()
+    );
+    return { battle, side };
+  }
+
+  getStatus(userId) {
+    const key = userId.toString();
+    if (this.queue.has(key)) {
+      return { status: "queued", queueSize: this.queue.size };
+    }
+
+    const lookup = this.findBattleForUser(key);
+    if (lookup) {
+      return {
+        status: "in_battle",
+        battle: this.toClientState(lookup.battle, lookup.side),
+      };
+    }
+
+    return { status: "idle" };
+  }
+
+  publishToSpectators(battle, type, data = {}) {
+    spectatorService.publish(battle.battleId, type, {
+      ...data,
+      state: this.toSpectatorState(battle),
+    });
+  }
+
+  send(battle, side, type, data) {
+    const player = battle.players[side];
+    if (!player.connected || !player.connection) return;
+
+    try {
+      player.connection.send(type, data);
+    } catch (error) {
+      logger.warn(`Failed to send ${type} to ${player.username}:`, error);
+    }
+  }
+
+  /** --- Output --- **/
+
+  formatTurn(turn, side) {
+    const opponent = otherSide(side);
+    return {
+      turn: turn.turn,
+      tick: turn.tick,
+      playerAction: turn.actions[side],
+      opponentAction: turn.actions[opponent],
+      result: side === "A" ? turn.result : flipResult(turn.result),
+      damage: turn.damage,
+      abilityUsed: turn.abilityUsed,
+      timedOut: turn.timedOut.includes(side),
+      playerHP: turn.hp[side],
+      opponentHP: turn.hp[opponent],
+    };
+  }
+
+  // Spectators see both sides as A and B rather than player and opponent
+  formatSpectatorTurn(turn) {
+    const sides = { player: "A", opponent: "B" };
+    return {
+      turn: turn.turn,
+      tick: turn.tick,
+      actions: turn.actions,
+      timedOut: turn.timedOut,
+      result: turn.result,
+      damage: turn.damage,
+      abilityUsed: turn.abilityUsed,
+      hp: turn.hp,
+      events: (turn.events || []).map((event) => ({
+        ...event,
+        side: sides[event.side],
+      })),
+    };
+  }
+
+  toSpectatorSummary(battle) {
+    const player = (side) => ({
+      username: battle.players[side].username,
+      level: battle.players[side].level,
+      rating: battle.ratings?.[side] ?? battle.players[side].rating ?? null,
+    });
+
+    return {
+      battleId: battle.battleId,
+      players: { A: player("A"), B: player("B") },
+      totalMatches: battle.schedule.length,
+      startedAt: battle.startedAt,
+    };
+  }
+
+  // No pending actions or deadlines: nothing that would help ghosting
+  toSpectatorState(battle) {
+    const match = battle.currentMatch;
+
+    return {
+      battleId: battle.battleId,
+      status: battle.status,
+      turn: battle.turn,
+      matchNumber: Math.min(battle.matchIndex + 1, battle.schedule.length),
+      totalMatches: battle.schedule.length,
+      wins: { ...battle.wins },
+      winner: battle.status === "active" ? null : battle.winner,
+      currentMatch: match
+        ? {
+            round: match.round,
+            A: battleSessionService.formatBattlePet(match.A.pet),
+            B: battleSessionService.formatBattlePet(match.B.pet),
+            turns: match.turns.map((turn) => this.formatSpectatorTurn(turn)),
+          }
+        : null,
+    };
+  }
+
+  toClientState(battle, side) {
+    const opponentSide = otherSide(side);
+    const match = battle.currentMatch;
+
+    return {
+      battleId: battle.battleId,
+      status: battle.status,
+      battleMode: "pvp",
+      opponent: {
+        username: battle.players[opponentSide].username,
+        level: battle.players[opponentSide].level,
+        connected: battle.players[opponentSide].connected,
+      },
+      turn: battle.turn,
+      matchNumber: Math.min(battle.matchIndex + 1, battle.schedule.length),
+      totalMatches: battle.schedule.length,
+      playerWins: battle.wins[side],
+      opponentWins: battle.wins[opponentSide],
+      currentMatch: match
+        ? {
+            round: match.round,
+            playerPet: battleSessionService.formatBattlePet(match[side].pet),
+            opponentPet: battleSessionService.formatBattlePet(
+              match[opponentSide].pet
+            ),
+            turns: match.turns.map((turn) => this.formatTurn(turn, side)),
+          }
+        : null,
+      availableActions:
+        match &&
+        battle.actingSides.includes(side) &&
+        !battle.pendingActions[side]
+          ? getAvailableActions(match[side].pet)
+          : [],
+      waitingForOpponent:
+        Boolean(battle.pendingActions[side]) ||
+        !battle.actingSides.includes(side),
+      turnDeadline: battle.turnDeadline,
+    };
+  }
+}
+
+export const pvpService = new PvPService();
+export default pvpService;
@@ -5,11 +5,8 @@ import {
   PET_TYPES,
   PET_RARITIES,
 } from "../utils/constants.js";
-import {
-  weightedRandom,
-  generateRandomPet,
-  generateBaseStats,
-} from "../utils/rng.js";
+import { weightedRandom, generateBaseStats } from "../utils/rng.js";
+import { getStartingAbilities } from "../config/abilities.js";
 import { Pet } from "../models/Pet.js";
 import { Egg } from "../models/Egg.js";
 
@@ -99,8 +96,7 @@ export class RNGService {
     const petType = this.getRandomPetType();
     const isShiny = Math.random() < 0.01; // 1% shiny chance
 
-    // Use the imported generateRandomPet function for base data
-    const basePetData = generateRandomPet(ownerId);
+    const abilities = getStartingAbilities({ type: petType, rarity });
 
     // Create a proper Pet instance using the class constructor
     const pet = new Pet({
@@ -108,7 +104,9 @@ export class RNGService {
       name: this.generatePetName(petType, rarity),
       type: petType,
       rarity: rarity,
-      ability: basePetData.ability,
+      ability: abilities[0],
+      abilities,
+      loadout: abilities,
       technique: null,
       skin: null,
       stats: generateBaseStats(rarity),
@@ -0,0 +1,581 @@
+import mongoose from "mongoose";
+import Raid from "../models/Raid.js";
+import { rewardService } from "./RewardService.js";
+import { GameController } from "../controllers/GameController.js";
+import { BATTLE_ENGINE_VERSION } from "../config/battleLogic.js";
+import {
+  ALL_ABILITIES,
+  PET_TYPES,
+  TYPE_KEYS,
+  RAID_CONFIG,
+} from "../utils/constants.js";
+import { createSeededRandom, generateSeed } from "../utils/rng.js";
+import logger from "../utils/logger.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+export class RaidService {
+  constructor() {
+    this.schedulerTimer = null;
+    this.processing = null;
+  }
+
+  /** --- Boss --- **/
+
+  // Build a boss from PET_TYPES with Legendary/Mythic tier abilities
+  generateBoss(rng, { type, level = RAID_CONFIG.BOSS_LEVEL } = {}) {
+    const typeKey = PET_TYPES[type?.toUpperCase()]
+      ? type.toUpperCase()
+      : TYPE_KEYS[Math.floor(rng() * TYPE_KEYS.length)];
+    const typeData = PET_TYPES[typeKey];
+
+    const pool = Object.values(ALL_ABILITIES).filter((ability) =>
+      RAID_CONFIG.BOSS_ABILITY_TIERS.includes(ability.tier)
+    );
+    const ownElement = pool.filter((ability) => ability.element === typeKey);
+    const otherElements = pool.filter((ability) => ability.element !== typeKey);
+
+    // Own element first, topped up from the rest of the pool
+    const abilities = [];
+    for (const source of [ownElement, otherElements]) {
+      const remaining = [...source];
+      while (
+        abilities.length < RAID_CONFIG.BOSS_ABILITY_COUNT &&
+        remaining.length > 0
+      ) {
+        const [pick] = remaining.splice(
+          Math.floor(rng() * remaining.length),
+          1
+        );
+        abilities.push(pick.id);
+      }
+    }
+
+    return {
+      name: `${typeData.name} Titan`,
+      type: typeData.name,
+      level,
+      rarity: "Mythic",
+      stats: {
+        dmg: Math.round((10 + level) * RAID_CONFIG.BOSS_DMG_MULTIPLIER),
+        hp: Math.round((75 + level * 10) * RAID_CONFIG.BOSS_HP_MULTIPLIER),
+        range: 5,
+        spa: 1.2,
+        critChance: 0.15,
+        critDamage: 2,
+        moneyBonus: 0,
+      },
+      abilities,
+    };
+  }
+
+  // Battle-format boss for one duel, starting from the shared HP pool
+  createBossTrainer(boss, currentHP, ability) {
+    return {
+      id: "raid_boss",
+      playerName: boss.name,
+      pet: {
+        id: "raid_boss",
+        name: boss.name,
+        type: boss.type,
+        rarity: boss.rarity,
+        level: boss.level,
+        ability,
+        stats: { ...boss.stats },
+        currentHP,
+        statusEffects: [],
+        isAlive: true,
+        abilityCooldowns: {},
+      },
+    };
+  }
+
+  // Each pet duels the boss in turn until the team falls or the boss does.
+  // The boss picks one of its abilities per duel.
+  async simulateAttempt(boss, bossHP, team, rng = Math.random) {
+    let remaining = bossHP;
+    const duels = [];
+
+    for (const pet of team) {
+      if (remaining <= 0) break;
+
+      const ability =
+        boss.abilities.length > 0
+          ? boss.abilities[Math.floor(rng() * boss.abilities.length)]
+          : null;
+      const playerTrainer = {
+        id: `player_${pet.id}`,
+        playerName: "Player",
+        pet: GameController.convertPetToBattleFormat(pet),
+      };
+
+      const result = await GameController.simulatePetBattle(
+        playerTrainer,
+        this.createBossTrainer(boss, remaining, ability),
+        rng,
+        0
+      );
+      const after = Math.max(0, result.finalOpponentHP);
+
+      duels.push({
+        petId: pet.id,
+        petName: pet.name,
+        bossAbility: ability,
+        damage: remaining - after,
+        turns: result.turns.length,
+      });
+      remaining = after;
+    }
+
+    return {
+      damage: Math.max(0, bossHP - remaining),
+      bossHP: remaining,
+      defeated: remaining <= 0,
+      duels,
+    };
+  }
+
+  /** --- Loot --- **/
+
+  // Most damage first; ties go to whoever got there first
+  rankContributions(contributions) {
+    return contributions
+      .filter((contribution) => contribution.damage > 0)
+      .map((contribution, order) => ({ contribution, order }))
+      .sort(
+        (a, b) =>
+          b.contribution.damage - a.contribution.damage ||
+          (a.contribution.lastAttemptAt || 0) -
+            (b.contribution.lastAttemptAt || 0) ||
+          a.order - b.order
+      )
+      .map(({ contribution }, index) => ({ contribution, rank: index + 1 }));
+  }
+
+  // Loot tier for a rank; raids that ran out of time pay a share, no items
+  getLoot(rank, defeated, loot = RAID_CONFIG.LOOT) {
+    const tier = loot.find(
+      (entry) => entry.maxRank === null || rank <= entry.maxRank
+    );
+    if (!tier) return { coins: 0, experience: 0 };
+
+    if (defeated) {
+      return {
+        coins: tier.coins,
+        experience: tier.experience,
+        items: (tier.items || []).map((item) => ({ ...item })),
+      };
+    }
+
+    return {
+      coins: Math.floor(tier.coins * RAID_CONFIG.EXPIRED_LOOT_RATIO),
+      experience: Math.floor(tier.experience * RAID_CONFIG.EXPIRED_LOOT_RATIO),
+    };
+  }
+
+  async distributeLoot(raidId) {
+    // Claim the payout first so two passes can never both pay
+    const raid = await Raid.findOneAndUpdate(
+      {
+        _id: raidId,
+        status: { $in: ["defeated", "expired"] },
+        rewardsDistributed: false,
+      },
+      { $set: { rewardsDistributed: true } },
+      { new: true }
+    );
+    if (!raid) return null;
+
+    const defeated = raid.status === "defeated";
+
+    for (const { contribution, rank } of this.rankContributions(
+      raid.contributions
+    )) {
+      const loot = this.getLoot(rank, defeated);
+      contribution.rank = rank;
+
+      const result = await rewardService.applyRewards(
+        contribution.userId,
+        loot,
+        "raid_reward",
+        { raidId: raid._id, rank, damage: contribution.damage }
+      );
+
+      if (result.success) {
+        contribution.rewards = loot;
+      } else {
+        logger.warn(
+          `Failed to pay raid loot to ${contribution.username}: ${result.error}`
+        );
+      }
+    }
+
+    logger.info(
+      `Raid "${raid.name}" ${raid.status}, loot paid to ${
+        raid.contributions.filter((c) => c.rewards).length
+      } players`
+    );
+
+    return await raid.save();
+  }
+
+  /** --- Lifecycle --- **/
+
+  findRaid(raidId) {
+    if (!mongoose.isValidObjectId(raidId)) return null;
+    return Raid.findById(raidId);
+  }
+
+  async createRaid(data, createdBy) {
+    try {
+      const startsAt = new Date(data.startsAt || Date.now());
+      const durationHours = Number(
+        data.durationHours || RAID_CONFIG.DURATION_HOURS
+      );
+
+      if (isNaN(startsAt.getTime()) || !(durationHours > 0)) {
+        return {
+          success: false,
+          error: "Raids need a valid start time and a positive duration",
+        };
+      }
+
+      const boss = this.generateBoss(createSeededRandom(generateSeed()), {
+        type: data.type,
+        level: data.level ? Number(data.level) : undefined,
+      });
+
+      const raid = new Raid({
+        name: data.name || `${boss.name} Raid`,
+        boss,
+        maxHP: boss.stats.hp,
+        currentHP: boss.stats.hp,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + durationHours * HOUR_MS),
+        teamSize: data.teamSize,
+        minLevel: data.minLevel,
+        maxAttempts: data.maxAttempts,
+        attemptCooldownMinutes: data.attemptCooldownMinutes,
+        createdBy,
+      });
+
+      await raid.save();
+      logger.info(`Raid "${raid.name}" created`);
+
+      return { success: true, raid };
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return { success: false, error: error.message };
+      }
+      logger.error("Error creating raid:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Check the raid window, attempt limit and cooldown for a user
+  checkAttempt(raid, user, pets, now = new Date()) {
+    if (!raid.isOpen(now)) {
+      return { error: "This raid is not open" };
+    }
+    if ((user.level || 1) < raid.minLevel) {
+      return { error: `Level ${raid.minLevel} required for this raid` };
+    }
+    if (pets.length > raid.teamSize) {
+      return { error: `Raid teams are limited to ${raid.teamSize} pets` };
+    }
+
+    const contribution = raid.getContribution(user.id);
+    if (contribution && contribution.attempts >= raid.maxAttempts) {
+      return {
+        error: `You have used all ${raid.maxAttempts} attempts for this raid`,
+      };
+    }
+
+    const readyAt =
+      contribution?.lastAttemptAt &&
+      new Date(
+        contribution.lastAttemptAt.getTime() +
+          raid.attemptCooldownMinutes * MINUTE_MS
+      );
+    if (readyAt && readyAt > now) {
+      return {
+        error: `Your team is recovering until ${readyAt.toISOString()}`,
+        status: 429,
+      };
+    }
+
+    return null;
+  }
+
+  // Send a team at the boss and bank the damage against the shared pool
+  async attack(raidId, user, pets, now = new Date()) {
+    try {
+      const raid = await this.findRaid(raidId);
+      if (!raid) {
+        return { success: false, error: "Raid not found", status: 404 };
+      }
+
+      const rejected = this.checkAttempt(raid, user, pets, now);
+      if (rejected) {
+        return { success: false, ...rejected };
+      }
+
+      const seed = generateSeed();
+      const outcome = await this.simulateAttempt(
+        raid.boss,
+        raid.currentHP,
+        pets,
+        createSeededRandom(seed)
+      );
+      const attempt = {
+        userId: user.id,
+        petIds: pets.map((pet) => pet.id),
+        bossHPBefore: raid.currentHP,
+        damage: outcome.damage,
+        seed,
+        engineVersion: BATTLE_ENGINE_VERSION,
+        playedAt: now,
+      };
+
+      // Other players may have hit the boss meanwhile, so apply the damage
+      // as an increment rather than writing back our copy of the HP. The
+      // filter repeats the attempt limit and cooldown so two attempts sent
+      // at once can't both pass the check above.
+      const recoveredBy = new Date(
+        now.getTime() - raid.attemptCooldownMinutes * MINUTE_MS
+      );
+      const addAttempt = () =>
+        Raid.findOneAndUpdate(
+          {
+            _id: raid._id,
+            status: "active",
+            contributions: {
+              $elemMatch: {
+                userId: user.id,
+                attempts: { $lt: raid.maxAttempts },
+                lastAttemptAt: { $lte: recoveredBy },
+              },
+            },
+          },
+          {
+            $inc: {
+              currentHP: -outcome.damage,
+              "contributions.$.damage": outcome.damage,
+              "contributions.$.attempts": 1,
+            },
+            $set: { "contributions.$.lastAttemptAt": now },
+            $push: { attempts: attempt },
+          },
+          { new: true }
+        );
+
+      let updated = await addAttempt();
+
+      if (!updated) {
+        updated = await Raid.findOneAndUpdate(
+          {
+            _id: raid._id,
+            status: "active",
+            "contributions.userId": { $ne: user.id },
+          },
+          {
+            $inc: { currentHP: -outcome.damage },
+            $push: {
+              contributions: {
+                userId: user.id,
+                username: user.username,
+                damage: outcome.damage,
+                attempts: 1,
+                lastAttemptAt: now,
+              },
+              attempts: attempt,
+            },
+          },
+          { new: true }
+        );
+      }
+
+      // Another first attempt may have added our contribution in between
+      if (!updated) {
+        updated = await addAttempt();
+      }
+
+      if (!updated) {
+        // Either the raid closed or a parallel attempt used up the limit
+        // or started the cooldown
+        const current = await this.findRaid(raid._id);
+        if (!current?.isOpen(now)) {
+          return { success: false, error: "This raid has already ended" };
+        }
+        return {
+          success: false,
+          ...(this.checkAttempt(current, user, pets, now) || {
+            error: "Another attempt by your team is already under way",
+            status: 409,
+          }),
+        };
+      }
+
+      if (updated.currentHP <= 0) {
+        updated = await this.defeatRaid(updated._id, now);
+      }
+
+      return { success: true, raid: updated, attempt: outcome, seed };
+    } catch (error) {
+      logger.error("Error attacking raid boss:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async defeatRaid(raidId, now = new Date()) {
+    const defeated = await Raid.findOneAndUpdate(
+      { _id: raidId, status: "active" },
+      {
+        $set: {
+          status: "defeated",
+          currentHP: 0,
+          defeatedAt: now,
+          completedAt: now,
+        },
+      },
+      { new: true }
+    );
+
+    if (defeated) {
+      logger.info(`Raid boss "${defeated.boss.name}" defeated`);
+    }
+
+    return (await this.distributeLoot(raidId)) || defeated;
+  }
+
+  /** --- Scheduler --- **/
+
+  async processRaid(raid, now = new Date()) {
+    if (raid.status === "active") {
+      await Raid.updateOne(
+        { _id: raid._id, status: "active" },
+        { $set: { status: "expired", completedAt: now } }
+      );
+      logger.info(`Raid "${raid.name}" expired with the boss still standing`);
+    }
+
+    return await this.distributeLoot(raid._id);
+  }
+
+  async processRaids(now = new Date()) {
+    // Only one pass at a time per process
+    if (this.processing) return this.processing;
+
+    this.processing = (async () => {
+      const raids = await Raid.findRunnable(now);
+      for (const raid of raids) {
+        try {
+          await this.processRaid(raid, now);
+        } catch (error) {
+          logger.error(`Error processing raid "${raid.name}":`, error);
+        }
+      }
+    })();
+
+    try {
+      return await this.processing;
+    } finally {
+      this.processing = null;
+    }
+  }
+
+  startScheduler() {
+    if (this.schedulerTimer) return;
+
+    this.schedulerTimer = setInterval(async () => {
+      try {
+        await this.processRaids();
+      } catch (error) {
+        logger.error("Raid scheduler error:", error);
+      }
+    }, RAID_CONFIG.SCHEDULER_INTERVAL_MS);
+    this.schedulerTimer.unref?.();
+  }
+
+  stopScheduler() {
+    clearInterval(this.schedulerTimer);
+    this.schedulerTimer = null;
+  }
+
+  /** --- Views --- **/
+
+  formatSummary(raid, userId) {
+    const contribution = userId ? raid.getContribution(userId) : null;
+
+    return {
+      id: raid._id,
+      name: raid.name,
+      status: raid.status,
+      open: raid.isOpen(),
+      boss: {
+        name: raid.boss.name,
+        type: raid.boss.type,
+        level: raid.boss.level,
+        abilities: raid.boss.abilities.map(
+          (id) => ALL_ABILITIES[id]?.name || id
+        ),
+      },
+      maxHP: raid.maxHP,
+      currentHP: Math.max(0, raid.currentHP),
+      startsAt: raid.startsAt,
+      endsAt: raid.endsAt,
+      teamSize: raid.teamSize,
+      minLevel: raid.minLevel,
+      maxAttempts: raid.maxAttempts,
+      attemptCooldownMinutes: raid.attemptCooldownMinutes,
+      participantCount: raid.contributions.length,
+      myContribution: contribution
+        ? {
+            damage: contribution.damage,
+            attempts: contribution.attempts,
+            lastAttemptAt: contribution.lastAttemptAt,
+            rank: contribution.rank,
+            rewards: contribution.rewards,
+          }
+        : null,
+    };
+  }
+
+  formatRaid(raid, userId) {
+    return {
+      ...this.formatSummary(raid, userId),
+      leaderboard: this.rankContributions(raid.contributions).map(
+        ({ contribution, rank }) => ({
+          rank,
+          userId: contribution.userId,
+          username: contribution.username,
+          damage: contribution.damage,
+          attempts: contribution.attempts,
+          share: raid.maxHP > 0 ? contribution.damage / raid.maxHP : 0,
+          rewards: contribution.rewards,
+        })
+      ),
+    };
+  }
+
+  async getRaids({ status, limit = 20 } = {}, userId) {
+    const query = status ? { status } : {};
+    const raids = await Raid.find(query)
+      .select("-attempts")
+      .sort({ endsAt: -1 })
+      .limit(limit);
+
+    return raids.map((raid) => this.formatSummary(raid, userId));
+  }
+
+  async getRaid(raidId, userId) {
+    const raid = await this.findRaid(raidId);
+    if (!raid) return null;
+
+    return this.formatRaid(raid, userId);
+  }
+}
+
+export const raidService = new RaidService();
+export default raidService;
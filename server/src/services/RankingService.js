@@ -0,0 +1,460 @@
+import PlayerRating from "../models/PlayerRating.js";
+import Season from "../models/Season.js";
+import { DatabaseService } from "./DatabaseService.js";
+import { rewardService } from "./RewardService.js";
+import { RANKED_CONFIG, RANKED_TIERS } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DIVISIONS = 3;
+
+export class RankingService {
+  constructor() {
+    this.seasonCheckIntervalMs = 60 * 60 * 1000;
+    this.seasonTimer = null;
+    this.seasonPromise = null;
+  }
+
+  /** --- Rating math (Elo) --- **/
+
+  expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  isProvisional(player) {
+    return player.gamesPlayed < RANKED_CONFIG.PROVISIONAL_GAMES;
+  }
+
+  // score is 1 for a win, 0.5 for a draw and 0 for a loss
+  calculateRatingChange(player, opponent, score) {
+    const kFactor = this.isProvisional(player)
+      ? RANKED_CONFIG.PROVISIONAL_K_FACTOR
+      : RANKED_CONFIG.K_FACTOR;
+
+    return Math.round(
+      kFactor * (score - this.expectedScore(player.rating, opponent.rating))
+    );
+  }
+
+  // Map a rating onto a User.rank tier and its division (3 = lowest, 1 = highest)
+  getTier(rating) {
+    let index = 0;
+    RANKED_TIERS.forEach((tier, i) => {
+      if (rating >= tier.minRating) index = i;
+    });
+
+    const tier = RANKED_TIERS[index];
+    const nextTier = RANKED_TIERS[index + 1];
+    if (!nextTier) {
+      return { tier: tier.name, division: null };
+    }
+
+    const span = (nextTier.minRating - tier.minRating) / DIVISIONS;
+    const step = Math.floor(Math.max(0, rating - tier.minRating) / span);
+
+    return {
+      tier: tier.name,
+      division: DIVISIONS - Math.min(step, DIVISIONS - 1),
+    };
+  }
+
+  // Pull a rating halfway back towards the starting rating for a new season
+  applySoftDecay(rating) {
+    return Math.round(
+      RANKED_CONFIG.INITIAL_RATING +
+        (rating - RANKED_CONFIG.INITIAL_RATING) * RANKED_CONFIG.SEASON_DECAY
+    );
+  }
+
+  /** --- Seasons --- **/
+
+  async getCurrentSeason() {
+    const season = await Season.findActive();
+    if (season) return season;
+
+    // A season being paid out stays current until the next one starts
+    const completing = await Season.findOne({ status: "completing" });
+    if (completing) return completing;
+
+    return await this.createSeason(1, new Date());
+  }
+
+  async createSeason(number, startsAt) {
+    const season = new Season({
+      number,
+      name: `Season ${number}`,
+      startsAt,
+      endsAt: new Date(
+        startsAt.getTime() + RANKED_CONFIG.SEASON_LENGTH_DAYS * DAY_MS
+      ),
+    });
+
+    try {
+      await season.save();
+      logger.info(`Ranked ${season.name} started`);
+      return season;
+    } catch (error) {
+      // Another request created the season first
+      if (error.code === 11000) {
+        return await Season.findOne({ number });
+      }
+      throw error;
+    }
+  }
+
+  // Bring a player's rating into the current season, decaying if they missed resets
+  async getPlayerRating(userId, username, seasonNumber) {
+    let player = await PlayerRating.findOne({ userId });
+
+    if (!player) {
+      player = new PlayerRating({
+        userId,
+        username,
+        rating: RANKED_CONFIG.INITIAL_RATING,
+        peakRating: RANKED_CONFIG.INITIAL_RATING,
+        seasonNumber,
+      });
+    } else if (player.seasonNumber < seasonNumber) {
+      this.resetForSeason(player, seasonNumber);
+    }
+
+    if (username) player.username = username;
+    return player;
+  }
+
+  resetForSeason(player, seasonNumber) {
+    player.rating = this.applySoftDecay(player.rating);
+    player.seasonNumber = seasonNumber;
+    player.seasonGames = 0;
+    player.seasonWins = 0;
+    player.seasonLosses = 0;
+    player.seasonDraws = 0;
+  }
+
+  /** --- Match results --- **/
+
+  // Rate a finished PvP or defense battle between two users
+  async recordMatch(playerA, playerB, scoreA) {
+    try {
+      const season = await this.getCurrentSeason();
+      const ratingA = await this.getPlayerRating(
+        playerA.id,
+        playerA.username,
+        season.number
+      );
+      const ratingB = await this.getPlayerRating(
+        playerB.id,
+        playerB.username,
+        season.number
+      );
+
+      // Both changes come from the pre-match ratings
+      const changeA = this.calculateRatingChange(ratingA, ratingB, scoreA);
+      const changeB = this.calculateRatingChange(ratingB, ratingA, 1 - scoreA);
+
+      const changes = {};
+      for (const [player, change, score] of [
+        [ratingA, changeA, scoreA],
+        [ratingB, changeB, 1 - scoreA],
+      ]) {
+        changes[player.userId.toString()] = await this.applyResult(
+          player,
+          change,
+          score
+        );
+      }
+
+      return { success: true, seasonNumber: season.number, changes };
+    } catch (error) {
+      logger.error("Error recording ranked match:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async applyResult(player, change, score) {
+    const before = player.rating;
+
+    player.rating = Math.max(0, player.rating + change);
+    player.peakRating = Math.max(player.peakRating, player.rating);
+    player.gamesPlayed += 1;
+    player.seasonGames += 1;
+    if (score === 1) {
+      player.seasonWins += 1;
+    } else if (score === 0) {
+      player.seasonLosses += 1;
+    } else {
+      player.seasonDraws += 1;
+    }
+    player.lastMatchAt = new Date();
+    await player.save();
+
+    const provisional = this.isProvisional(player);
+    const { tier, division } = this.getTier(player.rating);
+
+    // Tiers are only shown once placement games are done
+    if (!provisional) {
+      await dbService.updateUser(player.userId, { rank: tier });
+    }
+
+    return {
+      before,
+      after: player.rating,
+      change: player.rating - before,
+      tier,
+      division,
+      provisional,
+    };
+  }
+
+  /** --- Standings --- **/
+
+  formatStanding(player, position) {
+    const { tier, division } = this.getTier(player.rating);
+
+    return {
+      position,
+      userId: player.userId,
+      username: player.username,
+      rating: player.rating,
+      tier,
+      division,
+      games: player.seasonGames,
+      wins: player.seasonWins,
+      losses: player.seasonLosses,
+      draws: player.seasonDraws,
+    };
+  }
+
+  async getLadder(limit = 50) {
+    const season = await this.getCurrentSeason();
+    const players = await PlayerRating.getLadder(
+      season.number,
+      RANKED_CONFIG.PROVISIONAL_GAMES,
+      limit
+    );
+
+    return {
+      season,
+      standings: players.map((player, index) =>
+        this.formatStanding(player, index + 1)
+      ),
+    };
+  }
+
+  async getPlayerStanding(user) {
+    const season = await this.getCurrentSeason();
+    const player = await this.getPlayerRating(
+      user.id,
+      user.username,
+      season.number
+    );
+    const provisional = this.isProvisional(player);
+
+    const position = provisional
+      ? null
+      : (await PlayerRating.countDocuments({
+          seasonNumber: season.number,
+          gamesPlayed: { $gte: RANKED_CONFIG.PROVISIONAL_GAMES },
+          rating: { $gt: player.rating },
+        })) + 1;
+
+    return {
+      season: this.formatSeason(season),
+      ...this.formatStanding(player, position),
+      peakRating: player.peakRating,
+      provisional,
+      placementGamesLeft: Math.max(
+        0,
+        RANKED_CONFIG.PROVISIONAL_GAMES - player.gamesPlayed
+      ),
+    };
+  }
+
+  formatSeason(season) {
+    return {
+      number: season.number,
+      name: season.name,
+      status: season.status,
+      startsAt: season.startsAt,
+      endsAt: season.endsAt,
+      completedAt: season.completedAt,
+    };
+  }
+
+  async getSeasons() {
+    const seasons = await Season.find({})
+      .select("-standings")
+      .sort({ number: -1 });
+    return seasons.map((season) => this.formatSeason(season));
+  }
+
+  async getSeasonStandings(number, { page = 1, limit = 50 } = {}) {
+    const season = await Season.findOne({ number });
+    if (!season) return null;
+
+    // The running season has no snapshot yet, so read the live ladder
+    if (season.status === "active") {
+      const { standings } = await this.getLadder(limit);
+      return { season: this.formatSeason(season), standings };
+    }
+
+    const start = (page - 1) * limit;
+    return {
+      season: this.formatSeason(season),
+      standings: season.standings.slice(start, start + limit),
+      total: season.standings.length,
+    };
+  }
+
+  /** --- Season rollover --- **/
+
+  // Snapshot standings, pay tier rewards, soft-reset ratings and open the next season
+  async endSeason(season, now = new Date()) {
+    // Claim the season first so two rollovers can't run at once. A claim
+    // whose rollover died part way is taken over once its lease runs out.
+    const staleClaim = new Date(
+      now.getTime() - RANKED_CONFIG.ROLLOVER_LEASE_MINUTES * MINUTE_MS
+    );
+    const claimed = await Season.findOneAndUpdate(
+      {
+        _id: season._id,
+        $or: [
+          { status: "active" },
+          { status: "completing", claimedAt: { $lte: staleClaim } },
+        ],
+      },
+      { $set: { status: "completing", claimedAt: now } },
+      { new: true }
+    );
+    if (!claimed) return null;
+    season = claimed;
+
+    const players = await PlayerRating.find({
+      seasonNumber: season.number,
+      seasonGames: { $gt: 0 },
+    }).sort({ rating: -1, seasonWins: -1 });
+
+    const standings = [];
+    let position = 0;
+
+    for (const player of players) {
+      const eligible =
+        !this.isProvisional(player) &&
+        player.seasonGames >= RANKED_CONFIG.MIN_SEASON_GAMES;
+      const standing = this.formatStanding(
+        player,
+        eligible ? ++position : null
+      );
+
+      if (eligible) {
+        const tier = RANKED_TIERS.find((t) => t.name === standing.tier);
+        if (await this.paySeasonReward(season, player, standing, tier)) {
+          standing.rewards = tier.rewards;
+        }
+      }
+
+      if (standing.position !== null) standings.push(standing);
+    }
+
+    season.standings = standings;
+    season.status = "completed";
+    season.completedAt = new Date();
+    await season.save();
+
+    const nextSeason = await this.createSeason(season.number + 1, new Date());
+
+    // Soft reset every rated player for the new season
+    const ratedPlayers = await PlayerRating.find({
+      seasonNumber: { $lt: nextSeason.number },
+    });
+    for (const player of ratedPlayers) {
+      this.resetForSeason(player, nextSeason.number);
+      await player.save();
+
+      if (!this.isProvisional(player)) {
+        await dbService.updateUser(player.userId, {
+          rank: this.getTier(player.rating).tier,
+        });
+      }
+    }
+
+    logger.info(
+      `${season.name} completed with ${standings.length} ranked players`
+    );
+
+    return { season, nextSeason };
+  }
+
+  // Pay one player's season reward at most once. The player is marked paid
+  // before the payout and unmarked if it fails, so a retried rollover
+  // neither pays twice nor skips them.
+  async paySeasonReward(season, player, standing, tier) {
+    const marked = await Season.updateOne(
+      { _id: season._id, rewardedUserIds: { $ne: player.userId } },
+      { $addToSet: { rewardedUserIds: player.userId } }
+    );
+    if (marked.modifiedCount === 0) return true;
+
+    const rewardResult = await rewardService.applyRewards(
+      player.userId,
+      tier.rewards,
+      "season_reward",
+      {
+        seasonNumber: season.number,
+        tier: standing.tier,
+        position: standing.position,
+      }
+    );
+    if (rewardResult.success) return true;
+
+    logger.warn(
+      `Failed to pay season reward to ${player.username}: ${rewardResult.error}`
+    );
+    await Season.updateOne(
+      { _id: season._id },
+      { $pull: { rewardedUserIds: player.userId } }
+    );
+    return false;
+  }
+
+  async checkSeasonRollover(now = new Date()) {
+    // Only one rollover at a time per process
+    if (this.seasonPromise) return this.seasonPromise;
+
+    this.seasonPromise = (async () => {
+      const season = await this.getCurrentSeason();
+      if (!season.hasEnded(now)) return null;
+      return await this.endSeason(season, now);
+    })();
+
+    try {
+      return await this.seasonPromise;
+    } finally {
+      this.seasonPromise = null;
+    }
+  }
+
+  startSeasonScheduler() {
+    if (this.seasonTimer) return;
+
+    this.seasonTimer = setInterval(async () => {
+      try {
+        await this.checkSeasonRollover();
+      } catch (error) {
+        logger.error("Season rollover error:", error);
+      }
+    }, this.seasonCheckIntervalMs);
+    this.seasonTimer.unref?.();
+  }
+
+  stopSeasonScheduler() {
+    clearInterval(this.seasonTimer);
+    this.seasonTimer = null;
+  }
+}
+
+export const rankingService = new RankingService();
+export default rankingService;
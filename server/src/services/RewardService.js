@@ -1,7 +1,10 @@
 import { serverRNGService } from "./RNGService.js";
-import { EGG_TYPES } from "../utils/constants.js";
+import { CARE_CONFIG, EGG_TYPES } from "../utils/constants.js";
 import { User } from "../models/User.js";
 import Transaction from "../models/Transaction.js";
+import { equipmentService } from "./EquipmentService.js";
+import { consumableService } from "./ConsumableService.js";
+import { careService } from "./CareService.js";
 import logger from "../utils/logger.js";
 
 class RewardService {
@@ -348,6 +351,39 @@ class RewardService {
             break;
 
           case "healing_potion":
+          case "consumable":
+            // Battle consumables stack in their own collection
+            const itemId = item.itemId || item.type;
+            const stack = await consumableService.grant(
+              user.id,
+              itemId,
+              item.quantity || 1
+            );
+            appliedItems.push({
+              type: "consumable",
+              itemId,
+              quantity: item.quantity || 1,
+              total: stack.quantity,
+              status: "added_to_inventory",
+            });
+            break;
+
+          case "food":
+            // Pet food stacks in the user's pantry
+            const foodStack = await careService.grant(
+              user.id,
+              item.foodId,
+              item.quantity || 1
+            );
+            appliedItems.push({
+              type: "food",
+              foodId: item.foodId,
+              quantity: item.quantity || 1,
+              total: foodStack.quantity,
+              status: "added_to_inventory",
+            });
+            break;
+
           case "egg_fragment":
             // Add to user's inventory (simplified)
             user.addTransaction({
@@ -398,6 +434,21 @@ class RewardService {
             });
             break;
 
+          case "equipment":
+            // Held items live in their own collection
+            const granted = await equipmentService.grantItem(
+              user.id,
+              item.itemId,
+              item.source || "reward"
+            );
+            appliedItems.push({
+              type: "equipment",
+              itemId: item.itemId,
+              inventoryItemId: granted._id,
+              status: "added_to_inventory",
+            });
+            break;
+
           default:
             logger.warn(`Unknown item type: ${item.type}`);
             appliedItems.push({
@@ -466,6 +517,12 @@ class RewardService {
       });
     }
 
+    // Every quest feeds the pets a little
+    const food = CARE_CONFIG.QUEST_FOOD[questDifficulty];
+    if (food) {
+      items.push({ type: "food", ...food });
+    }
+
     return items;
   }
 
@@ -509,6 +566,16 @@ class RewardService {
       });
     }
 
+    // A stamina tonic keeps a streak's pets battling
+    if (consecutiveDays >= 2) {
+      items.push({
+        type: "consumable",
+        itemId: "stamina_tonic",
+        quantity: 1,
+        rarity: "uncommon",
+      });
+    }
+
     // Special reward for 7-day streak
     if (consecutiveDays >= 7) {
       items.push({
@@ -585,6 +652,10 @@ class RewardService {
       daily_reward: `Daily login: ${amount} coins`,
       level_up_reward: `Level up bonus: ${amount} coins`,
       server_bonus: `Server bonus: ${amount} coins`,
+      season_reward: `Ranked season reward: ${amount} coins`,
+      tournament_prize: `Tournament prize: ${amount} coins`,
+      raid_reward: `Raid loot: ${amount} coins`,
+      campaign_reward: `Campaign stage reward: ${amount} coins`,
       reward: `Game reward: ${amount} coins`,
     };
 
@@ -0,0 +1,171 @@
+import { SPECTATOR_CONFIG } from "../utils/constants.js";
+import logger from "../utils/logger.js";
+
+// Live PvP battles publish every update to a feed here. Spectators receive
+// each update BROADCAST_DELAY_MS after it happened, so watching a battle
+// can't be used to relay the opponent's moves to a player in real time.
+// Every update carries the full spectator state, so someone joining late
+// catches up from the newest update that is already old enough to show.
+export class SpectatorService {
+  constructor() {
+    this.feeds = new Map(); // battleId -> live feed
+    this.subscriptions = new Map(); // connection -> { battleId, timers }
+
+    this.delayMs = SPECTATOR_CONFIG.BROADCAST_DELAY_MS;
+    this.maxSpectators = SPECTATOR_CONFIG.MAX_SPECTATORS_PER_BATTLE;
+  }
+
+  /** --- Feeds --- **/
+
+  // summary: { battleId, players: { A, B }, totalMatches, startedAt }
+  openFeed(summary) {
+    this.feeds.set(summary.battleId, {
+      summary,
+      updates: [],
+      spectators: new Set(),
+      endedAt: null,
+    });
+  }
+
+  publish(battleId, type, data, now = Date.now()) {
+    const feed = this.feeds.get(battleId);
+    if (!feed) return;
+
+    const update = { type, data, at: now };
+    // Late joiners only need the newest update that is already visible
+    feed.updates = [
+      ...this.getDelayedUpdates(feed, now).slice(-1),
+      ...this.getPendingUpdates(feed, now),
+      update,
+    ];
+    feed.spectators.forEach((connection) =>
+      this.schedule(connection, update, now)
+    );
+  }
+
+  // Finished battles leave the live list at once but stay open until
+  // spectators have seen the delayed ending
+  closeFeed(battleId, now = Date.now()) {
+    const feed = this.feeds.get(battleId);
+    if (!feed || feed.endedAt) return;
+
+    feed.endedAt = now;
+    const timer = setTimeout(() => {
+      [...feed.spectators].forEach((connection) =>
+        this.unsubscribe(connection)
+      );
+      this.feeds.delete(battleId);
+    }, this.delayMs);
+    timer.unref?.();
+  }
+
+  getDelayedUpdates(feed, now) {
+    return feed.updates.filter((update) => update.at + this.delayMs <= now);
+  }
+
+  getPendingUpdates(feed, now) {
+    return feed.updates.filter((update) => update.at + this.delayMs > now);
+  }
+
+  /** --- Spectators --- **/
+
+  subscribe(battleId, connection, now = Date.now()) {
+    const feed = this.feeds.get(battleId);
+    if (!feed || feed.endedAt) {
+      return { success: false, error: "That battle is not live" };
+    }
+    if (feed.spectators.size >= this.maxSpectators) {
+      return { success: false, error: "This battle has too many spectators" };
+    }
+
+    this.unsubscribe(connection);
+    feed.spectators.add(connection);
+    this.subscriptions.set(connection, { battleId, timers: new Set() });
+
+    const caughtUp = this.getDelayedUpdates(feed, now).pop();
+    if (caughtUp) this.deliver(connection, caughtUp);
+    this.getPendingUpdates(feed, now).forEach((update) =>
+      this.schedule(connection, update, now)
+    );
+
+    return {
+      success: true,
+      battle: this.formatLiveBattle(feed),
+      delayMs: this.delayMs,
+    };
+  }
+
+  unsubscribe(connection) {
+    const subscription = this.subscriptions.get(connection);
+    if (!subscription) return false;
+
+    subscription.timers.forEach((timer) => clearTimeout(timer));
+    this.feeds.get(subscription.battleId)?.spectators.delete(connection);
+    this.subscriptions.delete(connection);
+
+    return true;
+  }
+
+  schedule(connection, update, now) {
+    const subscription = this.subscriptions.get(connection);
+    if (!subscription) return;
+
+    const timer = setTimeout(() => {
+      subscription.timers.delete(timer);
+      this.deliver(connection, update);
+    }, Math.max(0, update.at + this.delayMs - now));
+    timer.unref?.();
+    subscription.timers.add(timer);
+  }
+
+  deliver(connection, update) {
+    try {
+      connection.send(update.type, update.data);
+    } catch (error) {
+      logger.warn(`Failed to send ${update.type} to a spectator:`, error);
+    }
+  }
+
+  /** --- Lookup --- **/
+
+  // A live battle by id, or the one a player is currently in
+  findLiveBattle({ battleId, username } = {}) {
+    const live = [...this.feeds.values()].filter((feed) => !feed.endedAt);
+
+    if (battleId) {
+      return live.find((feed) => feed.summary.battleId === battleId) || null;
+    }
+
+    const name = username?.toLowerCase();
+    return (
+      live.find((feed) =>
+        Object.values(feed.summary.players).some(
+          (player) => player.username.toLowerCase() === name
+        )
+      ) || null
+    );
+  }
+
+  // Battles with the highest-rated players first
+  listLiveBattles(limit = SPECTATOR_CONFIG.LIVE_LIST_LIMIT) {
+    const topRating = (feed) =>
+      Math.max(
+        ...Object.values(feed.summary.players).map(
+          (player) => player.rating ?? 0
+        )
+      );
+
+    return [...this.feeds.values()]
+      .filter((feed) => !feed.endedAt)
+      .sort((a, b) => topRating(b) - topRating(a))
+      .slice(0, limit)
+      .map((feed) => this.formatLiveBattle(feed));
+  }
+
+  formatLiveBattle(feed) {
+    return { ...feed.summary, spectators: feed.spectators.size };
+  }
+}
+
+export const spectatorService = new SpectatorService();
+export default spectatorService;
@@ -0,0 +1,860 @@
+import mongoose from "mongoose";
+import Tournament from "../models/Tournament.js";
+import { DatabaseService } from "./DatabaseService.js";
+import { rewardService } from "./RewardService.js";
+import { GameController } from "../controllers/GameController.js";
+import {
+  BATTLE_ENGINE_VERSION,
+  scheduleRounds,
+} from "../config/battleLogic.js";
+import { TOURNAMENT_CONFIG } from "../utils/constants.js";
+import { createSeededRandom, generateSeed } from "../utils/rng.js";
+import logger from "../utils/logger.js";
+
+const dbService = new DatabaseService();
+
+const MINUTE_MS = 60 * 1000;
+const GROUP_NAMES = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const sameUser = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+export class TournamentService {
+  constructor() {
+    this.schedulerTimer = null;
+    this.processing = null;
+  }
+
+  /** --- Bracket building --- **/
+
+  // Round-robin pairings for a group; odd groups get a bye slot each round
+  buildGroupSchedule(size) {
+    if (size < 2) return [];
+
+    const slots = size % 2 === 0 ? size : size + 1;
+    return scheduleRounds(slots).map(({ round, match: [home, away] }) => {
+      // The phantom slot stands for "sits this round out"
+      if (home >= size) return { round, home: away, away: null };
+      if (away >= size) return { round, home, away: null };
+      return { round, home, away };
+    });
+  }
+
+  // Snake-draft participants into balanced groups, strongest first
+  drawGroups(participants, groupSize) {
+    const count = Math.max(
+      1,
+      Math.min(
+        Math.ceil(participants.length / groupSize),
+        Math.floor(participants.length / 2)
+      )
+    );
+    const groups = Array.from({ length: count }, () => []);
+
+    [...participants]
+      .sort((a, b) => (b.level || 1) - (a.level || 1))
+      .forEach((participant, index) => {
+        const position = index % count;
+        const forward = Math.floor(index / count) % 2 === 0;
+        groups[forward ? position : count - 1 - position].push(participant);
+      });
+
+    return groups;
+  }
+
+  // Seed order for a single-elimination bracket, e.g. 8 -> 1,8,4,5,2,7,3,6
+  getBracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const seeds = order.length * 2;
+      order = order.flatMap((seed) => [seed, seeds + 1 - seed]);
+    }
+    return order;
+  }
+
+  getKnockoutRoundName(round, totalRounds) {
+    const players = Math.pow(2, totalRounds - round + 1);
+    if (players === 2) return "Final";
+    if (players === 4) return "Semi-finals";
+    if (players === 8) return "Quarter-finals";
+    return `Round of ${players}`;
+  }
+
+  getGroupStandings(tournament, group) {
+    const { POINTS } = TOURNAMENT_CONFIG;
+    const rows = new Map();
+
+    tournament.participants
+      .map((participant, index) => ({ participant, index }))
+      .filter(({ participant }) => participant.group === group)
+      .forEach(({ participant, index }) => {
+        rows.set(participant.userId.toString(), {
+          userId: participant.userId,
+          username: participant.username,
+          played: 0,
+          wins: 0,
+          draws: 0,
+          losses: 0,
+          points: 0,
+          matchDiff: 0,
+          order: index,
+        });
+      });
+
+    tournament.matches
+      .filter(
+        (match) =>
+          match.stage === "group" &&
+          match.group === group &&
+          match.status === "completed"
+      )
+      .forEach((match) => {
+        const home = rows.get(match.home.toString());
+        const away = rows.get(match.away.toString());
+
+        for (const [row, won, lost] of [
+          [home, match.homeWins, match.awayWins],
+          [away, match.awayWins, match.homeWins],
+        ]) {
+          row.played += 1;
+          row.matchDiff += won - lost;
+          if (!match.winner) {
+            row.draws += 1;
+            row.points += POINTS.DRAW;
+          } else if (sameUser(match.winner, row.userId)) {
+            row.wins += 1;
+            row.points += POINTS.WIN;
+          } else {
+            row.losses += 1;
+            row.points += POINTS.LOSS;
+          }
+        }
+      });
+
+    return [...rows.values()]
+      .sort(
+        (a, b) =>
+          b.points - a.points || b.matchDiff - a.matchDiff || a.order - b.order
+      )
+      .map(({ order, ...row }, index) => ({ position: index + 1, ...row }));
+  }
+
+  // Split the pool by placement; unclaimed shares and rounding go to the winner
+  calculatePrizes(prizePool, prizeSplit, placements) {
+    const prizes = [...placements]
+      .sort((a, b) => a.placement - b.placement)
+      .map((entry, index) => ({
+        ...entry,
+        prize: Math.floor(prizePool * (prizeSplit[index] || 0)),
+      }));
+
+    if (prizes.length > 0) {
+      const paid = prizes.reduce((sum, entry) => sum + entry.prize, 0);
+      prizes[0].prize += prizePool - paid;
+    }
+
+    return prizes;
+  }
+
+  roundTime(tournament, base, roundIndex) {
+    return new Date(
+      base.getTime() + roundIndex * tournament.matchIntervalMinutes * MINUTE_MS
+    );
+  }
+
+  /** --- Lifecycle --- **/
+
+  findTournament(tournamentId) {
+    if (!mongoose.isValidObjectId(tournamentId)) return null;
+    return Tournament.findById(tournamentId);
+  }
+
+  async createTournament(data, createdBy) {
+    try {
+      const registrationOpensAt = new Date(
+        data.registrationOpensAt || Date.now()
+      );
+      const registrationClosesAt = new Date(data.registrationClosesAt);
+      const startsAt = new Date(data.startsAt || registrationClosesAt);
+
+      if (
+        isNaN(registrationClosesAt.getTime()) ||
+        isNaN(startsAt.getTime()) ||
+        registrationOpensAt >= registrationClosesAt ||
+        registrationClosesAt > startsAt
+      ) {
+        return {
+          success: false,
+          error:
+            "Registration must open before it closes, and close before the tournament starts",
+        };
+      }
+
+      const tournament = new Tournament({
+        name: data.name,
+        description: data.description,
+        registrationOpensAt,
+        registrationClosesAt,
+        startsAt,
+        matchIntervalMinutes: data.matchIntervalMinutes,
+        minParticipants: data.minParticipants,
+        maxParticipants: data.maxParticipants,
+        groupSize: data.groupSize,
+        qualifiersPerGroup: data.qualifiersPerGroup,
+        teamSize: data.teamSize,
+        minLevel: data.minLevel,
+        entryFee: data.entryFee,
+        basePrize: data.basePrize,
+        prizePool: data.basePrize || 0,
+        prizeSplit: data.prizeSplit,
+        createdBy,
+      });
+
+      if (tournament.maxParticipants < tournament.minParticipants) {
+        return {
+          success: false,
+          error: "maxParticipants cannot be lower than minParticipants",
+        };
+      }
+
+      await tournament.save();
+      logger.info(`Tournament "${tournament.name}" created`);
+
+      return { success: true, tournament };
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return { success: false, error: error.message };
+      }
+      logger.error("Error creating tournament:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Take the entry fee and snapshot the team the user will play with
+  async register(tournamentId, user, pets, team) {
+    try {
+      const tournament = await this.findTournament(tournamentId);
+      if (!tournament) {
+        return { success: false, error: "Tournament not found", status: 404 };
+      }
+      if (!tournament.isRegistrationOpen()) {
+        return { success: false, error: "Registration is not open" };
+      }
+      if ((user.level || 1) < tournament.minLevel) {
+        return {
+          success: false,
+          error: `Level ${tournament.minLevel} required to enter this tournament`,
+        };
+      }
+      if (pets.length > tournament.teamSize) {
+        return {
+          success: false,
+          error: `Teams are limited to ${tournament.teamSize} pets`,
+        };
+      }
+      if ((user.balance || 0) < tournament.entryFee) {
+        return { success: false, error: "Insufficient coins for entry fee" };
+      }
+
+      const entryFee = tournament.entryFee;
+      const updated = await Tournament.findOneAndUpdate(
+        {
+          _id: tournament._id,
+          status: "registration",
+          "participants.userId": { $ne: user.id },
+          [`participants.${tournament.maxParticipants - 1}`]: {
+            $exists: false,
+          },
+        },
+        {
+          $push: {
+            participants: {
+              userId: user.id,
+              username: user.username,
+              level: user.level || 1,
+              petIds: pets.map((pet) => pet.id),
+              team,
+              entryFeePaid: entryFee,
+            },
+          },
+          $inc: { prizePool: entryFee },
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        const current = await Tournament.findById(tournament._id);
+        return current?.getParticipant(user.id)
+          ? {
+              success: false,
+              error: "Already registered for this tournament",
+              status: 409,
+            }
+          : { success: false, error: "Tournament is full", status: 409 };
+      }
+
+      if (entryFee > 0) {
+        try {
+          await dbService.updateUserBalance(user.id, -entryFee);
+        } catch (error) {
+          await this.removeParticipant(tournament._id, user.id, entryFee);
+          return { success: false, error: error.message };
+        }
+      }
+
+      logger.info(
+        `User ${user.username} registered for tournament "${updated.name}"`
+      );
+
+      return { success: true, tournament: updated };
+    } catch (error) {
+      logger.error("Error registering for tournament:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async withdraw(tournamentId, userId) {
+    try {
+      const tournament = await this.findTournament(tournamentId);
+      if (!tournament) {
+        return { success: false, error: "Tournament not found", status: 404 };
+      }
+
+      const participant = tournament.getParticipant(userId);
+      if (!participant) {
+        return { success: false, error: "You are not registered" };
+      }
+      if (!tournament.isRegistrationOpen()) {
+        return {
+          success: false,
+          error: "Withdrawals close with registration",
+        };
+      }
+
+      // Only the request that actually removes the entry pays the refund
+      const updated = await this.removeParticipant(
+        tournament._id,
+        userId,
+        participant.entryFeePaid
+      );
+      if (!updated) {
+        return {
+          success: false,
+          error: "You are no longer registered or the tournament has started",
+          status: 409,
+        };
+      }
+      if (participant.entryFeePaid > 0) {
+        await dbService.updateUserBalance(userId, participant.entryFeePaid);
+      }
+
+      return {
+        success: true,
+        tournament: updated,
+        refunded: participant.entryFeePaid,
+      };
+    } catch (error) {
+      logger.error("Error withdrawing from tournament:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Take back a participant's entry and the fee they put into the pool;
+  // null if they weren't registered or registration has closed
+  removeParticipant(tournamentId, userId, entryFeePaid) {
+    return Tournament.findOneAndUpdate(
+      {
+        _id: tournamentId,
+        status: "registration",
+        "participants.userId": userId,
+      },
+      {
+        $pull: { participants: { userId } },
+        $inc: { prizePool: -entryFeePaid },
+      },
+      { new: true }
+    );
+  }
+
+  // Close registration: draw groups and schedule every group round
+  startTournament(tournament, now = new Date()) {
+    const groups = this.drawGroups(
+      tournament.participants,
+      tournament.groupSize
+    );
+
+    groups.forEach((members, group) => {
+      members.forEach((member) => {
+        member.group = group;
+      });
+
+      for (const pairing of this.buildGroupSchedule(members.length)) {
+        const home = members[pairing.home];
+        const away = pairing.away === null ? null : members[pairing.away];
+
+        tournament.matches.push({
+          stage: "group",
+          round: pairing.round,
+          group,
+          home: home.userId,
+          away: away?.userId || null,
+          homeName: home.username,
+          awayName: away?.username || null,
+          scheduledAt: this.roundTime(
+            tournament,
+            tournament.startsAt,
+            pairing.round - 1
+          ),
+          status: away ? "pending" : "bye",
+        });
+      }
+    });
+
+    tournament.groupCount = groups.length;
+    tournament.status = "group_stage";
+    tournament.startedAt = now;
+
+    logger.info(
+      `Tournament "${tournament.name}" started with ${tournament.participants.length} players in ${groups.length} groups`
+    );
+
+    // Groups of one have nothing to play
+    if (!tournament.matches.some((match) => match.status === "pending")) {
+      this.startKnockout(tournament, now);
+    }
+  }
+
+  // Seed group qualifiers into a single-elimination bracket
+  startKnockout(tournament, now = new Date()) {
+    const standings = Array.from({ length: tournament.groupCount }, (_, g) =>
+      this.getGroupStandings(tournament, g)
+    );
+
+    // Group winners first, then runners-up, each ordered by their results
+    const qualifiers = [];
+    for (let place = 0; place < tournament.qualifiersPerGroup; place++) {
+      const rows = standings
+        .map((rows) => rows[place])
+        .filter(Boolean)
+        .sort(
+          (a, b) =>
+            b.points - a.points || b.matchDiff - a.matchDiff || b.wins - a.wins
+        );
+      qualifiers.push(...rows);
+    }
+
+    for (const participant of tournament.participants) {
+      participant.eliminated = !qualifiers.some((row) =>
+        sameUser(row.userId, participant.userId)
+      );
+    }
+
+    tournament.status = "knockout";
+
+    if (qualifiers.length === 1) {
+      return this.completeTournament(tournament, qualifiers[0].userId, now);
+    }
+
+    const totalRounds = Math.ceil(Math.log2(qualifiers.length));
+    const size = Math.pow(2, totalRounds);
+    const order = this.getBracketOrder(size);
+
+    const groupRounds = Math.max(
+      0,
+      ...tournament.matches.map((match) => match.round)
+    );
+    const planned = this.roundTime(
+      tournament,
+      tournament.startsAt,
+      groupRounds
+    );
+    const base = planned > now ? planned : now;
+
+    for (let round = 1; round <= totalRounds; round++) {
+      const matchCount = size / Math.pow(2, round);
+
+      for (let position = 0; position < matchCount; position++) {
+        const match = {
+          stage: "knockout",
+          round,
+          position,
+          scheduledAt: this.roundTime(tournament, base, round - 1),
+        };
+
+        if (round === 1) {
+          const home = qualifiers[order[position * 2] - 1];
+          const away = qualifiers[order[position * 2 + 1] - 1];
+          match.home = home.userId;
+          match.homeName = home.username;
+          match.away = away?.userId || null;
+          match.awayName = away?.username || null;
+        }
+
+        tournament.matches.push(match);
+      }
+    }
+
+    // Top seeds without an opponent go straight through
+    for (const match of this.getKnockoutMatches(tournament, 1)) {
+      if (!match.away) {
+        match.status = "bye";
+        match.winner = match.home;
+        this.advanceWinner(tournament, match, now);
+      }
+    }
+
+    logger.info(
+      `Tournament "${tournament.name}" knockout started with ${qualifiers.length} players`
+    );
+  }
+
+  getKnockoutMatches(tournament, round) {
+    return tournament.matches
+      .filter((match) => match.stage === "knockout" && match.round === round)
+      .sort((a, b) => a.position - b.position);
+  }
+
+  getKnockoutRounds(tournament) {
+    return Math.max(
+      0,
+      ...tournament.matches
+        .filter((match) => match.stage === "knockout")
+        .map((match) => match.round)
+    );
+  }
+
+  advanceWinner(tournament, match, now = new Date()) {
+    const totalRounds = this.getKnockoutRounds(tournament);
+    const loserId = sameUser(match.winner, match.home)
+      ? match.away
+      : match.home;
+
+    if (loserId) {
+      const loser = tournament.getParticipant(loserId);
+      loser.eliminated = true;
+      // Final loser is second, semi-final losers share third
+      if (match.round === totalRounds) loser.placement = 2;
+      if (match.round === totalRounds - 1) loser.placement = 3;
+    }
+
+    if (match.round === totalRounds) {
+      return this.completeTournament(tournament, match.winner, now);
+    }
+
+    const next = this.getKnockoutMatches(tournament, match.round + 1)[
+      Math.floor(match.position / 2)
+    ];
+    const winner = tournament.getParticipant(match.winner);
+    const slot = match.position % 2 === 0 ? "home" : "away";
+
+    next[slot] = winner.userId;
+    next[`${slot}Name`] = winner.username;
+  }
+
+  completeTournament(tournament, winnerId, now = new Date()) {
+    const champion = tournament.getParticipant(winnerId);
+    champion.placement = 1;
+
+    tournament.winner = champion.userId;
+    tournament.status = "completed";
+    tournament.completedAt = now;
+
+    logger.info(`Tournament "${tournament.name}" won by ${champion.username}`);
+  }
+
+  /** --- Matches --- **/
+
+  // Simulate one scheduled match with the registered team snapshots
+  async playMatch(tournament, match, now = new Date()) {
+    const home = tournament.getParticipant(match.home);
+    const away = tournament.getParticipant(match.away);
+    const seed = generateSeed();
+
+    // Fresh copies of the snapshots so every match starts at full health
+    const result = await GameController.simulateRoundRobinBattle(
+      JSON.parse(JSON.stringify(home.team)),
+      JSON.parse(JSON.stringify(away.team)),
+      "pvp",
+      createSeededRandom(seed),
+      0
+    );
+
+    match.seed = seed;
+    match.engineVersion = BATTLE_ENGINE_VERSION;
+    match.homeWins = result.playerWins;
+    match.awayWins = result.opponentWins;
+    match.status = "completed";
+    match.playedAt = now;
+
+    if (result.winner === "player") {
+      match.winner = home.userId;
+    } else if (result.winner === "opponent") {
+      match.winner = away.userId;
+    } else if (match.stage === "knockout") {
+      // Knockouts need a winner: most HP left across all pet matches, then seed
+      const [homeHP, awayHP] = result.battleLog.reduce(
+        ([h, a], entry) => [
+          h + (entry.result.finalPlayerHP || 0),
+          a + (entry.result.finalOpponentHP || 0),
+        ],
+        [0, 0]
+      );
+      match.winner = awayHP > homeHP ? away.userId : home.userId;
+    } else {
+      match.winner = null;
+    }
+
+    if (match.stage === "knockout") {
+      this.advanceWinner(tournament, match, now);
+    } else if (
+      !tournament.matches.some(
+        (m) => m.stage === "group" && m.status === "pending"
+      )
+    ) {
+      this.startKnockout(tournament, now);
+    }
+  }
+
+  getDueMatches(tournament, now = new Date()) {
+    return tournament.matches
+      .filter(
+        (match) =>
+          match.status === "pending" &&
+          match.home &&
+          match.away &&
+          match.scheduledAt <= now
+      )
+      .sort((a, b) => a.scheduledAt - b.scheduledAt || a.round - b.round);
+  }
+
+  /** --- Payouts --- **/
+
+  async payPrizes(tournament) {
+    const placements = tournament.participants
+      .filter((participant) => participant.placement)
+      .map((participant) => ({
+        userId: participant.userId,
+        placement: participant.placement,
+      }));
+
+    const prizes = this.calculatePrizes(
+      tournament.prizePool,
+      tournament.prizeSplit,
+      placements
+    );
+
+    for (const { userId, placement, prize } of prizes) {
+      if (prize <= 0) continue;
+
+      const participant = tournament.getParticipant(userId);
+      const result = await rewardService.applyRewards(
+        userId,
+        { coins: prize },
+        "tournament_prize",
+        { tournamentId: tournament._id, placement }
+      );
+
+      if (result.success) {
+        participant.prize = prize;
+      } else {
+        logger.warn(
+          `Failed to pay tournament prize to ${participant.username}: ${result.error}`
+        );
+      }
+    }
+  }
+
+  // Not enough players turned up: give everyone their entry fee back
+  async cancelTournament(tournament, reason) {
+    for (const participant of tournament.participants) {
+      if (participant.entryFeePaid > 0) {
+        await dbService.updateUserBalance(
+          participant.userId,
+          participant.entryFeePaid
+        );
+      }
+    }
+
+    tournament.status = "cancelled";
+    tournament.prizePool = 0;
+    tournament.completedAt = new Date();
+
+    logger.info(`Tournament "${tournament.name}" cancelled: ${reason}`);
+  }
+
+  /** --- Scheduler --- **/
+
+  async processTournament(tournament, now = new Date()) {
+    if (tournament.status === "registration") {
+      if (tournament.participants.length < tournament.minParticipants) {
+        await this.cancelTournament(tournament, "not enough participants");
+        return await tournament.save();
+      }
+      this.startTournament(tournament, now);
+    }
+
+    let due = this.getDueMatches(tournament, now);
+    while (due.length > 0 && tournament.status !== "completed") {
+      await this.playMatch(tournament, due[0], now);
+      due = this.getDueMatches(tournament, now);
+    }
+
+    if (tournament.status === "completed") {
+      await this.payPrizes(tournament);
+    }
+
+    return await tournament.save();
+  }
+
+  async processTournaments(now = new Date()) {
+    // Only one pass at a time per process
+    if (this.processing) return this.processing;
+
+    this.processing = (async () => {
+      const tournaments = await Tournament.findRunnable(now);
+      for (const tournament of tournaments) {
+        try {
+          await this.processTournament(tournament, now);
+        } catch (error) {
+          logger.error(
+            `Error processing tournament "${tournament.name}":`,
+            error
+          );
+        }
+      }
+    })();
+
+    try {
+      return await this.processing;
+    } finally {
+      this.processing = null;
+    }
+  }
+
+  startScheduler() {
+    if (this.schedulerTimer) return;
+
+    this.schedulerTimer = setInterval(async () => {
+      try {
+        await this.processTournaments();
+      } catch (error) {
+        logger.error("Tournament scheduler error:", error);
+      }
+    }, TOURNAMENT_CONFIG.SCHEDULER_INTERVAL_MS);
+    this.schedulerTimer.unref?.();
+  }
+
+  stopScheduler() {
+    clearInterval(this.schedulerTimer);
+    this.schedulerTimer = null;
+  }
+
+  /** --- Views --- **/
+
+  formatSummary(tournament, userId) {
+    const participant = userId ? tournament.getParticipant(userId) : null;
+    const next = tournament.matches
+      .filter((match) => match.status === "pending")
+      .sort((a, b) => a.scheduledAt - b.scheduledAt)[0];
+
+    return {
+      id: tournament._id,
+      name: tournament.name,
+      description: tournament.description,
+      status: tournament.status,
+      registrationOpensAt: tournament.registrationOpensAt,
+      registrationClosesAt: tournament.registrationClosesAt,
+      registrationOpen: tournament.isRegistrationOpen(),
+      startsAt: tournament.startsAt,
+      nextMatchAt: next?.scheduledAt || null,
+      completedAt: tournament.completedAt,
+      entryFee: tournament.entryFee,
+      prizePool: tournament.prizePool,
+      prizeSplit: tournament.prizeSplit,
+      minLevel: tournament.minLevel,
+      teamSize: tournament.teamSize,
+      minParticipants: tournament.minParticipants,
+      maxParticipants: tournament.maxParticipants,
+      participantCount: tournament.participants.length,
+      registered: !!participant,
+      winner: tournament.winner
+        ? tournament.getParticipant(tournament.winner)?.username
+        : null,
+    };
+  }
+
+  formatMatch(match) {
+    return {
+      id: match._id,
+      round: match.round,
+      position: match.position,
+      home: match.home,
+      away: match.away,
+      homeName: match.homeName,
+      awayName: match.awayName,
+      scheduledAt: match.scheduledAt,
+      status: match.status,
+      winner: match.winner,
+      homeWins: match.homeWins,
+      awayWins: match.awayWins,
+      playedAt: match.playedAt,
+    };
+  }
+
+  formatTournament(tournament, userId) {
+    const groups = Array.from({ length: tournament.groupCount }, (_, g) => ({
+      group: g,
+      name: `Group ${GROUP_NAMES[g] || g + 1}`,
+      standings: this.getGroupStandings(tournament, g),
+      matches: tournament.matches
+        .filter((match) => match.stage === "group" && match.group === g)
+        .sort((a, b) => a.round - b.round)
+        .map((match) => this.formatMatch(match)),
+    }));
+
+    const totalRounds = this.getKnockoutRounds(tournament);
+    const bracket = Array.from({ length: totalRounds }, (_, i) => ({
+      round: i + 1,
+      name: this.getKnockoutRoundName(i + 1, totalRounds),
+      matches: this.getKnockoutMatches(tournament, i + 1).map((match) =>
+        this.formatMatch(match)
+      ),
+    }));
+
+    return {
+      ...this.formatSummary(tournament, userId),
+      participants: tournament.participants.map((participant) => ({
+        userId: participant.userId,
+        username: participant.username,
+        level: participant.level,
+        teamSize: participant.petIds.length,
+        group: participant.group,
+        eliminated: participant.eliminated,
+        placement: participant.placement,
+        prize: participant.prize,
+      })),
+      groups,
+      bracket,
+    };
+  }
+
+  async getTournaments({ status, limit = 20 } = {}, userId) {
+    const query = status ? { status } : {};
+    const tournaments = await Tournament.find(query)
+      .sort({ startsAt: -1 })
+      .limit(limit);
+
+    return tournaments.map((tournament) =>
+      this.formatSummary(tournament, userId)
+    );
+  }
+
+  async getTournament(tournamentId, userId) {
+    const tournament = await this.findTournament(tournamentId);
+    if (!tournament) return null;
+
+    return this.formatTournament(tournament, userId);
+  }
+}
+
+export const tournamentService = new TournamentService();
+export default tournamentService;
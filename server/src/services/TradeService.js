@@ -5,6 +5,7 @@ import { Egg } from "../models/Egg.js";
 import { User } from "../models/User.js";
 import Transaction from "../models/Transaction.js";
 import { blockchainService, ITEM_TYPES } from "../config/blockchain.js";
+import { equipmentService } from "./EquipmentService.js";
 
 class TradeService {
   constructor() {
@@ -90,9 +91,11 @@ class TradeService {
 
       await trade.save();
 
-      // Update pet listing status
+      // Update pet listing status; held items go back to the seller's bag
       pet.isListed = true;
+      pet.equipment = [];
       await pet.save();
+      await equipmentService.unequipAll(petId);
 
       await trade.populate("seller", "username walletAddress");
       await trade.populate("pet");
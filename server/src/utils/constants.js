@@ -13,6 +13,27 @@ const abilitiesData = JSON.parse(
 const typesData = JSON.parse(
   readFileSync(join(__dirname, "../constants/types.json"), "utf8")
 );
+const statusEffectsData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/statusEffects.json"), "utf8")
+);
+const campaignData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/campaign.json"), "utf8")
+);
+const itemsData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/items.json"), "utf8")
+);
+const synergiesData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/synergies.json"), "utf8")
+);
+const consumablesData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/consumables.json"), "utf8")
+);
+const evolutionsData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/evolutions.json"), "utf8")
+);
+const foodsData = JSON.parse(
+  readFileSync(join(__dirname, "../constants/foods.json"), "utf8")
+);
 
 // 🎯 Rarities
 export const PET_RARITIES = [
@@ -40,6 +61,7 @@ export const EGG_TYPES = {
   BASIC: "basic",
   COSMETIC: "cosmetic",
   ATTRIBUTE: "attribute",
+  BRED: "bred",
 };
 
 // 🧠 Techniques with proper multipliers
@@ -75,10 +97,11 @@ export const TECHNIQUES = {
     dmg: 1.05,
     dotDuration: 2.5,
     dotDamage: 0.75,
+    manaRegen: 1.5,
   },
   Vulture: { chance: 2.25, cooldown: 1.25, critChance: 1.05, critDamage: 1.15 },
   Diamond: { chance: 1.75, dmg: 1.05, moneyBonus: 1.2 },
-  Cosmic: { chance: 1, dmg: 1.15, cooldown: 1.1, spa: 0.85 },
+  Cosmic: { chance: 1, dmg: 1.15, cooldown: 1.1, spa: 0.85, manaRegen: 1.2 },
   "Demi God": { chance: 1, dmg: 1.25, spa: 0.95 },
   "All Seeing": {
     chance: 0.35,
@@ -86,6 +109,7 @@ export const TECHNIQUES = {
     cooldown: 1.5,
     critChance: 1.25,
     critDamage: 2.0,
+    manaRegen: 1.25,
   },
   Entrepreneur: {
     chance: 0.3,
@@ -141,6 +165,261 @@ export const ONE_PLACEMENT_TECHNIQUES = [
   "Glitched",
 ];
 
+// 🔮 Battle mana: pool grows with HP and rarity, regen is a share of the pool
+export const MANA_CONFIG = {
+  BASE_MANA: 40,
+  MANA_PER_HP: 0.2,
+  RARITY_SCALING: 0.25, // share of the rarity multiplier applied to the pool
+  REGEN_RATE: 0.1, // of max mana per turn
+  MIN_REGEN: 1,
+};
+
+// 😴 Stamina: battles drain it, it refills over time, tired pets hit softer
+export const STAMINA_CONFIG = {
+  MAX_STAMINA: 100,
+  BATTLE_COST: 20,
+  REGEN_PER_HOUR: 10,
+  FATIGUE_THRESHOLD: 40, // below this the pet's damage starts to drop
+  MIN_DAMAGE_MULTIPLIER: 0.7, // damage at 0 stamina
+};
+
+// 🍖 Pet care: meters run from 0 (neglected) to 100 and decay over real time
+export const CARE_CONFIG = {
+  MAX_METER: 100,
+  HUNGER_DECAY_PER_HOUR: 3,
+  HAPPINESS_DECAY_PER_HOUR: 2,
+  NEGLECT_THRESHOLD: 25, // a meter below this counts as neglected
+  WELL_CARED_THRESHOLD: 75, // both meters at or above this earn a bonus
+  MIN_DAMAGE_MULTIPLIER: 0.85, // damage with both meters at 0
+  MIN_EXPERIENCE_MULTIPLIER: 0.5, // experience with both meters at 0
+  WELL_CARED_EXPERIENCE_MULTIPLIER: 1.1,
+  MAX_FOOD_PURCHASE: 20,
+  // Food granted for completing a quest, by quest difficulty
+  QUEST_FOOD: {
+    easy: { foodId: "kibble", quantity: 2 },
+    medium: { foodId: "berry_treat", quantity: 2 },
+    hard: { foodId: "hearty_stew", quantity: 1 },
+    epic: { foodId: "golden_cake", quantity: 1 },
+  },
+};
+
+// 🧬 Breeding: two grown pets lay an egg whose pet inherits from both
+// (genetics in config/breeding.js)
+export const BREEDING_CONFIG = {
+  MIN_LEVEL: 10,
+  COOLDOWN_HOURS: 48, // per parent
+  BASE_COST: 500,
+  COST_PER_RARITY_TIER: 250, // added per tier of the parents' average rarity
+  STAT_SPREAD: 0.1, // stats can land this far outside the parents' range
+  TECHNIQUE_INHERIT_CHANCE: 0.25, // per parent that has one
+  SHINY_CHANCE: 0.01,
+  SHINY_PARENT_BONUS: 0.04, // per shiny parent
+  RARITY_UPGRADE_CHANCE: 0.05,
+};
+
+// 🦋 Evolution: time-of-day conditions use these UTC hours
+export const EVOLUTION_CONFIG = {
+  DAY_START_HOUR: 6,
+  NIGHT_START_HOUR: 18,
+};
+
+// 📖 Abilities: pets learn from their type's pool as they level and take a
+// loadout of them into battle (learnsets in config/abilities.js)
+export const ABILITY_CONFIG = {
+  STARTING_ABILITIES: 2,
+  LEARN_EVERY_LEVELS: 5, // one more ability known per this many levels
+  MAX_LEARNED: 6,
+  MAX_LOADOUT: 3,
+  // abilities.json tiers, lowest first; a pet learns up to its rarity's tier
+  TIERS: [
+    "COMMON",
+    "UNCOMMON",
+    "RARE",
+    "EPIC",
+    "LEGENDARY",
+    "MYTHIC",
+    "CELESTIAL",
+    "EXOTIC",
+    "ULTIMATE",
+    "GODLY",
+  ],
+};
+
+// 🔍 Hidden potential (IVs): rolled at hatch, scales growth per level
+export const POTENTIAL_CONFIG = {
+  MAX_VALUE: 31,
+  STATS: ["dmg", "hp", "range", "spa"],
+  GROWTH_MIN: 0.75, // level-up growth at 0 potential
+  GROWTH_MAX: 1.25, // level-up growth at max potential
+  APPRAISAL_COST: 250,
+  BREED_INHERIT_CHANCE: 0.5, // per stat, taken from a random parent
+  // Letter grades by share of MAX_VALUE, best first
+  GRADES: [
+    { grade: "S", min: 0.9 },
+    { grade: "A", min: 0.7 },
+    { grade: "B", min: 0.5 },
+    { grade: "C", min: 0.3 },
+    { grade: "D", min: 0 },
+  ],
+};
+
+// ⏱️ Battle timeline: a pet acts every `spa` (seconds per attack) ticks
+export const TIMELINE_CONFIG = {
+  DEFAULT_SPA: 1.0,
+  MIN_INTERVAL: 0.1, // floor so stacked speed buffs can't freeze the clock
+  PRECISION: 1000, // ticks are rounded to 1/1000 to keep float drift out
+};
+
+// 🎬 Battle event streams: how long each event holds the screen at 1x speed
+export const BATTLE_STREAM_CONFIG = {
+  EVENT_DURATIONS_MS: {
+    battle_start: 800,
+    match_start: 1000,
+    turn_start: 100,
+    action: 250,
+    item: 500,
+    damage: 500,
+    heal: 400,
+    status_applied: 350,
+    status_tick: 350,
+    faint: 900,
+    turn_end: 150,
+    match_end: 800,
+    round_end: 600,
+    battle_end: 0,
+  },
+  DEFAULT_DURATION_MS: 300,
+  MIN_SPEED: 0.25,
+  MAX_SPEED: 8,
+};
+
+// 🧠 Opponent AI: the strategy each PvE difficulty plays (see config/battleAI.js)
+export const AI_DIFFICULTIES = {
+  easy: { strategy: "weighted" },
+  medium: { strategy: "greedy" },
+  hard: { strategy: "expectimax", depth: 2 },
+  epic: { strategy: "expectimax", depth: 3 },
+};
+
+// 🗺️ Lane placement mode: pets hold a grid while enemy waves walk the lanes
+export const PLACEMENT_CONFIG = {
+  LANES: 3,
+  LANE_LENGTH: 12, // cells from the enemy spawn to the base
+  MAX_PLACEMENTS: 6,
+  MAX_COPIES_PER_PET: 3, // ONE PLACEMENT pets are capped at 1
+  WAVES: 5,
+  BASE_LIVES: 10, // each enemy that reaches the base costs one
+  TICK_SECONDS: 0.1,
+  SPAWN_INTERVAL: 1.5, // seconds between enemies in a wave
+  ENEMY_SPEED: 0.6, // cells per second
+  WAVE_REWARD: { coins: 15, experience: 8 }, // multiplied by the wave number
+  DIFFICULTY: {
+    easy: { count: 0.75, hp: 0.7 },
+    medium: { count: 1, hp: 1 },
+    hard: { count: 1.25, hp: 1.4 },
+    epic: { count: 1.5, hp: 2 },
+  },
+};
+
+// 🏆 Ranked ladder
+export const RANKED_CONFIG = {
+  INITIAL_RATING: 1200,
+  PROVISIONAL_GAMES: 10, // rating moves faster until placement is done
+  K_FACTOR: 24,
+  PROVISIONAL_K_FACTOR: 48,
+  SEASON_LENGTH_DAYS: 30,
+  SEASON_DECAY: 0.5, // share of the distance from INITIAL_RATING kept at reset
+  MIN_SEASON_GAMES: 5, // rated games needed for end-of-season rewards
+  ROLLOVER_LEASE_MINUTES: 15, // a rollover claim older than this is retried
+};
+
+// 👀 Spectators see live PvP battles a few seconds late so they can't feed
+// a player what the opponent is doing
+export const SPECTATOR_CONFIG = {
+  BROADCAST_DELAY_MS: 5000,
+  MAX_SPECTATORS_PER_BATTLE: 100,
+  LIVE_LIST_LIMIT: 20,
+  FEATURED_LIMIT: 10,
+  FEATURED_WINDOW_DAYS: 7,
+};
+
+// Ladder tiers, stored in User.rank; every tier but the last has 3 divisions
+export const RANKED_TIERS = [
+  {
+    name: "Beginner",
+    minRating: 1000,
+    rewards: { coins: 100, experience: 50 },
+  },
+  {
+    name: "Intermediate",
+    minRating: 1250,
+    rewards: { coins: 250, experience: 100 },
+  },
+  {
+    name: "Advanced",
+    minRating: 1450,
+    rewards: { coins: 500, experience: 200 },
+  },
+  {
+    name: "Expert",
+    minRating: 1650,
+    rewards: { coins: 1000, experience: 400 },
+  },
+  {
+    name: "Master",
+    minRating: 1850,
+    rewards: { coins: 2000, experience: 800, freeRolls: 3 },
+  },
+];
+
+// Tournament defaults, overridable per tournament
+export const TOURNAMENT_CONFIG = {
+  MIN_PARTICIPANTS: 4,
+  MAX_PARTICIPANTS: 32,
+  GROUP_SIZE: 4,
+  QUALIFIERS_PER_GROUP: 2,
+  TEAM_SIZE: 3,
+  MATCH_INTERVAL_MINUTES: 15, // time between scheduled rounds
+  POINTS: { WIN: 3, DRAW: 1, LOSS: 0 },
+  PRIZE_SPLIT: [0.5, 0.25, 0.125, 0.125], // 1st, 2nd and both semi-final losers
+  SCHEDULER_INTERVAL_MS: 60 * 1000,
+};
+
+// 🐉 Co-op boss raids: every attempt chips at one shared boss HP pool
+export const RAID_CONFIG = {
+  DURATION_HOURS: 24,
+  BOSS_LEVEL: 15, // damage falls off with the level gap, so keep it reachable
+  BOSS_HP_MULTIPLIER: 100, // boss HP against a regular pet of the same level
+  BOSS_DMG_MULTIPLIER: 1.5,
+  BOSS_ABILITY_TIERS: ["LEGENDARY", "MYTHIC"],
+  BOSS_ABILITY_COUNT: 3,
+  TEAM_SIZE: 3,
+  MAX_ATTEMPTS: 5, // per user per raid
+  ATTEMPT_COOLDOWN_MINUTES: 30,
+  // Loot by contribution rank; maxRank null covers everyone else who hit it
+  LOOT: [
+    {
+      maxRank: 1,
+      coins: 2000,
+      experience: 800,
+      items: [
+        { type: "egg", quantity: 1, eggType: "attribute", rarity: "rare" },
+        { type: "equipment", quantity: 1, itemId: "guardian_collar" },
+      ],
+    },
+    {
+      maxRank: 3,
+      coins: 1000,
+      experience: 400,
+      items: [{ type: "egg", quantity: 1, eggType: "basic", rarity: "common" }],
+    },
+    { maxRank: 10, coins: 500, experience: 200 },
+    { maxRank: null, coins: 200, experience: 100 },
+  ],
+  EXPIRED_LOOT_RATIO: 0.25, // share of coins and XP paid if the boss survives
+  SCHEDULER_INTERVAL_MS: 60 * 1000,
+};
+
 // 🌋 Pet elemental types and abilities
 export const PET_TYPES = typesData;
 export const TYPE_KEYS = Object.keys(typesData);
@@ -151,6 +430,28 @@ export const ALL_ABILITIES = Object.values(abilitiesData).reduce((acc, set) => {
   return acc;
 }, {});
 
+// Ability effects keyed by the id abilities.json uses in "effect"
+export const STATUS_EFFECTS = statusEffectsData;
+
+// PvE campaign chapters in play order, each with its stages in order
+export const CAMPAIGN_CHAPTERS = campaignData;
+
+// 🎒 Held items: one per slot, modifiers multiply the pet's stats
+export const EQUIPMENT_SLOTS = ["charm", "collar", "badge"];
+export const ITEM_DEFINITIONS = itemsData;
+
+// 🧪 Consumables: stackable, used up in battle, resolved in config/consumables.js
+export const CONSUMABLE_DEFINITIONS = consumablesData;
+
+// 🤝 Team synergies keyed by id, resolved in config/synergies.js
+export const TEAM_SYNERGIES = synergiesData;
+
+// 🍖 Food for the care meters, resolved in config/care.js
+export const FOOD_DEFINITIONS = foodsData;
+
+// 🦋 Evolution trees keyed by type, resolved in config/evolution.js
+export const EVOLUTION_TREES = evolutionsData;
+
 // Helper to get technique multipliers
 export const getTechniqueMultipliers = (techniqueName, level = 1) => {
   const technique = TECHNIQUES[techniqueName];
@@ -166,6 +467,19 @@ export const getTechniqueMultipliers = (techniqueName, level = 1) => {
   return { ...technique };
 };
 
+// Combined stat multipliers from a pet's equipped items
+export const getEquipmentMultipliers = (equipment = []) => {
+  return equipment.reduce((multipliers, entry) => {
+    const item = ITEM_DEFINITIONS[entry.itemId];
+    if (!item) return multipliers;
+
+    Object.entries(item.modifiers).forEach(([stat, value]) => {
+      multipliers[stat] = (multipliers[stat] || 1) * value;
+    });
+    return multipliers;
+  }, {});
+};
+
 // Check if technique requires one placement
 export const isOnePlacementTechnique = (techniqueName) => {
   return ONE_PLACEMENT_TECHNIQUES.includes(techniqueName);
@@ -1,5 +1,7 @@
 // utils/rng.js
-import { PET_RARITIES, TYPE_KEYS, getAbilitiesByType } from "./constants.js";
+import { randomBytes } from "crypto";
+import { PET_RARITIES, TYPE_KEYS } from "./constants.js";
+import { getStartingAbilities } from "../config/abilities.js";
 
 /**
  * Weighted random selection helper
@@ -15,6 +17,28 @@ export function weightedRandom(items) {
   return items[items.length - 1];
 }
 
+/**
+ * 🎲 Seeded PRNG (mulberry32)
+ * Returns a drop-in replacement for Math.random that yields the same
+ * sequence for the same seed, so battles can be replayed exactly.
+ * @param {number} seed 32-bit unsigned integer
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** 🌱 Fresh 32-bit seed for a seeded PRNG */
+export function generateSeed() {
+  return randomBytes(4).readUInt32BE(0);
+}
+
 /** 🔀 Random element from array */
 export function randomChoice(array) {
   return array[Math.floor(Math.random() * array.length)];
@@ -25,18 +49,6 @@ export function randomType() {
   return randomChoice(TYPE_KEYS);
 }
 
-/** 🪄 Generate random abilities from type */
-export function randomAbilitiesForType(typeName, count = 2) {
-  const list = getAbilitiesByType(typeName);
-  if (!list?.length) return [];
-  const chosen = [];
-  while (chosen.length < count && list.length > 0) {
-    const pick = randomChoice(list);
-    if (!chosen.includes(pick)) chosen.push(pick);
-  }
-  return chosen;
-}
-
 /** 📈 Rarity multiplier for stat scaling */
 export function getRarityMultiplier(rarityName) {
   const table = {
@@ -90,7 +102,7 @@ export function randomRange(min, max) {
 export function generateRandomPet(ownerId = null) {
   const rarity = weightedRandom(PET_RARITIES).name;
   const type = randomType();
-  const abilityList = randomAbilitiesForType(type, 2);
+  const abilities = getStartingAbilities({ type, rarity });
   const stats = generateBaseStats(rarity);
 
   return {
@@ -98,7 +110,9 @@ export function generateRandomPet(ownerId = null) {
     name: `${type}ling`,
     type,
     rarity,
-    ability: abilityList,
+    ability: abilities[0],
+    abilities,
+    loadout: abilities,
     stats,
   };
 }
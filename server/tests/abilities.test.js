@@ -0,0 +1,195 @@
+import {
+  describeAbilities,
+  getLearnedAbilities,
+  getLearnset,
+  getLoadout,
+  getLoadoutResult,
+  learnAbilities,
+} from "../src/config/abilities.js";
+import {
+  chooseAbility,
+  evaluateTurn,
+  getAvailableActions,
+} from "../src/config/battleLogic.js";
+import { getEvolutionResult } from "../src/config/evolution.js";
+import { ABILITY_CONFIG } from "../src/utils/constants.js";
+import { generateRandomPet } from "../src/utils/rng.js";
+
+const makePet = (overrides = {}) => ({
+  id: "pet",
+  name: "Pet",
+  type: "Fire",
+  rarity: "Rare",
+  level: 1,
+  ability: "flame_burst",
+  abilities: ["flame_burst", "ember_strike"],
+  loadout: [],
+  stats: { dmg: 40, hp: 300, critChance: 0, critDamage: 1.5, spa: 1 },
+  currentHP: 300,
+  statusEffects: [],
+  abilityCooldowns: {},
+  ...overrides,
+});
+
+describe("Ability Tests", () => {
+  test("learnsets come from the type's pool up to the pet's rarity tier", () => {
+    expect(getLearnset(makePet()).map((ability) => ability.id)).toEqual([
+      "flame_burst",
+      "ember_strike",
+      "fire_wall",
+      "inferno",
+    ]);
+    expect(
+      getLearnset(makePet({ rarity: "Common" })).map((ability) => ability.id)
+    ).toEqual(["flame_burst", "ember_strike"]);
+
+    const hatched = generateRandomPet("owner");
+    expect(hatched.abilities.length).toBeGreaterThan(0);
+    expect(hatched.ability).toBe(hatched.abilities[0]);
+    expect(hatched.loadout).toEqual(hatched.abilities);
+  });
+
+  test("pets learn the next ability as levels open slots, up to the cap", () => {
+    expect(learnAbilities(makePet({ level: 4 })).learned).toEqual([]);
+    expect(learnAbilities(makePet({ level: 5 }))).toEqual({
+      abilities: ["flame_burst", "ember_strike", "fire_wall"],
+      learned: ["fire_wall"],
+    });
+
+    // Pets that predate learning hold one ability, sometimes by name
+    const legacy = makePet({ ability: "Inferno", abilities: [], level: 10 });
+    expect(getLearnedAbilities(legacy)).toEqual(["inferno"]);
+    expect(learnAbilities(legacy).learned).toEqual([
+      "flame_burst",
+      "ember_strike",
+      "fire_wall",
+    ]);
+
+    const mythic = makePet({ rarity: "Mythic", level: 100 });
+    expect(learnAbilities(mythic).abilities).toHaveLength(
+      ABILITY_CONFIG.MAX_LEARNED
+    );
+    expect(describeAbilities(makePet({ level: 3 })).next).toMatchObject({
+      id: "fire_wall",
+      level: 5,
+    });
+    // A slot it hasn't filled yet is filled on the next level
+    expect(describeAbilities(makePet({ level: 7 })).next.level).toBe(8);
+  });
+
+  test("loadouts hold up to three known abilities", () => {
+    const pet = makePet({
+      abilities: ["flame_burst", "ember_strike", "fire_wall", "inferno"],
+    });
+
+    expect(getLoadout(pet)).toEqual([
+      "flame_burst",
+      "ember_strike",
+      "fire_wall",
+    ]);
+    expect(getLoadout({ ...pet, loadout: ["inferno", "supernova"] })).toEqual([
+      "inferno",
+    ]);
+
+    expect(getLoadoutResult(pet, []).error).toMatch(/at least one/);
+    expect(getLoadoutResult(pet, ["flame_burst", "flame_burst"]).error).toMatch(
+      /only be in the loadout once/
+    );
+    expect(
+      getLoadoutResult(pet, [
+        "flame_burst",
+        "ember_strike",
+        "fire_wall",
+        "inferno",
+      ]).error
+    ).toMatch(/at most 3/);
+    expect(getLoadoutResult(pet, ["supernova"]).error).toBe(
+      "Pet doesn't know Supernova"
+    );
+    expect(getLoadoutResult(pet, ["inferno", "fire_wall"]).update).toEqual({
+      ability: "inferno",
+      abilities: pet.abilities,
+      loadout: ["inferno", "fire_wall"],
+    });
+  });
+
+  test("battle choices come from the ready abilities in the loadout", () => {
+    const pet = makePet({
+      type: "Water",
+      abilities: ["tidal_wave", "healing_rain"],
+      loadout: ["tidal_wave", "healing_rain"],
+    });
+    const opponent = makePet({ type: "Earth" });
+
+    expect(chooseAbility(pet, opponent).id).toBe("tidal_wave");
+    expect(chooseAbility(pet, opponent, "healing_rain").id).toBe(
+      "healing_rain"
+    );
+    expect(chooseAbility({ ...pet, currentHP: 90 }, opponent).id).toBe(
+      "healing_rain"
+    );
+
+    // One ability on cooldown still leaves the other to use
+    const cooling = { ...pet, abilityCooldowns: { tidal_wave: 2 } };
+    expect(getAvailableActions(cooling)).toContain("ability");
+    expect(chooseAbility(cooling, opponent, "tidal_wave").id).toBe(
+      "healing_rain"
+    );
+
+    const spent = {
+      ...pet,
+      abilityCooldowns: { tidal_wave: 2, healing_rain: 1 },
+    };
+    expect(getAvailableActions(spent)).not.toContain("ability");
+    expect(chooseAbility(spent, opponent)).toBeNull();
+  });
+
+  test("turns use the ability the player names", () => {
+    const player = {
+      pet: makePet({
+        abilities: ["flame_burst", "inferno"],
+        loadout: ["flame_burst", "inferno"],
+      }),
+    };
+    const opponent = { pet: makePet({ type: "Earth" }) };
+
+    const turn = evaluateTurn(
+      player,
+      opponent,
+      {
+        playerAction: "ability",
+        opponentAction: null,
+        result: "win",
+        playerAbility: "flame_burst",
+      },
+      () => 0.5
+    );
+
+    expect(turn.abilityUsed.id).toBe("flame_burst");
+    expect(player.pet.abilityCooldowns.flame_burst).toBeGreaterThan(0);
+    expect(player.pet.abilityCooldowns.inferno).toBeUndefined();
+  });
+
+  test("evolving teaches the form's ability and puts it in the loadout", () => {
+    const pet = makePet({
+      ability: "flame_burst",
+      abilities: [],
+      level: 10,
+      battlesWon: 12,
+      evolutionForm: null,
+      evolutions: [],
+      equipment: [],
+    });
+
+    const { update } = getEvolutionResult(
+      pet,
+      "cinderwing",
+      Date.UTC(2026, 0, 1, 0)
+    );
+    expect(update).toMatchObject({
+      ability: "fire_wall",
+      abilities: ["flame_burst", "fire_wall"],
+      loadout: ["fire_wall", "flame_burst"],
+    });
+  });
+});
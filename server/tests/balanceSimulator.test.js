@@ -0,0 +1,108 @@
+import {
+  buildBalancePet,
+  buildBalanceReport,
+  buildMatchupMatrix,
+  matchupsToCSV,
+  matrixToCSV,
+  runMatchup,
+  simulateDuel,
+} from "../src/config/balanceSimulator.js";
+import { parseArgs, resolveOptions } from "../src/scripts/balanceReport.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+describe("Balance Simulator Tests", () => {
+  test("rarity scales the Common base roll", () => {
+    const common = buildBalancePet(undefined, { rarity: "Common" });
+    const epic = buildBalancePet(undefined, { rarity: "Epic" });
+
+    expect(epic.stats.hp).toBeGreaterThan(common.stats.hp);
+    expect(epic.stats.dmg).toBeGreaterThan(common.stats.dmg);
+    expect(epic.currentHP).toBe(epic.stats.hp);
+  });
+
+  test("duels finish with a winner and attribute damage to each side", () => {
+    const strong = buildBalancePet(undefined, { rarity: "Legendary" });
+    const weak = buildBalancePet(undefined, { rarity: "Common" });
+
+    const duel = simulateDuel(strong, weak, createSeededRandom(7));
+
+    expect(duel.winner).toBe("a");
+    expect(duel.turns).toBeGreaterThan(0);
+    expect(duel.damage.a).toBeGreaterThanOrEqual(weak.stats.hp);
+    expect(weak.currentHP).toBe(weak.stats.hp);
+  });
+
+  test("matchups are reproducible from the seed", () => {
+    const a = buildBalancePet(undefined, { type: "Fire" });
+    const b = buildBalancePet(undefined, { type: "Water" });
+
+    expect(runMatchup(a, b, { battles: 20, seed: 3 })).toEqual(
+      runMatchup(a, b, { battles: 20, seed: 3 })
+    );
+  });
+
+  test("matrix mirrors are the complement of the simulated side", () => {
+    const matrix = buildMatchupMatrix(
+      ["Common", "Rare"].map((rarity) => ({
+        label: rarity,
+        pet: buildBalancePet(undefined, { rarity }),
+      })),
+      { battles: 20 }
+    );
+    const [[, rareCell], [commonCell]] = [matrix.cells[0], matrix.cells[1]];
+
+    expect(commonCell.winsA).toBe(rareCell.winsB);
+    expect(commonCell.damageShare).toBeCloseTo(1 - rareCell.damageShare);
+    expect(commonCell.winRate).toBeGreaterThan(rareCell.winRate);
+  });
+
+  test("reports cover each requested dimension and render as CSV", () => {
+    const report = buildBalanceReport({
+      dimensions: ["types"],
+      battles: 4,
+    });
+    const types = report.dimensions.types;
+
+    expect(types.labels).toHaveLength(types.cells.length);
+    expect(types.summary).toHaveLength(types.labels.length);
+
+    const grid = matrixToCSV(types).trim().split("\n");
+    expect(grid).toHaveLength(types.labels.length + 1);
+    expect(grid[0].split(",")).toHaveLength(types.labels.length + 1);
+
+    const matchups = matchupsToCSV(types).trim().split("\n");
+    expect(matchups).toHaveLength(types.labels.length ** 2 + 1);
+  });
+
+  test("unknown dimensions and a custom run without pets are rejected", () => {
+    expect(() => buildBalanceReport({ dimensions: ["moods"] })).toThrow(
+      /Unknown balance dimension/
+    );
+    expect(() => buildBalanceReport({ dimensions: ["custom"] })).toThrow(
+      /needs pets/
+    );
+  });
+
+  test("CLI arguments resolve to report options", () => {
+    const options = resolveOptions(
+      parseArgs([
+        "--dimensions=types,rarities",
+        "--battles",
+        "50",
+        "--ai",
+        "hard",
+        "--format",
+        "csv",
+      ])
+    );
+
+    expect(options.dimensions).toEqual(["types", "rarities"]);
+    expect(options.battles).toBe(50);
+    expect(options.base.aiDifficulty).toBe("hard");
+    expect(options.format).toBe("csv");
+
+    expect(() => resolveOptions(parseArgs(["--battles", "0"]))).toThrow();
+    expect(() => resolveOptions(parseArgs(["--ai", "brutal"]))).toThrow();
+    expect(() => parseArgs(["types"])).toThrow();
+  });
+});
@@ -0,0 +1,132 @@
+import {
+  AI_STRATEGIES,
+  chooseAIAction,
+  chooseLookaheadAction,
+  getAIConfig,
+} from "../src/config/battleAI.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { ALL_ABILITIES } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makePet = (overrides = {}) => ({
+  id: "pet",
+  name: "Pet",
+  type: "Fire",
+  ability: "ember_strike",
+  level: 10,
+  stats: { dmg: 40, hp: 300, critChance: 0.2, critDamage: 1.5, spa: 1 },
+  currentHP: 300,
+  statusEffects: [],
+  abilityCooldowns: {},
+  ...overrides,
+});
+
+// Lookahead strategies must never touch the battle rng
+const noRng = () => {
+  throw new Error("rng used");
+};
+
+describe("Battle AI Tests", () => {
+  test("difficulties map to strategies and unknown ones play weighted", () => {
+    expect(getAIConfig("easy").strategy).toBe("weighted");
+    expect(getAIConfig("medium").strategy).toBe("greedy");
+    expect(getAIConfig("hard").strategy).toBe("expectimax");
+    expect(getAIConfig("epic").depth).toBeGreaterThan(
+      getAIConfig("hard").depth
+    );
+    expect(getAIConfig(undefined).strategy).toBe("weighted");
+    ["easy", "medium", "hard", "epic"].forEach((difficulty) =>
+      expect(AI_STRATEGIES[getAIConfig(difficulty).strategy]).toBeDefined()
+    );
+  });
+
+  test("pets without a difficulty keep drawing weighted picks from the rng", () => {
+    let draws = 0;
+    const rng = () => {
+      draws++;
+      return 0.05;
+    };
+    const action = chooseAIAction(makePet(), makePet({ type: "Water" }), rng);
+
+    expect(action).toBe("ability");
+    expect(draws).toBeGreaterThan(0);
+  });
+
+  test("lookahead strategies are deterministic and skip the rng", () => {
+    const pet = makePet({ aiDifficulty: "hard" });
+    const opponent = makePet({ type: "Water", currentHP: 180 });
+
+    const first = chooseAIAction(pet, opponent, noRng);
+    expect(chooseAIAction(pet, opponent, noRng)).toBe(first);
+    expect(
+      chooseAIAction({ ...pet, aiDifficulty: "medium" }, opponent, noRng)
+    ).toBeDefined();
+  });
+
+  test("one-step evaluation parries an opponent that mostly attacks", () => {
+    const pet = makePet({ ability: null });
+    const opponent = makePet({ type: "Earth", ability: null });
+
+    expect(chooseLookaheadAction(pet, opponent, 1)).toBe("parry");
+  });
+
+  test("a free hit goes to the harder-hitting ability", () => {
+    const pet = makePet({ ability: "inferno", nextActionAt: 1 });
+    const opponent = makePet({ type: "Earth", ability: null, nextActionAt: 2 });
+
+    expect(chooseLookaheadAction(pet, opponent, 1)).toBe("ability");
+  });
+
+  test("abilities on cooldown or without mana are never chosen", () => {
+    const ability = ALL_ABILITIES.ember_strike;
+    const opponent = makePet({ type: "Earth", ability: null, nextActionAt: 2 });
+
+    const cooling = makePet({
+      nextActionAt: 1,
+      abilityCooldowns: { [ability.id]: 2 },
+    });
+    expect(chooseLookaheadAction(cooling, opponent, 3)).not.toBe("ability");
+
+    const drained = makePet({ nextActionAt: 1, mana: 0 });
+    expect(chooseLookaheadAction(drained, opponent, 3)).not.toBe("ability");
+  });
+
+  test("lookahead leaves the pets it inspects untouched", () => {
+    const pet = makePet({ aiDifficulty: "epic" });
+    const opponent = makePet({ type: "Water" });
+    const before = JSON.stringify({ pet, opponent });
+
+    chooseAIAction(pet, opponent, noRng);
+
+    expect(JSON.stringify({ pet, opponent })).toBe(before);
+  });
+
+  test("harder AI opponents beat the weighted AI more often", async () => {
+    const team = (aiDifficulty) =>
+      GameController.convertPetsToBattleFormat(
+        ["Fire", "Water", "Earth"].map((type, index) =>
+          makePet({ id: `pet_${index}`, type, aiDifficulty })
+        ),
+        "Trainer"
+      );
+
+    const opponentWins = async (aiDifficulty) => {
+      let wins = 0;
+      for (let seed = 1; seed <= 10; seed++) {
+        const result = await GameController.simulateRoundRobinBattle(
+          team(),
+          team(aiDifficulty),
+          "pve",
+          createSeededRandom(seed),
+          0
+        );
+        if (result.winner === "opponent") wins++;
+      }
+      return wins;
+    };
+
+    expect(await opponentWins("hard")).toBeGreaterThan(
+      await opponentWins("easy")
+    );
+  });
+});
@@ -0,0 +1,159 @@
+import {
+  evaluateTurn,
+  getTypeEffectiveness,
+} from "../src/config/battleLogic.js";
+import {
+  buildBattleEvents,
+  clampStreamSpeed,
+  getEventDuration,
+} from "../src/config/battleEvents.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { BATTLE_STREAM_CONFIG } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makeTrainer = (id, type, overrides = {}) => ({
+  id,
+  pet: {
+    id,
+    name: `${type} pet`,
+    type,
+    ability: "flame_burst",
+    level: 5,
+    stats: { dmg: 20, hp: 200, critChance: 0, critDamage: 1.5, spa: 1 },
+    currentHP: 200,
+    statusEffects: [],
+    abilityCooldowns: {},
+    ...overrides,
+  },
+});
+
+const typesOf = (events) => events.map((event) => event.type);
+
+describe("Battle Event Tests", () => {
+  test("turns narrate actions and the damage they dealt", () => {
+    const player = makeTrainer("p1", "Fire");
+    const opponent = makeTrainer("o1", "Air");
+
+    const { events } = evaluateTurn(
+      player,
+      opponent,
+      { playerAction: "attack", opponentAction: "defend", result: "win" },
+      createSeededRandom(1)
+    );
+
+    expect(events.slice(0, 2)).toEqual([
+      { type: "action", side: "player", action: "attack" },
+      { type: "action", side: "opponent", action: "defend" },
+    ]);
+    expect(getTypeEffectiveness("Fire", "Air")).toBeGreaterThan(1);
+    expect(events.find((event) => event.type === "damage")).toMatchObject({
+      side: "opponent",
+      critical: false,
+      typeMultiplier: getTypeEffectiveness("Fire", "Air"),
+      hp: opponent.pet.currentHP,
+    });
+  });
+
+  test("status effects and faints show up as their own events", () => {
+    // Flame Burst only sometimes burns, so find a seed where it does
+    const burning = [...Array(50).keys()]
+      .map((seed) => {
+        const { events } = evaluateTurn(
+          makeTrainer("p1", "Fire"),
+          makeTrainer("o1", "Water"),
+          { playerAction: "ability", opponentAction: "defend", result: "win" },
+          createSeededRandom(seed)
+        );
+        return events;
+      })
+      .find((events) =>
+        events.some((event) => event.type === "status_applied")
+      );
+
+    expect(burning).toBeDefined();
+    expect(
+      burning.find((event) => event.type === "status_applied")
+    ).toMatchObject({ side: "opponent", status: "burn" });
+
+    const opponent = makeTrainer("o1", "Fire", { currentHP: 1 });
+    const { events } = evaluateTurn(
+      makeTrainer("p1", "Fire"),
+      opponent,
+      { playerAction: "attack", opponentAction: "recover", result: "win" },
+      createSeededRandom(3)
+    );
+
+    expect(events[events.length - 1]).toEqual({
+      type: "faint",
+      side: "opponent",
+      petId: "o1",
+    });
+  });
+
+  test("battle streams are framed and numbered in order", async () => {
+    const makeTeam = (prefix, type) =>
+      GameController.convertPetsToBattleFormat(
+        [1, 2].map((n) => ({
+          ...makeTrainer(`${prefix}${n}`, type).pet,
+          currentHP: undefined,
+        })),
+        prefix
+      );
+    const playerTeam = makeTeam("p", "Fire");
+    const opponentTeam = makeTeam("o", "Grass");
+    const battle = await GameController.simulateRoundRobinBattle(
+      playerTeam,
+      opponentTeam,
+      "pve",
+      createSeededRandom(7),
+      0
+    );
+
+    const events = buildBattleEvents({
+      battleLog: battle.battleLog,
+      playerTeam,
+      opponentTeam,
+      winner: battle.winner,
+      playerWins: battle.playerWins,
+      opponentWins: battle.opponentWins,
+    });
+    const types = typesOf(events);
+
+    expect(events.map((event) => event.seq)).toEqual([
+      ...Array(events.length).keys(),
+    ]);
+    expect(types[0]).toBe("battle_start");
+    expect(events[0].totalMatches).toBe(battle.battleLog.length);
+    expect(types.filter((type) => type === "match_start")).toHaveLength(
+      battle.battleLog.length
+    );
+    expect(types.filter((type) => type === "turn_start")).toHaveLength(
+      types.filter((type) => type === "turn_end").length
+    );
+    expect(types).toContain("damage");
+    expect(events[events.length - 1]).toMatchObject({
+      type: "battle_end",
+      winner: battle.winner,
+      score: { player: battle.playerWins, opponent: battle.opponentWins },
+    });
+
+    // The last match ends with its loser at zero
+    const lastTurnEnd = [...events]
+      .reverse()
+      .find((event) => event.type === "turn_end");
+    expect(Math.min(lastTurnEnd.hp.player, lastTurnEnd.hp.opponent)).toBe(0);
+  });
+
+  test("playback speed scales event pacing within limits", () => {
+    expect(clampStreamSpeed("2")).toBe(2);
+    expect(clampStreamSpeed(100)).toBe(BATTLE_STREAM_CONFIG.MAX_SPEED);
+    expect(clampStreamSpeed(0.01)).toBe(BATTLE_STREAM_CONFIG.MIN_SPEED);
+    expect(clampStreamSpeed("fast")).toBe(1);
+
+    const damage = BATTLE_STREAM_CONFIG.EVENT_DURATIONS_MS.damage;
+    expect(getEventDuration({ type: "damage" }, 2)).toBe(damage / 2);
+    expect(getEventDuration({ type: "mystery" })).toBe(
+      BATTLE_STREAM_CONFIG.DEFAULT_DURATION_MS
+    );
+  });
+});
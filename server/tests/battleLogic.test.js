@@ -0,0 +1,230 @@
+import {
+  evaluateTurn,
+  generateSmartAttack,
+  determineBattleResult,
+  getAvailableActions,
+  recoverHealth,
+  useAbility,
+  regenerateMana,
+  getMaxMana,
+  getManaRegen,
+  getNextTimelineStep,
+  getActionInterval,
+  syncActionInterval,
+} from "../src/config/battleLogic.js";
+import { ALL_ABILITIES } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makeTrainer = (id, type) => ({
+  id,
+  pet: {
+    id,
+    name: `${type} pet`,
+    type,
+    ability: "flame_burst",
+    level: 5,
+    stats: { dmg: 20, hp: 120, critChance: 0.3, critDamage: 1.5 },
+    currentHP: 120,
+    statusEffects: [],
+    abilityCooldowns: {},
+  },
+});
+
+const simulateTurns = (seed, turns = 10) => {
+  const rng = createSeededRandom(seed);
+  const player = makeTrainer("p1", "Fire");
+  const opponent = makeTrainer("o1", "Water");
+  const log = [];
+
+  for (let i = 0; i < turns; i++) {
+    const playerAction = generateSmartAttack(player.pet, opponent.pet, rng);
+    const opponentAction = generateSmartAttack(opponent.pet, player.pet, rng);
+    const result = evaluateTurn(
+      player,
+      opponent,
+      {
+        playerAction,
+        opponentAction,
+        result: determineBattleResult(playerAction, opponentAction),
+      },
+      rng
+    );
+    log.push({
+      playerAction,
+      opponentAction,
+      damage: result.damage,
+      playerHP: player.pet.currentHP,
+      opponentHP: opponent.pet.currentHP,
+    });
+  }
+
+  return log;
+};
+
+describe("Battle Logic Tests", () => {
+  describe("Seeded battle engine", () => {
+    test("seeded PRNG repeats its sequence for the same seed", () => {
+      const a = createSeededRandom(1234);
+      const b = createSeededRandom(1234);
+
+      for (let i = 0; i < 5; i++) {
+        const value = a();
+        expect(value).toBe(b());
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test("same seed produces an identical turn log", () => {
+      expect(simulateTurns(42)).toEqual(simulateTurns(42));
+    });
+
+    test("different seeds diverge", () => {
+      expect(simulateTurns(1)).not.toEqual(simulateTurns(2));
+    });
+  });
+
+  describe("Interactive actions", () => {
+    test("ability is only offered while off cooldown", () => {
+      const { pet } = makeTrainer("p1", "Fire");
+      expect(getAvailableActions(pet)).toEqual(
+        expect.arrayContaining([
+          "attack",
+          "defend",
+          "parry",
+          "recover",
+          "ability",
+        ])
+      );
+
+      pet.abilityCooldowns = { flame_burst: 2 };
+      expect(getAvailableActions(pet)).not.toContain("ability");
+    });
+
+    test("recover heals without exceeding max HP", () => {
+      const { pet } = makeTrainer("p1", "Fire");
+      pet.currentHP = 50;
+      recoverHealth(pet);
+      expect(pet.currentHP).toBe(68);
+
+      pet.currentHP = 119;
+      recoverHealth(pet);
+      expect(pet.currentHP).toBe(120);
+    });
+  });
+
+  describe("Mana", () => {
+    test("abilities spend mana and turns regenerate it up to the pool", () => {
+      const { pet } = makeTrainer("p1", "Fire");
+      expect(getMaxMana(pet)).toBe(64);
+
+      useAbility(pet, ALL_ABILITIES.flame_burst);
+      expect(pet.mana).toBe(54);
+
+      regenerateMana(pet);
+      expect(pet.mana).toBe(60);
+
+      regenerateMana(pet);
+      expect(pet.mana).toBe(64);
+    });
+
+    test("ability is neither offered nor picked by the AI without mana", () => {
+      const player = makeTrainer("p1", "Fire");
+      const opponent = makeTrainer("o1", "Water");
+      player.pet.mana = 5;
+
+      expect(getAvailableActions(player.pet)).not.toContain("ability");
+
+      const rng = createSeededRandom(7);
+      for (let i = 0; i < 50; i++) {
+        expect(generateSmartAttack(player.pet, opponent.pet, rng)).not.toBe(
+          "ability"
+        );
+      }
+    });
+
+    test("techniques and item modifiers change mana regeneration", () => {
+      const { pet } = makeTrainer("p1", "Fire");
+      expect(getManaRegen(pet)).toBe(6);
+
+      pet.technique = "Elemental Master";
+      expect(getManaRegen(pet)).toBe(9);
+
+      // The Sage Stone deepens the pool and speeds up regen
+      pet.equipment = [{ itemId: "sage_stone" }];
+      expect(getMaxMana(pet)).toBe(70);
+      expect(getManaRegen(pet)).toBe(13);
+
+      // Flat modifiers still add on top
+      pet.statModifiers = { manaRegen: 2 };
+      expect(getManaRegen(pet)).toBe(15);
+    });
+  });
+
+  describe("Speed timeline", () => {
+    const playTimeline = (playerSpa, opponentSpa, steps) => {
+      const rng = createSeededRandom(3);
+      const player = makeTrainer("p1", "Fire");
+      const opponent = makeTrainer("o1", "Water");
+      player.pet.stats = { ...player.pet.stats, hp: 10000, spa: playerSpa };
+      opponent.pet.stats = {
+        ...opponent.pet.stats,
+        hp: 10000,
+        spa: opponentSpa,
+      };
+      player.pet.currentHP = opponent.pet.currentHP = 10000;
+
+      const log = [];
+      for (let i = 0; i < steps; i++) {
+        const step = getNextTimelineStep(player.pet, opponent.pet);
+        const playerAction = step.player ? "defend" : null;
+        const opponentAction = step.opponent ? "defend" : null;
+        const result = evaluateTurn(
+          player,
+          opponent,
+          {
+            playerAction,
+            opponentAction,
+            result: determineBattleResult(playerAction, opponentAction),
+          },
+          rng
+        );
+        log.push({ tick: result.tick, playerAction, opponentAction });
+      }
+      return log;
+    };
+
+    test("a 0.5 spa pet acts twice for every 1.0 spa action", () => {
+      const log = playTimeline(0.5, 1.0, 4);
+
+      expect(log.map((turn) => turn.tick)).toEqual([0.5, 1, 1.5, 2]);
+      expect(log.filter((turn) => turn.playerAction)).toHaveLength(4);
+      expect(log.filter((turn) => turn.opponentAction)).toHaveLength(2);
+    });
+
+    test("a pet acting alone lands its attack uncontested", () => {
+      expect(determineBattleResult("attack", null)).toBe("win");
+      expect(determineBattleResult(null, "attack")).toBe("lose");
+      expect(determineBattleResult(null, "defend")).toBe("tie");
+    });
+
+    test("speed effects change the interval and shift a waiting pet", () => {
+      const { pet } = makeTrainer("p1", "Fire");
+      pet.stats.spa = 1.2;
+      expect(
+        getNextTimelineStep(pet, makeTrainer("o1", "Water").pet).tick
+      ).toBe(1);
+      expect(pet.nextActionAt).toBe(1.2);
+
+      pet.statusEffects.push({ name: "speed_up", speedMultiplier: 1.5 });
+      expect(getActionInterval(pet)).toBe(0.8);
+
+      // Halfway through its wait, the remaining 0.6 shrinks to 0.4
+      syncActionInterval(pet, 0.6);
+      expect(pet.nextActionAt).toBe(1);
+
+      pet.statusEffects = [{ name: "slow", speedReduction: 0.5 }];
+      expect(getActionInterval(pet)).toBe(2.4);
+    });
+  });
+});
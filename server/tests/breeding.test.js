@@ -0,0 +1,164 @@
+import {
+  describeInheritance,
+  getBreedingCooldown,
+  getBreedingCost,
+  getRarityTier,
+  inheritGenes,
+  validateBreedingPair,
+} from "../src/config/breeding.js";
+import { breedingService } from "../src/services/BreedingService.js";
+import { BREEDING_CONFIG } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date("2026-01-01T12:00:00Z").getTime();
+
+const makePet = (id, overrides = {}) => ({
+  id,
+  name: `Pet ${id}`,
+  type: "Fire",
+  rarity: "Rare",
+  ability: "flame_burst",
+  technique: null,
+  level: BREEDING_CONFIG.MIN_LEVEL,
+  isShiny: false,
+  isListed: false,
+  stats: {
+    dmg: 40,
+    hp: 200,
+    range: 2,
+    spa: 1,
+    critChance: 0.1,
+    critDamage: 1.5,
+    moneyBonus: 0,
+  },
+  ...overrides,
+});
+
+// An rng that replays the given rolls in order
+const scripted = (...rolls) => {
+  let index = 0;
+  return () => rolls[index++ % rolls.length];
+};
+
+describe("Breeding Tests", () => {
+  test("parents need the level, no cooldown and two different pets", () => {
+    const pet = makePet("a");
+
+    expect(validateBreedingPair(pet, makePet("b"), NOW)).toBeNull();
+    expect(validateBreedingPair(pet, pet, NOW)).toMatch(/itself/);
+    expect(validateBreedingPair(pet, makePet("b", { level: 3 }), NOW)).toMatch(
+      new RegExp(`level ${BREEDING_CONFIG.MIN_LEVEL}`)
+    );
+    expect(
+      validateBreedingPair(pet, makePet("b", { isListed: true }), NOW)
+    ).toMatch(/marketplace/);
+
+    const tired = makePet("b", { lastBredAt: new Date(NOW - HOUR_MS) });
+    expect(getBreedingCooldown(tired, NOW)).toBe(
+      (BREEDING_CONFIG.COOLDOWN_HOURS - 1) * HOUR_MS
+    );
+    expect(validateBreedingPair(pet, tired, NOW)).toMatch(/breed again in/);
+    expect(
+      getBreedingCooldown(tired, NOW + BREEDING_CONFIG.COOLDOWN_HOURS * HOUR_MS)
+    ).toBe(0);
+  });
+
+  test("rarer parents cost more to breed", () => {
+    expect(getRarityTier("Common")).toBe(0);
+    expect(getRarityTier("Godly")).toBeGreaterThan(getRarityTier("Mythic"));
+
+    const common = makePet("a", { rarity: "Common" });
+    expect(getBreedingCost(common, makePet("b", { rarity: "Common" }))).toBe(
+      BREEDING_CONFIG.BASE_COST
+    );
+    expect(getBreedingCost(common, makePet("b", { rarity: "Epic" }))).toBe(
+      BREEDING_CONFIG.BASE_COST +
+        BREEDING_CONFIG.COST_PER_RARITY_TIER * (getRarityTier("Epic") / 2)
+    );
+  });
+
+  test("children inherit a parent's type and stats within the parents' range", () => {
+    const parentA = makePet("a");
+    const parentB = makePet("b", {
+      type: "Water",
+      ability: "tidal_wave",
+      stats: { ...makePet("b").stats, dmg: 60, hp: 100 },
+    });
+    const { statRanges } = describeInheritance(parentA, parentB);
+
+    for (let seed = 1; seed <= 25; seed += 1) {
+      const { pet } = inheritGenes(parentA, parentB, createSeededRandom(seed));
+      const parent = pet.type === "Fire" ? parentA : parentB;
+
+      expect(pet.ability).toBe(parent.ability);
+      expect(pet.parentIds).toEqual(["a", "b"]);
+      expect(pet.generation).toBe(1);
+      if (pet.rarity === "Rare") {
+        Object.entries(statRanges).forEach(([stat, { min, max }]) => {
+          expect(pet.stats[stat]).toBeGreaterThanOrEqual(min);
+          expect(pet.stats[stat]).toBeLessThanOrEqual(max);
+        });
+      }
+    }
+
+    expect(statRanges.dmg).toEqual({ min: 36, max: 66 });
+    expect(inheritGenes(parentA, parentB, createSeededRandom(7))).toEqual(
+      inheritGenes(parentA, parentB, createSeededRandom(7))
+    );
+  });
+
+  test("mutations can upgrade rarity and make the child shiny", () => {
+    const parents = [
+      makePet("a", { technique: "Accelerate", generation: 2 }),
+      makePet("b", { isShiny: true }),
+    ];
+
+    // type, rarity parent, mutation, 7 stats, technique, shiny
+    const lucky = inheritGenes(
+      ...parents,
+      scripted(0, 0, 0, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0, 0)
+    );
+    expect(lucky.mutations).toEqual(["rarity_upgrade", "shiny"]);
+    expect(lucky.pet).toMatchObject({
+      rarity: "Epic",
+      technique: "Accelerate",
+      isShiny: true,
+      generation: 3,
+    });
+    // Upgraded children are scaled up like pets generated at that rarity
+    expect(lucky.pet.stats.hp).toBeGreaterThan(
+      describeInheritance(...parents).statRanges.hp.max
+    );
+
+    const plain = inheritGenes(...parents, scripted(0.99));
+    expect(plain.mutations).toEqual([]);
+    expect(plain.pet).toMatchObject({
+      rarity: "Rare",
+      technique: null,
+      isShiny: false,
+    });
+  });
+
+  test("shiny parents raise the shiny chance", () => {
+    const plain = describeInheritance(makePet("a"), makePet("b"));
+    const shiny = describeInheritance(
+      makePet("a", { isShiny: true }),
+      makePet("b", { isShiny: true })
+    );
+
+    expect(plain.shinyChance).toBe(BREEDING_CONFIG.SHINY_CHANCE);
+    expect(shiny.shinyChance).toBeCloseTo(
+      BREEDING_CONFIG.SHINY_CHANCE + 2 * BREEDING_CONFIG.SHINY_PARENT_BONUS
+    );
+  });
+
+  test("breeding requests need exactly two pets", async () => {
+    expect(await breedingService.breed("u1", ["a"])).toEqual({
+      success: false,
+      error: "Choose two pets to breed",
+      status: 400,
+    });
+    expect((await breedingService.preview("u1", null)).status).toBe(400);
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  applyStageModifiers,
+  evaluateStars,
+  findStage,
+  isChapterUnlocked,
+  isStageUnlocked,
+  summarizeStageBattle,
+  validateCampaign,
+} from "../src/config/campaign.js";
+import { campaignService } from "../src/services/CampaignService.js";
+import { CAMPAIGN_CHAPTERS } from "../src/utils/constants.js";
+
+const makePet = (overrides = {}) => ({
+  id: "pet_1",
+  name: "Pet 1",
+  type: "Water",
+  level: 10,
+  stats: { dmg: 40, hp: 150, critChance: 0.2, critDamage: 1.5, spa: 1 },
+  ...overrides,
+});
+
+const clearChapter = (chapterId, stars = 3) => {
+  const chapter = CAMPAIGN_CHAPTERS.find((c) => c.id === chapterId);
+  return chapter.stages.map((stage) => [stage.id, stars]);
+};
+
+describe("Campaign Tests", () => {
+  test("shipped campaign data is valid", () => {
+    expect(validateCampaign()).toBe(true);
+  });
+
+  test("validation rejects unknown abilities and star conditions", () => {
+    const chapters = JSON.parse(JSON.stringify(CAMPAIGN_CHAPTERS));
+    chapters[0].stages[0].opponents[0].ability = "not_an_ability";
+    chapters[0].stages[0].stars.push({ type: "flawless" });
+
+    expect(() => validateCampaign(chapters)).toThrow(/not_an_ability/);
+    expect(() => validateCampaign(chapters)).toThrow(/flawless/);
+  });
+
+  test("stages unlock in order and chapters need their predecessor cleared", () => {
+    const [first, second] = CAMPAIGN_CHAPTERS;
+    const empty = new Map();
+
+    expect(isStageUnlocked(first.stages[0].id, empty)).toBe(true);
+    expect(isStageUnlocked(first.stages[1].id, empty)).toBe(false);
+    expect(isChapterUnlocked(second, empty)).toBe(false);
+
+    const cleared = new Map(clearChapter(first.id, 1));
+    expect(isStageUnlocked(first.stages[1].id, cleared)).toBe(true);
+    expect(isChapterUnlocked(second, cleared)).toBe(true);
+    expect(isStageUnlocked(second.stages[0].id, cleared)).toBe(true);
+  });
+
+  test("chapters with a star requirement stay locked below it", () => {
+    const third = CAMPAIGN_CHAPTERS[2];
+    const required = CAMPAIGN_CHAPTERS.find(
+      (chapter) => chapter.id === third.unlock.chapter
+    );
+    const oneStarEach = new Map(clearChapter(required.id, 1));
+
+    expect(required.stages.length).toBeLessThan(third.unlock.minStars);
+    expect(isChapterUnlocked(third, oneStarEach)).toBe(false);
+    expect(isChapterUnlocked(third, new Map(clearChapter(required.id)))).toBe(
+      true
+    );
+  });
+
+  test("modifiers only scale pets of the targeted element", () => {
+    const team = [
+      makePet(),
+      makePet({ id: "pet_2", type: "Fire", currentHP: 10 }),
+    ];
+    const modified = applyStageModifiers(team, [
+      { element: "WATER", stat: "hp", multiplier: 1.2 },
+    ]);
+
+    expect(modified[0].stats.hp).toBe(180);
+    expect(modified[0].currentHP).toBe(180);
+    expect(modified[1].stats.hp).toBe(150);
+    expect(modified[1].currentHP).toBe(150);
+    expect(team[0].stats.hp).toBe(150);
+  });
+
+  test("stars count met conditions and need a win", () => {
+    const { stage } = findStage("ember_valley_1");
+    const battle = (winner, finalPlayerHP, turns) => ({
+      winner,
+      battleLog: [
+        {
+          result: {
+            finalPlayerHP,
+            turns: Array.from({ length: turns }),
+          },
+        },
+      ],
+    });
+
+    const perfect = summarizeStageBattle(battle("player", 50, 10));
+    expect(evaluateStars(stage, perfect).stars).toBe(3);
+
+    const fainted = summarizeStageBattle(battle("player", 0, 10));
+    expect(fainted.faints).toBe(1);
+    expect(evaluateStars(stage, fainted).stars).toBe(2);
+
+    const slow = summarizeStageBattle(battle("player", 50, 500));
+    expect(evaluateStars(stage, slow).stars).toBe(2);
+
+    const lost = summarizeStageBattle(battle("opponent", 0, 10));
+    expect(evaluateStars(stage, lost).stars).toBe(0);
+  });
+
+  test("first-clear rewards are only added once", () => {
+    const { stage } = findStage("ember_valley_1");
+    const pets = [makePet()];
+
+    const first = campaignService.calculateStageRewards(stage, pets, {
+      victory: true,
+      firstClear: true,
+    });
+    const repeat = campaignService.calculateStageRewards(stage, pets, {
+      victory: true,
+      firstClear: false,
+    });
+    const loss = campaignService.calculateStageRewards(stage, pets, {
+      victory: false,
+      firstClear: false,
+    });
+
+    expect(first.coins - repeat.coins).toBe(stage.firstClearRewards.coins);
+    expect(first.experience - repeat.experience).toBe(
+      stage.firstClearRewards.experience
+    );
+    expect(repeat.items).toEqual([]);
+    expect(loss.coins).toBe(0);
+  });
+
+  test("stage opponents build into full-health battle pets", () => {
+    const { stage } = findStage("tidal_reach_1");
+    const team = campaignService.buildOpponentTeam(stage);
+
+    expect(team).toHaveLength(stage.opponents.length);
+    team.forEach((pet) => {
+      expect(pet.currentHP).toBe(pet.stats.hp);
+      expect(pet.stats.dmg).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  describeCare,
+  feed,
+  getCareDamageMultiplier,
+  getCareExperienceMultiplier,
+  getCareMeters,
+  getCareStatus,
+} from "../src/config/care.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { Pet } from "../src/models/Pet.js";
+import { careService } from "../src/services/CareService.js";
+import { rewardService } from "../src/services/RewardService.js";
+import {
+  CARE_CONFIG,
+  FOOD_DEFINITIONS,
+  STAMINA_CONFIG,
+} from "../src/utils/constants.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date("2026-01-01T12:00:00Z").getTime();
+
+const makePet = (overrides = {}) => ({
+  id: "p1",
+  name: "Emberling",
+  hunger: 100,
+  happiness: 100,
+  careUpdatedAt: new Date(NOW),
+  ...overrides,
+});
+
+describe("Care Tests", () => {
+  test("meters decay with time and stop at zero", () => {
+    const pet = makePet();
+
+    expect(getCareMeters(pet, NOW + 10 * HOUR_MS)).toEqual({
+      hunger: 100 - 10 * CARE_CONFIG.HUNGER_DECAY_PER_HOUR,
+      happiness: 100 - 10 * CARE_CONFIG.HAPPINESS_DECAY_PER_HOUR,
+    });
+    expect(getCareMeters(pet, NOW + 1000 * HOUR_MS)).toEqual({
+      hunger: 0,
+      happiness: 0,
+    });
+
+    // Pets from before care existed have no timestamp and don't decay
+    expect(getCareMeters({}, NOW + 1000 * HOUR_MS)).toEqual({
+      hunger: CARE_CONFIG.MAX_METER,
+      happiness: CARE_CONFIG.MAX_METER,
+    });
+  });
+
+  test("the lower meter decides the status", () => {
+    expect(getCareStatus(makePet(), NOW)).toBe("well_cared");
+    expect(getCareStatus(makePet({ hunger: 50 }), NOW)).toBe("content");
+    expect(getCareStatus(makePet({ happiness: 10 }), NOW)).toBe("neglected");
+    expect(describeCare(makePet({ hunger: 0 }), NOW)).toMatchObject({
+      status: "neglected",
+      neglected: true,
+    });
+  });
+
+  test("neglect costs damage and experience, good care speeds up learning", () => {
+    expect(getCareDamageMultiplier(makePet({ hunger: 50 }), NOW)).toBe(1);
+    expect(getCareDamageMultiplier(makePet({ hunger: 0 }), NOW)).toBe(
+      CARE_CONFIG.MIN_DAMAGE_MULTIPLIER
+    );
+
+    expect(getCareExperienceMultiplier(makePet(), NOW)).toBe(
+      CARE_CONFIG.WELL_CARED_EXPERIENCE_MULTIPLIER
+    );
+    expect(getCareExperienceMultiplier(makePet({ hunger: 50 }), NOW)).toBe(1);
+    expect(getCareExperienceMultiplier(makePet({ hunger: 0 }), NOW)).toBe(
+      CARE_CONFIG.MIN_EXPERIENCE_MULTIPLIER
+    );
+
+    // Tiredness and neglect stack in the multiplier the engines read
+    const worn = makePet({
+      hunger: 0,
+      stamina: 0,
+      staminaUpdatedAt: new Date(NOW),
+    });
+    expect(GameController.getDamageMultiplier(worn, NOW)).toBe(
+      +(
+        STAMINA_CONFIG.MIN_DAMAGE_MULTIPLIER * CARE_CONFIG.MIN_DAMAGE_MULTIPLIER
+      ).toFixed(2)
+    );
+  });
+
+  test("feeding banks decay first and caps the meters", () => {
+    const hungry = makePet({ careUpdatedAt: new Date(NOW - 20 * HOUR_MS) });
+    const update = feed(hungry, FOOD_DEFINITIONS.kibble, NOW);
+
+    expect(update).toEqual({
+      hunger: 100 - 20 * CARE_CONFIG.HUNGER_DECAY_PER_HOUR + 30,
+      happiness: 100 - 20 * CARE_CONFIG.HAPPINESS_DECAY_PER_HOUR + 5,
+      careUpdatedAt: new Date(NOW),
+    });
+    expect(feed(makePet(), FOOD_DEFINITIONS.hearty_stew, NOW).hunger).toBe(
+      CARE_CONFIG.MAX_METER
+    );
+  });
+
+  test("pets show their care and start decaying once created", () => {
+    const pet = new Pet({ name: "Emberling", type: "Fire", rarity: "Common" });
+
+    expect(pet.careUpdatedAt).toBeInstanceOf(Date);
+    expect(pet.toJSON().care).toMatchObject({
+      hunger: CARE_CONFIG.MAX_METER,
+      status: "well_cared",
+    });
+  });
+
+  test("food purchases are checked before any coins move", async () => {
+    expect(await careService.buyFood("u1", "mystery_meat")).toMatchObject({
+      success: false,
+      status: 400,
+    });
+    expect((await careService.buyFood("u1", "golden_cake")).error).toMatch(
+      /only earned/
+    );
+    expect(
+      (
+        await careService.buyFood(
+          "u1",
+          "kibble",
+          CARE_CONFIG.MAX_FOOD_PURCHASE + 1
+        )
+      ).status
+    ).toBe(400);
+    expect((await careService.feedPet("u1", "p1", "rock")).error).toBe(
+      "Unknown food"
+    );
+  });
+
+  test("quests reward food by difficulty", () => {
+    Object.entries(CARE_CONFIG.QUEST_FOOD).forEach(([difficulty, food]) => {
+      expect(FOOD_DEFINITIONS[food.foodId]).toBeDefined();
+      expect(rewardService.generateQuestItems(difficulty)).toContainEqual({
+        type: "food",
+        ...food,
+      });
+    });
+  });
+});
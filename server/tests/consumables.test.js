@@ -0,0 +1,266 @@
+import {
+  determineBattleResult,
+  evaluateTurn,
+  getAvailableActions,
+} from "../src/config/battleLogic.js";
+import {
+  canUseItem,
+  chooseItem,
+  createItemBag,
+  getItemUpdate,
+  getItemUsage,
+  getRemainingUses,
+  getUnusedItems,
+  useItem,
+  validateConsumables,
+} from "../src/config/consumables.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { consumableService } from "../src/services/ConsumableService.js";
+import { CONSUMABLE_DEFINITIONS } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makeTrainer = (id, type, bag = null) => ({
+  id,
+  bag,
+  pet: {
+    id,
+    name: `${type} pet`,
+    type,
+    ability: "flame_burst",
+    level: 5,
+    stats: { dmg: 20, hp: 200, critChance: 0, critDamage: 1.5, spa: 1 },
+    currentHP: 200,
+    statusEffects: [],
+    abilityCooldowns: {},
+  },
+});
+
+const burn = { name: "burn", type: "damage", duration: 3, damagePerTurn: 5 };
+const shield = { name: "defense_up", type: "buff", duration: 3 };
+
+describe("Consumable Tests", () => {
+  test("bags cap each item at its per-battle limit", () => {
+    const limit = CONSUMABLE_DEFINITIONS.super_potion.perBattleLimit;
+    const bag = createItemBag({ super_potion: limit + 2, antidote: 0 });
+
+    expect(bag).toEqual({ super_potion: { quantity: limit + 2, used: 0 } });
+    expect(getRemainingUses(bag, "super_potion")).toBe(limit);
+    expect(getRemainingUses(bag, "revive")).toBe(0);
+  });
+
+  test("potions heal, antidotes cure and elixirs restore mana", () => {
+    const bag = createItemBag({
+      healing_potion: 1,
+      antidote: 1,
+      mana_elixir: 1,
+    });
+    const { pet } = makeTrainer("p1", "Fire");
+
+    // Nothing to fix on a healthy pet
+    expect(canUseItem(pet, "healing_potion", bag)).toBe(false);
+    expect(canUseItem(pet, "antidote", bag)).toBe(false);
+
+    pet.currentHP = 50;
+    pet.statusEffects = [burn, shield];
+    pet.maxMana = 100;
+    pet.mana = 10;
+
+    expect(useItem(pet, "healing_potion", bag)).toMatchObject({
+      itemId: "healing_potion",
+      amount: 60,
+    });
+    expect(pet.currentHP).toBe(110);
+
+    useItem(pet, "antidote", bag);
+    expect(pet.statusEffects).toEqual([shield]);
+
+    useItem(pet, "mana_elixir", bag);
+    expect(pet.mana).toBe(60);
+
+    expect(useItem(pet, "healing_potion", bag)).toBeNull();
+    expect(getItemUsage(bag)).toEqual({
+      healing_potion: 1,
+      antidote: 1,
+      mana_elixir: 1,
+    });
+  });
+
+  test("using an item takes the pet's action and leaves it open", () => {
+    const bag = createItemBag({ healing_potion: 2 });
+    const player = makeTrainer("p1", "Fire", bag);
+    const opponent = makeTrainer("o1", "Fire");
+    player.pet.currentHP = 40;
+
+    expect(getAvailableActions(player.pet, bag)).toContain("item");
+    expect(getAvailableActions(player.pet)).not.toContain("item");
+    expect(determineBattleResult("item", "attack")).toBe("lose");
+    expect(determineBattleResult("attack", "item")).toBe("win");
+
+    const turn = evaluateTurn(
+      player,
+      opponent,
+      {
+        playerAction: "item",
+        opponentAction: "defend",
+        result: determineBattleResult("item", "defend"),
+        playerItem: "healing_potion",
+      },
+      createSeededRandom(1)
+    );
+
+    expect(turn.itemsUsed).toEqual([
+      expect.objectContaining({ side: "player", itemId: "healing_potion" }),
+    ]);
+    expect(player.pet.currentHP).toBe(100);
+    expect(bag.healing_potion.used).toBe(1);
+  });
+
+  test("a revive picks a fainted pet up once per battle", () => {
+    const bag = createItemBag({ revive: 1 });
+    const player = makeTrainer("p1", "Fire", bag);
+    const opponent = makeTrainer("o1", "Fire");
+    const knockOut = () =>
+      evaluateTurn(
+        player,
+        opponent,
+        {
+          playerAction: "recover",
+          opponentAction: "attack",
+          result: "lose",
+        },
+        createSeededRandom(2)
+      );
+
+    player.pet.currentHP = 1;
+    const before = player.pet.nextActionAt ?? player.pet.stats.spa;
+    const turn = knockOut();
+
+    expect(turn.itemsUsed).toEqual([
+      expect.objectContaining({ side: "player", itemId: "revive" }),
+    ]);
+    expect(player.pet.currentHP).toBe(
+      Math.floor(200 * CONSUMABLE_DEFINITIONS.revive.ratio)
+    );
+    // Getting back up costs the next action on top of the one just taken
+    expect(player.pet.nextActionAt).toBe(before + 2 * player.pet.stats.spa);
+
+    player.pet.currentHP = 1;
+    expect(knockOut().itemsUsed).toEqual([]);
+    expect(player.pet.currentHP).toBe(0);
+  });
+
+  test("autopilot reaches for the item the situation calls for", () => {
+    const bag = createItemBag({
+      healing_potion: 1,
+      super_potion: 1,
+      antidote: 1,
+    });
+    const { pet } = makeTrainer("p1", "Fire");
+
+    expect(chooseItem(pet, bag)).toBeNull();
+
+    pet.statusEffects = [burn];
+    expect(chooseItem(pet, bag)).toBe("antidote");
+
+    pet.currentHP = 60;
+    expect(chooseItem(pet, bag)).toBe("super_potion");
+    pet.currentHP = 149;
+    pet.statusEffects = [];
+    expect(chooseItem(pet, bag)).toBeNull();
+  });
+
+  test("simulated battles spend items and replay identically", async () => {
+    const makeTeam = (prefix, type, hp) =>
+      GameController.convertPetsToBattleFormat(
+        [1, 2].map((n) => ({
+          ...makeTrainer(`${prefix}${n}`, type).pet,
+          stats: { dmg: 30, hp, critChance: 0, critDamage: 1.5, spa: 1 },
+          currentHP: undefined,
+        })),
+        prefix
+      );
+    const run = (bag) =>
+      GameController.simulateRoundRobinBattle(
+        makeTeam("p", "Fire", 150),
+        makeTeam("o", "Water", 300),
+        "pve",
+        createSeededRandom(5),
+        0,
+        bag
+      );
+
+    const bag = createItemBag({ healing_potion: 3, revive: 1 });
+    const result = await run(bag);
+
+    expect(result.itemsUsed).toEqual(getItemUsage(bag));
+    expect(result.itemsUsed.healing_potion).toBeGreaterThan(0);
+    expect(getUnusedItems(bag).healing_potion || 0).toBe(
+      3 - result.itemsUsed.healing_potion
+    );
+
+    const replay = await run(createItemBag({ healing_potion: 3, revive: 1 }));
+    expect(replay.battleLog).toEqual(result.battleLog);
+
+    const withoutItems = await run(null);
+    expect(withoutItems.itemsUsed).toEqual({});
+  });
+
+  test("battle item requests are checked before anything is withdrawn", () => {
+    expect(consumableService.validateRequest({ healing_potion: 2 })).toBe(null);
+    expect(consumableService.validateRequest({ elixir_of_life: 1 })).toMatch(
+      /Unknown consumable/
+    );
+    expect(consumableService.validateRequest({ revive: 2 })).toMatch(
+      /at most 1 Revive/
+    );
+    expect(consumableService.validateRequest({ antidote: 1.5 })).toMatch(
+      /whole number/
+    );
+    expect(consumableService.validateRequest([])).toMatch(/must map/);
+    expect(consumableService.validateRequest({ stamina_tonic: 1 })).toMatch(
+      /between battles/
+    );
+  });
+
+  test("stamina tonics top up a pet between battles, not during them", async () => {
+    const now = Date.UTC(2026, 0, 1);
+    const pet = {
+      ...makeTrainer("p1", "Fire").pet,
+      stamina: 30,
+      staminaUpdatedAt: new Date(now),
+    };
+
+    expect(getItemUpdate(pet, "stamina_tonic", now)).toEqual({
+      stamina: 80,
+      staminaUpdatedAt: new Date(now),
+    });
+    expect(
+      getItemUpdate({ ...pet, stamina: 90 }, "stamina_tonic", now).stamina
+    ).toBe(100);
+    expect(getItemUpdate(pet, "healing_potion", now)).toBeNull();
+    expect(
+      canUseItem(pet, "stamina_tonic", createItemBag({ stamina_tonic: 1 }))
+    ).toBe(false);
+
+    expect(
+      (await consumableService.useOnPet("u1", "p1", "healing_potion")).error
+    ).toMatch(/only be used in battle/);
+    expect(
+      await consumableService.useOnPet("u1", "p1", "moon_dust")
+    ).toMatchObject({ success: false, status: 400 });
+  });
+
+  test("consumable definitions are validated", () => {
+    expect(validateConsumables()).toBe(true);
+    expect(() =>
+      validateConsumables({
+        elixir: { id: "elixir", effect: "transmute", perBattleLimit: 0 },
+      })
+    ).toThrow(/unknown effect[\s\S]*perBattleLimit/);
+    expect(() =>
+      validateConsumables({
+        tonic: { id: "tonic", effect: "restore_stamina" },
+      })
+    ).toThrow(/positive amount/);
+  });
+});
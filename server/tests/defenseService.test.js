@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import DefenseTeam, { MAX_DEFENSE_RESULTS } from "../src/models/DefenseTeam.js";
+import { defenseService } from "../src/services/DefenseService.js";
+
+describe("Defense Team Tests", () => {
+  test("coin pot is split by matches won", () => {
+    const split = defenseService.splitRewards(
+      { coins: 90, experience: 40 },
+      { opponentWins: 1, playerWins: 2, totalRounds: 3 }
+    );
+
+    expect(split.attacker).toEqual({ coins: 60, experience: 40 });
+    expect(split.defender).toEqual({ coins: 30, experience: 0 });
+  });
+
+  test("records defense results and keeps only the latest ones", () => {
+    const team = new DefenseTeam({
+      userId: new mongoose.Types.ObjectId(),
+      petIds: [new mongoose.Types.ObjectId()],
+    });
+
+    for (let i = 0; i < MAX_DEFENSE_RESULTS + 5; i++) {
+      team.recordResult({
+        attackerId: new mongoose.Types.ObjectId(),
+        attackerName: `attacker_${i}`,
+        victory: i % 2 === 0,
+        coinsEarned: 10,
+      });
+    }
+
+    expect(team.defenseWins).toBe(13);
+    expect(team.defenseLosses).toBe(12);
+    expect(team.coinsEarned).toBe(250);
+    expect(team.results).toHaveLength(MAX_DEFENSE_RESULTS);
+    expect(team.results[0].attackerName).toBe(
+      `attacker_${MAX_DEFENSE_RESULTS + 4}`
+    );
+  });
+
+  test("rejects teams larger than three pets", () => {
+    const team = new DefenseTeam({
+      userId: new mongoose.Types.ObjectId(),
+      petIds: Array.from({ length: 4 }, () => new mongoose.Types.ObjectId()),
+    });
+
+    expect(team.validateSync().errors.petIds).toBeDefined();
+  });
+});
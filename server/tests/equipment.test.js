@@ -0,0 +1,125 @@
+import { getEffectiveStats } from "../src/config/battleLogic.js";
+import { validateCampaign } from "../src/config/campaign.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { equipmentService } from "../src/services/EquipmentService.js";
+import {
+  CAMPAIGN_CHAPTERS,
+  EQUIPMENT_SLOTS,
+  ITEM_DEFINITIONS,
+  getEquipmentMultipliers,
+} from "../src/utils/constants.js";
+
+const makePet = (overrides = {}) => ({
+  id: "pet",
+  name: "Pet",
+  type: "Fire",
+  level: 10,
+  technique: null,
+  stats: {
+    dmg: 100,
+    hp: 200,
+    range: 3,
+    spa: 1,
+    critChance: 0.1,
+    critDamage: 1.5,
+    moneyBonus: 0.2,
+  },
+  ...overrides,
+});
+
+const held = (...itemIds) =>
+  itemIds.map((itemId) => ({ slot: ITEM_DEFINITIONS[itemId].slot, itemId }));
+
+describe("Equipment Tests", () => {
+  test("every item fits a known slot and only touches battle stats", () => {
+    // Mana isn't a stored stat, but items can scale it in battle
+    const stats = [...Object.keys(makePet().stats), "maxMana", "manaRegen"];
+
+    Object.values(ITEM_DEFINITIONS).forEach((item) => {
+      expect(EQUIPMENT_SLOTS).toContain(item.slot);
+      Object.keys(item.modifiers).forEach((stat) =>
+        expect(stats).toContain(stat)
+      );
+    });
+    EQUIPMENT_SLOTS.forEach((slot) =>
+      expect(
+        Object.values(ITEM_DEFINITIONS).some((item) => item.slot === slot)
+      ).toBe(true)
+    );
+  });
+
+  test("multipliers from several items stack and unknown items are ignored", () => {
+    const multipliers = getEquipmentMultipliers([
+      ...held("phoenix_feather", "guardian_collar"),
+      { slot: "badge", itemId: "missing" },
+    ]);
+
+    expect(multipliers.dmg).toBeCloseTo(1.1 * 1.03);
+    expect(multipliers.hp).toBeCloseTo(1.15);
+    expect(multipliers.critDamage).toBeCloseTo(1.1);
+    expect(getEquipmentMultipliers()).toEqual({});
+  });
+
+  test("effective stats fold items in alongside the technique", () => {
+    const bare = getEffectiveStats(makePet({ technique: "Sturdy" }));
+    const equipped = getEffectiveStats(
+      makePet({
+        technique: "Sturdy",
+        equipment: held("ember_charm", "leather_collar", "swift_badge"),
+      })
+    );
+
+    expect(bare.dmg).toBe(105);
+    expect(equipped.dmg).toBe(Math.round(105 * 1.05));
+    expect(equipped.hp).toBe(210);
+    expect(equipped.spa).toBe(0.97);
+    expect(equipped.critChance).toBe(bare.critChance);
+  });
+
+  test("pets without items keep their stats", () => {
+    const pet = makePet({ equipment: [] });
+    expect(getEffectiveStats(pet)).toEqual(pet.stats);
+  });
+
+  test("battle teams apply item modifiers exactly once", () => {
+    const [battlePet] = GameController.convertPetsToBattleFormat(
+      [makePet({ equipment: held("leather_collar", "ember_charm") })],
+      "Trainer"
+    );
+    expect(battlePet.currentHP).toBe(210);
+
+    const fighter = GameController.convertPetToBattleFormat(battlePet);
+    expect(fighter.stats.hp).toBe(210);
+    expect(fighter.stats.dmg).toBe(105);
+    expect(getEffectiveStats(fighter)).toEqual(fighter.stats);
+  });
+
+  test("inventory entries carry their item definition", () => {
+    const entry = {
+      _id: "inv_1",
+      itemId: "scout_badge",
+      equippedTo: null,
+      source: "reward",
+      obtainedAt: new Date(0),
+    };
+
+    expect(equipmentService.formatItem(entry)).toMatchObject({
+      id: "inv_1",
+      itemId: "scout_badge",
+      slot: "badge",
+      name: "Scout Badge",
+      modifiers: { range: 1.1 },
+      equippedTo: null,
+    });
+  });
+
+  test("campaign rewards must name real items", () => {
+    expect(validateCampaign()).toBe(true);
+
+    const broken = structuredClone(CAMPAIGN_CHAPTERS);
+    broken[0].stages[0].firstClearRewards.items = [
+      { type: "equipment", quantity: 1, itemId: "cursed_crown" },
+    ];
+    expect(() => validateCampaign(broken)).toThrow(/unknown item/);
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  checkRequirements,
+  describeEvolution,
+  getCurrentForm,
+  getEvolutionResult,
+  getNextForms,
+  getTimeOfDay,
+  validateEvolutions,
+} from "../src/config/evolution.js";
+import { EVOLUTION_TREES, ITEM_DEFINITIONS } from "../src/utils/constants.js";
+
+const NOON = Date.UTC(2026, 0, 1, 12);
+const MIDNIGHT = Date.UTC(2026, 0, 1, 0);
+
+const makePet = (overrides = {}) => ({
+  id: "p1",
+  name: "Emberling",
+  type: "Fire",
+  ability: "flame_burst",
+  level: 10,
+  battlesWon: 0,
+  equipment: [],
+  evolutionStage: 1,
+  evolutionForm: null,
+  evolutions: [],
+  stats: { dmg: 40, hp: 200, range: 2, spa: 1 },
+  ...overrides,
+});
+
+describe("Evolution Tests", () => {
+  test("every tree is well formed", () => {
+    Object.values(EVOLUTION_TREES).forEach((tree) => {
+      expect(tree.forms[tree.base].stage).toBe(1);
+
+      Object.values(tree.forms).forEach((form) => {
+        form.evolvesTo.forEach((formId) => {
+          expect(tree.forms[formId].stage).toBe(form.stage + 1);
+        });
+        (form.requires?.items || []).forEach((itemId) => {
+          expect(ITEM_DEFINITIONS[itemId]).toBeDefined();
+        });
+      });
+    });
+  });
+
+  test("evolution trees are validated", () => {
+    expect(validateEvolutions()).toBe(true);
+    expect(() =>
+      validateEvolutions({
+        FIRE: {
+          base: "emberling",
+          forms: {
+            emberling: {
+              id: "emberling",
+              evolvesTo: ["blazehound"],
+              requires: { mood: "happy", items: ["rusty_spoon"] },
+              changes: { ability: "moon_kick" },
+            },
+          },
+        },
+      })
+    ).toThrow(
+      /unknown form "blazehound"[\s\S]*unknown requirement "mood"[\s\S]*unknown item "rusty_spoon"[\s\S]*unknown ability "moon_kick"/
+    );
+  });
+
+  test("pets without a form start from their type's base form", () => {
+    expect(getCurrentForm(makePet()).id).toBe(EVOLUTION_TREES.FIRE.base);
+    expect(getCurrentForm(makePet({ evolutionForm: "cinderwing" })).id).toBe(
+      "cinderwing"
+    );
+    expect(getCurrentForm(makePet({ type: "Plasma" }))).toBeNull();
+  });
+
+  test("requirements check level, wins, abilities, held items and time of day", () => {
+    expect(getTimeOfDay(NOON)).toBe("day");
+    expect(getTimeOfDay(MIDNIGHT)).toBe("night");
+
+    const phoenix = EVOLUTION_TREES.FIRE.forms.phoenix;
+    const unmet = checkRequirements(makePet(), phoenix, MIDNIGHT);
+    expect(unmet.every((requirement) => !requirement.met)).toBe(true);
+
+    const ready = makePet({
+      level: 30,
+      equipment: [{ slot: "charm", itemId: "phoenix_feather" }],
+    });
+    expect(checkRequirements(ready, phoenix, NOON).every((r) => r.met)).toBe(
+      true
+    );
+
+    const tidecaller = EVOLUTION_TREES.WATER.forms.tidecaller;
+    const [, ability] = checkRequirements(
+      makePet({ type: "Water", ability: [{ id: "water_shield" }] }),
+      tidecaller
+    );
+    expect(ability).toMatchObject({ kind: "ability", met: true });
+  });
+
+  test("branches are offered with whether each can be taken now", () => {
+    const pet = makePet({ battlesWon: 12 });
+
+    const atNoon = getNextForms(pet, NOON);
+    expect(atNoon.map((form) => form.id)).toEqual(["blazehound", "cinderwing"]);
+    expect(atNoon.map((form) => form.canEvolve)).toEqual([true, false]);
+    expect(getNextForms(pet, MIDNIGHT)[1].canEvolve).toBe(true);
+
+    const final = describeEvolution(makePet({ evolutionForm: "phoenix" }));
+    expect(final.isFinal).toBe(true);
+    expect(final.nextForms).toEqual([]);
+  });
+
+  test("evolving validates against the tree and applies the form's changes", () => {
+    const pet = makePet({ battlesWon: 12 });
+
+    expect(getEvolutionResult(pet, null, NOON).error).toMatch(/Choose/);
+    expect(getEvolutionResult(pet, "phoenix", NOON).error).toMatch(
+      /can't evolve into phoenix/
+    );
+    expect(getEvolutionResult(pet, "cinderwing", NOON).error).toMatch(
+      /during the night/
+    );
+
+    const { form, update } = getEvolutionResult(pet, "cinderwing", MIDNIGHT);
+    expect(form.id).toBe("cinderwing");
+    expect(update).toMatchObject({
+      name: "Cinderwing",
+      evolutionForm: "cinderwing",
+      evolutionStage: 2,
+      ability: "fire_wall",
+      evolutions: ["Cinderwing"],
+      stats: { dmg: 46, hp: 200, range: 2.4, spa: 0.95 },
+    });
+
+    // Generated names follow the form, names the owner chose stay
+    expect(
+      getEvolutionResult(
+        makePet({ name: "Mystic Blaze", battlesWon: 12 }),
+        "blazehound"
+      ).update.name
+    ).toBe("Blazehound");
+    const named = getEvolutionResult(
+      makePet({ name: "Sparky", nameSetByOwner: true }),
+      "cinderwing",
+      MIDNIGHT
+    ).update;
+    expect(named.name).toBeUndefined();
+    expect(named).toMatchObject({
+      evolutionForm: "cinderwing",
+      evolutions: ["Cinderwing"],
+    });
+
+    // Only one branch is left, so the form can be left out
+    const evolved = makePet({
+      ...update,
+      level: 30,
+      equipment: [{ slot: "charm", itemId: "phoenix_feather" }],
+    });
+    expect(getEvolutionResult(evolved, null, NOON).update.evolutionForm).toBe(
+      "phoenix"
+    );
+    expect(
+      getEvolutionResult({ ...evolved, evolutionForm: "phoenix" }).error
+    ).toMatch(/fully evolved/);
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  generateWaves,
+  simulatePlacementBattle,
+  validatePlacements,
+} from "../src/config/placementBattle.js";
+import { PLACEMENT_CONFIG } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makePet = (id, overrides = {}) => ({
+  id,
+  name: `Pet ${id}`,
+  type: "Fire",
+  level: 5,
+  technique: null,
+  stats: {
+    dmg: 25,
+    hp: 100,
+    range: 4,
+    spa: 1,
+    critChance: 0.1,
+    critDamage: 1.5,
+    moneyBonus: 0,
+  },
+  ...overrides,
+});
+
+const play = (placements, pets, seed = 9) =>
+  simulatePlacementBattle({
+    placements,
+    pets,
+    difficulty: "medium",
+    enemyLevel: 5,
+    rng: createSeededRandom(seed),
+  });
+
+describe("Placement Battle Tests", () => {
+  test("placements must stay on the grid, on free cells and within limits", () => {
+    const pets = [makePet("a"), makePet("b")];
+
+    expect(validatePlacements([], pets).valid).toBe(false);
+    expect(
+      validatePlacements([{ petId: "zzz", lane: 0, column: 0 }], pets).error
+    ).toMatch("not available");
+    expect(
+      validatePlacements(
+        [{ petId: "a", lane: PLACEMENT_CONFIG.LANES, column: 0 }],
+        pets
+      ).error
+    ).toMatch("outside the map");
+    expect(
+      validatePlacements(
+        [
+          { petId: "a", lane: 0, column: 0 },
+          { petId: "b", lane: 0, column: 0 },
+        ],
+        pets
+      ).error
+    ).toMatch("already has a pet");
+
+    const copies = Array.from(
+      { length: PLACEMENT_CONFIG.MAX_COPIES_PER_PET + 1 },
+      (_, column) => ({ petId: "a", lane: 0, column })
+    );
+    expect(validatePlacements(copies, pets).error).toMatch("at most");
+    expect(validatePlacements(copies.slice(1), pets).valid).toBe(true);
+  });
+
+  test("ONE PLACEMENT pets can share the map but only once", () => {
+    const pets = [makePet("a", { technique: "Overlord" }), makePet("b")];
+
+    expect(
+      validatePlacements(
+        [
+          { petId: "a", lane: 0, column: 0 },
+          { petId: "b", lane: 1, column: 0 },
+        ],
+        pets
+      ).valid
+    ).toBe(true);
+    expect(
+      validatePlacements(
+        [
+          { petId: "a", lane: 0, column: 0 },
+          { petId: "a", lane: 1, column: 0 },
+        ],
+        pets
+      ).error
+    ).toMatch("ONE PLACEMENT");
+  });
+
+  test("waves and outcomes are deterministic for a seed", () => {
+    const pets = [makePet("a")];
+    const placements = [{ petId: "a", lane: 1, column: 4 }];
+
+    expect(generateWaves(createSeededRandom(3))).toEqual(
+      generateWaves(createSeededRandom(3))
+    );
+    expect(play(placements, pets)).toEqual(play(placements, pets));
+  });
+
+  test("range decides which enemies a pet can reach", () => {
+    const shortRange = makePet("a", {
+      stats: { ...makePet("a").stats, range: 0.5 },
+    });
+    const longRange = makePet("a", {
+      stats: { ...makePet("a").stats, range: 6 },
+    });
+    const placements = [{ petId: "a", lane: 0, column: 5 }];
+
+    const short = play(placements, [shortRange]);
+    const long = play(placements, [longRange]);
+
+    expect(short.placements[0].kills).toBeLessThan(long.placements[0].kills);
+  });
+
+  test("moneyBonus raises the payout of every cleared wave", () => {
+    const strong = { dmg: 200, hp: 100, range: 8, spa: 0.5, critChance: 0 };
+    const placements = [
+      { petId: "a", lane: 0, column: 6 },
+      { petId: "a", lane: 1, column: 6 },
+      { petId: "a", lane: 2, column: 6 },
+    ];
+
+    const plain = play(placements, [
+      makePet("a", { stats: { ...strong, moneyBonus: 0 } }),
+    ]);
+    const golden = play(placements, [
+      makePet("a", { stats: { ...strong, moneyBonus: 0.5 } }),
+    ]);
+
+    expect(plain.victory).toBe(true);
+    expect(plain.waves[0].rewards.coins).toBe(
+      PLACEMENT_CONFIG.WAVE_REWARD.coins
+    );
+    // Copies of the same pet only count its bonus once
+    expect(golden.waves[0].rewards.coins).toBe(
+      Math.floor(PLACEMENT_CONFIG.WAVE_REWARD.coins * 1.5)
+    );
+    expect(golden.rewards.coins).toBeGreaterThan(plain.rewards.coins);
+  });
+});
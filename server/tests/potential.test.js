@@ -0,0 +1,135 @@
+import {
+  appraisePotential,
+  fusePotential,
+  getGrowthMultiplier,
+  getPotentialGrade,
+  inheritPotential,
+  rollPotential,
+} from "../src/config/potential.js";
+import { inheritGenes } from "../src/config/breeding.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { Pet } from "../src/models/Pet.js";
+import { POTENTIAL_CONFIG } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const { MAX_VALUE } = POTENTIAL_CONFIG;
+
+const uniform = (value) =>
+  Object.fromEntries(POTENTIAL_CONFIG.STATS.map((stat) => [stat, value]));
+
+const makePet = (potential) =>
+  new Pet({
+    name: "Emberling",
+    type: "Fire",
+    rarity: "Common",
+    ability: "flame_burst",
+    level: 4,
+    experience: 4 * 4 * 50,
+    stats: { dmg: 20, hp: 100, range: 2, spa: 1 },
+    potential,
+  });
+
+describe("Potential Tests", () => {
+  test("potential rolls every stat within range and replays from a seed", () => {
+    for (let seed = 1; seed <= 20; seed += 1) {
+      const potential = rollPotential(createSeededRandom(seed));
+
+      expect(Object.keys(potential)).toEqual(POTENTIAL_CONFIG.STATS);
+      Object.values(potential).forEach((value) => {
+        expect(Number.isInteger(value)).toBe(true);
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThanOrEqual(MAX_VALUE);
+      });
+    }
+
+    expect(rollPotential(createSeededRandom(3))).toEqual(
+      rollPotential(createSeededRandom(3))
+    );
+  });
+
+  test("appraisal turns potential into letter grades", () => {
+    expect(getPotentialGrade(MAX_VALUE)).toBe("S");
+    expect(getPotentialGrade(0)).toBe("D");
+    expect(getPotentialGrade(Math.ceil(MAX_VALUE * 0.5))).toBe("B");
+
+    expect(
+      appraisePotential({ dmg: MAX_VALUE, hp: MAX_VALUE, range: 0, spa: 0 })
+    ).toEqual({
+      grades: { dmg: "S", hp: "S", range: "D", spa: "D" },
+      overall: "B",
+    });
+    expect(appraisePotential(null)).toBeNull();
+  });
+
+  test("higher potential grows more per level", async () => {
+    expect(getGrowthMultiplier(uniform(0), "dmg")).toBe(
+      POTENTIAL_CONFIG.GROWTH_MIN
+    );
+    expect(getGrowthMultiplier(uniform(MAX_VALUE), "dmg")).toBe(
+      POTENTIAL_CONFIG.GROWTH_MAX
+    );
+    expect(getGrowthMultiplier(null, "hp")).toBe(
+      (POTENTIAL_CONFIG.GROWTH_MIN + POTENTIAL_CONFIG.GROWTH_MAX) / 2
+    );
+
+    const low = await GameController.checkPetLevelUp(makePet(uniform(0)));
+    const high = await GameController.checkPetLevelUp(
+      makePet(uniform(MAX_VALUE))
+    );
+    expect(low.leveledUp).toBe(true);
+    expect(high.newStats.dmg).toBeGreaterThan(low.newStats.dmg);
+    expect(high.newStats.hp).toBeGreaterThan(low.newStats.hp);
+  });
+
+  test("potential is rolled for new pets and hidden until appraised", () => {
+    const pet = makePet(undefined);
+    expect(pet.potential).toEqual(expect.any(Object));
+    expect(pet.toJSON()).not.toHaveProperty("potential");
+    expect(pet.toJSON().appraisal).toBeNull();
+
+    pet.appraisedAt = new Date();
+    expect(pet.toJSON().appraisal).toEqual(appraisePotential(pet.potential));
+    expect(pet.toDatabaseObject().potential).toEqual(pet.potential);
+
+    // Stored pets from before potential existed don't get a fresh roll
+    const legacy = Pet.fromDatabaseObject({ ...pet.toDatabaseObject() });
+    expect(legacy.potential).toEqual(pet.potential);
+    expect(
+      Pet.fromDatabaseObject({
+        ...pet.toDatabaseObject(),
+        potential: undefined,
+      }).potential
+    ).toBeNull();
+  });
+
+  test("breeding and fusion build on the parents' potential", () => {
+    const parentA = { potential: uniform(MAX_VALUE) };
+    const parentB = { potential: uniform(MAX_VALUE) };
+
+    // Always inherit from a parent
+    expect(inheritPotential(parentA, parentB, () => 0)).toEqual(
+      uniform(MAX_VALUE)
+    );
+    // Never inherit, so every stat is a fresh roll
+    expect(inheritPotential(parentA, parentB, () => 0.99)).toEqual(
+      uniform(Math.floor(0.99 * (MAX_VALUE + 1)))
+    );
+
+    const child = inheritGenes(
+      { ...makePet(uniform(MAX_VALUE)), id: "a" },
+      { ...makePet(uniform(MAX_VALUE)), id: "b" },
+      createSeededRandom(11)
+    ).pet;
+    expect(Object.keys(child.potential)).toEqual(POTENTIAL_CONFIG.STATS);
+
+    const materials = [
+      { potential: uniform(20) },
+      { potential: uniform(30) },
+      { potential: null },
+    ];
+    const fused = fusePotential(materials, () => 0);
+    const midpoint = MAX_VALUE / 2;
+    expect(fused).toEqual(uniform(Math.round((20 + 30 + midpoint) / 3)));
+    expect(fusePotential(materials, () => 0.999)).toEqual(uniform(MAX_VALUE));
+  });
+});
@@ -0,0 +1,137 @@
+import { pvpService } from "../src/services/PvPService.js";
+
+const makePet = (id, type) => ({
+  id,
+  name: `${type} pet`,
+  type,
+  rarity: "Common",
+  ability: "flame_burst",
+  level: 5,
+  stats: {
+    dmg: 20,
+    hp: 120,
+    range: 1,
+    spa: 1,
+    critChance: 0.1,
+    critDamage: 1.5,
+  },
+  statusEffects: [],
+});
+
+const makeConnection = () => {
+  const messages = [];
+  return {
+    messages,
+    send: (type, data) => messages.push({ type, data }),
+    last: (type) => messages.filter((m) => m.type === type).pop(),
+  };
+};
+
+const queuePlayer = (userId, level, joinedAt = Date.now()) => {
+  const connection = makeConnection();
+  pvpService.joinQueue({
+    userId,
+    username: `user_${userId}`,
+    level,
+    userPets: [`${userId}_pet`],
+    team: [makePet(`${userId}_pet`, "Fire")],
+    connection,
+  });
+  pvpService.queue.get(userId).joinedAt = joinedAt;
+  return connection;
+};
+
+describe("PvP Service Tests", () => {
+  const { settlePlayer, rateBattle } = pvpService;
+
+  beforeAll(() => {
+    // Settlement and ratings write to MongoDB, which these tests do not run
+    pvpService.settlePlayer = async () => ({ coins: 0, experience: 0 });
+    pvpService.rateBattle = async () => ({});
+  });
+
+  afterAll(() => {
+    pvpService.settlePlayer = settlePlayer;
+    pvpService.rateBattle = rateBattle;
+  });
+
+  afterEach(() => {
+    [...pvpService.battles.values()].forEach((battle) =>
+      pvpService.endBattle(battle, null, "forfeit")
+    );
+    pvpService.queue.clear();
+  });
+
+  test("matchmaking pairs the closest levels within range", () => {
+    const now = Date.now();
+    queuePlayer("u1", 10, now);
+    queuePlayer("u2", 30, now);
+    queuePlayer("u3", 11, now);
+
+    const battles = pvpService.runMatchmaking(now);
+
+    expect(battles).toHaveLength(1);
+    expect(battles[0].players.A.userId).toBe("u1");
+    expect(battles[0].players.B.userId).toBe("u3");
+    expect(pvpService.queue.has("u2")).toBe(true);
+  });
+
+  test("level range widens while players wait", () => {
+    const now = Date.now();
+    queuePlayer("u1", 10, now - 60000);
+    queuePlayer("u2", 16, now - 60000);
+
+    expect(pvpService.runMatchmaking(now - 50000)).toHaveLength(0);
+    expect(pvpService.runMatchmaking(now)).toHaveLength(1);
+  });
+
+  test("turn resolves only after both players act", () => {
+    const a = queuePlayer("u1", 5);
+    const b = queuePlayer("u2", 5);
+    const [battle] = pvpService.runMatchmaking();
+
+    expect(a.last("match:found")).toBeDefined();
+    expect(pvpService.submitAction("u1", "attack").success).toBe(true);
+    expect(battle.turn).toBe(0);
+    expect(b.last("battle:opponent_ready")).toBeDefined();
+    expect(pvpService.submitAction("u1", "defend").success).toBe(false);
+
+    pvpService.submitAction("u2", "defend");
+
+    expect(battle.turn).toBe(1);
+    expect(a.last("battle:turn").data.turn).toMatchObject({
+      playerAction: "attack",
+      opponentAction: "defend",
+      result: "win",
+    });
+    expect(b.last("battle:turn").data.turn.result).toBe("lose");
+  });
+
+  test("forfeit awards the battle to the opponent", async () => {
+    const a = queuePlayer("u1", 5);
+    const b = queuePlayer("u2", 5);
+    pvpService.runMatchmaking();
+
+    expect(pvpService.forfeit("u1").success).toBe(true);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(a.last("battle:end").data.victory).toBe(false);
+    expect(b.last("battle:end").data.victory).toBe(true);
+    expect(pvpService.findBattleForUser("u1")).toBeNull();
+  });
+
+  test("disconnected players can resume within the grace period", () => {
+    const a = queuePlayer("u1", 5);
+    const b = queuePlayer("u2", 5);
+    const [battle] = pvpService.runMatchmaking();
+
+    pvpService.handleDisconnect("u1", a);
+    expect(battle.players.A.connected).toBe(false);
+    expect(b.last("battle:opponent_disconnected")).toBeDefined();
+
+    const resumed = makeConnection();
+    expect(pvpService.handleReconnect("u1", resumed)).toBe(true);
+    expect(resumed.last("battle:state").data.battleId).toBe(battle.battleId);
+    expect(b.last("battle:opponent_reconnected")).toBeDefined();
+  });
+});
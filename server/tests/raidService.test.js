@@ -0,0 +1,218 @@
+import mongoose from "mongoose";
+import Raid from "../src/models/Raid.js";
+import { raidService } from "../src/services/RaidService.js";
+import { ALL_ABILITIES, RAID_CONFIG } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makePet = (index, overrides = {}) => ({
+  id: `pet_${index}`,
+  name: `Pet ${index}`,
+  type: "Water",
+  ability: null,
+  level: 10,
+  stats: { dmg: 40, hp: 150, critChance: 0.2, critDamage: 1.5, spa: 1 },
+  ...overrides,
+});
+
+const makeUser = (overrides = {}) => ({
+  id: new mongoose.Types.ObjectId(),
+  username: "raider",
+  level: 10,
+  ...overrides,
+});
+
+const makeRaid = (overrides = {}) => {
+  const boss = raidService.generateBoss(createSeededRandom(1), {
+    type: "Fire",
+  });
+  return new Raid({
+    name: "Test Raid",
+    boss,
+    maxHP: boss.stats.hp,
+    currentHP: boss.stats.hp,
+    startsAt: new Date("2026-01-01T00:00:00Z"),
+    endsAt: new Date("2026-01-02T00:00:00Z"),
+    ...overrides,
+  });
+};
+
+describe("Raid Service Tests", () => {
+  test("bosses use their type and Legendary/Mythic abilities", () => {
+    const boss = raidService.generateBoss(createSeededRandom(4), {
+      type: "fire",
+      level: 20,
+    });
+
+    expect(boss.type).toBe("Fire");
+    expect(boss.abilities).toHaveLength(RAID_CONFIG.BOSS_ABILITY_COUNT);
+    expect(new Set(boss.abilities).size).toBe(boss.abilities.length);
+    boss.abilities.forEach((id) =>
+      expect(RAID_CONFIG.BOSS_ABILITY_TIERS).toContain(ALL_ABILITIES[id].tier)
+    );
+    // Both Fire abilities of those tiers come before any other element
+    expect(
+      boss.abilities.slice(0, 2).map((id) => ALL_ABILITIES[id].element)
+    ).toEqual(["FIRE", "FIRE"]);
+
+    expect(raidService.generateBoss(createSeededRandom(4))).toEqual(
+      raidService.generateBoss(createSeededRandom(4))
+    );
+  });
+
+  test("attempts only chip at the shared HP pool and replay from a seed", async () => {
+    const raid = makeRaid();
+    const team = [makePet(1), makePet(2)];
+
+    const first = await raidService.simulateAttempt(
+      raid.boss,
+      raid.currentHP,
+      team,
+      createSeededRandom(11)
+    );
+    const replay = await raidService.simulateAttempt(
+      raid.boss,
+      raid.currentHP,
+      team,
+      createSeededRandom(11)
+    );
+
+    expect(first).toEqual(replay);
+    expect(first.damage).toBeGreaterThan(0);
+    expect(first.bossHP).toBe(raid.currentHP - first.damage);
+    expect(first.defeated).toBe(false);
+    expect(first.duels).toHaveLength(2);
+  });
+
+  test("a nearly dead boss falls and the rest of the team sits out", async () => {
+    const raid = makeRaid();
+    const outcome = await raidService.simulateAttempt(
+      raid.boss,
+      5,
+      [makePet(1), makePet(2), makePet(3)],
+      createSeededRandom(2)
+    );
+
+    expect(outcome.defeated).toBe(true);
+    expect(outcome.damage).toBe(5);
+    expect(outcome.duels).toHaveLength(1);
+  });
+
+  test("attempt limits, cooldowns and the raid window are enforced", () => {
+    const user = makeUser();
+    const raid = makeRaid();
+    const now = new Date("2026-01-01T12:00:00Z");
+
+    expect(raidService.checkAttempt(raid, user, [makePet(1)], now)).toBeNull();
+    expect(
+      raidService.checkAttempt(
+        raid,
+        user,
+        [makePet(1)],
+        new Date("2026-01-03T00:00:00Z")
+      ).error
+    ).toMatch("not open");
+    expect(
+      raidService.checkAttempt(
+        raid,
+        user,
+        Array.from({ length: raid.teamSize + 1 }, (_, i) => makePet(i)),
+        now
+      ).error
+    ).toMatch("limited");
+
+    raid.contributions.push({
+      userId: user.id,
+      username: user.username,
+      damage: 100,
+      attempts: 1,
+      lastAttemptAt: new Date(now.getTime() - 60 * 1000),
+    });
+    expect(raidService.checkAttempt(raid, user, [makePet(1)], now)).toEqual(
+      expect.objectContaining({ status: 429 })
+    );
+
+    raid.getContribution(user.id).attempts = raid.maxAttempts;
+    raid.getContribution(user.id).lastAttemptAt = new Date(0);
+    expect(
+      raidService.checkAttempt(raid, user, [makePet(1)], now).error
+    ).toMatch("used all");
+  });
+
+  test("parallel attempts can't slip past the limit or cooldown", async () => {
+    const user = makeUser();
+    const raid = makeRaid();
+    const now = new Date("2026-01-01T12:00:00Z");
+    raid.contributions.push({
+      userId: user.id,
+      username: user.username,
+      damage: 100,
+      attempts: raid.maxAttempts - 1,
+      lastAttemptAt: new Date(0),
+    });
+
+    // A parallel attempt lands between our check and our update
+    const filters = [];
+    const findOneAndUpdate = Raid.findOneAndUpdate;
+    const findRaid = raidService.findRaid;
+    Raid.findOneAndUpdate = async (filter) => {
+      filters.push(filter);
+      raid.getContribution(user.id).attempts = raid.maxAttempts;
+      return null;
+    };
+    raidService.findRaid = async () => raid;
+
+    try {
+      const result = await raidService.attack(
+        raid._id,
+        user,
+        [makePet(1)],
+        now
+      );
+
+      expect(result.error).toMatch("used all");
+      expect(filters).toHaveLength(3);
+      expect(filters[0].contributions.$elemMatch).toEqual({
+        userId: user.id,
+        attempts: { $lt: raid.maxAttempts },
+        lastAttemptAt: {
+          $lte: new Date(now.getTime() - raid.attemptCooldownMinutes * 60000),
+        },
+      });
+      expect(filters[2]).toEqual(filters[0]);
+    } finally {
+      Raid.findOneAndUpdate = findOneAndUpdate;
+      raidService.findRaid = findRaid;
+    }
+  });
+
+  test("loot follows contribution rank and shrinks if the boss survives", () => {
+    const contributions = [
+      { userId: "a", username: "a", damage: 300, lastAttemptAt: new Date(2) },
+      { userId: "b", username: "b", damage: 900, lastAttemptAt: new Date(3) },
+      { userId: "c", username: "c", damage: 300, lastAttemptAt: new Date(1) },
+      { userId: "d", username: "d", damage: 0 },
+    ];
+
+    expect(
+      raidService
+        .rankContributions(contributions)
+        .map(({ contribution, rank }) => [contribution.username, rank])
+    ).toEqual([
+      ["b", 1],
+      ["c", 2],
+      ["a", 3],
+    ]);
+
+    const [top, , , rest] = RAID_CONFIG.LOOT;
+    expect(raidService.getLoot(1, true)).toEqual({
+      coins: top.coins,
+      experience: top.experience,
+      items: top.items,
+    });
+    expect(raidService.getLoot(50, true).coins).toBe(rest.coins);
+    expect(raidService.getLoot(1, false)).toEqual({
+      coins: Math.floor(top.coins * RAID_CONFIG.EXPIRED_LOOT_RATIO),
+      experience: Math.floor(top.experience * RAID_CONFIG.EXPIRED_LOOT_RATIO),
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import mongoose from "mongoose";
+import PlayerRating from "../src/models/PlayerRating.js";
+import Season from "../src/models/Season.js";
+import { rankingService } from "../src/services/RankingService.js";
+import { rewardService } from "../src/services/RewardService.js";
+import { RANKED_CONFIG } from "../src/utils/constants.js";
+
+describe("Ranking Service Tests", () => {
+  test("expected scores of both players add up to one", () => {
+    const a = rankingService.expectedScore(1400, 1200);
+    const b = rankingService.expectedScore(1200, 1400);
+
+    expect(a + b).toBeCloseTo(1);
+    expect(a).toBeGreaterThan(0.5);
+  });
+
+  test("provisional players move faster than placed players", () => {
+    const opponent = { rating: 1200, gamesPlayed: 20 };
+    const provisional = { rating: 1200, gamesPlayed: 0 };
+    const placed = {
+      rating: 1200,
+      gamesPlayed: RANKED_CONFIG.PROVISIONAL_GAMES,
+    };
+
+    expect(rankingService.calculateRatingChange(provisional, opponent, 1)).toBe(
+      RANKED_CONFIG.PROVISIONAL_K_FACTOR / 2
+    );
+    expect(rankingService.calculateRatingChange(placed, opponent, 1)).toBe(
+      RANKED_CONFIG.K_FACTOR / 2
+    );
+    expect(rankingService.calculateRatingChange(placed, opponent, 0.5)).toBe(0);
+  });
+
+  test("ratings map onto User.rank tiers and divisions", () => {
+    expect(rankingService.getTier(900)).toEqual({
+      tier: "Beginner",
+      division: 3,
+    });
+    expect(rankingService.getTier(1249)).toEqual({
+      tier: "Beginner",
+      division: 1,
+    });
+    expect(rankingService.getTier(1250)).toEqual({
+      tier: "Intermediate",
+      division: 3,
+    });
+    expect(rankingService.getTier(2400)).toEqual({
+      tier: "Master",
+      division: null,
+    });
+  });
+
+  test("season reset softly decays ratings towards the start", () => {
+    const start = RANKED_CONFIG.INITIAL_RATING;
+
+    expect(rankingService.applySoftDecay(start + 400)).toBe(start + 200);
+    expect(rankingService.applySoftDecay(start - 100)).toBe(start - 50);
+  });
+
+  test("a season another rollover already claimed is not paid out again", async () => {
+    const season = new Season({
+      number: 3,
+      name: "Season 3",
+      startsAt: new Date("2026-01-01T00:00:00Z"),
+      endsAt: new Date("2026-02-01T00:00:00Z"),
+    });
+
+    const claims = [];
+    let standingsRead = false;
+    const findOneAndUpdate = Season.findOneAndUpdate;
+    const find = PlayerRating.find;
+    Season.findOneAndUpdate = async (filter, update) => {
+      claims.push({ filter, update });
+      return null;
+    };
+    PlayerRating.find = () => {
+      standingsRead = true;
+      return { sort: async () => [] };
+    };
+
+    const now = new Date("2026-02-01T00:00:00Z");
+    try {
+      expect(await rankingService.endSeason(season, now)).toBeNull();
+      // A rollover that died part way can be taken over once its lease is up
+      expect(claims).toEqual([
+        {
+          filter: {
+            _id: season._id,
+            $or: [
+              { status: "active" },
+              {
+                status: "completing",
+                claimedAt: {
+                  $lte: new Date(
+                    now.getTime() -
+                      RANKED_CONFIG.ROLLOVER_LEASE_MINUTES * 60 * 1000
+                  ),
+                },
+              },
+            ],
+          },
+          update: { $set: { status: "completing", claimedAt: now } },
+        },
+      ]);
+      expect(standingsRead).toBe(false);
+    } finally {
+      Season.findOneAndUpdate = findOneAndUpdate;
+      PlayerRating.find = find;
+    }
+  });
+
+  test("a retried rollover pays each player's season reward once", async () => {
+    const season = new Season({
+      number: 3,
+      name: "Season 3",
+      startsAt: new Date("2026-01-01T00:00:00Z"),
+      endsAt: new Date("2026-02-01T00:00:00Z"),
+    });
+    const player = {
+      userId: new mongoose.Types.ObjectId(),
+      username: "climber",
+    };
+    const standing = { tier: "Beginner", position: 1 };
+    const tier = { rewards: { coins: 100 } };
+
+    const updates = [];
+    let payouts = 0;
+    let paid = false;
+    const updateOne = Season.updateOne;
+    const applyRewards = rewardService.applyRewards;
+    Season.updateOne = async (filter, update) => {
+      updates.push({ filter, update });
+      const alreadyPaid = paid;
+      paid = true;
+      return { modifiedCount: alreadyPaid ? 0 : 1 };
+    };
+    rewardService.applyRewards = async () => {
+      payouts++;
+      return { success: true };
+    };
+
+    try {
+      expect(
+        await rankingService.paySeasonReward(season, player, standing, tier)
+      ).toBe(true);
+      expect(
+        await rankingService.paySeasonReward(season, player, standing, tier)
+      ).toBe(true);
+      expect(payouts).toBe(1);
+      expect(updates[0]).toEqual({
+        filter: { _id: season._id, rewardedUserIds: { $ne: player.userId } },
+        update: { $addToSet: { rewardedUserIds: player.userId } },
+      });
+    } finally {
+      Season.updateOne = updateOne;
+      rewardService.applyRewards = applyRewards;
+    }
+  });
+});
@@ -0,0 +1,208 @@
+import {
+  buildBattleEvents,
+  fromPvPBattle,
+} from "../src/config/battleEvents.js";
+import { pvpService } from "../src/services/PvPService.js";
+import {
+  SpectatorService,
+  spectatorService,
+} from "../src/services/SpectatorService.js";
+
+const makePet = (id, type) => ({
+  id,
+  name: `${type} pet`,
+  type,
+  rarity: "Common",
+  ability: "flame_burst",
+  level: 5,
+  stats: { dmg: 20, hp: 120, spa: 1, critChance: 0, critDamage: 1.5 },
+  statusEffects: [],
+});
+
+const makeConnection = () => {
+  const messages = [];
+  return {
+    messages,
+    send: (type, data) => messages.push({ type, data }),
+    last: (type) => messages.filter((m) => m.type === type).pop(),
+  };
+};
+
+const makeSummary = (battleId, ratingA, ratingB) => ({
+  battleId,
+  players: {
+    A: { username: `${battleId}_a`, level: 5, rating: ratingA },
+    B: { username: `${battleId}_b`, level: 5, rating: ratingB },
+  },
+  totalMatches: 1,
+  startedAt: new Date(),
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Spectator Tests", () => {
+  test("spectators only see updates once the delay has passed", async () => {
+    const spectators = new SpectatorService();
+    spectators.delayMs = 40;
+    spectators.openFeed(makeSummary("b1", 1200, 1200));
+
+    const connection = makeConnection();
+    expect(spectators.subscribe("b1", connection).success).toBe(true);
+
+    spectators.publish("b1", "spectate:turn", { state: { turn: 1 } });
+    await wait(10);
+    expect(connection.messages).toHaveLength(0);
+
+    await wait(60);
+    expect(connection.last("spectate:turn").data.state.turn).toBe(1);
+
+    spectators.unsubscribe(connection);
+  });
+
+  test("late joiners catch up from the newest visible update", () => {
+    const spectators = new SpectatorService();
+    spectators.delayMs = 5000;
+    spectators.openFeed(makeSummary("b1", 1200, 1200));
+
+    spectators.publish("b1", "spectate:state", { state: { turn: 0 } }, 0);
+    spectators.publish("b1", "spectate:turn", { state: { turn: 1 } }, 1000);
+    spectators.publish("b1", "spectate:turn", { state: { turn: 2 } }, 6000);
+
+    // Older updates are dropped once a newer one is visible
+    expect(spectators.feeds.get("b1").updates).toHaveLength(2);
+
+    const connection = makeConnection();
+    spectators.subscribe("b1", connection, 6500);
+
+    expect(connection.messages).toEqual([
+      { type: "spectate:turn", data: { state: { turn: 1 } } },
+    ]);
+    expect(spectators.subscriptions.get(connection).timers.size).toBe(1);
+
+    spectators.unsubscribe(connection);
+    expect(spectators.subscriptions.has(connection)).toBe(false);
+    expect(spectators.feeds.get("b1").spectators.size).toBe(0);
+  });
+
+  test("live battles are listed top-rated first and found by player", () => {
+    const spectators = new SpectatorService();
+    spectators.openFeed(makeSummary("low", 1100, 1150));
+    spectators.openFeed(makeSummary("high", 1000, 1600));
+    spectators.openFeed(makeSummary("new", null, null));
+
+    expect(
+      spectators.listLiveBattles().map((battle) => battle.battleId)
+    ).toEqual(["high", "low", "new"]);
+    expect(
+      spectators.findLiveBattle({ username: "LOW_B" }).summary.battleId
+    ).toBe("low");
+
+    spectators.closeFeed("high");
+    expect(spectators.listLiveBattles()).toHaveLength(2);
+    expect(spectators.subscribe("high", makeConnection()).success).toBe(false);
+  });
+
+  describe("PvP battles", () => {
+    const { settlePlayer, rateBattle } = pvpService;
+    const { delayMs } = spectatorService;
+
+    beforeAll(() => {
+      // Settlement and ratings write to MongoDB, which these tests do not run
+      pvpService.settlePlayer = async () => ({});
+      pvpService.rateBattle = async () => ({});
+      spectatorService.delayMs = 0;
+    });
+
+    afterAll(() => {
+      pvpService.settlePlayer = settlePlayer;
+      pvpService.rateBattle = rateBattle;
+      spectatorService.delayMs = delayMs;
+    });
+
+    test("spectators follow both sides without seeing pending actions", async () => {
+      ["u1", "u2"].forEach((userId, index) =>
+        pvpService.joinQueue({
+          userId,
+          username: `user_${userId}`,
+          level: 5,
+          rating: 1300 + index * 100,
+          userPets: [`${userId}_pet`],
+          team: [makePet(`${userId}_pet`, "Fire")],
+          connection: makeConnection(),
+        })
+      );
+      const [battle] = pvpService.runMatchmaking();
+
+      const [live] = spectatorService.listLiveBattles();
+      expect(live).toMatchObject({
+        battleId: battle.battleId,
+        players: { A: { rating: 1300 }, B: { rating: 1400 } },
+      });
+
+      const spectator = makeConnection();
+      spectatorService.subscribe(battle.battleId, spectator);
+      pvpService.submitAction("u1", "attack");
+      await wait(5);
+
+      const [state] = spectator.messages.map((message) => message.data.state);
+      expect(state.currentMatch.A.currentHP).toBeDefined();
+      expect(JSON.stringify(spectator.messages)).not.toMatch(/attack/);
+
+      pvpService.submitAction("u2", "defend");
+      await wait(5);
+
+      const { turn } = spectator.last("spectate:turn").data;
+      expect(turn.actions).toEqual({ A: "attack", B: "defend" });
+      expect(turn.events.map((event) => event.side)).toEqual(
+        expect.arrayContaining(["A", "B"])
+      );
+
+      pvpService.forfeit("u2");
+      await wait(5);
+      expect(spectator.last("spectate:end").data).toMatchObject({
+        reason: "forfeit",
+        state: { winner: "A" },
+      });
+      expect(spectatorService.listLiveBattles()).toHaveLength(0);
+    });
+  });
+
+  test("stored PvP battles play back with side A in the player seat", () => {
+    const turn = (number, hpA, hpB) => ({
+      turn: number,
+      tick: number,
+      hp: { A: hpA, B: hpB },
+      events: [{ type: "damage", side: "opponent", amount: 60, hp: hpB }],
+    });
+    const events = buildBattleEvents(
+      fromPvPBattle({
+        battleLog: [
+          {
+            round: 1,
+            petA: "a1",
+            petB: "b1",
+            result: { winner: "A", turns: [turn(1, 120, 60), turn(2, 120, 0)] },
+          },
+        ],
+        teams: { A: [makePet("a1", "Fire")], B: [makePet("b1", "Air")] },
+        winner: "A",
+        wins: { A: 1, B: 0 },
+      })
+    );
+
+    expect(events[1]).toMatchObject({
+      type: "match_start",
+      player: { id: "a1", maxHP: 120 },
+      opponent: { id: "b1" },
+    });
+    expect(events.filter((event) => event.type === "turn_end")[1].hp).toEqual({
+      player: 120,
+      opponent: 0,
+    });
+    expect(events[events.length - 1]).toMatchObject({
+      type: "battle_end",
+      winner: "player",
+      score: { player: 1, opponent: 0 },
+    });
+  });
+});
@@ -0,0 +1,204 @@
+import {
+  calculateAbilityDamage,
+  calculateRegularDamage,
+  getEffectiveStats,
+} from "../src/config/battleLogic.js";
+import { simulatePlacementBattle } from "../src/config/placementBattle.js";
+import {
+  canBattle,
+  describeStamina,
+  getFatigueMultiplier,
+  getStamina,
+  getTimeToFull,
+  restoreStamina,
+  spendStamina,
+} from "../src/config/stamina.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { ALL_ABILITIES, STAMINA_CONFIG } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date("2026-01-01T12:00:00Z").getTime();
+
+const makePet = (overrides = {}) => ({
+  id: "pet_1",
+  name: "Sparky",
+  type: "Fire",
+  ability: "ember_strike",
+  level: 10,
+  stats: { dmg: 60, hp: 200, critChance: 0, critDamage: 1.5, spa: 1 },
+  ...overrides,
+});
+
+describe("Stamina Tests", () => {
+  test("pets without stamina data count as fully rested", () => {
+    const pet = makePet();
+
+    expect(getStamina(pet, NOW)).toBe(STAMINA_CONFIG.MAX_STAMINA);
+    expect(getTimeToFull(pet, NOW)).toBe(0);
+    expect(canBattle(pet, NOW)).toBe(true);
+  });
+
+  test("stamina regenerates over time up to the cap", () => {
+    const pet = makePet({
+      stamina: 20,
+      staminaUpdatedAt: new Date(NOW - 3 * HOUR_MS),
+    });
+
+    expect(getStamina(pet, NOW)).toBe(20 + 3 * STAMINA_CONFIG.REGEN_PER_HOUR);
+    expect(getStamina(pet, NOW + 100 * HOUR_MS)).toBe(
+      STAMINA_CONFIG.MAX_STAMINA
+    );
+
+    const left = STAMINA_CONFIG.MAX_STAMINA - getStamina(pet, NOW);
+    expect(getTimeToFull(pet, NOW)).toBe(
+      (left / STAMINA_CONFIG.REGEN_PER_HOUR) * HOUR_MS
+    );
+  });
+
+  test("battles bank regen, then spend stamina down to zero", () => {
+    const pet = makePet({
+      stamina: 10,
+      staminaUpdatedAt: new Date(NOW - HOUR_MS),
+    });
+
+    const update = spendStamina(pet, STAMINA_CONFIG.BATTLE_COST, NOW);
+    expect(update.stamina).toBe(
+      Math.max(
+        0,
+        10 + STAMINA_CONFIG.REGEN_PER_HOUR - STAMINA_CONFIG.BATTLE_COST
+      )
+    );
+    expect(update.staminaUpdatedAt.getTime()).toBe(NOW);
+
+    const exhausted = { ...pet, ...spendStamina(pet, 500, NOW) };
+    expect(exhausted.stamina).toBe(0);
+    expect(canBattle(exhausted, NOW)).toBe(false);
+    expect(canBattle(exhausted, NOW + HOUR_MS)).toBe(true);
+  });
+
+  test("restoring stamina never overfills", () => {
+    const pet = makePet({ stamina: 90, staminaUpdatedAt: new Date(NOW) });
+
+    expect(restoreStamina(pet, 50, NOW).stamina).toBe(
+      STAMINA_CONFIG.MAX_STAMINA
+    );
+    expect(restoreStamina({ ...pet, stamina: 10 }, 30, NOW).stamina).toBe(40);
+  });
+
+  test("fatigue only kicks in below the threshold", () => {
+    expect(getFatigueMultiplier(STAMINA_CONFIG.MAX_STAMINA)).toBe(1);
+    expect(getFatigueMultiplier(STAMINA_CONFIG.FATIGUE_THRESHOLD)).toBe(1);
+    expect(getFatigueMultiplier(0)).toBe(STAMINA_CONFIG.MIN_DAMAGE_MULTIPLIER);
+
+    const half = getFatigueMultiplier(STAMINA_CONFIG.FATIGUE_THRESHOLD / 2);
+    expect(half).toBeGreaterThan(STAMINA_CONFIG.MIN_DAMAGE_MULTIPLIER);
+    expect(half).toBeLessThan(1);
+  });
+
+  test("fatigued pets deal less damage with attacks and abilities", () => {
+    const defender = makePet({ type: "Earth" });
+    const rested = makePet();
+    const tired = makePet({ fatigueMultiplier: 0.7 });
+    const ability = ALL_ABILITIES.ember_strike;
+    const rng = () => 0.99;
+
+    const restedHit = calculateRegularDamage(
+      getEffectiveStats(rested),
+      rested,
+      defender,
+      "attack",
+      "defend",
+      rng
+    );
+    const tiredHit = calculateRegularDamage(
+      getEffectiveStats(tired),
+      tired,
+      defender,
+      "attack",
+      "defend",
+      rng
+    );
+    expect(tiredHit).toBe(Math.floor(restedHit * 0.7));
+
+    expect(
+      calculateAbilityDamage(ability, tired, defender, tired.stats, rng)
+    ).toBeLessThan(
+      calculateAbilityDamage(ability, rested, defender, rested.stats, rng)
+    );
+  });
+
+  test("battle teams carry the fatigue of the stamina they start with", () => {
+    const [tired, rested] = GameController.convertPetsToBattleFormat(
+      [
+        makePet({ stamina: 0, staminaUpdatedAt: new Date() }),
+        makePet({ id: "pet_2" }),
+      ],
+      "Trainer"
+    );
+
+    expect(tired.fatigueMultiplier).toBe(STAMINA_CONFIG.MIN_DAMAGE_MULTIPLIER);
+    expect(rested.fatigueMultiplier).toBe(1);
+    expect(
+      GameController.convertPetToBattleFormat(tired).fatigueMultiplier
+    ).toBe(tired.fatigueMultiplier);
+  });
+
+  test("exhausted pets are turned away before battle", async () => {
+    const user = {
+      pets: [
+        makePet({ stamina: 0, staminaUpdatedAt: new Date() }),
+        makePet({ id: "pet_2", name: "Fresh" }),
+      ],
+    };
+
+    const blocked = await GameController.selectBattlePets(user, {
+      petIds: ["pet_1", "pet_2"],
+      maxPets: 3,
+    });
+    expect(blocked.error).toMatch(/Sparky is out of stamina/);
+
+    // Defense teams don't spend stamina, so tired pets may still defend
+    const defending = await GameController.selectBattlePets(user, {
+      petIds: ["pet_1", "pet_2"],
+      maxPets: 3,
+      spendsStamina: false,
+    });
+    expect(defending.userPets).toHaveLength(2);
+  });
+
+  test("lane defense units hit softer when fatigued", () => {
+    const run = (fatigueMultiplier) =>
+      simulatePlacementBattle({
+        placements: [{ petId: "pet_1", lane: 0, column: 0 }],
+        pets: [
+          makePet({
+            fatigueMultiplier,
+            stats: { ...makePet().stats, range: 3 },
+          }),
+        ],
+        difficulty: "easy",
+        enemyLevel: 1,
+        rng: createSeededRandom(3),
+      });
+
+    expect(run(0.7).placements[0].damageDealt).toBeLessThan(
+      run(1).placements[0].damageDealt
+    );
+  });
+
+  test("stamina report includes time to full", () => {
+    const report = describeStamina(
+      makePet({ stamina: 30, staminaUpdatedAt: new Date(NOW) }),
+      NOW
+    );
+
+    expect(report).toMatchObject({
+      current: 30,
+      max: STAMINA_CONFIG.MAX_STAMINA,
+      fatigued: true,
+      canBattle: true,
+    });
+    expect(report.fullAt.getTime()).toBe(NOW + report.timeToFullMs);
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  applyEffect,
+  tickStatusEffects,
+  validateStatusEffects,
+} from "../src/config/statusEffects.js";
+import { applyAbilityEffect } from "../src/config/battleLogic.js";
+import { ALL_ABILITIES, STATUS_EFFECTS } from "../src/utils/constants.js";
+
+const makePet = (overrides = {}) => ({
+  name: "Test pet",
+  type: "Fire",
+  level: 5,
+  stats: { dmg: 20, hp: 120 },
+  currentHP: 120,
+  statusEffects: [],
+  ...overrides,
+});
+
+const makeContext = (overrides = {}) => ({
+  ability: { power: 30 },
+  attacker: makePet(),
+  defender: makePet(),
+  attackerStats: { dmg: 20 },
+  result: { damage: 0 },
+  effectChance: 1,
+  rng: () => 0.5,
+  ...overrides,
+});
+
+describe("Status Effect Registry Tests", () => {
+  test("shipped abilities only reference registered effects", () => {
+    expect(validateStatusEffects()).toBe(true);
+  });
+
+  test("unknown effect ids and rules fail validation", () => {
+    expect(() =>
+      validateStatusEffects(STATUS_EFFECTS, {
+        ...ALL_ABILITIES,
+        broken: { id: "broken", effect: "FREEZE" },
+      })
+    ).toThrow("Ability broken references unknown status effect FREEZE");
+
+    expect(() =>
+      validateStatusEffects(
+        {
+          ...STATUS_EFFECTS,
+          BURN: {
+            ...STATUS_EFFECTS.BURN,
+            status: { ...STATUS_EFFECTS.BURN.status, stacking: "merge" },
+          },
+        },
+        {}
+      )
+    ).toThrow('unknown stacking rule "merge"');
+  });
+
+  test("burn refreshes instead of stacking and ticks until it expires", () => {
+    const context = makeContext();
+    applyEffect("BURN", context);
+    tickStatusEffects(context.defender);
+    applyEffect("BURN", context);
+
+    expect(context.defender.statusEffects).toHaveLength(1);
+    expect(context.defender.statusEffects[0]).toMatchObject({
+      name: "burn",
+      duration: 3,
+      damagePerTurn: 2,
+    });
+
+    for (let turn = 0; turn < 3; turn++) tickStatusEffects(context.defender);
+    expect(context.defender.currentHP).toBe(112);
+    expect(context.defender.statusEffects).toHaveLength(0);
+  });
+
+  test("damage over time stacks up to its cap", () => {
+    const context = makeContext();
+    for (let i = 0; i < 5; i++) applyEffect("DOT", context);
+
+    expect(context.defender.statusEffects).toHaveLength(3);
+    expect(context.defender.statusEffects[0].damagePerTurn).toBe(15);
+  });
+
+  test("techniques stretch and strengthen damage over time", () => {
+    const context = makeContext({
+      attacker: makePet({ technique: "Elemental Master" }),
+    });
+    applyEffect("BURN", context);
+
+    expect(context.defender.statusEffects[0]).toMatchObject({
+      duration: 7,
+      damagePerTurn: 1,
+    });
+  });
+
+  test("cleanse removes debuffs but keeps buffs", () => {
+    const context = makeContext();
+    context.defender = context.attacker;
+    applyEffect("DEFENSE_DOWN", context);
+    applyEffect("STUN", context);
+    applyEffect("DEFENSE_UP", context);
+    applyEffect("CLEANSE", context);
+
+    expect(context.attacker.statusEffects.map((s) => s.name)).toEqual([
+      "defense_up",
+    ]);
+  });
+
+  test("abilities apply their effect through the registry", () => {
+    const attacker = makePet();
+    const defender = makePet();
+    const result = { damage: 40 };
+
+    applyAbilityEffect(
+      ALL_ABILITIES.flame_burst,
+      attacker,
+      defender,
+      result,
+      { dmg: 20 },
+      () => 0
+    );
+    expect(defender.statusEffects.map((s) => s.name)).toEqual(["burn"]);
+
+    attacker.currentHP = 50;
+    applyAbilityEffect(
+      { effect: "LIFE_STEAL", effectChance: 1 },
+      attacker,
+      defender,
+      result,
+      { dmg: 20 },
+      () => 0
+    );
+    expect(attacker.currentHP).toBe(70);
+  });
+});
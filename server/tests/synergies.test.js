@@ -0,0 +1,146 @@
+import { getEffectiveStats } from "../src/config/battleLogic.js";
+import {
+  applyTeamSynergies,
+  getTeamSynergies,
+  summarizeTeamSynergies,
+  validateSynergies,
+} from "../src/config/synergies.js";
+import { GameController } from "../src/controllers/GameController.js";
+import { TEAM_SYNERGIES } from "../src/utils/constants.js";
+import { createSeededRandom } from "../src/utils/rng.js";
+
+const makePet = (id, type, overrides = {}) => ({
+  id,
+  name: id,
+  type,
+  level: 10,
+  technique: null,
+  stats: {
+    dmg: 100,
+    hp: 200,
+    range: 3,
+    spa: 1,
+    critChance: 0.1,
+    critDamage: 1.5,
+    moneyBonus: 0.2,
+  },
+  ...overrides,
+});
+
+const ids = (synergies) => synergies.map((synergy) => synergy.key).sort();
+
+describe("Team Synergy Tests", () => {
+  test("two pets of a type share the first kindred tier", () => {
+    const team = [
+      makePet("a", "Fire"),
+      makePet("b", "Fire"),
+      makePet("c", "Water"),
+    ];
+    const [kindred] = getTeamSynergies(team);
+
+    expect(kindred.key).toBe("kindred_fire");
+    expect(kindred.name).toBe("Kindred Spirits (Fire)");
+    expect(kindred.pets.map((pet) => pet.id)).toEqual(["a", "b"]);
+    expect(kindred.modifiers).toEqual(
+      TEAM_SYNERGIES.kindred.tiers[0].modifiers
+    );
+  });
+
+  test("three pets of a type reach the top tier", () => {
+    const team = ["a", "b", "c"].map((id) => makePet(id, "Earth"));
+    const synergies = getTeamSynergies(team);
+
+    expect(ids(synergies)).toEqual(["kindred_earth"]);
+    expect(synergies[0].modifiers).toEqual(
+      TEAM_SYNERGIES.kindred.tiers[1].modifiers
+    );
+  });
+
+  test("a full team of distinct types forms a rainbow", () => {
+    const rainbow = [
+      makePet("a", "Fire"),
+      makePet("b", "Water"),
+      makePet("c", "Air"),
+    ];
+    expect(ids(getTeamSynergies(rainbow))).toEqual(["rainbow"]);
+
+    // Two different types are not a full team
+    expect(getTeamSynergies(rainbow.slice(0, 2))).toEqual([]);
+  });
+
+  test("technique combos boost the whole team", () => {
+    const team = [
+      makePet("a", "Fire", { technique: "Juggernaut" }),
+      makePet("b", "Fire", { technique: "Hyper Speed" }),
+      makePet("c", "Water"),
+    ];
+    const blitz = getTeamSynergies(team).find((s) => s.id === "blitz");
+
+    expect(blitz.pets).toHaveLength(3);
+    expect(getTeamSynergies(team.slice(1)).some((s) => s.id === "blitz")).toBe(
+      false
+    );
+  });
+
+  test("battle teams carry synergies into their stats exactly once", () => {
+    const team = GameController.convertPetsToBattleFormat(
+      [makePet("a", "Fire"), makePet("b", "Fire"), makePet("c", "Water")],
+      "Trainer"
+    );
+
+    expect(team[0].synergies.map((s) => s.key)).toEqual(["kindred_fire"]);
+    expect(team[2].synergies).toEqual([]);
+    expect(team[0].currentHP).toBe(210);
+    expect(getEffectiveStats(team[0]).dmg).toBe(105);
+    expect(getEffectiveStats(team[2]).dmg).toBe(100);
+
+    const fighter = GameController.convertPetToBattleFormat(team[0]);
+    expect(getEffectiveStats(fighter)).toEqual(fighter.stats);
+    expect(fighter.stats.hp).toBe(210);
+  });
+
+  test("battle results list each side's synergies", async () => {
+    const player = GameController.convertPetsToBattleFormat(
+      [makePet("a", "Fire"), makePet("b", "Water"), makePet("c", "Air")],
+      "Trainer"
+    );
+    const opponent = GameController.convertPetsToBattleFormat(
+      [makePet("x", "Dark"), makePet("y", "Dark")],
+      "Rival"
+    );
+
+    const result = await GameController.simulateRoundRobinBattle(
+      player,
+      opponent,
+      "pve",
+      createSeededRandom(7),
+      0
+    );
+
+    expect(result.synergies.player).toEqual([
+      expect.objectContaining({ id: "rainbow", petIds: ["a", "b", "c"] }),
+    ]);
+    expect(result.synergies.opponent).toEqual([
+      expect.objectContaining({ id: "kindred", petIds: ["x", "y"] }),
+    ]);
+    expect(summarizeTeamSynergies(applyTeamSynergies([]))).toEqual([]);
+  });
+
+  test("synergy definitions are validated", () => {
+    expect(validateSynergies()).toBe(true);
+
+    expect(() =>
+      validateSynergies({
+        broken: {
+          id: "broken",
+          kind: "technique_combo",
+          techniques: ["Sturdy", "Made Up"],
+          modifiers: { luck: 2 },
+        },
+      })
+    ).toThrow(/unknown technique/);
+    expect(() =>
+      validateSynergies({ odd: { id: "odd", kind: "chaos" } })
+    ).toThrow(/unknown kind/);
+  });
+});
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+import Tournament from "../src/models/Tournament.js";
+import { tournamentService } from "../src/services/TournamentService.js";
+
+const makeParticipant = (index) => ({
+  userId: new mongoose.Types.ObjectId(),
+  username: `player_${index}`,
+  level: 10 + index,
+  team: [
+    {
+      id: `pet_${index}`,
+      name: `Pet ${index}`,
+      type: index % 2 === 0 ? "Fire" : "Water",
+      ability: null,
+      level: 5,
+      stats: { dmg: 20 + index, hp: 120, critChance: 0.2, critDamage: 1.5 },
+      currentHP: 120,
+      statusEffects: [],
+    },
+  ],
+});
+
+const makeTournament = (players, overrides = {}) => {
+  const startsAt = new Date("2026-01-01T12:00:00Z");
+  return new Tournament({
+    name: "Test Cup",
+    registrationOpensAt: new Date("2026-01-01T00:00:00Z"),
+    registrationClosesAt: startsAt,
+    startsAt,
+    participants: Array.from({ length: players }, (_, i) => makeParticipant(i)),
+    ...overrides,
+  });
+};
+
+describe("Tournament Service Tests", () => {
+  test("odd groups sit one player out each round instead of self-pairing", () => {
+    const schedule = tournamentService.buildGroupSchedule(3);
+    const byes = schedule.filter((match) => match.away === null);
+    const games = schedule.filter((match) => match.away !== null);
+
+    expect(byes).toHaveLength(3);
+    expect(new Set(byes.map((match) => match.home)).size).toBe(3);
+    expect(games).toHaveLength(3);
+    games.forEach((match) => expect(match.home).not.toBe(match.away));
+  });
+
+  test("groups are balanced and never left with a single player", () => {
+    const participants = Array.from({ length: 5 }, (_, i) =>
+      makeParticipant(i)
+    );
+
+    const sizes = tournamentService
+      .drawGroups(participants, 4)
+      .map((group) => group.length);
+    expect(sizes.sort()).toEqual([2, 3]);
+
+    expect(
+      tournamentService.drawGroups(participants.slice(0, 3), 2)
+    ).toHaveLength(1);
+  });
+
+  test("top seeds get byes when the bracket is not full", () => {
+    expect(tournamentService.getBracketOrder(8)).toEqual([
+      1, 8, 4, 5, 2, 7, 3, 6,
+    ]);
+
+    // Three groups of three send six qualifiers into an eight-slot bracket
+    const tournament = makeTournament(9, { groupSize: 3 });
+    tournamentService.startTournament(tournament, tournament.startsAt);
+    tournament.matches.forEach((match) => {
+      if (match.status === "pending") {
+        match.status = "completed";
+        match.winner = match.home;
+        match.homeWins = 1;
+      }
+    });
+    tournamentService.startKnockout(tournament, tournament.startsAt);
+
+    const firstRound = tournamentService.getKnockoutMatches(tournament, 1);
+    expect(firstRound).toHaveLength(4);
+    expect(firstRound.filter((match) => match.status === "bye")).toHaveLength(
+      2
+    );
+    expect(
+      tournament.participants.filter((participant) => participant.eliminated)
+    ).toHaveLength(3);
+  });
+
+  test("prize pool goes to placements with leftovers to the winner", () => {
+    const prizes = tournamentService.calculatePrizes(
+      101,
+      [0.5, 0.25, 0.125, 0.125],
+      [
+        { userId: "b", placement: 2 },
+        { userId: "a", placement: 1 },
+      ]
+    );
+
+    expect(prizes).toEqual([
+      { userId: "a", placement: 1, prize: 76 },
+      { userId: "b", placement: 2, prize: 25 },
+    ]);
+  });
+
+  test("plays scheduled rounds through to a champion", async () => {
+    const tournament = makeTournament(5);
+    tournamentService.startTournament(tournament, tournament.startsAt);
+
+    expect(tournament.status).toBe("group_stage");
+    expect(tournament.groupCount).toBe(2);
+
+    // Nothing is due before the first round
+    expect(
+      tournamentService.getDueMatches(tournament, new Date("2026-01-01T11:00Z"))
+    ).toHaveLength(0);
+
+    // Knockout rounds are only scheduled once the group stage is over
+    let now = tournament.startsAt;
+    for (let tick = 0; tick < 20 && tournament.status !== "completed"; tick++) {
+      now = new Date(now.getTime() + 60 * 60 * 1000);
+      for (const match of tournamentService.getDueMatches(tournament, now)) {
+        await tournamentService.playMatch(tournament, match, now);
+      }
+    }
+
+    expect(tournament.status).toBe("completed");
+
+    const champion = tournament.getParticipant(tournament.winner);
+    expect(champion.placement).toBe(1);
+    expect(
+      tournament.participants.filter((p) => p.placement === 2)
+    ).toHaveLength(1);
+    expect(
+      tournament.matches.filter(
+        (match) => match.stage === "knockout" && match.status === "completed"
+      ).length
+    ).toBe(3);
+  });
+
+  test("a withdrawal only refunds when it actually removes the entry", async () => {
+    const now = Date.now();
+    const tournament = makeTournament(2, {
+      registrationOpensAt: new Date(now - 60 * 60 * 1000),
+      registrationClosesAt: new Date(now + 60 * 60 * 1000),
+      startsAt: new Date(now + 60 * 60 * 1000),
+    });
+    const participant = tournament.participants[0];
+    participant.entryFeePaid = 50;
+
+    // A second withdrawal, or the start, won the race for the entry
+    const updates = [];
+    const findOneAndUpdate = Tournament.findOneAndUpdate;
+    const findTournament = tournamentService.findTournament;
+    Tournament.findOneAndUpdate = async (filter, update) => {
+      updates.push({ filter, update });
+      return null;
+    };
+    tournamentService.findTournament = async () => tournament;
+
+    try {
+      expect(
+        await tournamentService.withdraw(tournament._id, participant.userId)
+      ).toMatchObject({ success: false, status: 409 });
+      expect(updates).toEqual([
+        {
+          filter: {
+            _id: tournament._id,
+            status: "registration",
+            "participants.userId": participant.userId,
+          },
+          update: {
+            $pull: { participants: { userId: participant.userId } },
+            $inc: { prizePool: -50 },
+          },
+        },
+      ]);
+    } finally {
+      Tournament.findOneAndUpdate = findOneAndUpdate;
+      tournamentService.findTournament = findTournament;
+    }
+  });
+});